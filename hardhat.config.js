@@ -1,7 +1,18 @@
 require("@nomiclabs/hardhat-waffle");
+require("./src/backend/tasks/catalog");
+require("./src/backend/tasks/market");
 
 module.exports = {
-  solidity: "0.8.4",
+  solidity: {
+    version: "0.8.4",
+    settings: {
+      // the optimizer keeps the marketplace below the 24KB contract size limit
+      optimizer: {
+        enabled: true,
+        runs: 200
+      }
+    }
+  },
   paths: {
     artifacts: "./src/backend/artifacts",
     sources: "./src/backend/contracts",
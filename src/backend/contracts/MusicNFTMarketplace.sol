@@ -2,150 +2,520 @@
 
 pragma solidity ^0.8.4;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./MusicNFTMarketplaceBase.sol";
 
-// MusicNFTs = name of the token
-// MNS = symbol of the token
-// these 2 parameters are needed for the constructor of Openzeppelin implementation of ERC721 standard.
+// the state, the events and the inherited standards of the marketplace are in MusicNFTMarketplaceBase
+// the auctions, the signed orders, the takedowns, the bundles, the roles and the price updates are run by a MusicNFTMarketplaceTrading module,
+// see _delegateToTradingModule()
+contract MusicNFTMarketplace is MusicNFTMarketplaceBase {
 
-contract MusicNFTMarketplace is ERC721("MusicNFTs", "MNS"), Ownable {  // inheriting the 2 contracts for handling tokens which are non funginble
+    using EnumerableSet for EnumerableSet.UintSet;
+    using EnumerableSet for EnumerableSet.AddressSet;
+    using SafeERC20 for IERC20;
 
-    // the IPFS link where the metadata for the musics are stored
-    string public baseURI = "https://bafybeidhjjbjonyqcahuzlpt7sznmh4xrlbspa3gstop5o47l6gsiaffee.ipfs.nftstorage.link/";  
-    // string public baseExtension = ".json";
-    address public artist;  // public address of the artist so that our contract knows which account to pay the royalty fees to. this is not set as payable because it's public
-    uint256 public royaltyFee;  // the fee which the artist will receive for each time reselling
+    // the module the auctions, the signed orders, the takedowns, the bundles, the roles and the price updates are forwarded to, a MusicNFTMarketplaceTrading deployed
+    // beforehand (by the deploy script, or market:upgrade for a new implementation). it is immutable, so it is part of the code: the clones of this marketplace and
+    // the proxies running it forward to the same module, and an upgrade of the proxy can switch it to a new one
+    address public immutable tradingModule;
 
-    struct MarketItem {
-        uint256 tokenId;  // id for each music
-        address payable seller;  // address of the seller, and for receiving the ether payment, the type needs to payable 
-        uint256 price;  // price of a music
+    // "onlyMinter" is a modifier, which checks if the function is being called by the owner, the artist or a manager
+    modifier onlyMinter() {
+        require(msg.sender == owner() || msg.sender == artist || hasRole(MANAGER_ROLE, msg.sender), "Only the owner, the artist or a manager can mint tracks");
+        _;
     }
 
-    MarketItem[] public marketItems;  // this array works like a "collection" of all the music nfts in the marketplace
+    // the constructor is used to initialize the "address" and "royalty fee" of the artist and also the "prices of all the musics" created by the artist
+    // "initializer" marks the marketplace as initialized, so initialize() can not be called on it afterwards
+    // the trading module is deployed on its own rather than by the constructor, whose code would not fit in the 48KB
+    // a contract creation can be (EIP-3860) with the code of the module in it
+    constructor(address _tradingModule, uint96 _royaltyFee, address _artist, uint256[] memory _prices) initializer {
+        require(_tradingModule != address(0), "Trading module can not be the zero address");
+        tradingModule = _tradingModule;
+        _initializeCatalog(_royaltyFee, _artist, _prices);
+    }
 
-    // events allow us to log data to the ethereum blockchain
-    // "indexed" helps us to search using these variables as filters
-    event MarketItemBought (
-        uint256 indexed tokenId, 
-        address indexed seller,
-        address buyer,
-        uint256 price
-    );
+    // the upgradeable marketplace is a proxy (see MusicNFTMarketplaceProxy) running the code of a marketplace on its own storage,
+    // and since the constructor only ran for that code, the proxy is set up by this function instead, which can only be called once
+    // it does what the constructor does, the caller becomes the owner
+    function initializeWithTracks(uint96 _royaltyFee, address _artist, uint256[] calldata _prices) external initializer {
+        _transferOwnership(msg.sender);
+        _initializeCatalog(_royaltyFee, _artist, _prices);
+    }
 
-    event MarketItemRelisted (
-        uint256 indexed tokenId,
-        address indexed seller,
-        uint256 price
-    );
+    // the factory deploys cheap clones (EIP-1167 minimal proxies) of a marketplace instead of whole contracts,
+    // and since clones do not run the constructor, they are set up by this function, which can only be called once
+    // the artist becomes the owner of its clone
+    function initialize(uint96 _royaltyFee, address _artist) external initializer {
+        _initializeMarketplace(_royaltyFee, _artist);
+        _transferOwnership(_artist);
+        treasury = _artist;
+    }
 
-    // the constructor is used to initialize the "address" and "royalty fee" of the artist and also the "prices of all the musics" created by the artist
-    // payable because it is required for the smart contract deployer (i.e the first seller) to cover the royalty fees or listing the nfts in the marketplace
-    constructor(uint256 _royaltyFee, address _artist, uint256[] memory _prices) payable { 
-        
-        //prices.length = number of musics in the marketplace
-        require(msg.value >= _prices.length * _royaltyFee, "Please pay the required Royalty Fee for all the Tokens listed on the Marketplace");
-        
-        // initializing the state variables
+    // setting up a marketplace listing a track for every price, for both the constructor and initializeWithTracks()
+    function _initializeCatalog(uint96 _royaltyFee, address _artist, uint256[] memory _prices) internal {
+        _initializeMarketplace(_royaltyFee, _artist);
+        treasury = msg.sender;  // the platform fees go to the owner until another treasury is set
+
+        // the metadata of these tracks is found at baseURI + tokenId
+        for(uint256 i = 0; i < _prices.length; i++) {
+            _listNewTrack(_prices[i]);
+        }
+    }
+
+    // initializing the state variables, for the constructor, initialize() and initializeWithTracks()
+    function _initializeMarketplace(uint96 _royaltyFee, address _artist) internal {
+        require(_royaltyFee <= MAX_ROYALTY_FEE, "Royalty Fee can not exceed the maximum");
+
+        baseURI = DEFAULT_BASE_URI;
         royaltyFee = _royaltyFee;
         artist = _artist;
+    }
+
+    // this function is for releasing a new track after deployment, its metadata is found at _metadataURI
+    function mintTrack(uint256 _price, string calldata _metadataURI) external onlyMinter returns (uint256) {
+        return _mintTrack(_price, _metadataURI);
+    }
+
+    // this function is for releasing several tracks (e.g. an album) in a single transaction
+    function mintTracks(uint256[] calldata _prices, string[] calldata _metadataURIs) external onlyMinter returns (uint256[] memory) {
+        require(_prices.length == _metadataURIs.length, "Every track needs both a price and a metadata URI");
 
-        for(uint8 i = 0; i < _prices.length; i++) {
-            require(_prices[i] > 0, "Prices must be greater than Zero");
-            _mint(address(this), i);  // minting (publishing on blockchain) each tokenID for this contract address
-            MarketItem memory music_nft = MarketItem(i, payable(msg.sender), _prices[i]); // data of a music nft stored in a struct
-            marketItems.push(music_nft);  // inserting all the freshly minted music nfts in the nft-collection
+        uint256[] memory tokenIds = new uint256[] (_prices.length);
+        for (uint256 i = 0; i < _prices.length; i++) {
+            tokenIds[i] = _mintTrack(_prices[i], _metadataURIs[i]);
         }
+        return tokenIds;
+    }
+
+    // mints a track with its own metadata URI
+    function _mintTrack(uint256 _price, string calldata _metadataURI) internal returns (uint256) {
+        require(bytes(_metadataURI).length > 0, "Please provide the metadata URI of the track");
+        uint256 tokenId = _listNewTrack(_price);
+        trackURIs[tokenId] = _metadataURI;
+        return tokenId;
+    }
+
+    // mints the next tokenId to the contract and lists it on the marketplace, with the owner as the seller, or the artist when it mints the track:
+    // a manager only runs the catalogue, so the tracks it mints are sold on behalf of the owner, who receives their proceeds
+    // listing is free, the artist's royalty is taken out of the price when the token is bought
+    function _listNewTrack(uint256 _price) internal returns (uint256) {
+        require(_price > 0, "Prices must be greater than Zero");
+
+        uint256 tokenId = marketItems.length;  // the tokenIds are the positions in marketItems, so the next one is its length
+        _mint(address(this), tokenId);  // minting (publishing on blockchain) the tokenID for this contract address
+        MarketItem memory music_nft = MarketItem(tokenId, payable(address(0)), _price, ETH); // data of a music nft stored in a struct
+        marketItems.push(music_nft);  // inserting the freshly minted music nft in the nft-collection
+        address seller = msg.sender == artist ? artist : owner();
+        _addListing(tokenId, seller);
+
+        emit MarketItemListed(tokenId, seller, _price);
+        return tokenId;
     }
 
     // this function is for updating the royaltyFee
     // "onlyOwner" is a modifier, which checks if the function is being called by the owner
-    function updateRoyaltyFee(uint256 _royaltyFee) external onlyOwner {
+    function updateRoyaltyFee(uint96 _royaltyFee) external onlyOwner {
+        require(_royaltyFee <= MAX_ROYALTY_FEE, "Royalty Fee can not exceed the maximum");
         royaltyFee = _royaltyFee;
+        emit RoyaltyFeeUpdated(_royaltyFee);
+    }
+
+    // this function is for giving a single token a royalty fee different from the default one
+    function setTokenRoyaltyFee(uint256 _tokenId, uint96 _royaltyFee) external onlyOwner {
+        require(_exists(_tokenId), "Token does not exist");
+        require(_royaltyFee <= MAX_ROYALTY_FEE, "Royalty Fee can not exceed the maximum");
+        tokenRoyaltyFees[_tokenId] = RoyaltyOverride(true, _royaltyFee);
+        emit TokenRoyaltyFeeUpdated(_tokenId, _royaltyFee);
+    }
+
+    // this function is for making a token fall back to the default royalty fee
+    function resetTokenRoyaltyFee(uint256 _tokenId) external onlyOwner {
+        delete tokenRoyaltyFees[_tokenId];
+        emit TokenRoyaltyFeeReset(_tokenId);
+    }
+
+    // this function is for setting the share of each sale kept by the marketplace
+    function setPlatformFee(uint96 _platformFee) external onlyOwner {
+        require(_platformFee <= MAX_PLATFORM_FEE, "Platform Fee can not exceed the maximum");
+        platformFee = _platformFee;
+        emit PlatformFeeUpdated(_platformFee);
+    }
+
+    // this function is for changing the address the platform fees are credited to
+    function setTreasury(address _treasury) external onlyOwner {
+        require(_treasury != address(0), "Treasury can not be the zero address");
+        treasury = _treasury;
+        emit TreasuryUpdated(_treasury);
+    }
+
+    // returns the addresses holding a role
+    function getRoleMembers(bytes32 _role) external view returns (address[] memory) {
+        return roleMembers[_role].values();
+    }
+
+    // this is the function the artist will call to have its royalties paid to another address, which then acts as the artist
+    // the royalties already credited stay with the previous address, which withdraws them as usual
+    function updateArtist(address _newArtist) external {
+        require(msg.sender == artist, "Only the artist can change its payout address");
+        require(_newArtist != address(0), "Artist can not be the zero address");
+        emit ArtistUpdated(artist, _newArtist);
+        artist = _newArtist;
+    }
+
+    // this function is for pointing the tracks minted by the constructor to their metadata, e.g. the directory uploaded by
+    // the "catalog:upload" task. the metadata of the token i is then found at _newBaseURI + i (+ ".json" in the frontend)
+    function setBaseURI(string calldata _newBaseURI) external onlyOwner {
+        baseURI = _newBaseURI;
+        emit BaseURIUpdated(_newBaseURI);
+    }
+
+    // this function is for allowing an ERC-20 token (e.g. a stablecoin) as the currency of listings, or no longer allowing it
+    // only plain ERC-20 tokens should be allowed: with the ones taking a fee on transfers, the marketplace would receive less than the price
+    // the listings priced in a token which is not allowed anymore can not be bought until their sellers change their currency
+    function setPaymentTokenAllowed(address _paymentToken, bool _allowed) external onlyOwner {
+        require(_paymentToken != ETH, "Payment token can not be the zero address");
+        if (_allowed) {
+            paymentTokens.add(_paymentToken);
+        } else {
+            paymentTokens.remove(_paymentToken);
+        }
+        emit PaymentTokenAllowed(_paymentToken, _allowed);
+    }
+
+    // returns every ERC-20 token listings can be priced in
+    function getPaymentTokens() external view returns (address[] memory) {
+        return paymentTokens.values();
+    }
+
+    // these functions are for stopping the trading in an emergency and resuming it afterwards
+    // while paused nothing can be bought, listed or bid on, but sellers can still cancel their listings and everyone can withdraw
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    function unpause() external onlyOwner {
+        _unpause();
     }
 
     // this is the function an user will call if it wants to buy a music nft
-    function buyToken(uint256 _tokenId) external payable {
+    // a listing priced in ether is paid with the ether sent along, while a listing priced in an ERC-20 token is paid
+    // with that token, which the buyer has to approve the marketplace to spend first
+    function buyToken(uint256 _tokenId) external payable whenNotPaused nonReentrant {
+        _buyToken(_tokenId);
+    }
+
+    // buyToken, for the price and the currency the buyer saw: the seller (or a manager) can change them while the purchase is pending,
+    // and a price in an ERC-20 token would then be pulled out of whatever the buyer allowed the marketplace to spend (e.g. an unlimited allowance)
+    function buyTokenAtPrice(uint256 _tokenId, uint256 _price, address _paymentToken) external payable whenNotPaused nonReentrant {
+        require(marketItems[_tokenId].price == _price && marketItems[_tokenId].paymentToken == _paymentToken, "Listing price or currency has changed");
+        _buyToken(_tokenId);
+    }
+
+    function _buyToken(uint256 _tokenId) internal {
         uint256 price = marketItems[_tokenId].price;    // current price of the particular token
         address seller = marketItems[_tokenId].seller;  // current seller of the particular token
+        address paymentToken = marketItems[_tokenId].paymentToken;  // current currency of the particular token
 
-        // checking if the sent money is equal to the current price or not
-        require(msg.value == price, "Please send the asking price in order to complete the purchase");
+        // only listed tokens have a seller, the ones sold or held for an auction can not be bought at a fixed price
+        require(seller != address(0), "Token is not listed for sale");
+        if (paymentToken == ETH) {
+            // checking if the sent money is equal to the current price or not
+            require(msg.value == price, "Please send the asking price in order to complete the purchase");
+        } else {
+            require(msg.value == 0, "This listing is paid in an ERC-20 token, not in ether");
+            require(isPaymentTokenAllowed(paymentToken), "Payment token is not allowed");
+            // pulling the price from the buyer, "safeTransferFrom" reverts if the marketplace is not allowed to spend enough of it
+            IERC20(paymentToken).safeTransferFrom(msg.sender, address(this), price);
+        }
 
-        // the fees are transferred to the wallets of both the artist and the seller
-        // payable type-casting is done to invoke the function "transfer"
-        payable(artist).transfer(royaltyFee);  // royaltyFee amount is transferred from smart contract wallet to artist's wallet
-        payable(seller).transfer(msg.value);
+        _creditSale(_tokenId, seller, price, paymentToken);
     
         // "_transfer" arguments are => from, to, tokenID
         // when buying tokens, token ownership are transferred from the address of the smart contract to the buyer
         _transfer(address(this), msg.sender, _tokenId);  // "_transfer" is a function of ERC721 Contract
 
         // as the item is sold, the new seller is No One
-        marketItems[_tokenId].seller = payable(address(0));
+        _removeListing(_tokenId, seller);
 
-        // emitting the event with tokenId, seller , buyer and price
-        emit MarketItemBought(_tokenId, seller, msg.sender, price);
+        // emitting the event with tokenId, seller , buyer, price and currency
+        emit MarketItemBought(_tokenId, seller, msg.sender, price, paymentToken);
     }
 
     // this is the function to relist a music nft owned by an user, back in the marketplace
-    function resellToken(uint256 _tokenId, uint256 _price) external payable {
+    // relisting is free, the artist's royalty is taken out of the price when the token is bought
+    function resellToken(uint256 _tokenId, uint256 _price) external whenNotPaused {
+        _relist(_tokenId, _price, ETH);
+    }
+
+    // this is the function to relist a music nft owned by an user, priced in an allowed ERC-20 token instead of ether
+    function resellTokenForERC20(uint256 _tokenId, uint256 _price, address _paymentToken) external whenNotPaused {
+        require(isPaymentTokenAllowed(_paymentToken), "Payment token is not allowed");
+        _relist(_tokenId, _price, _paymentToken);
+    }
+
+    function _relist(uint256 _tokenId, uint256 _price, address _paymentToken) internal {
 
-        // checking if the money sent is equal to the royalty fee or not 
-        require(msg.value == royaltyFee, "Please send the required Royalty Fee in order to relist the item on Marketplace");
         // checking if the asking price is a positive number or not, else doesn't make any sense 
         require(_price > 0, "Please set a Positive Number as the price of the item");
+        require(!takenDown[_tokenId], "Token has been taken down");
 
         // the nft ownership is transferred to the smart wallet
         _transfer(msg.sender, address(this), _tokenId);
 
-        // updating the marketItems array with new price and seller
+        // updating the marketItems array with new price, currency and seller
         marketItems[_tokenId].price = _price;
-        marketItems[_tokenId].seller = payable(msg.sender);
+        marketItems[_tokenId].paymentToken = _paymentToken;
+        _addListing(_tokenId, msg.sender);
 
         // emitting an event to log the reselling data on the blockchain
-        emit MarketItemRelisted(_tokenId, msg.sender, _price);
+        emit MarketItemRelisted(_tokenId, msg.sender, _price, _paymentToken);
     }
 
-    // this function is for returning the list of music nfts which are in the marketplace but not yet bought by any user
-    function getAllUnsoldTokens() external view returns(MarketItem[] memory) {
-        // retrieving how many nfts, the smart contract is owner of. Only unsold tokens have the address of smart contract as the owner.
-        uint256 unsoldCount = balanceOf(address(this));  
-        // creating an array of the same size, because we will be returning those unsold nfts/tokens
-        MarketItem[] memory unsoldTokens = new MarketItem[] (unsoldCount); 
-        // this variable works as an iterator for our newly created array
-        uint256 currentIndex = 0;
-
-        // we are looping through all the tokens in the marketplace
-        for (uint256 i = 0; i < marketItems.length; ++i) {
-            // only selecting those tokens, which have Non-Zero as seller address. Because zero address refers to that token been sold.
-            if (marketItems[i].seller != address(0)) {
-                unsoldTokens[currentIndex] = marketItems[i];  // copying that token in our newly created array
-                ++currentIndex;  // controlling the iterator of our newly created array
-            }
+    // this is the function a seller will call to take its music nft off the marketplace
+    function cancelListing(uint256 _tokenId) external {
+        address seller = marketItems[_tokenId].seller;
+        // only a listed item has a seller, and only that seller can take it back
+        require(seller != address(0) && seller == msg.sender, "Only the seller can cancel the listing");
+
+        // the nft ownership is transferred back from the smart wallet to the seller
+        _transfer(address(this), seller, _tokenId);
+
+        // the item is not for sale anymore, so the seller is No One, the same way as when it is bought
+        _removeListing(_tokenId, seller);
+
+        emit MarketItemCancelled(_tokenId, seller);
+    }
+
+    // the auctions, the signed orders, the takedowns, the bundles, the roles and the price updates are run by the trading module, on the storage of this marketplace
+    // these functions only forward their call to it, see MusicNFTMarketplaceTrading for what they do
+    function createAuction(uint256 /* _tokenId */, uint256 /* _reservePrice */, uint256 /* _duration */) external {
+        _delegateToTradingModule();
+    }
+
+    function placeBid(uint256 /* _tokenId */) external payable {
+        _delegateToTradingModule();
+    }
+
+    function settleAuction(uint256 /* _tokenId */) external {
+        _delegateToTradingModule();
+    }
+
+    function buyWithSignature(SignedOrder calldata /* _listing */, bytes calldata /* _signature */) external payable {
+        _delegateToTradingModule();
+    }
+
+    function acceptOffer(SignedOrder calldata /* _offer */, bytes calldata /* _signature */) external {
+        _delegateToTradingModule();
+    }
+
+    function cancelSignedOrders() external {
+        _delegateToTradingModule();
+    }
+
+    function deposit() external payable {
+        _delegateToTradingModule();
+    }
+
+    function takedownToken(uint256 /* _tokenId */) external {
+        _delegateToTradingModule();
+    }
+
+    function restoreToken(uint256 /* _tokenId */) external {
+        _delegateToTradingModule();
+    }
+
+    // the id of the new bundle is returned by the module, _delegateToTradingModule hands its result back without reaching the end
+    function createBundle(string calldata /* _name */, uint256[] calldata /* _tokenIds */, uint256 /* _price */) external returns (uint256 bundleId) {
+        _delegateToTradingModule();
+        return bundleId;
+    }
+
+    function cancelBundle(uint256 /* _bundleId */) external {
+        _delegateToTradingModule();
+    }
+
+    function buyBundle(uint256 /* _bundleId */) external payable {
+        _delegateToTradingModule();
+    }
+
+    function buyCart(uint256[] calldata /* _tokenIds */) external payable {
+        _delegateToTradingModule();
+    }
+
+    function updateListingPrice(uint256 /* _tokenId */, uint256 /* _price */) external {
+        _delegateToTradingModule();
+    }
+
+    function updateListingCurrency(uint256 /* _tokenId */, uint256 /* _price */, address /* _paymentToken */) external {
+        _delegateToTradingModule();
+    }
+
+    function grantRole(bytes32 /* _role */, address /* _account */) external {
+        _delegateToTradingModule();
+    }
+
+    function revokeRole(bytes32 /* _role */, address /* _account */) external {
+        _delegateToTradingModule();
+    }
+
+    function renounceRole(bytes32 /* _role */) external {
+        _delegateToTradingModule();
+    }
+
+    // runs the current call in the trading module with delegatecall: with the storage, the balance and the msg.sender of
+    // this marketplace. the result (or the revert reason) of the module is handed back to the caller as it is
+    function _delegateToTradingModule() private {
+        address module = tradingModule;
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(gas(), module, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch success
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
         }
+    }
+
+    // this is the function a seller or artist will call to receive the ether credited to them
+    function withdraw() external nonReentrant {
+        uint256 amount = pendingWithdrawals[msg.sender];
+        require(amount > 0, "No funds to withdraw");
+
+        // the balance is cleared before sending, so it can not be withdrawn twice
+        pendingWithdrawals[msg.sender] = 0;
+
+        // "call" forwards all the gas, so wallets which are smart contracts can receive the payment as well
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Withdrawal failed");
+
+        emit Withdrawn(msg.sender, amount);
+    }
+
+    // returns the amount of ether an address can withdraw
+    function pendingWithdrawal(address _payee) external view returns (uint256) {
+        return pendingWithdrawals[_payee];
+    }
+
+    // this is the function a seller or artist will call to receive the ERC-20 tokens credited to them by the sales in that token
+    function withdrawToken(address _paymentToken) external nonReentrant {
+        uint256 amount = pendingTokenWithdrawals[_paymentToken][msg.sender];
+        require(amount > 0, "No funds to withdraw");
+
+        // the balance is cleared before sending, so it can not be withdrawn twice
+        pendingTokenWithdrawals[_paymentToken][msg.sender] = 0;
+        IERC20(_paymentToken).safeTransfer(msg.sender, amount);
 
-        return unsoldTokens;
+        emit TokenWithdrawn(msg.sender, _paymentToken, amount);
+    }
+
+    // returns the amount of an ERC-20 token an address can withdraw
+    function pendingTokenWithdrawal(address _paymentToken, address _payee) external view returns (uint256) {
+        return pendingTokenWithdrawals[_paymentToken][_payee];
+    }
+
+    // this function is for returning the number of music nfts ever minted, sold or not
+    function tokenCount() external view returns (uint256) {
+        return marketItems.length;
+    }
+
+    // this function is for returning the number of music nfts listed for sale, so the frontend knows how many pages there are
+    function listingCount() external view returns (uint256) {
+        return listedTokens.length();
+    }
+
+    // this function is for returning a page of the music nfts listed for sale: at most _limit of them, starting at the _offset-th
+    // the order of the listings changes when one of them is removed, so a page may skip or repeat a listing in between two calls
+    function getListings(uint256 _offset, uint256 _limit) public view returns (MarketItem[] memory) {
+        uint256 count = _pageSize(listedTokens.length(), _offset, _limit);
+        MarketItem[] memory listings = new MarketItem[] (count);
+        for (uint256 i = 0; i < count; ++i) {
+            listings[i] = marketItems[listedTokens.at(_offset + i)];
+        }
+        return listings;
+    }
+
+    // the number of music nfts listed for sale by _seller
+    function sellerListingCount(address _seller) external view returns (uint256) {
+        return sellerListings[_seller].length();
+    }
+
+    // this function is for returning a page of the music nfts a seller has listed, which the contract (not the seller) owns
+    // until they are sold: at most _limit of them, starting at the _offset-th
+    function getSellerListings(address _seller, uint256 _offset, uint256 _limit) public view returns (MarketItem[] memory) {
+        EnumerableSet.UintSet storage listings = sellerListings[_seller];
+        MarketItem[] memory items = new MarketItem[] (_pageSize(listings.length(), _offset, _limit));
+        for (uint256 i = 0; i < items.length; ++i) {
+            items[i] = marketItems[listings.at(_offset + i)];
+        }
+        return items;
+    }
+
+    // this function is for returning all the music nfts a seller has listed at once,
+    // so getSellerListings should be preferred for sellers listing many tokens
+    function getListingsBySeller(address _seller) external view returns (MarketItem[] memory) {
+        return getSellerListings(_seller, 0, sellerListings[_seller].length());
+    }
+
+    // this function is for returning a page of the music nfts owned by _owner: at most _limit of them, starting at the _offset-th
+    // the number of tokens of an owner is balanceOf(_owner)
+    function getTokensOf(address _owner, uint256 _offset, uint256 _limit) public view returns (MarketItem[] memory) {
+        uint256 count = _pageSize(balanceOf(_owner), _offset, _limit);
+        MarketItem[] memory tokens = new MarketItem[] (count);
+        for (uint256 i = 0; i < count; ++i) {
+            tokens[i] = marketItems[tokenOfOwnerByIndex(_owner, _offset + i)];
+        }
+        return tokens;
+    }
+
+    // how many items a page starting at _offset holds, out of _total
+    function _pageSize(uint256 _total, uint256 _offset, uint256 _limit) internal pure returns (uint256) {
+        if (_offset >= _total) return 0;
+        return _total - _offset < _limit ? _total - _offset : _limit;
+    }
+
+    // this function is for returning the bundles for sale, along with their tokens
+    // a bundle stays here when one of its tokens is sold or unlisted, but it can not be bought anymore
+    function getBundles() external view returns (Bundle[] memory) {
+        Bundle[] memory result = new Bundle[] (activeBundles.length());
+        for (uint256 i = 0; i < result.length; ++i) {
+            result[i] = bundles[activeBundles.at(i)];
+        }
+        return result;
+    }
+
+    // this function is for returning the list of music nfts which are in the marketplace but not yet bought by any user
+    // it returns all of them at once, so getListings should be preferred once the catalogue grows
+    function getAllUnsoldTokens() external view returns(MarketItem[] memory) {
+        return getListings(0, listedTokens.length());
     }
 
     // this function is for fetching the owned nfts/tokens of a particular user
+    // it returns all of them at once, so getTokensOf should be preferred for users owning many tokens
     function getMyTokens() external view returns(MarketItem[] memory) {
-        // retrieving how many nfts, the function calling user is owner of
-        uint256 myTokenCount = balanceOf(msg.sender);
-
-        MarketItem[] memory myTokens = new MarketItem[] (myTokenCount);
-        uint256 currentIndex = 0;
-
-        for (uint256 i = 0; i < marketItems.length; ++i) {
-            // only selecting those tokens, whose owner is the function calling user
-            if (ownerOf(i) == msg.sender) {
-                myTokens[currentIndex] = marketItems[i];
-                ++currentIndex;
-            }
+        return getTokensOf(msg.sender, 0, balanceOf(msg.sender));
+    }
+
+    // returns the metadata URI of a track, tracks minted after deployment have their own one
+    // while the ones minted by the constructor fall back to baseURI + tokenId
+    function tokenURI(uint256 _tokenId) public view override returns (string memory) {
+        require(_exists(_tokenId), "ERC721Metadata: URI query for nonexistent token");
+
+        string memory trackURI = trackURIs[_tokenId];
+        if (bytes(trackURI).length > 0) {
+            return trackURI;
         }
+        return super.tokenURI(_tokenId);
+    }
+
+    // clones do not run the constructor of ERC721, so the name and symbol are constants instead of being read from the storage
+    function name() public pure override returns (string memory) {
+        return "MusicNFTs";
+    }
 
-        return myTokens;
+    function symbol() public pure override returns (string memory) {
+        return "MNS";
     }
 
     // this function is for returning the IPFS baseURI where all the nft metadata are stored
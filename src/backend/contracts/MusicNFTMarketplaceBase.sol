@@ -0,0 +1,391 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.4;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Enumerable.sol";
+import "@openzeppelin/contracts/interfaces/IERC2981.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/utils/cryptography/draft-EIP712.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+
+// the whole marketplace does not fit in the 24KB a contract can be, so it is split in two contracts sharing this base:
+// - MusicNFTMarketplace, the contract everybody trades with
+// - MusicNFTMarketplaceTrading, the module running the auctions, the signed orders, the takedowns, the bundles, the roles and the price updates
+//   for it (through delegatecall)
+// the module runs on the storage of the marketplace, so both have to lay it out the same way:
+// every state variable is declared here, and neither of them declares any of its own
+// (the only exception is the test contract MusicNFTMarketplaceV2, which stands for a next version of this base)
+// the upgradeable marketplace keeps this storage across upgrades (see MusicNFTMarketplaceProxy), so the state variables
+// of a new version are added after the last one, and the existing ones are never removed, reordered or changed in type
+
+// MusicNFTs = name of the token
+// MNS = symbol of the token
+// these 2 parameters are needed for the constructor of Openzeppelin implementation of ERC721 standard.
+
+// ERC721Enumerable indexes the tokens of every owner, so they can be listed without looping over the whole collection
+// IERC2981 is the NFT royalty standard, it lets other marketplaces ask the contract how much royalty to pay for a sale
+// ReentrancyGuard protects the withdrawal of funds, which hands control to the receiving address
+// Pausable lets the owner stop the trading in an emergency
+// EIP712 is the standard for signing typed data, used by the listings and offers signed off-chain
+// Initializable sets up the clones of a marketplace made by the factory and the upgradeable proxies, which do not run the constructor
+abstract contract MusicNFTMarketplaceBase is ERC721("MusicNFTs", "MNS"), ERC721Enumerable, IERC2981, Ownable, ReentrancyGuard, Pausable, EIP712("MusicNFTMarketplace", "1"), Initializable {  // inheriting the contracts for handling tokens which are non funginble
+
+    using EnumerableSet for EnumerableSet.UintSet;
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    // the IPFS link where the metadata for the musics are stored
+    string internal constant DEFAULT_BASE_URI = "https://bafybeidhjjbjonyqcahuzlpt7sznmh4xrlbspa3gstop5o47l6gsiaffee.ipfs.nftstorage.link/";
+    string public baseURI;
+    // string public baseExtension = ".json";
+    address public artist;  // public address of the artist so that our contract knows which account to pay the royalty fees to. this is not set as payable because it's public
+    // royalty fees are expressed in basis points, i.e. hundredths of a percent of the sale price (250 => 2.5%)
+    uint96 public constant FEE_DENOMINATOR = 10000;
+    uint96 public constant MAX_ROYALTY_FEE = 1000;  // the royalty can never be more than 10% of a sale
+    uint96 public royaltyFee;  // the share of each sale price which the artist will receive
+
+    // the platform fee is the share of each sale price kept by the marketplace, credited to the treasury (also in basis points)
+    uint96 public constant MAX_PLATFORM_FEE = 1000;  // the platform fee can never be more than 10% of a sale
+    uint96 public platformFee;
+    address public treasury;
+
+    // tokens flagged for a copyright takedown can not be listed or sold on the marketplace
+    mapping(uint256 => bool) public takenDown;
+
+    // a royalty fee set for a single token, which takes precedence over the default royaltyFee
+    struct RoyaltyOverride {
+        bool enabled;  // needed to tell apart an override of 0% from no override at all
+        uint96 fee;
+    }
+
+    mapping(uint256 => RoyaltyOverride) internal tokenRoyaltyFees;
+
+    // the payment token of the listings priced in ether
+    address internal constant ETH = address(0);
+
+    struct MarketItem {
+        uint256 tokenId;  // id for each music
+        address payable seller;  // address of the seller, and for receiving the ether payment, the type needs to payable
+        uint256 price;  // price of a music
+        address paymentToken;  // the ERC-20 token the price is paid in, or the zero address (ETH) when it is paid in ether
+    }
+
+    MarketItem[] public marketItems;  // this array works like a "collection" of all the music nfts in the marketplace
+
+    // the tokenIds currently listed for sale, overall and per seller. they are kept up to date on every listing and sale,
+    // so the views below never have to loop over the whole collection
+    EnumerableSet.UintSet internal listedTokens;
+    mapping(address => EnumerableSet.UintSet) internal sellerListings;
+
+    // a timed english auction of a music nft, the token is held by the contract until the auction is settled
+    struct Auction {
+        address seller;  // zero when there is no auction running for the token
+        uint256 reservePrice;  // the lowest first bid accepted
+        uint256 endTime;  // timestamp after which no more bids are accepted
+        address highestBidder;
+        uint256 highestBid;
+    }
+
+    mapping(uint256 => Auction) public auctions;  // tokenId => its running auction
+
+    uint256 public constant MAX_AUCTION_DURATION = 30 days;
+    // a bid placed this close to the end of an auction pushes the end back, so nobody can win by bidding at the last second
+    uint256 public constant AUCTION_EXTENSION = 10 minutes;
+    // every bid has to beat the highest one by at least this share (in basis points, 500 => 5%)
+    uint256 public constant MIN_BID_INCREMENT = 500;
+
+    // a listing (signed by the seller) or an offer (signed by the buyer) made off-chain, which costs no gas until it is executed
+    // the same struct is used for both, only the typehash they are signed with tells them apart
+    struct SignedOrder {
+        uint256 tokenId;
+        uint256 price;
+        uint256 nonce;  // has to match nonces[signer], so bumping the nonce cancels every order signed before
+        uint256 expiry;  // timestamp after which the order can not be executed anymore
+    }
+
+    mapping(address => uint256) public nonces;  // the current nonce of every signer
+    mapping(bytes32 => bool) internal executedOrders;  // hashes of the signed orders already executed, so they can not be replayed
+
+    // the metadata URI of the tracks minted after deployment, which takes precedence over baseURI + tokenId
+    mapping(uint256 => string) internal trackURIs;
+
+    // the proceeds of sales are not sent right away, but credited here for each address to withdraw them later
+    // that way a seller or artist whose wallet can not receive ether can never block the purchase of a token
+    mapping(address => uint256) internal pendingWithdrawals;
+
+    // the ERC-20 tokens (e.g. stablecoins) the owner allowed listings to be priced in
+    EnumerableSet.AddressSet internal paymentTokens;
+    // the proceeds of the sales paid in ERC-20 tokens, credited the same way as the ether ones: payment token => payee => amount
+    mapping(address => mapping(address => uint256)) internal pendingTokenWithdrawals;
+
+    // the roles the owner grants to share the running of the marketplace, on top of its own rights:
+    // - a manager mints tracks and sets the prices of the catalogue (the listings of the owner, the artist and the managers)
+    // - a moderator takes tokens down (and restores them)
+    // they are kept here rather than by inheriting AccessControl, whose state would shift the storage of the deployed proxies
+    bytes32 public constant MANAGER_ROLE = keccak256("MANAGER_ROLE");
+    bytes32 public constant MODERATOR_ROLE = keccak256("MODERATOR_ROLE");
+    mapping(bytes32 => EnumerableSet.AddressSet) internal roleMembers;  // role => the addresses holding it
+
+    // a bundle sells several tokens listed by the same seller (e.g. an album) in a single purchase, at a single price in ether.
+    // its tokens stay listed on their own as well: once one of them is sold or unlisted, the whole bundle can not be bought
+    struct Bundle {
+        uint256 bundleId;
+        address seller;
+        uint256 price;
+        string name;
+        uint256[] tokenIds;
+    }
+
+    uint256 public constant MAX_BATCH_SIZE = 50;  // the most tokens a bundle or a cart holds, so buying them fits in a block
+    mapping(uint256 => Bundle) internal bundles;
+    uint256 internal bundleCount;  // the id of the next bundle
+    EnumerableSet.UintSet internal activeBundles;  // the ids of the bundles for sale
+
+    // events allow us to log data to the ethereum blockchain
+    // "indexed" helps us to search using these variables as filters
+    // the prices are in the paymentToken of the listing, the zero address standing for ether
+    event MarketItemBought (
+        uint256 indexed tokenId,
+        address indexed seller,
+        address buyer,
+        uint256 price,
+        address paymentToken
+    );
+
+    event MarketItemListed (
+        uint256 indexed tokenId,
+        address indexed seller,
+        uint256 price
+    );
+
+    event MarketItemRelisted (
+        uint256 indexed tokenId,
+        address indexed seller,
+        uint256 price,
+        address paymentToken
+    );
+
+    event MarketItemCancelled (
+        uint256 indexed tokenId,
+        address indexed seller
+    );
+
+    event MarketItemPriceUpdated (
+        uint256 indexed tokenId,
+        address indexed seller,
+        uint256 price,
+        address paymentToken
+    );
+
+    event RoyaltyFeeUpdated (
+        uint96 royaltyFee
+    );
+
+    event TokenRoyaltyFeeUpdated (
+        uint256 indexed tokenId,
+        uint96 royaltyFee
+    );
+
+    event TokenRoyaltyFeeReset (
+        uint256 indexed tokenId
+    );
+
+    event PlatformFeeUpdated (
+        uint96 platformFee
+    );
+
+    event TreasuryUpdated (
+        address indexed treasury
+    );
+
+    event PaymentTokenAllowed (
+        address indexed paymentToken,
+        bool allowed
+    );
+
+    event BaseURIUpdated (
+        string baseURI
+    );
+
+    event TokenTakenDown (
+        uint256 indexed tokenId
+    );
+
+    event TokenRestored (
+        uint256 indexed tokenId
+    );
+
+    event AuctionCreated (
+        uint256 indexed tokenId,
+        address indexed seller,
+        uint256 reservePrice,
+        uint256 endTime
+    );
+
+    event BidPlaced (
+        uint256 indexed tokenId,
+        address indexed bidder,
+        uint256 amount,
+        uint256 endTime
+    );
+
+    // the winner is the zero address when the auction ended without bids
+    event AuctionSettled (
+        uint256 indexed tokenId,
+        address indexed winner,
+        uint256 amount
+    );
+
+    // the artist's share of a sale, emitted for every kind of sale so off-chain indexers can total the royalties
+    event RoyaltyCredited (
+        uint256 indexed tokenId,
+        address indexed receiver,
+        uint256 amount,
+        address paymentToken
+    );
+
+    event NonceIncremented (
+        address indexed account,
+        uint256 nonce
+    );
+
+    event Deposited (
+        address indexed account,
+        uint256 amount
+    );
+
+    event Withdrawn (
+        address indexed payee,
+        uint256 amount
+    );
+
+    event TokenWithdrawn (
+        address indexed payee,
+        address indexed paymentToken,
+        uint256 amount
+    );
+
+    // the same events as the AccessControl contract of OpenZeppelin, sender being the address which granted or revoked the role
+    event RoleGranted (
+        bytes32 indexed role,
+        address indexed account,
+        address indexed sender
+    );
+
+    event RoleRevoked (
+        bytes32 indexed role,
+        address indexed account,
+        address indexed sender
+    );
+
+    event ArtistUpdated (
+        address indexed previousArtist,
+        address indexed newArtist
+    );
+
+    event BundleCreated (
+        uint256 indexed bundleId,
+        address indexed seller,
+        uint256 price,
+        string name,
+        uint256[] tokenIds
+    );
+
+    event BundleCancelled (
+        uint256 indexed bundleId,
+        address indexed seller
+    );
+
+    // every token of the bundle is also announced by a MarketItemBought, with its share of the price
+    event BundleSold (
+        uint256 indexed bundleId,
+        address indexed buyer,
+        uint256 price
+    );
+
+    // every token of the cart is also announced by a MarketItemBought. value is the ether paid for the ones priced in ether
+    event CartPurchased (
+        address indexed buyer,
+        uint256[] tokenIds,
+        uint256 value
+    );
+
+    // returns whether an address holds a role
+    function hasRole(bytes32 _role, address _account) public view returns (bool) {
+        return roleMembers[_role].contains(_account);
+    }
+
+    // returns whether listings can be priced in a particular ERC-20 token
+    function isPaymentTokenAllowed(address _paymentToken) public view returns (bool) {
+        return paymentTokens.contains(_paymentToken);
+    }
+
+    // whether msg.sender manages the listings of _seller: its own ones, and for a manager the ones of the catalogue
+    // (the listings of the owner, the artist and the managers, but not the ones of the users reselling their tokens)
+    function _managesListingsOf(address _seller) internal view returns (bool) {
+        bool catalogue = _seller == owner() || _seller == artist || hasRole(MANAGER_ROLE, _seller);
+        return _seller != address(0) && (_seller == msg.sender || (catalogue && hasRole(MANAGER_ROLE, msg.sender)));
+    }
+
+    // returns the royalty fee (in basis points) which applies to a particular token
+    function getRoyaltyFee(uint256 _tokenId) public view returns (uint96) {
+        RoyaltyOverride memory royaltyOverride = tokenRoyaltyFees[_tokenId];
+        return royaltyOverride.enabled ? royaltyOverride.fee : royaltyFee;
+    }
+
+    // EIP-2981: returns who receives the royalty of a sale and how much of the sale price it is
+    // the division rounds down, so the seller keeps any remainder
+    function royaltyInfo(uint256 _tokenId, uint256 _salePrice) public view override returns (address receiver, uint256 royaltyAmount) {
+        return (artist, _salePrice * getRoyaltyFee(_tokenId) / FEE_DENOMINATOR);
+    }
+
+    // splits the price of a sale between the artist (royalty), the treasury (platform fee) and the seller (the rest)
+    // the shares are credited to their balances in the payment token of the sale, and they withdraw them on their own
+    function _creditSale(uint256 _tokenId, address _seller, uint256 _price, address _paymentToken) internal {
+        (address receiver, uint256 royalty) = royaltyInfo(_tokenId, _price);
+        uint256 fee = _price * platformFee / FEE_DENOMINATOR;
+        _creditPayment(_paymentToken, receiver, royalty);
+        if (fee > 0) {
+            _creditPayment(_paymentToken, treasury, fee);
+        }
+        _creditPayment(_paymentToken, _seller, _price - royalty - fee);
+        emit RoyaltyCredited(_tokenId, receiver, royalty, _paymentToken);
+    }
+
+    // adds a payment, in ether (ETH) or in an ERC-20 token, to the balance an address can withdraw
+    function _creditPayment(address _paymentToken, address _payee, uint256 _amount) internal {
+        if (_paymentToken == ETH) {
+            pendingWithdrawals[_payee] += _amount;
+        } else {
+            pendingTokenWithdrawals[_paymentToken][_payee] += _amount;
+        }
+    }
+
+    // records a token as listed by _seller
+    function _addListing(uint256 _tokenId, address _seller) internal {
+        marketItems[_tokenId].seller = payable(_seller);
+        listedTokens.add(_tokenId);
+        sellerListings[_seller].add(_tokenId);
+    }
+
+    // takes a token out of the listings of _seller, after it was bought or its listing cancelled
+    function _removeListing(uint256 _tokenId, address _seller) internal {
+        marketItems[_tokenId].seller = payable(address(0));
+        listedTokens.remove(_tokenId);
+        sellerListings[_seller].remove(_tokenId);
+    }
+
+    // keeping the owner index of ERC721Enumerable up to date, both parents need this hook
+    function _beforeTokenTransfer(address _from, address _to, uint256 _tokenId) internal override(ERC721, ERC721Enumerable) {
+        super._beforeTokenTransfer(_from, _to, _tokenId);
+    }
+
+    // announcing support of the EIP-2981 royalty interface on top of the ERC721 ones
+    function supportsInterface(bytes4 interfaceId) public view override(ERC721, ERC721Enumerable, IERC165) returns (bool) {
+        return interfaceId == type(IERC2981).interfaceId || super.supportsInterface(interfaceId);
+    }
+
+}
@@ -0,0 +1,112 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.4;
+
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "./MusicNFTMarketplace.sol";
+
+// a MusicNFTMarketplace only knows a single artist, so every artist gets its own marketplace contract (a "collection").
+// this registry deploys new collections for artists and keeps track of the existing ones,
+// so the frontend can find the catalogues of all the artists in one place
+// a whole marketplace does not fit in the bytecode of the factory, so new collections are clones (EIP-1167 minimal proxies)
+// of an implementation marketplace deployed beforehand: they run its code on their own storage
+contract MusicNFTMarketplaceFactory {
+
+    address public immutable implementation;  // the marketplace whose code every created collection runs
+
+    struct Collection {
+        address artist;  // the artist receiving the royalties of the collection
+        address collection;  // address of the MusicNFTMarketplace contract
+    }
+
+    Collection[] private collections;  // every collection created or registered, in order
+    mapping(address => address[]) private artistCollections;  // artist => its collections
+    mapping(address => bool) public isRegistered;  // whether a marketplace contract is already part of the registry
+    mapping(address => uint256) private collectionIndexes;  // marketplace contract => its position in collections
+
+    // "indexed" lets the frontend look up the collections of a particular artist
+    event CollectionCreated (
+        address indexed artist,
+        address indexed collection
+    );
+
+    event CollectionRegistered (
+        address indexed artist,
+        address indexed collection
+    );
+
+    event CollectionArtistUpdated (
+        address indexed collection,
+        address indexed previousArtist,
+        address indexed newArtist
+    );
+
+    constructor(address _implementation) {
+        implementation = _implementation;
+    }
+
+    // this is the function an artist will call to get a new, empty collection
+    // the artist becomes the owner of the collection, and lists its tracks through mintTrack / mintTracks
+    function createCollection(uint96 _royaltyFee) external returns (address) {
+        MusicNFTMarketplace collection = MusicNFTMarketplace(Clones.clone(implementation));
+        // the clone is initialized in the same transaction, so nobody else can initialize it first
+        collection.initialize(_royaltyFee, msg.sender);
+
+        _addCollection(msg.sender, address(collection));
+        emit CollectionCreated(msg.sender, address(collection));
+        return address(collection);
+    }
+
+    // this function is for adding a marketplace which was deployed on its own (e.g. by the deploy script) to the registry
+    // only its artist or its owner can register it
+    function registerCollection(MusicNFTMarketplace _collection) external {
+        require(!isRegistered[address(_collection)], "Collection is already registered");
+        address artist = _collection.artist();
+        require(msg.sender == artist || msg.sender == _collection.owner(), "Only the artist or the owner can register a collection");
+
+        _addCollection(artist, address(_collection));
+        emit CollectionRegistered(artist, address(_collection));
+    }
+
+    // the artist of a collection can rotate its payout address (updateArtist), which the registry is not told about:
+    // this function files the collection under the current artist of the marketplace. anybody can call it, since the
+    // artist is read from the collection itself
+    function syncArtist(MusicNFTMarketplace _collection) external {
+        require(isRegistered[address(_collection)], "Collection is not registered");
+        uint256 index = collectionIndexes[address(_collection)];
+        address previousArtist = collections[index].artist;
+        address newArtist = _collection.artist();
+        require(newArtist != previousArtist, "Collection is already filed under its artist");
+
+        collections[index].artist = newArtist;
+        // the collection is taken out of the ones of the previous artist, the last of them taking its place
+        address[] storage previousCollections = artistCollections[previousArtist];
+        for (uint256 i = 0; i < previousCollections.length; i++) {
+            if (previousCollections[i] == address(_collection)) {
+                previousCollections[i] = previousCollections[previousCollections.length - 1];
+                previousCollections.pop();
+                break;
+            }
+        }
+        artistCollections[newArtist].push(address(_collection));
+
+        emit CollectionArtistUpdated(address(_collection), previousArtist, newArtist);
+    }
+
+    // returns every collection in the registry
+    function getAllCollections() external view returns (Collection[] memory) {
+        return collections;
+    }
+
+    // returns the collections of a particular artist
+    function getCollectionsOf(address _artist) external view returns (address[] memory) {
+        return artistCollections[_artist];
+    }
+
+    function _addCollection(address _artist, address _collection) internal {
+        isRegistered[_collection] = true;
+        collectionIndexes[_collection] = collections.length;
+        collections.push(Collection(_artist, _collection));
+        artistCollections[_artist].push(_collection);
+    }
+}
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.4;
+
+import "@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol";
+import "@openzeppelin/contracts/proxy/transparent/ProxyAdmin.sol";
+
+// the upgradeable marketplace: a proxy which keeps the storage (tracks, listings, balances...) and the address of the marketplace,
+// and runs the code of a MusicNFTMarketplace deployed on its own, its implementation, through delegatecall
+// - the proxy is set up by initializeWithTracks() on the implementation, passed as _data, since the constructor of the
+//   implementation does not run for it
+// - its admin (_admin, a ProxyAdmin owned by the deployer) upgrades it to a new implementation with ProxyAdmin.upgrade(proxy, implementation)
+// - the admin can only upgrade, calls from any other address are forwarded to the implementation ("transparent" proxy)
+// the collections created by the factory are clones, which can not be upgraded
+contract MusicNFTMarketplaceProxy is TransparentUpgradeableProxy {
+
+    constructor(address _implementation, address _admin, bytes memory _data) TransparentUpgradeableProxy(_implementation, _admin, _data) {}
+
+}
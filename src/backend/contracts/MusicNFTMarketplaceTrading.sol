@@ -0,0 +1,336 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.4;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "./MusicNFTMarketplaceBase.sol";
+
+// the auctions, the signed orders, the takedowns, the bundles, the roles and the price updates of MusicNFTMarketplace, which do not fit in its bytecode.
+// a single module is deployed per network and given to the constructor of the marketplaces, which forward these functions to it with delegatecall,
+// so they run on the storage (and with the ether) of the marketplace, as if they were part of it.
+// the module itself holds nothing: called directly, it would only ever work on its own empty storage
+contract MusicNFTMarketplaceTrading is MusicNFTMarketplaceBase {
+
+    using EnumerableSet for EnumerableSet.UintSet;
+    using EnumerableSet for EnumerableSet.AddressSet;
+    using SafeERC20 for IERC20;
+
+    bytes32 private constant LISTING_TYPEHASH = keccak256("Listing(uint256 tokenId,uint256 price,uint256 nonce,uint256 expiry)");
+    bytes32 private constant OFFER_TYPEHASH = keccak256("Offer(uint256 tokenId,uint256 price,uint256 nonce,uint256 expiry)");
+
+    // "onlyOwnerOrModerator" is a modifier, which checks if the function is being called by the owner or a moderator
+    modifier onlyOwnerOrModerator() {
+        require(msg.sender == owner() || hasRole(MODERATOR_ROLE, msg.sender), "Only the owner or a moderator can moderate tokens");
+        _;
+    }
+
+    // this is the function an user will call to sell a music nft it owns to the highest bidder
+    // auctions are always in ether
+    function createAuction(uint256 _tokenId, uint256 _reservePrice, uint256 _duration) external whenNotPaused {
+        require(_reservePrice > 0, "Please set a Positive Number as the reserve price");
+        require(!takenDown[_tokenId], "Token has been taken down");
+        require(_duration > 0 && _duration <= MAX_AUCTION_DURATION, "Auction duration must be between zero and 30 days");
+
+        // the nft is held by the smart wallet until the auction is settled, this also checks that the caller owns it
+        _transfer(msg.sender, address(this), _tokenId);
+
+        uint256 endTime = block.timestamp + _duration;
+        auctions[_tokenId] = Auction(msg.sender, _reservePrice, endTime, address(0), 0);
+
+        emit AuctionCreated(_tokenId, msg.sender, _reservePrice, endTime);
+    }
+
+    // this is the function an user will call to bid on a running auction, the bid is the ether sent along
+    function placeBid(uint256 _tokenId) external payable whenNotPaused {
+        Auction storage auction = auctions[_tokenId];
+        require(auction.seller != address(0), "There is no auction for this token");
+        require(block.timestamp < auction.endTime, "Auction has already ended");
+        require(msg.sender != auction.seller, "Seller can not bid on its own auction");
+
+        if (auction.highestBidder == address(0)) {
+            require(msg.value >= auction.reservePrice, "Bid must be at least the reserve price");
+        } else {
+            require(
+                msg.value >= auction.highestBid + auction.highestBid * MIN_BID_INCREMENT / FEE_DENOMINATOR,
+                "Bid must be higher than the highest bid by the minimum increment"
+            );
+            // the outbid bidder gets its ether back through withdraw(), so it can not block the new bid
+            _creditPayment(ETH, auction.highestBidder, auction.highestBid);
+        }
+
+        auction.highestBidder = msg.sender;
+        auction.highestBid = msg.value;
+
+        // late bids extend the auction, giving the others time to answer
+        if (auction.endTime - block.timestamp < AUCTION_EXTENSION) {
+            auction.endTime = block.timestamp + AUCTION_EXTENSION;
+        }
+
+        emit BidPlaced(_tokenId, msg.sender, msg.value, auction.endTime);
+    }
+
+    // this function is for ending an auction once its time is up, anyone can call it
+    // the highest bidder receives the nft and the bid is split between the artist and the seller, like a purchase
+    // without any bid the nft goes back to the seller
+    function settleAuction(uint256 _tokenId) external {
+        Auction memory auction = auctions[_tokenId];
+        require(auction.seller != address(0), "There is no auction for this token");
+        require(block.timestamp >= auction.endTime, "Auction has not ended yet");
+
+        delete auctions[_tokenId];
+
+        if (auction.highestBidder == address(0)) {
+            _transfer(address(this), auction.seller, _tokenId);
+        } else {
+            _creditSale(_tokenId, auction.seller, auction.highestBid, ETH);
+
+            _transfer(address(this), auction.highestBidder, _tokenId);
+            // the winning bid is recorded as the price the token was last sold for
+            _recordSalePrice(_tokenId, auction.highestBid);
+        }
+
+        emit AuctionSettled(_tokenId, auction.highestBidder, auction.highestBid);
+    }
+
+    // this is the function a buyer will call to buy a music nft through a listing its owner signed off-chain
+    // the token stays in the seller's wallet until the sale, so listing it this way costs the seller nothing
+    // signed listings are always in ether
+    function buyWithSignature(SignedOrder calldata _listing, bytes calldata _signature) external payable whenNotPaused {
+        address seller = _verifySignedOrder(LISTING_TYPEHASH, _listing, _signature);
+        require(ownerOf(_listing.tokenId) == seller, "Seller does not own the token anymore");
+        require(msg.value == _listing.price, "Please send the asking price in order to complete the purchase");
+
+        _executeSignedSale(_listing.tokenId, seller, msg.sender, _listing.price);
+    }
+
+    // this is the function the owner of a music nft will call to sell it to a buyer who signed an offer off-chain
+    // the price is paid out of the ether the buyer deposited on the marketplace beforehand
+    function acceptOffer(SignedOrder calldata _offer, bytes calldata _signature) external whenNotPaused {
+        address buyer = _verifySignedOrder(OFFER_TYPEHASH, _offer, _signature);
+        require(ownerOf(_offer.tokenId) == msg.sender, "Only the owner of the token can accept an offer");
+        require(pendingWithdrawals[buyer] >= _offer.price, "Buyer has not deposited enough funds");
+
+        pendingWithdrawals[buyer] -= _offer.price;
+        _executeSignedSale(_offer.tokenId, msg.sender, buyer, _offer.price);
+    }
+
+    // this is the function an user will call to cancel every listing and offer it signed so far
+    function cancelSignedOrders() external {
+        uint256 nonce = ++nonces[msg.sender];
+        emit NonceIncremented(msg.sender, nonce);
+    }
+
+    // this is the function a buyer will call to fund its signed offers, the deposit can be withdrawn at any time
+    function deposit() external payable {
+        require(msg.value > 0, "Please send a Positive Amount of ether");
+        _creditPayment(ETH, msg.sender, msg.value);
+        emit Deposited(msg.sender, msg.value);
+    }
+
+    // this function is for taking a token off the marketplace after a copyright claim, it can not be listed again until it is restored
+    // a listed token goes back to its seller, and a running auction is cancelled with the highest bid credited back to the bidder
+    function takedownToken(uint256 _tokenId) external onlyOwnerOrModerator {
+        require(_exists(_tokenId), "Token does not exist");
+        require(!takenDown[_tokenId], "Token has already been taken down");
+        takenDown[_tokenId] = true;
+
+        address seller = marketItems[_tokenId].seller;
+        if (seller != address(0)) {
+            _removeListing(_tokenId, seller);
+            _transfer(address(this), seller, _tokenId);
+        }
+
+        Auction memory auction = auctions[_tokenId];
+        if (auction.seller != address(0)) {
+            delete auctions[_tokenId];
+            if (auction.highestBidder != address(0)) {
+                _creditPayment(ETH, auction.highestBidder, auction.highestBid);
+            }
+            _transfer(address(this), auction.seller, _tokenId);
+        }
+
+        emit TokenTakenDown(_tokenId);
+    }
+
+    // this function is for lifting a takedown, its owner can then list the token again
+    function restoreToken(uint256 _tokenId) external onlyOwnerOrModerator {
+        require(takenDown[_tokenId], "Token has not been taken down");
+        takenDown[_tokenId] = false;
+        emit TokenRestored(_tokenId);
+    }
+
+    // this is the function a seller will call to sell several of its listed tokens together (e.g. an album) at a single price in ether
+    // the tokens are given in ascending order, so none of them is there twice. a manager bundles the listings of the catalogue
+    function createBundle(string calldata _name, uint256[] calldata _tokenIds, uint256 _price) external whenNotPaused returns (uint256 bundleId) {
+        require(_price > 0, "Please set a Positive Number as the price of the bundle");
+        require(_tokenIds.length >= 2 && _tokenIds.length <= MAX_BATCH_SIZE, "A bundle holds between 2 and 50 tokens");
+
+        address seller = marketItems[_tokenIds[0]].seller;
+        for (uint256 i = 0; i < _tokenIds.length; i++) {
+            require(i == 0 || _tokenIds[i] > _tokenIds[i - 1], "The tokens of a bundle must be in ascending order");
+            require(marketItems[_tokenIds[i]].seller == seller && _managesListingsOf(seller), "Only the seller of every token or a manager can bundle them");
+        }
+
+        bundleId = bundleCount++;
+        bundles[bundleId] = Bundle(bundleId, seller, _price, _name, _tokenIds);
+        activeBundles.add(bundleId);
+
+        emit BundleCreated(bundleId, seller, _price, _name, _tokenIds);
+    }
+
+    // this is the function a seller (or a manager) will call to stop selling a bundle, its tokens stay listed on their own
+    function cancelBundle(uint256 _bundleId) external {
+        address seller = bundles[_bundleId].seller;
+        require(activeBundles.contains(_bundleId) && _managesListingsOf(seller), "Only the seller or a manager can cancel the bundle");
+
+        activeBundles.remove(_bundleId);
+        delete bundles[_bundleId];
+
+        emit BundleCancelled(_bundleId, seller);
+    }
+
+    // this is the function an user will call to buy every token of a bundle in one transaction, the price is the ether sent along
+    // the purchase reverts as a whole when a token of the bundle is not listed by its seller anymore (sold, unlisted or taken down)
+    // the price is split evenly between the tokens, each of them paying the royalty of its own sale
+    function buyBundle(uint256 _bundleId) external payable whenNotPaused nonReentrant {
+        require(activeBundles.contains(_bundleId), "Bundle is not for sale");
+        Bundle memory bundle = bundles[_bundleId];
+        require(msg.value == bundle.price, "Please send the price of the bundle in order to complete the purchase");
+
+        activeBundles.remove(_bundleId);
+        delete bundles[_bundleId];
+
+        uint256 count = bundle.tokenIds.length;
+        for (uint256 i = 0; i < count; i++) {
+            uint256 tokenId = bundle.tokenIds[i];
+            require(marketItems[tokenId].seller == bundle.seller, "A token of the bundle is no longer available");
+            // the first tokens get the wei left over by the division
+            uint256 share = bundle.price / count + (i < bundle.price % count ? 1 : 0);
+            _sellListing(tokenId, bundle.seller, share, ETH);
+            // the share is recorded as the price the token was last sold for
+            _recordSalePrice(tokenId, share);
+        }
+
+        emit BundleSold(_bundleId, msg.sender, bundle.price);
+    }
+
+    // this is the function an user will call to buy several listed tokens (its cart) in one transaction, each at its asking price
+    // the ones priced in ether are paid with the ether sent along, which has to be their total, and the ones priced in an ERC-20
+    // token are pulled from the buyer like in buyToken. the purchase reverts as a whole when a token of the cart is not listed anymore
+    function buyCart(uint256[] calldata _tokenIds) external payable whenNotPaused nonReentrant {
+        require(_tokenIds.length > 0 && _tokenIds.length <= MAX_BATCH_SIZE, "A cart holds between 1 and 50 tokens");
+
+        uint256 etherTotal = 0;
+        for (uint256 i = 0; i < _tokenIds.length; i++) {
+            MarketItem memory item = marketItems[_tokenIds[i]];
+            // a token bought earlier in the cart is not listed anymore either, so a cart can not buy a token twice
+            require(item.seller != address(0), "A token of the cart is no longer available");
+            if (item.paymentToken == ETH) {
+                etherTotal += item.price;
+            } else {
+                require(isPaymentTokenAllowed(item.paymentToken), "Payment token is not allowed");
+                IERC20(item.paymentToken).safeTransferFrom(msg.sender, address(this), item.price);
+            }
+            _sellListing(item.tokenId, item.seller, item.price, item.paymentToken);
+        }
+        require(msg.value == etherTotal, "Please send the total price of the cart in order to complete the purchase");
+
+        emit CartPurchased(msg.sender, _tokenIds, etherTotal);
+    }
+
+    // the seller of a listing sets its price, and the managers set the prices of the catalogue too. returns the seller of the listing
+    function _requirePriceSetter(uint256 _tokenId) internal view returns (address seller) {
+        seller = marketItems[_tokenId].seller;
+        require(_managesListingsOf(seller), "Only the seller or a manager can update the price");
+    }
+
+    // this is the function a seller (or a manager) will call to change the asking price of a listed music nft
+    function updateListingPrice(uint256 _tokenId, uint256 _price) external {
+        address seller = _requirePriceSetter(_tokenId);
+        require(_price > 0, "Please set a Positive Number as the price of the item");
+
+        marketItems[_tokenId].price = _price;
+
+        emit MarketItemPriceUpdated(_tokenId, seller, _price, marketItems[_tokenId].paymentToken);
+    }
+
+    // this is the function a seller (or a manager) will call to change the currency of a listed music nft, along with its price
+    // _paymentToken is an allowed ERC-20 token, or the zero address for ether. this is how an artist prices its drops in a stablecoin
+    function updateListingCurrency(uint256 _tokenId, uint256 _price, address _paymentToken) external {
+        address seller = _requirePriceSetter(_tokenId);
+        require(_price > 0, "Please set a Positive Number as the price of the item");
+        require(_paymentToken == ETH || isPaymentTokenAllowed(_paymentToken), "Payment token is not allowed");
+
+        marketItems[_tokenId].price = _price;
+        marketItems[_tokenId].paymentToken = _paymentToken;
+
+        emit MarketItemPriceUpdated(_tokenId, seller, _price, _paymentToken);
+    }
+
+    // this function is for giving a role (MANAGER_ROLE or MODERATOR_ROLE) to an address
+    function grantRole(bytes32 _role, address _account) external onlyOwner {
+        require(_role == MANAGER_ROLE || _role == MODERATOR_ROLE, "Unknown role");
+        if (roleMembers[_role].add(_account)) {
+            emit RoleGranted(_role, _account, msg.sender);
+        }
+    }
+
+    // this function is for taking a role back from an address
+    function revokeRole(bytes32 _role, address _account) external onlyOwner {
+        _revokeRole(_role, _account);
+    }
+
+    // this is the function a manager or moderator will call to give up its role, e.g. when its key is compromised
+    function renounceRole(bytes32 _role) external {
+        _revokeRole(_role, msg.sender);
+    }
+
+    function _revokeRole(bytes32 _role, address _account) internal {
+        if (roleMembers[_role].remove(_account)) {
+            emit RoleRevoked(_role, _account, msg.sender);
+        }
+    }
+
+    // pays a listed token with what the buyer sent and hands it over to the buyer, like buyToken
+    function _sellListing(uint256 _tokenId, address _seller, uint256 _price, address _paymentToken) internal {
+        _creditSale(_tokenId, _seller, _price, _paymentToken);
+        _transfer(address(this), msg.sender, _tokenId);
+        _removeListing(_tokenId, _seller);
+        emit MarketItemBought(_tokenId, _seller, msg.sender, _price, _paymentToken);
+    }
+
+    // checks the expiry and the nonce of a signed order, marks it as executed and returns who signed it
+    // the domain separator is computed for address(this), which is the marketplace when running through delegatecall
+    function _verifySignedOrder(bytes32 _typehash, SignedOrder calldata _order, bytes calldata _signature) internal returns (address) {
+        require(block.timestamp <= _order.expiry, "Signed order has expired");
+
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(_typehash, _order.tokenId, _order.price, _order.nonce, _order.expiry)));
+        address signer = ECDSA.recover(digest, _signature);
+
+        require(_order.nonce == nonces[signer], "Signed order has been cancelled");
+        require(!executedOrders[digest], "Signed order has already been executed");
+        executedOrders[digest] = true;
+
+        return signer;
+    }
+
+    // pays and hands over a music nft sold through a signed order, straight from the seller's wallet to the buyer's
+    function _executeSignedSale(uint256 _tokenId, address _seller, address _buyer, uint256 _price) internal {
+        require(!takenDown[_tokenId], "Token has been taken down");
+        _creditSale(_tokenId, _seller, _price, ETH);
+        _transfer(_seller, _buyer, _tokenId);
+        // recording the price the token was last sold for
+        _recordSalePrice(_tokenId, _price);
+
+        emit MarketItemBought(_tokenId, _seller, _buyer, _price, ETH);
+    }
+
+    // records the price in ether a token was last sold for
+    function _recordSalePrice(uint256 _tokenId, uint256 _price) internal {
+        marketItems[_tokenId].price = _price;
+        marketItems[_tokenId].paymentToken = ETH;
+    }
+
+}
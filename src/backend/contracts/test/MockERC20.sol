@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.4;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+// an ERC-20 token used by the tests to pay for listings, anyone can mint it
+// the decimals can be set, to test stablecoins which (like USDC) do not use 18 of them
+contract MockERC20 is ERC20 {
+
+    uint8 private immutable tokenDecimals;
+
+    constructor(string memory _name, string memory _symbol, uint8 _decimals) ERC20(_name, _symbol) {
+        tokenDecimals = _decimals;
+    }
+
+    function mint(address _to, uint256 _amount) external {
+        _mint(_to, _amount);
+    }
+
+    function decimals() public view override returns (uint8) {
+        return tokenDecimals;
+    }
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.4;
+
+import "../MusicNFTMarketplace.sol";
+
+// a second version of the marketplace, for testing the upgrades of the proxy
+contract MusicNFTMarketplaceV2 is MusicNFTMarketplace {
+
+    // the one exception to the rule of MusicNFTMarketplaceBase: a real new version adds its state variables at the end of
+    // the base, but this test contract stands for the next version while the base is still the one of the first version.
+    // declared after every state variable of the base, so the storage of the proxy keeps its layout. nothing inherits it, and
+    // the trading module does not know it, so it is only ever read and written by the functions below
+    string public releaseNotes;
+
+    constructor(address _tradingModule, uint96 _royaltyFee, address _artist, uint256[] memory _prices) MusicNFTMarketplace(_tradingModule, _royaltyFee, _artist, _prices) {}
+
+    function version() external pure returns (uint256) {
+        return 2;
+    }
+
+    function setReleaseNotes(string calldata _releaseNotes) external onlyOwner {
+        releaseNotes = _releaseNotes;
+    }
+
+}
@@ -0,0 +1,48 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.4;
+
+import "../MusicNFTMarketplace.sol";
+
+// a smart contract wallet used by the tests, which trades on the marketplace and
+// can be told to reject or re-enter the marketplace when it receives ether
+contract TestRecipient {
+
+    MusicNFTMarketplace public marketplace;
+    bool public reverting;  // when true, receiving ether reverts
+    bool public reentering;  // when true, receiving ether tries to withdraw a second time
+    bool public reentrySucceeded;  // set when the second withdrawal went through
+
+    constructor(MusicNFTMarketplace _marketplace) {
+        marketplace = _marketplace;
+    }
+
+    function setReverting(bool _reverting) external {
+        reverting = _reverting;
+    }
+
+    function setReentering(bool _reentering) external {
+        reentering = _reentering;
+    }
+
+    function buy(uint256 _tokenId) external payable {
+        marketplace.buyToken{value: msg.value}(_tokenId);
+    }
+
+    function relist(uint256 _tokenId, uint256 _price) external {
+        marketplace.resellToken(_tokenId, _price);
+    }
+
+    function withdraw() external {
+        marketplace.withdraw();
+    }
+
+    receive() external payable {
+        require(!reverting, "TestRecipient: payment rejected");
+        if (reentering) {
+            try marketplace.withdraw() {
+                reentrySucceeded = true;
+            } catch {}
+        }
+    }
+}
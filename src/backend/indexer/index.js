@@ -0,0 +1,75 @@
+// runs the indexer and its HTTP API: npm run indexer
+// it is configured through environment variables:
+// RPC_URL => the JSON-RPC endpoint, defaults to the local hardhat node
+// MARKETPLACES => comma separated addresses of the marketplaces to follow, defaults to the deployed one
+// FACTORY => address of the factory whose collections are followed too, defaults to the deployed one
+// START_BLOCK => the first block to index, defaults to the block the contracts were deployed in
+// INDEXER_STORE => path of the JSON store, defaults to src/backend/indexer/data/store.json
+// PORT => port of the HTTP API, defaults to 4000
+// POLL_INTERVAL => milliseconds between two syncs, defaults to 4000
+
+const path = require("path");
+const { ethers } = require("ethers");
+const { openStore } = require("./store");
+const { createIndexer } = require("./indexer");
+const { createServer } = require("./server");
+
+const contractsDir = path.join(__dirname, "/../../frontend/contractsData");
+const MarketplaceAbi = require(contractsDir + "/MusicNFTMarketplace.json");
+const FactoryAbi = require(contractsDir + "/MusicNFTMarketplaceFactory.json");
+
+// the deployment the deploy script recorded for a chain id, if any
+const readDeployment = (name, chainId) => {
+  try {
+    return require(`${contractsDir}/${name}-address.json`)[chainId] || null;
+  } catch (e) {
+    return null;
+  }
+};
+
+async function main() {
+  const provider = new ethers.providers.JsonRpcProvider(process.env.RPC_URL || "http://127.0.0.1:8545");
+  const { chainId } = await provider.getNetwork();
+
+  const marketplaceDeployment = readDeployment("MusicNFTMarketplace", chainId);
+  const factoryDeployment = readDeployment("MusicNFTMarketplaceFactory", chainId);
+
+  const marketplaces = process.env.MARKETPLACES
+    ? process.env.MARKETPLACES.split(",").map(address => address.trim())
+    : (marketplaceDeployment ? [marketplaceDeployment.address] : []);
+  const factory = process.env.FACTORY || (factoryDeployment && factoryDeployment.address);
+  if (!marketplaces.length && !factory) {
+    throw new Error(`Nothing to index on chain ${chainId}, deploy the contracts or set MARKETPLACES`);
+  }
+
+  const deploymentBlocks = [marketplaceDeployment, factoryDeployment].filter(Boolean).map(d => d.blockNumber || 0);
+  const fromBlock = process.env.START_BLOCK !== undefined
+    ? Number(process.env.START_BLOCK)
+    : (deploymentBlocks.length ? Math.min(...deploymentBlocks) : 0);
+
+  const store = openStore(path.resolve(process.env.INDEXER_STORE || __dirname + "/data/store.json"));
+  const indexer = createIndexer({
+    provider,
+    store,
+    marketplaceAbi: MarketplaceAbi.abi,
+    factoryAbi: FactoryAbi.abi,
+    marketplaces,
+    factory,
+    fromBlock
+  });
+
+  console.log("Chain:", chainId);
+  console.log("Marketplaces:", marketplaces.join(", ") || "-");
+  console.log("Factory:", factory || "-");
+  console.log("Indexing from block:", store.lastBlock === null ? fromBlock : store.lastBlock + 1);
+
+  indexer.start(Number(process.env.POLL_INTERVAL || 4000));
+
+  const port = Number(process.env.PORT || 4000);
+  createServer(store).listen(port, () => console.log(`Indexer API listening on http://localhost:${port}`));
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
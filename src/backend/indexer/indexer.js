@@ -0,0 +1,150 @@
+// follows the events of the marketplace contracts on a JSON-RPC endpoint and saves them in the store.
+// the marketplaces are the ones given in the config, plus every collection announced by the factory (when given)
+
+const { ethers } = require("ethers");
+
+// the events worth indexing, and how their arguments are saved (as strings, so they survive JSON)
+// the prices are in the paymentToken of the event, the events without one are always in ether
+const MARKETPLACE_EVENTS = {
+  MarketItemListed: (args) => ({ tokenId: args.tokenId, seller: args.seller, price: args.price }),
+  MarketItemRelisted: (args) => ({ tokenId: args.tokenId, seller: args.seller, price: args.price, paymentToken: args.paymentToken }),
+  MarketItemPriceUpdated: (args) => ({ tokenId: args.tokenId, seller: args.seller, price: args.price, paymentToken: args.paymentToken }),
+  MarketItemCancelled: (args) => ({ tokenId: args.tokenId, seller: args.seller }),
+  MarketItemBought: (args) => ({ tokenId: args.tokenId, seller: args.seller, buyer: args.buyer, price: args.price, paymentToken: args.paymentToken }),
+  AuctionCreated: (args) => ({ tokenId: args.tokenId, seller: args.seller, price: args.reservePrice, endTime: args.endTime }),
+  AuctionSettled: (args) => ({ tokenId: args.tokenId, buyer: args.winner, price: args.amount }),
+  RoyaltyCredited: (args) => ({ tokenId: args.tokenId, receiver: args.receiver, amount: args.amount, paymentToken: args.paymentToken }),
+  TokenTakenDown: (args) => ({ tokenId: args.tokenId }),
+  TokenRestored: (args) => ({ tokenId: args.tokenId })
+};
+
+const FACTORY_EVENTS = ["CollectionCreated", "CollectionRegistered"];
+
+const stringify = (args) => {
+  const result = {};
+  Object.entries(args).forEach(([key, value]) => { result[key] = value.toString(); });
+  return result;
+};
+
+// config:
+// provider => an ethers provider connected to the JSON-RPC endpoint
+// store => the store returned by openStore
+// marketplaceAbi / factoryAbi => the ABIs of the contracts
+// marketplaces => addresses of the marketplaces to follow, factory => address of the factory (optional)
+// fromBlock => the first block to index (the deployment block of the contracts)
+// batchSize => how many blocks are requested at once from the endpoint
+function createIndexer({ provider, store, marketplaceAbi, factoryAbi, marketplaces = [], factory, fromBlock = 0, batchSize = 2000 }) {
+  const marketplaceInterface = new ethers.utils.Interface(marketplaceAbi);
+  const factoryInterface = factory ? new ethers.utils.Interface(factoryAbi) : null;
+  marketplaces.forEach(address => store.addCollection(ethers.utils.getAddress(address)));
+
+  const marketplaceTopics = [Object.keys(MARKETPLACE_EVENTS).map(name => marketplaceInterface.getEventTopic(name))];
+  const factoryTopics = factory ? [FACTORY_EVENTS.map(name => factoryInterface.getEventTopic(name))] : null;
+
+  // when the block the store has synced up to was replaced by a reorg, the store is rolled back to the newest
+  // checkpoint still on the chain (or back to the beginning when none of them is)
+  const handleReorg = async () => {
+    if (store.lastBlock === null) return false;
+    const checkpoints = [...store.checkpoints].reverse();
+    for (let i = 0; i < checkpoints.length; i++) {
+      const block = await provider.getBlock(checkpoints[i].number);
+      if (block && block.hash === checkpoints[i].hash) {
+        if (i === 0) return false;
+        store.rollback(checkpoints[i].number);
+        return true;
+      }
+    }
+    store.rollback(fromBlock - 1);
+    return true;
+  };
+
+  const toEvent = (log, timestamps) => {
+    const parsed = marketplaceInterface.parseLog(log);
+    const args = stringify(MARKETPLACE_EVENTS[parsed.name](parsed.args));
+    return {
+      contract: ethers.utils.getAddress(log.address),
+      name: parsed.name,
+      args,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      logIndex: log.logIndex,
+      timestamp: timestamps[log.blockNumber]
+    };
+  };
+
+  // indexes the blocks from "from" to "to" and saves them, along with the hash of the last one
+  const syncRange = async (from, to) => {
+    if (factory) {
+      const logs = await provider.getLogs({ address: factory, topics: factoryTopics, fromBlock: from, toBlock: to });
+      logs.forEach(log => store.addCollection(factoryInterface.parseLog(log).args.collection));
+    }
+
+    const logs = [];
+    for (const address of store.collections) {
+      logs.push(...await provider.getLogs({ address, topics: marketplaceTopics, fromBlock: from, toBlock: to }));
+    }
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    const timestamps = {};
+    for (const blockNumber of new Set(logs.map(log => log.blockNumber))) {
+      timestamps[blockNumber] = (await provider.getBlock(blockNumber)).timestamp;
+    }
+
+    const events = [];
+    logs.forEach(log => {
+      const event = toEvent(log, timestamps);
+      // AuctionSettled does not name the seller, it is the one who created the auction
+      if (event.name === "AuctionSettled") {
+        if (event.args.buyer === ethers.constants.AddressZero) {
+          delete event.args.buyer;
+        } else {
+          const created = [...events].reverse().find(e => e.contract === event.contract && e.name === "AuctionCreated" && e.args.tokenId === event.args.tokenId);
+          event.args.seller = created ? created.args.seller : store.auctionSeller(event.contract, event.args.tokenId);
+        }
+      }
+      events.push(event);
+    });
+
+    const head = await provider.getBlock(to);
+    store.addEvents(events, { number: head.number, hash: head.hash });
+    return events.length;
+  };
+
+  // catches up with the chain, returns how many events were indexed
+  const sync = async () => {
+    await handleReorg();
+    const latest = await provider.getBlockNumber();
+    let indexed = 0;
+    let from = store.lastBlock === null ? fromBlock : store.lastBlock + 1;
+    while (from <= latest) {
+      const to = Math.min(from + batchSize - 1, latest);
+      indexed += await syncRange(from, to);
+      from = to + 1;
+    }
+    return indexed;
+  };
+
+  // keeps syncing every "interval" milliseconds, returns a function stopping it
+  const start = (interval, onError = console.error) => {
+    let timer;
+    let stopped = false;
+    const loop = async () => {
+      try {
+        await sync();
+      } catch (e) {
+        onError(e);
+      }
+      if (!stopped) timer = setTimeout(loop, interval);
+    };
+    loop();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  };
+
+  return { sync, start };
+}
+
+module.exports = { createIndexer, MARKETPLACE_EVENTS };
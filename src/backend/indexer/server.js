@@ -0,0 +1,40 @@
+// a small read-only HTTP API over the store, used by the History tab of the frontend:
+// GET /collections                                  => the marketplaces being indexed and the last synced block
+// GET /collections/:address/tokens/:tokenId/history => every listing, price change and sale of a token
+// GET /accounts/:address/activity                   => the purchases and the sales of an address
+// GET /artists/:address/royalties                   => the royalties credited to an artist, in wei and per ERC-20 token
+
+const http = require("http");
+const { ethers } = require("ethers");
+
+const routes = [
+  [/^\/collections$/, (store) => ({ collections: store.collections, lastBlock: store.lastBlock })],
+  [/^\/collections\/([^/]+)\/tokens\/(\d+)\/history$/, (store, [address, tokenId]) => ({ history: store.tokenHistory(address, tokenId) })],
+  [/^\/accounts\/([^/]+)\/activity$/, (store, [address]) => store.accountActivity(address)],
+  [/^\/artists\/([^/]+)\/royalties$/, (store, [address]) => store.royaltyTotals(address)]
+];
+
+function createServer(store) {
+  return http.createServer((req, res) => {
+    const send = (status, body) => {
+      // the frontend is served from another origin
+      res.writeHead(status, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method !== "GET") return send(405, { error: "Only GET requests are supported" });
+
+    const { pathname } = new URL(req.url, "http://localhost");
+    for (const [pattern, handler] of routes) {
+      const match = pathname.match(pattern);
+      if (!match) continue;
+      const params = match.slice(1);
+      // the first parameter of every route with parameters is an address
+      if (params.length && !ethers.utils.isAddress(params[0])) return send(400, { error: "Invalid address" });
+      return send(200, handler(store, params));
+    }
+    send(404, { error: "Not found" });
+  });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,134 @@
+// the indexer keeps everything it learned from the chain in a single JSON file:
+// - the marketplaces it follows and the block it has synced up to
+// - the hashes of the recent blocks it synced, which tell it when a reorg replaced them
+// - the marketplace events, in the order they happened
+// every query is answered from the events, so rolling back a reorg only has to drop the events of the replaced blocks
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// how many synced heads are remembered for finding the common ancestor after a reorg
+const MAX_CHECKPOINTS = 64;
+
+const emptyState = () => ({ lastBlock: null, checkpoints: [], collections: [], events: [] });
+
+// the payment token standing for ether, in the events which have one
+const ETH = "0x0000000000000000000000000000000000000000";
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+// the events describing a sale, the ones from auctions carry the seller the indexer resolved when they were stored
+const SALE_EVENTS = ["MarketItemBought", "AuctionSettled"];
+
+// opens the store saved at filePath, or an empty one when the file does not exist yet.
+// without a filePath the store only lives in memory (used by the tests)
+function openStore(filePath) {
+  let state = emptyState();
+  if (filePath && fs.existsSync(filePath)) {
+    state = { ...state, ...JSON.parse(fs.readFileSync(filePath, "utf8")) };
+  }
+
+  const save = () => {
+    if (!filePath) return;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    // written to a temporary file first, so a crash never leaves a half written store behind
+    fs.writeFileSync(filePath + ".tmp", JSON.stringify(state, null, 2));
+    fs.renameSync(filePath + ".tmp", filePath);
+  };
+
+  const eventsOf = (contract) => state.events.filter(e => sameAddress(e.contract, contract));
+
+  const sales = () => state.events
+    .filter(e => SALE_EVENTS.includes(e.name) && e.args.buyer !== undefined)
+    .map(e => ({
+      contract: e.contract,
+      tokenId: e.args.tokenId,
+      seller: e.args.seller,
+      buyer: e.args.buyer,
+      price: e.args.price,
+      paymentToken: e.args.paymentToken || ETH,
+      blockNumber: e.blockNumber,
+      timestamp: e.timestamp,
+      transactionHash: e.transactionHash
+    }));
+
+  return {
+    get lastBlock() { return state.lastBlock; },
+    get checkpoints() { return state.checkpoints; },
+    get collections() { return state.collections; },
+
+    addCollection(address) {
+      if (!state.collections.some(c => sameAddress(c, address))) state.collections.push(address);
+    },
+
+    // appends the events of a synced block range and remembers the hash of its last block
+    addEvents(events, head) {
+      state.events.push(...events);
+      state.lastBlock = head.number;
+      state.checkpoints = [...state.checkpoints.filter(c => c.number < head.number), head].slice(-MAX_CHECKPOINTS);
+      save();
+    },
+
+    // drops everything indexed after blockNumber, which becomes the last synced block
+    rollback(blockNumber) {
+      state.events = state.events.filter(e => e.blockNumber <= blockNumber);
+      state.checkpoints = state.checkpoints.filter(c => c.number <= blockNumber);
+      state.lastBlock = blockNumber;
+      save();
+    },
+
+    // the seller of the last auction created for a token, which AuctionSettled does not name
+    auctionSeller(contract, tokenId) {
+      const created = eventsOf(contract).filter(e => e.name === "AuctionCreated" && e.args.tokenId === tokenId);
+      return created.length ? created[created.length - 1].args.seller : null;
+    },
+
+    // every listing, price change and sale of a token, oldest first
+    tokenHistory(contract, tokenId) {
+      return eventsOf(contract)
+        .filter(e => e.args.tokenId === String(tokenId) && e.name !== "RoyaltyCredited")
+        .map(e => ({
+          event: e.name,
+          seller: e.args.seller || null,
+          buyer: e.args.buyer || null,
+          price: e.args.price || null,
+          paymentToken: e.args.price ? e.args.paymentToken || ETH : null,
+          blockNumber: e.blockNumber,
+          timestamp: e.timestamp,
+          transactionHash: e.transactionHash
+        }));
+    },
+
+    // the tokens an address bought and sold, on every marketplace
+    accountActivity(address) {
+      const all = sales();
+      return {
+        purchases: all.filter(s => sameAddress(s.buyer, address)),
+        sales: all.filter(s => sameAddress(s.seller, address))
+      };
+    },
+
+    // the royalties credited to an address in ether, in total and per marketplace (amounts in wei, as strings)
+    // along with the ones credited in ERC-20 tokens, per payment token (in the smallest unit of each token)
+    royaltyTotals(address) {
+      const byCollection = {};
+      const byPaymentToken = {};
+      const add = (totals, key, amount) => { totals[key] = ethers.BigNumber.from(totals[key] || 0).add(amount).toString(); };
+      state.events
+        .filter(e => e.name === "RoyaltyCredited" && sameAddress(e.args.receiver, address))
+        .forEach(e => {
+          const paymentToken = e.args.paymentToken || ETH;
+          if (paymentToken === ETH) {
+            add(byCollection, e.contract, e.args.amount);
+          } else {
+            add(byPaymentToken, paymentToken, e.args.amount);
+          }
+        });
+      const total = Object.values(byCollection).reduce((sum, amount) => sum.add(amount), ethers.constants.Zero);
+      return { total: total.toString(), byCollection, byPaymentToken };
+    }
+  };
+}
+
+module.exports = { openStore };
@@ -0,0 +1,36 @@
+// runs the media server the player of the frontend streams the tracks from: npm run media
+// it is configured through environment variables:
+// RPC_URL => the JSON-RPC endpoint the ownership of the tokens is read from, defaults to the local hardhat node
+// MEDIA_DIR => the folder of the audio files, <MEDIA_DIR>/<marketplace address>/<tokenId>.mp3, defaults to src/backend/media/files
+// PORT => port of the server, defaults to 4001
+// SESSION_TTL => seconds a listener stays signed in, defaults to an hour
+
+const path = require("path");
+const { ethers } = require("ethers");
+const { createMediaServer } = require("./server");
+
+const MarketplaceAbi = require(path.join(__dirname, "/../../frontend/contractsData/MusicNFTMarketplace.json"));
+
+async function main() {
+  const provider = new ethers.providers.JsonRpcProvider(process.env.RPC_URL || "http://127.0.0.1:8545");
+  const { chainId } = await provider.getNetwork();
+  const mediaDir = path.resolve(process.env.MEDIA_DIR || __dirname + "/files");
+
+  const server = createMediaServer({
+    provider,
+    marketplaceAbi: MarketplaceAbi.abi,
+    mediaDir,
+    sessionTtl: Number(process.env.SESSION_TTL || 60 * 60)
+  });
+
+  console.log("Chain:", chainId);
+  console.log("Media:", mediaDir);
+
+  const port = Number(process.env.PORT || 4001);
+  server.listen(port, () => console.log(`Media server listening on http://localhost:${port}`));
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,58 @@
+// cuts the first seconds of an audio file, for the public previews of the tracks.
+// like scripts/audioDuration.js, WAV and MP3 files are supported
+
+const { audioDuration } = require("../scripts/audioDuration");
+
+// a preview takes half of a short track at most, so the public previews never give a track away whole
+const MAX_PREVIEW_SHARE = 0.5;
+
+// a WAV file keeps its chunks up to the "data" one, whose audio is cut to a whole number of samples
+function wavPreview(buffer, seconds) {
+  if (buffer.toString("ascii", 0, 4) !== "RIFF" || buffer.toString("ascii", 8, 12) !== "WAVE") return undefined;
+
+  let byteRate, blockAlign;
+  for (let offset = 12; offset + 8 <= buffer.length;) {
+    const id = buffer.toString("ascii", offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (id === "fmt ") {
+      byteRate = buffer.readUInt32LE(offset + 16);
+      blockAlign = buffer.readUInt16LE(offset + 20);
+    }
+    if (id === "data") {
+      if (!byteRate || !blockAlign) return undefined;
+      const audioSize = Math.min(size, buffer.length - offset - 8);
+      const previewSeconds = Math.min(seconds, audioSize / byteRate * MAX_PREVIEW_SHARE);
+      const dataSize = Math.floor(byteRate * previewSeconds / blockAlign) * blockAlign;
+      const preview = Buffer.from(buffer.subarray(0, offset + 8 + dataSize));
+      // the sizes of the RIFF container and of the data chunk are the ones of the preview
+      preview.writeUInt32LE(preview.length - 8, 4);
+      preview.writeUInt32LE(dataSize, offset + 4);
+      return preview;
+    }
+    // chunks are padded to an even size
+    offset += 8 + size + (size % 2);
+  }
+  return undefined;
+}
+
+// an MP3 file is a sequence of frames, which players start decoding at any frame sync: it is cut at the share of its
+// audio the preview takes (exact for a constant bitrate, close enough for a variable one). the ID3v2 tag is kept whole
+function mp3Preview(buffer, seconds) {
+  const duration = audioDuration(buffer);
+  if (duration === undefined) return undefined;
+  const previewSeconds = Math.min(seconds, duration * MAX_PREVIEW_SHARE);
+
+  let audioStart = 0;
+  if (buffer.toString("ascii", 0, 3) === "ID3") {
+    audioStart = 10 + ((buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9]);
+  }
+  return buffer.subarray(0, audioStart + Math.floor((buffer.length - audioStart) * previewSeconds / duration));
+}
+
+// returns the first seconds of the audio file (the first half of a track shorter than twice the preview),
+// or undefined when its format is not supported
+function audioPreview(buffer, seconds) {
+  return wavPreview(buffer, seconds) ?? mp3Preview(buffer, seconds);
+}
+
+module.exports = { audioPreview };
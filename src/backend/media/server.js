@@ -0,0 +1,193 @@
+// a small HTTP server streaming the audio of the tracks to the player of the frontend:
+// GET  /previews/:marketplace/:tokenId => the first 30 seconds of a track, for anyone
+// GET  /challenge?account=0x...        => a message for the account to sign, with its fields (account, chainId, nonce, expiresAt)
+// POST /sessions { nonce, signature }  => checks the signed challenge, returns a session token for the account
+// GET  /tracks/:marketplace/:tokenId   => the full track, only for the session of the account owning the token (ownerOf).
+//                                         the token is sent as "Authorization: Bearer <token>", or as ?session=<token>
+//                                         since an <audio> element can not set headers
+// the audio files are read from <mediaDir>/<marketplace address>/<tokenId>.mp3 (or .wav), and are never published:
+// the full tracks only leave the server through /tracks
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+const { PREVIEW_SECONDS, challengeMessage } = require("../../shared/mediaAccess");
+const { audioPreview } = require("./preview");
+
+const AUDIO_TYPES = {
+  ".mp3": "audio/mpeg",
+  ".wav": "audio/wav"
+};
+
+// the audio file of a token, or null when the server has none. the folders of the marketplaces are matched
+// whatever the case of their address
+function findTrackFile(mediaDir, marketplace, tokenId) {
+  if (!fs.existsSync(mediaDir)) return null;
+  const folder = fs.readdirSync(mediaDir).find(name => name.toLowerCase() === marketplace.toLowerCase());
+  if (!folder) return null;
+  const file = fs.readdirSync(path.join(mediaDir, folder))
+    .find(name => path.parse(name).name === tokenId && AUDIO_TYPES[path.extname(name).toLowerCase()]);
+  return file ? path.join(mediaDir, folder, file) : null;
+}
+
+// sends audio, honouring the Range header browsers seek with
+function sendAudio(req, res, buffer, contentType) {
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("Accept-Ranges", "bytes");
+  const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || "");
+  if (!range || (range[1] === "" && range[2] === "")) {
+    res.writeHead(200, { "Content-Length": buffer.length });
+    return res.end(buffer);
+  }
+  // "bytes=-500" is the last 500 bytes
+  const start = range[1] === "" ? Math.max(0, buffer.length - Number(range[2])) : Number(range[1]);
+  const end = range[1] === "" || range[2] === "" ? buffer.length - 1 : Math.min(Number(range[2]), buffer.length - 1);
+  if (start > end) {
+    res.writeHead(416, { "Content-Range": `bytes */${buffer.length}` });
+    return res.end();
+  }
+  res.writeHead(206, { "Content-Length": end - start + 1, "Content-Range": `bytes ${start}-${end}/${buffer.length}` });
+  res.end(buffer.subarray(start, end + 1));
+}
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = "";
+  req.on("data", (chunk) => { body += chunk; });
+  req.on("end", () => resolve(body));
+  req.on("error", reject);
+});
+
+// challengeTtl and sessionTtl are in seconds, now returns the current unix timestamp (the tests move it forward)
+function createMediaServer({
+  provider,
+  marketplaceAbi,
+  mediaDir,
+  challengeTtl = 5 * 60,
+  sessionTtl = 60 * 60,
+  now = () => Math.floor(Date.now() / 1000)
+}) {
+  // both are kept in memory: a restart only asks the listeners to sign in again
+  const challenges = new Map();  // nonce => { account, chainId, nonce, expiresAt }
+  const sessions = new Map();  // token => { account, expiresAt }
+
+  const dropExpired = (entries) => {
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now()) entries.delete(key);
+    }
+  };
+
+  // the account of a session token, or null when the session is unknown or expired
+  const sessionAccount = (req, url) => {
+    const authorization = /^Bearer (\S+)$/.exec(req.headers.authorization || "");
+    const session = sessions.get(authorization ? authorization[1] : url.searchParams.get("session"));
+    return session && session.expiresAt > now() ? session.account : null;
+  };
+
+  // the checks every track goes through: the marketplace has its file, and it has not been taken down after a copyright claim
+  const loadTrack = async (marketplace, tokenId) => {
+    const file = findTrackFile(mediaDir, marketplace, tokenId);
+    if (!file) return { status: 404, error: "No audio for this token" };
+    const contract = new ethers.Contract(marketplace, marketplaceAbi, provider);
+    if (await contract.takenDown(tokenId)) return { status: 451, error: "The track has been taken down" };
+    return { contract, file, contentType: AUDIO_TYPES[path.extname(file).toLowerCase()] };
+  };
+
+  const handle = async (req, res, send) => {
+    const url = new URL(req.url, "http://localhost");
+    const match = (pattern) => pattern.exec(url.pathname);
+    let params;
+
+    if (req.method === "GET" && url.pathname === "/challenge") {
+      const account = url.searchParams.get("account");
+      if (!ethers.utils.isAddress(account || "")) return send(400, { error: "Invalid address" });
+      dropExpired(challenges);
+      const challenge = {
+        account: ethers.utils.getAddress(account),
+        chainId: (await provider.getNetwork()).chainId,
+        nonce: crypto.randomBytes(16).toString("hex"),
+        expiresAt: now() + challengeTtl
+      };
+      challenges.set(challenge.nonce, challenge);
+      // the fields come along with the message, so the frontend can check what it is asked to sign
+      return send(200, { message: challengeMessage(challenge), ...challenge });
+    }
+
+    if (req.method === "POST" && url.pathname === "/sessions") {
+      let body;
+      try {
+        body = JSON.parse(await readBody(req));
+      } catch (e) {
+        return send(400, { error: "The body is not valid JSON" });
+      }
+      const challenge = challenges.get(body.nonce);
+      // a challenge is used once, whether its signature is right or not
+      challenges.delete(body.nonce);
+      if (!challenge || challenge.expiresAt <= now()) return send(401, { error: "The challenge is unknown or expired" });
+
+      let signer;
+      try {
+        signer = ethers.utils.verifyMessage(challengeMessage(challenge), body.signature);
+      } catch (e) {
+        return send(401, { error: "Invalid signature" });
+      }
+      if (signer !== challenge.account) return send(401, { error: "The challenge was not signed by its account" });
+
+      dropExpired(sessions);
+      const token = crypto.randomBytes(32).toString("hex");
+      const expiresAt = now() + sessionTtl;
+      sessions.set(token, { account: signer, expiresAt });
+      return send(200, { token, account: signer, expiresAt });
+    }
+
+    if (req.method === "GET" && (params = match(/^\/(previews|tracks)\/([^/]+)\/(\d+)$/))) {
+      const [, kind, marketplace, tokenId] = params;
+      if (!ethers.utils.isAddress(marketplace)) return send(400, { error: "Invalid address" });
+
+      // the session is checked before anything is read, so an anonymous request learns nothing about the tracks
+      const account = kind === "tracks" && sessionAccount(req, url);
+      if (kind === "tracks" && !account) return send(401, { error: "Please sign in to play the full track" });
+
+      const track = await loadTrack(marketplace, tokenId);
+      if (track.error) return send(track.status, { error: track.error });
+
+      const audio = fs.readFileSync(track.file);
+      if (kind === "previews") {
+        const preview = audioPreview(audio, PREVIEW_SECONDS);
+        if (!preview) return send(415, { error: "The preview of this track can not be cut" });
+        return sendAudio(req, res, preview, track.contentType);
+      }
+
+      let owner;
+      try {
+        owner = await track.contract.ownerOf(tokenId);
+      } catch (e) {
+        return send(404, { error: "Token does not exist" });
+      }
+      if (owner !== account) return send(403, { error: "Only the owner of the token can play the full track" });
+      return sendAudio(req, res, audio, track.contentType);
+    }
+
+    send(404, { error: "Not found" });
+  };
+
+  return http.createServer((req, res) => {
+    // the frontend is served from another origin, and posts JSON (which needs a preflight request)
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Headers", "Authorization, Content-Type, Range");
+    res.setHeader("Access-Control-Expose-Headers", "Content-Range, Accept-Ranges");
+    const send = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, { "Access-Control-Allow-Methods": "GET, POST" });
+      return res.end();
+    }
+    handle(req, res, send).catch(error => send(500, { error: error.reason || error.message }));
+  });
+}
+
+module.exports = { createMediaServer, findTrackFile };
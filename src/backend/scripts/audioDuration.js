@@ -0,0 +1,68 @@
+// reads the duration (in seconds) of an audio file from its headers, for the "duration" of the track metadata.
+// WAV and MP3 files are supported, the duration of other formats has to be given in the CSV of the catalogue
+
+// bitrates (in kbps) of MPEG audio layer III frames, by the 4 bit index of the frame header
+const MP3_BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],  // MPEG-1
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]  // MPEG-2 and MPEG-2.5
+};
+const MP3_SAMPLE_RATES = { 1: [44100, 48000, 32000], 2: [22050, 24000, 16000], 2.5: [11025, 12000, 8000] };
+
+// a WAV file is a RIFF container: the "fmt " chunk tells how many bytes a second of audio takes, the "data" chunk holds the audio
+function wavDuration(buffer) {
+  if (buffer.toString("ascii", 0, 4) !== "RIFF" || buffer.toString("ascii", 8, 12) !== "WAVE") return undefined;
+
+  let byteRate, dataSize;
+  for (let offset = 12; offset + 8 <= buffer.length;) {
+    const id = buffer.toString("ascii", offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (id === "fmt ") byteRate = buffer.readUInt32LE(offset + 16);
+    if (id === "data") dataSize = size;
+    // chunks are padded to an even size
+    offset += 8 + size + (size % 2);
+  }
+  if (!byteRate || dataSize === undefined) return undefined;
+  return dataSize / byteRate;
+}
+
+// an MP3 file is a sequence of frames, possibly behind an ID3v2 tag.
+// the first frame of a VBR file holds a Xing (or Info) header with the number of frames, otherwise the bitrate is constant
+function mp3Duration(buffer) {
+  let offset = 0;
+  if (buffer.toString("ascii", 0, 3) === "ID3") {
+    // the size of the tag is a "syncsafe" integer: 4 bytes of 7 bits
+    offset = 10 + ((buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9]);
+  }
+  // looking for the 11 bits of frame sync
+  while (offset + 4 <= buffer.length && !(buffer[offset] === 0xff && (buffer[offset + 1] & 0xe0) === 0xe0)) {
+    offset++;
+  }
+  if (offset + 4 > buffer.length) return undefined;
+
+  const header = buffer.readUInt32BE(offset);
+  const version = [2.5, undefined, 2, 1][(header >>> 19) & 3];
+  const layer = (header >>> 17) & 3;
+  const bitrate = version && MP3_BITRATES[version === 1 ? 1 : 2][(header >>> 12) & 15];
+  const sampleRate = version && MP3_SAMPLE_RATES[version][(header >>> 10) & 3];
+  // only layer III (the "3" of MP3) is supported
+  if (!version || layer !== 1 || !bitrate || !sampleRate) return undefined;
+
+  const samplesPerFrame = version === 1 ? 1152 : 576;
+  const mono = ((header >>> 6) & 3) === 3;
+  // the Xing header comes after the side information of the first frame, whose size depends on the version and the channels
+  const xingOffset = offset + 4 + (version === 1 ? (mono ? 17 : 32) : (mono ? 9 : 17));
+  const tag = buffer.toString("ascii", xingOffset, xingOffset + 4);
+  if ((tag === "Xing" || tag === "Info") && (buffer.readUInt32BE(xingOffset + 4) & 1)) {
+    const frames = buffer.readUInt32BE(xingOffset + 8);
+    return frames * samplesPerFrame / sampleRate;
+  }
+  return (buffer.length - offset) * 8 / (bitrate * 1000);
+}
+
+// returns the duration of the audio file, in seconds rounded to the millisecond, or undefined when it can not be read
+function audioDuration(buffer) {
+  const duration = wavDuration(buffer) ?? mp3Duration(buffer);
+  return duration === undefined ? undefined : Math.round(duration * 1000) / 1000;
+}
+
+module.exports = { audioDuration };
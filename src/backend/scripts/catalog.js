@@ -0,0 +1,120 @@
+// helpers for reading the catalog manifest, which describes what the deploy script puts on the marketplace.
+// a manifest looks like this (JSON or YAML, prices in ether and the royalty fee in basis points, 250 => 2.5%):
+// {
+//   "artist": "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+//   "royaltyFee": 250,
+//   "tracks": [{ "title": "First Track", "price": "1" }],
+//   "baseURI": "https://ipfs.io/ipfs/bafy.../",
+//   "bundles": [{ "title": "The Album", "tracks": [0, 1, 2], "price": "5" }]
+// }
+// baseURI is optional: it is where the metadata of the tracks is found (token i at baseURI + i), the way the
+// "catalog:upload" task writes it. the marketplace keeps its default baseURI without it
+// bundles are optional too: the tracks sold together at a single price (e.g. an album), given by their index in tracks
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { ethers } = require("ethers");
+
+// the highest royalty fee the contract accepts (MAX_ROYALTY_FEE), in basis points
+const MAX_ROYALTY_FEE = 1000;
+// the most tracks a bundle holds (MAX_BATCH_SIZE of the contract)
+const MAX_BUNDLE_SIZE = 50;
+
+// reads and parses a manifest file, the format is picked from the file extension
+function loadCatalog(file) {
+  const contents = fs.readFileSync(file, "utf8");
+  const extension = path.extname(file).toLowerCase();
+  if (extension === ".yaml" || extension === ".yml") {
+    return yaml.load(contents);
+  }
+  return JSON.parse(contents);
+}
+
+// converts an ether amount from the manifest to wei, returns undefined if it is not a valid amount
+function parseEther(amount) {
+  if (typeof amount !== "string" && typeof amount !== "number") return undefined;
+  try {
+    return ethers.utils.parseEther(amount.toString());
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// checks the manifest, throwing one error which lists every problem found
+function validateCatalog(catalog) {
+  const errors = [];
+
+  if (!catalog || typeof catalog !== "object") {
+    throw new Error("Invalid catalog: the manifest must be an object");
+  }
+
+  if (!ethers.utils.isAddress(catalog.artist || "")) {
+    errors.push(`artist "${catalog.artist}" is not a valid address`);
+  }
+
+  if (!Number.isInteger(catalog.royaltyFee) || catalog.royaltyFee < 0 || catalog.royaltyFee > MAX_ROYALTY_FEE) {
+    errors.push(`royaltyFee "${catalog.royaltyFee}" must be a whole number of basis points between 0 and ${MAX_ROYALTY_FEE}`);
+  }
+
+  if (!Array.isArray(catalog.tracks) || catalog.tracks.length === 0) {
+    errors.push("tracks must be a non-empty list");
+  } else {
+    catalog.tracks.forEach((track, i) => {
+      if (!track || typeof track.title !== "string" || track.title.trim() === "") {
+        errors.push(`track ${i} has no title`);
+      }
+      const price = parseEther(track && track.price);
+      if (price === undefined || !price.gt(0)) {
+        errors.push(`track ${i} must have a price greater than zero`);
+      }
+    });
+  }
+
+  if (catalog.baseURI !== undefined && (typeof catalog.baseURI !== "string" || !catalog.baseURI.endsWith("/"))) {
+    errors.push(`baseURI "${catalog.baseURI}" must be the URL of a directory, ending with "/"`);
+  }
+
+  if (catalog.bundles !== undefined) {
+    if (!Array.isArray(catalog.bundles)) {
+      errors.push("bundles must be a list");
+    } else {
+      const trackCount = Array.isArray(catalog.tracks) ? catalog.tracks.length : 0;
+      catalog.bundles.forEach((bundle, i) => {
+        if (!bundle || typeof bundle.title !== "string" || bundle.title.trim() === "") {
+          errors.push(`bundle ${i} has no title`);
+        }
+        const tracks = bundle && bundle.tracks;
+        // the contract takes the tracks of a bundle in ascending order, which also keeps a track from being there twice
+        if (!Array.isArray(tracks) || tracks.length < 2 || tracks.length > MAX_BUNDLE_SIZE ||
+          !tracks.every((track, j) => Number.isInteger(track) && track >= 0 && track < trackCount && (j === 0 || track > tracks[j - 1]))) {
+          errors.push(`bundle ${i} must list between 2 and ${MAX_BUNDLE_SIZE} different tracks by their index, in ascending order`);
+        }
+        const price = parseEther(bundle && bundle.price);
+        if (price === undefined || !price.gt(0)) {
+          errors.push(`bundle ${i} must have a price greater than zero`);
+        }
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error("Invalid catalog:\n  - " + errors.join("\n  - "));
+  }
+}
+
+// turns a valid manifest into the constructor arguments of MusicNFTMarketplace, along with the baseURI to set afterwards (if any)
+// and the bundles to create once the tracks are listed
+function getDeployArgs(catalog) {
+  validateCatalog(catalog);
+  return {
+    royaltyFee: catalog.royaltyFee,
+    artist: ethers.utils.getAddress(catalog.artist),
+    prices: catalog.tracks.map(track => parseEther(track.price)),
+    baseURI: catalog.baseURI,
+    // the token ids of the tracks are their index in the manifest
+    bundles: (catalog.bundles || []).map(bundle => ({ name: bundle.title, tokenIds: bundle.tracks, price: parseEther(bundle.price) }))
+  };
+}
+
+module.exports = { loadCatalog, validateCatalog, getDeployArgs, MAX_ROYALTY_FEE, MAX_BUNDLE_SIZE };
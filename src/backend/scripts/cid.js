@@ -0,0 +1,67 @@
+// computes IPFS content identifiers (CIDs), so every uploaded file is addressed by a hash of its content.
+// a CIDv1 is made of: the version (1), the codec of the content, and a multihash (here always the sha2-256 of the content),
+// written in base32 behind the "b" multibase prefix, e.g. bafkrei... for a file
+// https://github.com/multiformats/cid
+// they are only the addresses of the filesystem storage served by catalog:serve. an IPFS node splits the files over 256 KiB
+// in chunks and builds the directories as UnixFS nodes, so only a small file gets the same CID there
+// ("ipfs add --cid-version=1 --raw-leaves"): the IPFS storage uses the CIDs the node returns instead
+
+const crypto = require("crypto");
+
+// multicodec codes, see https://github.com/multiformats/multicodec/blob/master/table.csv
+const RAW = 0x55;  // the bytes of a file, as they are
+const DAG_JSON = 0x0129;  // a JSON object whose links to other contents are written { "/": "<cid>" }
+const SHA2_256 = 0x12;
+
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+// unsigned varint, the way multiformats encode numbers: 7 bits per byte, the high bit set on every byte but the last
+function varint(number) {
+  const bytes = [];
+  while (number >= 0x80) {
+    bytes.push((number & 0x7f) | 0x80);
+    number >>>= 7;
+  }
+  bytes.push(number);
+  return Buffer.from(bytes);
+}
+
+// RFC 4648 base32, lowercase and without padding
+function base32(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function cidV1(codec, content) {
+  const digest = crypto.createHash("sha256").update(content).digest();
+  const multihash = Buffer.concat([varint(SHA2_256), varint(digest.length), digest]);
+  return "b" + base32(Buffer.concat([varint(1), varint(codec), multihash]));
+}
+
+// the CID of a file
+function fileCid(content) {
+  return cidV1(RAW, content);
+}
+
+// the CID of a directory, given the CID of every file in it by path.
+// the directory is a DAG-JSON object linking to its files, with its keys sorted so the same files always give the same CID
+function directoryCid(entries) {
+  const links = {};
+  Object.keys(entries).sort().forEach(name => { links[name] = { "/": entries[name] }; });
+  return cidV1(DAG_JSON, Buffer.from(JSON.stringify(links)));
+}
+
+module.exports = { fileCid, directoryCid };
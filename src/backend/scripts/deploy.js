@@ -1,33 +1,154 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const path = require("path");
+const { loadCatalog, getDeployArgs } = require("./catalog");
+
+// "hardhat run" does not forward command line arguments to the script, so it is configured through environment variables:
+// CATALOG => path of the catalog manifest (JSON or YAML), defaults to src/backend/catalog.json
+// DRY_RUN => when set to "true" or "1", only prints what would be deployed
+const catalogPath = path.resolve(process.env.CATALOG || __dirname + "/../catalog.json");
+const dryRun = ["true", "1"].includes((process.env.DRY_RUN || "").toLowerCase());
 
 async function main() {
 
   const [deployer] = await ethers.getSigners();
 
+  // reading the catalog manifest and computing the constructor arguments out of it
+  const catalog = loadCatalog(catalogPath);
+  const { royaltyFee, artist, prices, baseURI, bundles } = getDeployArgs(catalog);
+
+  console.log("Network:", network.name);
+  console.log("Catalog:", catalogPath);
+  console.log("Artist:", artist);
+  console.log("Royalty Fee:", `${royaltyFee / 100}% (${royaltyFee} basis points)`);
+  console.log("Metadata:", baseURI || "the default baseURI of the contract");
+  console.table(catalog.tracks.map((track, i) => ({ tokenId: i, title: track.title, price: ethers.utils.formatEther(prices[i]) + " ETH" })));
+  if (bundles.length > 0) {
+    console.table(bundles.map(bundle => ({ title: bundle.name, tokenIds: bundle.tokenIds.join(", "), price: ethers.utils.formatEther(bundle.price) + " ETH" })));
+  }
+
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", ethers.utils.formatEther(await deployer.getBalance()), "ETH");
+
+  const NFTMarketplaceFactory = await ethers.getContractFactory("MusicNFTMarketplace");  // ContractFactory for our contract is needed for deploying our contract
+  const TradingModuleFactory = await ethers.getContractFactory("MusicNFTMarketplaceTrading");
+  const ProxyAdminFactory = await ethers.getContractFactory("ProxyAdmin");
+  const ProxyFactory = await ethers.getContractFactory("MusicNFTMarketplaceProxy");
+
+  // listing is free, so the only ETH needed is the gas of the deployment transactions
+  // the proxy can not be estimated before its implementation is deployed, so it is counted as a marketplace listing the tracks
+  // in its constructor, which costs about as much as an implementation plus a proxy listing them.
+  // the trading module is not deployed yet either, any address stands for it in the estimate
+  const deployTransaction = NFTMarketplaceFactory.getDeployTransaction(deployer.address, royaltyFee, artist, prices);
+  const gas = (await ethers.provider.estimateGas({ ...deployTransaction, from: deployer.address }))
+    .add(await ethers.provider.estimateGas({ ...TradingModuleFactory.getDeployTransaction(), from: deployer.address }))
+    .add(await ethers.provider.estimateGas({ ...ProxyAdminFactory.getDeployTransaction(), from: deployer.address }));
+  const gasPrice = await ethers.provider.getGasPrice();
+  console.log("Estimated ETH needed:", ethers.utils.formatEther(gas.mul(gasPrice)), `ETH (about ${gas} gas)`);
+
+  if (dryRun) {
+    console.log("Dry run, nothing was deployed.");
+    return;
+  }
+
+  const { chainId } = await ethers.provider.getNetwork();
 
   // deploy contracts here:
-  const NFTMarketplaceFatory = await ethers.getContractFactory("MusicNFTMarketplace");  // ContractFactory for our contract is needed for deploying our contract
-  const nftMarketplace = await NFTMarketplaceFatory.deploy();  // deploying our contract on the local blockchain created by hardhat
+  // the marketplace is upgradeable: a proxy holding its state, running the code of an empty marketplace (its implementation),
+  // and administered by a ProxyAdmin owned by the deployer, which upgrades it to new implementations.
+  // the code of the auctions, the signed orders... is in a trading module, deployed once and shared by the implementation,
+  // the proxy and the collections of the factory
+  const tradingModule = await TradingModuleFactory.deploy();
+  await tradingModule.deployTransaction.wait();
+  const implementation = await NFTMarketplaceFactory.deploy(tradingModule.address, 0, deployer.address, []);
+  await implementation.deployTransaction.wait();
+  const proxyAdmin = await ProxyAdminFactory.deploy();
+  await proxyAdmin.deployTransaction.wait();
+
+  // the proxy is set up (and the tracks listed) by initializeWithTracks, the constructor of the implementation does not run for it
+  const initialization = NFTMarketplaceFactory.interface.encodeFunctionData("initializeWithTracks", [royaltyFee, artist, prices]);
+  const proxy = await ProxyFactory.deploy(implementation.address, proxyAdmin.address, initialization);
+  const receipt = await proxy.deployTransaction.wait();
+  const nftMarketplace = NFTMarketplaceFactory.attach(proxy.address);
 
   console.log("Smart Contract Address:", nftMarketplace.address);
+  console.log("Implementation Address:", implementation.address);
+  console.log("Trading Module Address:", tradingModule.address);
+  console.log("Proxy Admin Address:", proxyAdmin.address);
+
+  // the metadata uploaded by "npx hardhat catalog:upload" replaces the default one
+  if (baseURI) {
+    await (await nftMarketplace.setBaseURI(baseURI)).wait();
+  }
+
+  // the bundles of the manifest are created by the deployer, which is the seller of the tracks it just listed
+  for (const bundle of bundles) {
+    await (await nftMarketplace.createBundle(bundle.name, bundle.tokenIds, bundle.price)).wait();
+  }
+
+  // the factory keeps track of the collections of all the artists, one is deployed per network and reused afterwards
+  let factory;
+  let factoryDeployment = readDeployment("MusicNFTMarketplaceFactory", chainId);
+  if (factoryDeployment && await isFactory(factoryDeployment.address)) {
+    factory = await ethers.getContractAt("MusicNFTMarketplaceFactory", factoryDeployment.address);
+    console.log("Using the Factory at:", factory.address);
+  } else {
+    // the collections created by the factory are clones of an empty marketplace, like the implementation of the proxy
+    const FactoryContractFactory = await ethers.getContractFactory("MusicNFTMarketplaceFactory");
+    factory = await FactoryContractFactory.deploy(implementation.address);
+    const factoryReceipt = await factory.deployTransaction.wait();
+    factoryDeployment = { network: network.name, chainId, blockNumber: factoryReceipt.blockNumber };
+    console.log("Factory Address:", factory.address);
+  }
+
+  // the deployer owns the new marketplace, so it can add it to the registry
+  await (await factory.registerCollection(nftMarketplace.address)).wait();
 
   // For each contract, pass the deployed contract and name to this function to save a copy of the contract ABI and address to the front end.
-  saveFrontendFiles(nftMarketplace, "MusicNFTMarketplace");
+  // the frontend talks to the proxy with the ABI of the marketplace
+  saveFrontendFiles(nftMarketplace, "MusicNFTMarketplace", {
+    network: network.name,
+    chainId,
+    blockNumber: receipt.blockNumber
+  });
+  saveFrontendFiles(factory, "MusicNFTMarketplaceFactory", factoryDeployment);
 }
 
-function saveFrontendFiles(contract, name) {
+const contractsDir = __dirname + "/../../frontend/contractsData";
+
+// a recorded factory may be gone (e.g. after restarting the local node), with another contract deployed at its address since
+async function isFactory(address) {
+  if ((await ethers.provider.getCode(address)) === "0x") return false;
+  try {
+    await (await ethers.getContractAt("MusicNFTMarketplaceFactory", address)).implementation();
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// returns the deployment of a contract on a network recorded by a previous run, if there is one
+function readDeployment(name, chainId) {
+  const fs = require("fs");
+  const addressFile = contractsDir + `/${name}-address.json`;
+  if (!fs.existsSync(addressFile)) return undefined;
+  return JSON.parse(fs.readFileSync(addressFile))[chainId];
+}
+
+// the address file holds one entry per chain id, so deploying to one network keeps the deployments on the others
+function saveFrontendFiles(contract, name, deployment) {
   const fs = require("fs");
-  const contractsDir = __dirname + "/../../frontend/contractsData";
 
   if (!fs.existsSync(contractsDir)) {
     fs.mkdirSync(contractsDir);
   }
 
+  const addressFile = contractsDir + `/${name}-address.json`;
+  const deployments = fs.existsSync(addressFile) ? JSON.parse(fs.readFileSync(addressFile)) : {};
+  deployments[deployment.chainId] = { address: contract.address, ...deployment };
+
   fs.writeFileSync(
-    contractsDir + `/${name}-address.json`,
-    JSON.stringify({ address: contract.address }, undefined, 2)
+    addressFile,
+    JSON.stringify(deployments, undefined, 2)
   );
 
   const contractArtifact = artifacts.readArtifactSync(name);
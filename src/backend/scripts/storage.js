@@ -0,0 +1,120 @@
+// the storage backends the catalogue upload puts the audio files, the covers and the metadata on.
+// every backend has the same two functions:
+// - addFile(content) => { cid, uri }: stores a file, returns its CID and the URL it is served at
+// - addDirectory(files) => { cid, uri }: stores [{ path, content }] together, returns the CID of the directory
+//   and its URL, ending with "/" so the URL of a file is uri + path (like the baseURI of the marketplace)
+// other backends (e.g. a pinning service) are added to STORAGE_BACKENDS
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { fileCid, directoryCid } = require("./cid");
+
+// the files are stored under <dir>/<cid>, and the directories under <dir>/<cid>/<path>, the way an IPFS gateway serves them.
+// nothing is published: it is a stand-in for IPFS on a development machine and in the tests, served by serveFilesystemStorage().
+// its CIDs are computed by ./cid, and do not match the ones of the same files on an IPFS node (see there)
+function createFilesystemStorage({ dir, gateway = "http://localhost:8080" }) {
+  const uriOf = (cid) => `${gateway}/ipfs/${cid}`;
+
+  return {
+    async addFile(content) {
+      const cid = fileCid(content);
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, cid), content);
+      return { cid, uri: uriOf(cid) };
+    },
+
+    async addDirectory(files) {
+      const entries = {};
+      files.forEach(file => { entries[file.path] = fileCid(file.content); });
+      const cid = directoryCid(entries);
+      files.forEach(file => {
+        const filePath = path.join(dir, cid, file.path);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, file.content);
+      });
+      return { cid, uri: uriOf(cid) + "/" };
+    }
+  };
+}
+
+// an IPFS node (e.g. kubo, "ipfs daemon") adds and pins the files through its RPC API, on port 5001 by default
+// the CIDs are the ones the node returns, so the URLs (and the baseURI of the catalogue) point to what it pins.
+// the files are served by a public gateway once the node announced them
+// (fetch, FormData and Blob are the ones built in Node.js 18 and later)
+// https://docs.ipfs.tech/reference/kubo/rpc/#api-v0-add
+function createIpfsStorage({ apiUrl = "http://127.0.0.1:5001", gateway = "https://ipfs.io" }) {
+  const uriOf = (cid) => `${gateway}/ipfs/${cid}`;
+
+  // posts the files as a multipart form, the node answers with one JSON line per file (and per directory)
+  const add = async (files, query) => {
+    const form = new FormData();
+    files.forEach(file => form.append("file", new Blob([file.content]), file.path));
+    const response = await fetch(`${apiUrl}/api/v0/add?cid-version=1&pin=true${query}`, { method: "POST", body: form });
+    if (!response.ok) {
+      throw new Error(`The IPFS node at ${apiUrl} refused the upload: ${response.status} ${await response.text()}`);
+    }
+    return (await response.text()).trim().split("\n").map(line => JSON.parse(line));
+  };
+
+  return {
+    async addFile(content) {
+      const [added] = await add([{ path: "file", content }], "");
+      return { cid: added.Hash, uri: uriOf(added.Hash) };
+    },
+
+    async addDirectory(files) {
+      // the files are wrapped in a directory, which is the entry without a name
+      const added = await add(files, "&wrap-with-directory=true");
+      const directory = added.find(entry => entry.Name === "");
+      return { cid: directory.Hash, uri: uriOf(directory.Hash) + "/" };
+    }
+  };
+}
+
+const STORAGE_BACKENDS = {
+  filesystem: createFilesystemStorage,
+  ipfs: createIpfsStorage
+};
+
+// returns the backend called name, set up with options
+function createStorage(name, options = {}) {
+  const createBackend = STORAGE_BACKENDS[name];
+  if (!createBackend) {
+    throw new Error(`Unknown storage "${name}", use one of: ${Object.keys(STORAGE_BACKENDS).join(", ")}`);
+  }
+  return createBackend(options);
+}
+
+const CONTENT_TYPES = {
+  ".json": "application/json",
+  ".mp3": "audio/mpeg",
+  ".wav": "audio/wav",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg"
+};
+
+// serves the files of a filesystem storage at /ipfs/<cid>[/<path>], like an IPFS gateway, so the frontend can load them
+// the files stored by addFile have no extension, so their type is left to the browser
+function serveFilesystemStorage(dir) {
+  const root = path.resolve(dir);
+  return http.createServer((req, res) => {
+    const urlPath = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+    // normalized so "../" can not reach outside of the storage
+    const filePath = path.join(root, path.normalize(urlPath.replace(/^\/ipfs\//, "")));
+
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    if (req.method !== "GET" || !urlPath.startsWith("/ipfs/") || !filePath.startsWith(root + path.sep) ||
+        !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      res.statusCode = 404;
+      res.end("Not found");
+      return;
+    }
+    const contentType = CONTENT_TYPES[path.extname(filePath).toLowerCase()];
+    if (contentType) res.setHeader("Content-Type", contentType);
+    fs.createReadStream(filePath).pipe(res);
+  });
+}
+
+module.exports = { createStorage, createFilesystemStorage, createIpfsStorage, serveFilesystemStorage, STORAGE_BACKENDS };
@@ -0,0 +1,151 @@
+// turns a folder of audio files and cover images, described by a CSV, into the metadata of the tracks of a marketplace:
+// the audio files and covers are uploaded to a storage backend, then the ERC-721 metadata JSON of every track
+// (name, description, image, animation_url, duration, artist) is uploaded as one directory, 0.json, 1.json, ...
+// the result is a catalog manifest (see catalog.js) with the prices and the baseURI of that directory, ready for the deploy script
+//
+// the CSV has a header line, and one line per track in the order of the tokenIds:
+//   title,price,audio,image,description,duration
+//   First Track,1,first.mp3,first.png,"The first track, with a comma",
+// - price is in ether, audio and image are file names in the folder (image and description are optional)
+// - duration is in seconds, it is read from the audio file when left empty (WAV and MP3 files only)
+
+const fs = require("fs");
+const path = require("path");
+const { audioDuration } = require("./audioDuration");
+const { validateCatalog } = require("./catalog");
+
+const REQUIRED_COLUMNS = ["title", "price", "audio"];
+
+// splits a CSV text in rows of fields. fields can be quoted, with "" standing for a quote inside them
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  // blank lines are skipped
+  return rows.filter(r => r.some(value => value.trim() !== ""));
+}
+
+// reads the tracks of a CSV, as objects keyed by the (lowercase) names of the header
+function parseTracksCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) throw new Error("The CSV is empty");
+  const columns = header.map(column => column.trim().toLowerCase());
+  const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`The CSV has no ${missing.join(", ")} column`);
+  }
+  return rows.map(row => {
+    const track = {};
+    columns.forEach((column, i) => { track[column] = (row[i] || "").trim(); });
+    return track;
+  });
+}
+
+// the ERC-721 metadata of a track. animation_url is where marketplaces (and our frontend) find the audio
+function trackMetadata({ title, description, artistName, image, audio, duration }) {
+  const metadata = { name: title, description: description || `${title} by ${artistName}`, artist: artistName, animation_url: audio, duration };
+  if (image) metadata.image = image;
+  return metadata;
+}
+
+// dir => the folder of the files and of the CSV, csvFile => the CSV (tracks.csv in the folder by default)
+// storage => a backend returned by createStorage, artist / royaltyFee => the artist's address and royalty of the manifest
+// artistName => the name written in the metadata. log => called with the progress
+// returns the catalog manifest, along with the CIDs of the uploads
+async function buildCatalog({ dir, csvFile = path.join(dir, "tracks.csv"), storage, artist, artistName, royaltyFee, log = () => {} }) {
+  const tracks = parseTracksCsv(fs.readFileSync(csvFile, "utf8"));
+  if (tracks.length === 0) throw new Error("The CSV has no tracks");
+
+  // every problem of the CSV is reported at once, before anything is uploaded
+  const errors = [];
+  const readFile = (name, i) => {
+    const file = path.join(dir, name);
+    if (!fs.existsSync(file)) {
+      errors.push(`track ${i}: ${name} was not found in ${dir}`);
+      return undefined;
+    }
+    return fs.readFileSync(file);
+  };
+  const files = tracks.map((track, i) => {
+    if (!track.audio) errors.push(`track ${i} has no audio file`);
+    const audio = track.audio ? readFile(track.audio, i) : undefined;
+    const image = track.image ? readFile(track.image, i) : undefined;
+    let duration = track.duration ? Number(track.duration) : audio && audioDuration(audio);
+    if (audio && !(duration > 0)) {
+      errors.push(`track ${i}: the duration of ${track.audio} can not be read, please set it in the duration column`);
+      duration = undefined;
+    }
+    return { audio, image, duration };
+  });
+  // the titles, prices, artist and royalty fee are checked by the validation of the manifest
+  const manifest = { artist, royaltyFee, tracks: tracks.map(track => ({ title: track.title, price: track.price })) };
+  try {
+    validateCatalog(manifest);
+  } catch (error) {
+    errors.push(...error.message.split("\n  - ").slice(1));
+  }
+  if (errors.length > 0) {
+    throw new Error("Invalid catalogue:\n  - " + errors.join("\n  - "));
+  }
+
+  const media = [];
+  for (let i = 0; i < tracks.length; i++) {
+    const audio = await storage.addFile(files[i].audio);
+    const image = files[i].image ? await storage.addFile(files[i].image) : undefined;
+    log(`${tracks[i].title}: audio ${audio.cid}${image ? `, image ${image.cid}` : ""}`);
+    media.push({ audio, image });
+  }
+
+  // the metadata of the token i is found at baseURI + i + ".json"
+  const metadataFiles = tracks.map((track, i) => ({
+    path: `${i}.json`,
+    content: Buffer.from(JSON.stringify(trackMetadata({
+      title: track.title,
+      description: track.description,
+      artistName,
+      image: media[i].image && media[i].image.uri,
+      audio: media[i].audio.uri,
+      duration: files[i].duration
+    }), null, 2))
+  }));
+  const metadata = await storage.addDirectory(metadataFiles);
+  log(`metadata: ${metadata.cid}`);
+
+  return {
+    catalog: { ...manifest, baseURI: metadata.uri },
+    cids: { metadata: metadata.cid, tracks: media.map(m => ({ audio: m.audio.cid, image: m.image ? m.image.cid : null })) }
+  };
+}
+
+module.exports = { parseCsvRows, parseTracksCsv, trackMetadata, buildCatalog };
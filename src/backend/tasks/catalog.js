@@ -0,0 +1,64 @@
+// hardhat tasks for publishing the catalogue of an artist, run with "npx hardhat <task> --help" to see their parameters
+// catalog:upload => uploads a folder of tracks (see scripts/upload.js) and writes the catalog manifest the deploy script reads:
+//   npx hardhat catalog:upload --dir ./album --artist 0x7099... --artist-name "The Artist" --out ./album/catalog.json
+//   CATALOG=./album/catalog.json npm run deploy
+// catalog:serve => serves the files of the filesystem storage, like an IPFS gateway, for the frontend on a development machine
+
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+
+task("catalog:upload", "Uploads the audio files, covers and metadata of a folder of tracks, and writes their catalog manifest")
+  .addParam("dir", "The folder of the audio files, the cover images and the CSV of the tracks")
+  .addOptionalParam("csv", "The CSV of the titles and prices of the tracks (tracks.csv in the folder by default)")
+  .addParam("artist", "The address of the artist, who receives the royalties")
+  .addParam("artistName", "The name of the artist, written in the metadata of the tracks")
+  .addOptionalParam("royaltyFee", "The royalty fee of the artist, in basis points", 250, types.int)
+  .addOptionalParam("storage", "Where the files are uploaded: filesystem or ipfs", "filesystem")
+  .addOptionalParam("storageDir", "The folder of the filesystem storage (src/backend/storage by default)")
+  .addOptionalParam("gateway", "The URL of the gateway the files are served from")
+  .addOptionalParam("apiUrl", "The URL of the RPC API of the IPFS node")
+  .addOptionalParam("out", "Where the catalog manifest is written (catalog.json in the folder by default)")
+  .setAction(async (args, hre) => {
+    // required here rather than at the top, so the config (and every other task) loads without them
+    const { createStorage } = require("../scripts/storage");
+    const { buildCatalog } = require("../scripts/upload");
+
+    const dir = path.resolve(args.dir);
+    const out = path.resolve(args.out || path.join(dir, "catalog.json"));
+    const storage = createStorage(args.storage, {
+      dir: path.resolve(args.storageDir || path.join(hre.config.paths.root, "src/backend/storage")),
+      gateway: args.gateway,
+      apiUrl: args.apiUrl
+    });
+
+    const { catalog } = await buildCatalog({
+      dir,
+      csvFile: args.csv && path.resolve(args.csv),
+      storage,
+      artist: args.artist,
+      artistName: args.artistName,
+      royaltyFee: args.royaltyFee,
+      log: console.log
+    });
+
+    fs.writeFileSync(out, JSON.stringify(catalog, null, 2) + "\n");
+    console.log(`${catalog.tracks.length} tracks uploaded, their metadata is at ${catalog.baseURI}`);
+    console.log(`Deploy them with: CATALOG=${path.relative(process.cwd(), out)} npm run deploy`);
+    return catalog;
+  });
+
+task("catalog:serve", "Serves the files of the filesystem storage at /ipfs/<cid>, like an IPFS gateway")
+  .addOptionalParam("storageDir", "The folder of the filesystem storage (src/backend/storage by default)")
+  .addOptionalParam("port", "The port of the gateway", 8080, types.int)
+  .setAction(async (args, hre) => {
+    const { serveFilesystemStorage } = require("../scripts/storage");
+
+    const dir = path.resolve(args.storageDir || path.join(hre.config.paths.root, "src/backend/storage"));
+    const server = serveFilesystemStorage(dir);
+    await new Promise(resolve => server.listen(args.port, resolve));
+    console.log(`Serving ${dir} on http://localhost:${args.port}/ipfs/`);
+
+    // runs until the process is stopped (Ctrl+C)
+    await new Promise(resolve => server.on("close", resolve));
+  });
@@ -0,0 +1,317 @@
+// hardhat tasks for operating a deployed marketplace, e.g. "npx hardhat market:list --network localhost"
+// every task takes the --address of the marketplace, which defaults to the one the deploy script recorded for the network,
+// and prints a table, or JSON with --json. the transactions are sent by the first account of the network, or by --from
+//   market:list          => the tracks for sale, with their prices
+//   market:buy           => buys a track, approving the marketplace to spend the price first when it is paid in an ERC-20 token
+//   market:relist        => lists an owned track for sale again
+//   market:set-royalty   => changes the royalty fee of the artist (owner only)
+//   market:holders       => who owns the tracks
+//   market:events        => the events of the marketplace, e.g. --from-block 100 --to-block 200
+//   market:upgrade       => upgrades the proxy of an upgradeable marketplace to a new implementation (ProxyAdmin owner only)
+//   market:seed          => buys, relists and resells tracks from the accounts of a local node, e.g. for the artist dashboard
+
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+
+// the slots where an ERC-1967 proxy stores the address of its implementation and of its admin
+// https://eips.ethereum.org/EIPS/eip-1967
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+const ADMIN_SLOT = "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+
+const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)"
+];
+
+// the parameters every market task takes
+function marketTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("address", "The address of the marketplace (the deployed one of the network by default)")
+    .addFlag("json", "Prints JSON instead of a table");
+}
+
+const contractsDir = (hre) => path.join(hre.config.paths.root, "src/frontend/contractsData");
+
+// returns the marketplace at address, or the one recorded by the deploy script for the chain, connected to the signer from
+async function getMarketplace(hre, { address, from }) {
+  const { ethers } = hre;
+  if (!address) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const addressFile = path.join(contractsDir(hre), "MusicNFTMarketplace-address.json");
+    const deployments = fs.existsSync(addressFile) ? JSON.parse(fs.readFileSync(addressFile)) : {};
+    if (!deployments[chainId]) {
+      throw new Error(`No marketplace was deployed on ${hre.network.name} (chain ${chainId}), please set its --address`);
+    }
+    address = deployments[chainId].address;
+  }
+  if ((await ethers.provider.getCode(address)) === "0x") {
+    throw new Error(`There is no contract at ${address} on ${hre.network.name}`);
+  }
+  const signer = from ? await ethers.getSigner(from) : (await ethers.getSigners())[0];
+  return ethers.getContractAt("MusicNFTMarketplace", address, signer);
+}
+
+// reads an address stored in a slot of a contract
+async function readAddressSlot(hre, address, slot) {
+  const value = await hre.ethers.provider.getStorageAt(address, slot);
+  return hre.ethers.utils.getAddress(hre.ethers.utils.hexDataSlice(value, 12));
+}
+
+// the symbol and decimals of the currency of a price, ether for the zero address
+const currencies = {};
+async function getCurrency(hre, paymentToken) {
+  if (paymentToken === hre.ethers.constants.AddressZero) return { symbol: "ETH", decimals: 18 };
+  if (!currencies[paymentToken]) {
+    const token = await hre.ethers.getContractAt(ERC20_ABI, paymentToken);
+    currencies[paymentToken] = { symbol: await token.symbol(), decimals: await token.decimals() };
+  }
+  return currencies[paymentToken];
+}
+
+async function formatPrice(hre, price, paymentToken) {
+  const { symbol, decimals } = await getCurrency(hre, paymentToken);
+  return `${hre.ethers.utils.formatUnits(price, decimals)} ${symbol}`;
+}
+
+// prints the rows as a table or as JSON, and returns them (to "hre.run" callers, e.g. the tests)
+function print(rows, json) {
+  if (json) {
+    console.log(JSON.stringify(rows, null, 2));
+  } else if (rows.length === 0) {
+    console.log("Nothing to show");
+  } else {
+    console.table(rows);
+  }
+  return rows;
+}
+
+// event arguments are BigNumbers, addresses, strings...: they are printed as strings
+function formatValue(value) {
+  if (Array.isArray(value)) return value.map(formatValue);
+  return value.toString();
+}
+
+marketTask("market:list", "Prints the tracks listed for sale, with their prices")
+  .setAction(async (args, hre) => {
+    const marketplace = await getMarketplace(hre, args);
+    const items = await marketplace.getAllUnsoldTokens();
+    const rows = [];
+    for (const item of items) {
+      rows.push({ tokenId: item.tokenId.toNumber(), seller: item.seller, price: await formatPrice(hre, item.price, item.paymentToken) });
+    }
+    return print(rows, args.json);
+  });
+
+marketTask("market:buy", "Buys a track listed for sale, at its asking price")
+  .addParam("tokenId", "The token to buy", undefined, types.int)
+  .addOptionalParam("from", "The account buying the track (the first account by default)")
+  .setAction(async (args, hre) => {
+    const marketplace = await getMarketplace(hre, args);
+    const buyer = await marketplace.signer.getAddress();
+    const { seller, price, paymentToken } = await marketplace.marketItems(args.tokenId);
+    if (seller === hre.ethers.constants.AddressZero) {
+      throw new Error(`Token ${args.tokenId} is not listed for sale`);
+    }
+
+    // the purchase reverts when the seller changes the price or the currency read above before it is mined
+    let transaction;
+    if (paymentToken === hre.ethers.constants.AddressZero) {
+      transaction = await marketplace.buyTokenAtPrice(args.tokenId, price, paymentToken, { value: price });
+    } else {
+      // the marketplace pulls the price from the buyer, so it has to be allowed to spend it
+      const token = await hre.ethers.getContractAt(ERC20_ABI, paymentToken, marketplace.signer);
+      if ((await token.allowance(buyer, marketplace.address)).lt(price)) {
+        await (await token.approve(marketplace.address, price)).wait();
+      }
+      transaction = await marketplace.buyTokenAtPrice(args.tokenId, price, paymentToken);
+    }
+    await transaction.wait();
+
+    return print([{
+      tokenId: args.tokenId, seller, buyer, price: await formatPrice(hre, price, paymentToken), transaction: transaction.hash
+    }], args.json);
+  });
+
+marketTask("market:relist", "Lists an owned track for sale again")
+  .addParam("tokenId", "The token to list", undefined, types.int)
+  .addParam("price", "The asking price, in ether (or in units of the --payment-token, e.g. 9.99 for 9.99 USDC)")
+  .addOptionalParam("paymentToken", "The ERC-20 token the price is paid in, allowed by the owner of the marketplace (ether by default)")
+  .addOptionalParam("from", "The owner of the track (the first account by default)")
+  .setAction(async (args, hre) => {
+    const marketplace = await getMarketplace(hre, args);
+    const paymentToken = args.paymentToken || hre.ethers.constants.AddressZero;
+    const { decimals } = await getCurrency(hre, paymentToken);
+    const price = hre.ethers.utils.parseUnits(args.price, decimals);
+
+    const transaction = args.paymentToken
+      ? await marketplace.resellTokenForERC20(args.tokenId, price, paymentToken)
+      : await marketplace.resellToken(args.tokenId, price);
+    await transaction.wait();
+
+    return print([{
+      tokenId: args.tokenId,
+      seller: await marketplace.signer.getAddress(),
+      price: await formatPrice(hre, price, paymentToken),
+      transaction: transaction.hash
+    }], args.json);
+  });
+
+marketTask("market:set-royalty", "Changes the royalty fee of the artist, only the owner of the marketplace can")
+  .addParam("fee", "The new royalty fee, in basis points (250 => 2.5%)", undefined, types.int)
+  .addOptionalParam("from", "The owner of the marketplace (the first account by default)")
+  .setAction(async (args, hre) => {
+    const marketplace = await getMarketplace(hre, args);
+    const previousFee = await marketplace.royaltyFee();
+    const transaction = await marketplace.updateRoyaltyFee(args.fee);
+    await transaction.wait();
+
+    return print([{
+      previousFee: previousFee.toNumber(), royaltyFee: (await marketplace.royaltyFee()).toNumber(), transaction: transaction.hash
+    }], args.json);
+  });
+
+marketTask("market:holders", "Prints the owners of the tracks, the tracks for sale are held by the marketplace itself")
+  .setAction(async (args, hre) => {
+    const marketplace = await getMarketplace(hre, args);
+    const tokenCount = (await marketplace.tokenCount()).toNumber();
+
+    const tokensByHolder = new Map();
+    for (let tokenId = 0; tokenId < tokenCount; tokenId++) {
+      const holder = await marketplace.ownerOf(tokenId);
+      if (!tokensByHolder.has(holder)) tokensByHolder.set(holder, []);
+      tokensByHolder.get(holder).push(tokenId);
+    }
+
+    const rows = [...tokensByHolder].map(([holder, tokenIds]) => ({
+      holder: holder === marketplace.address ? `${holder} (marketplace)` : holder,
+      tokens: tokenIds.length,
+      tokenIds: tokenIds.join(", ")
+    }));
+    // the biggest holders first
+    rows.sort((a, b) => b.tokens - a.tokens);
+    return print(rows, args.json);
+  });
+
+marketTask("market:events", "Prints the events emitted by the marketplace")
+  .addOptionalParam("fromBlock", "The first block to read the events of", 0, types.int)
+  .addOptionalParam("toBlock", "The last block to read the events of (the latest one by default)", undefined, types.int)
+  .addOptionalParam("event", "Only prints the events of this name, e.g. MarketItemBought")
+  .setAction(async (args, hre) => {
+    const marketplace = await getMarketplace(hre, args);
+    if (args.event && !marketplace.filters[args.event]) {
+      throw new Error(`The marketplace has no ${args.event} event`);
+    }
+    const filter = args.event ? marketplace.filters[args.event]() : "*";
+    const events = await marketplace.queryFilter(filter, args.fromBlock, args.toBlock === undefined ? "latest" : args.toBlock);
+
+    const rows = events
+      // events the ABI does not know (there should be none) can not be decoded
+      .filter(event => event.event)
+      .map(event => {
+        const values = {};
+        marketplace.interface.getEvent(event.eventSignature).inputs.forEach(input => { values[input.name] = formatValue(event.args[input.name]); });
+        return {
+          block: event.blockNumber,
+          transaction: event.transactionHash,
+          event: event.event,
+          // a table has no room for nested values
+          args: args.json ? values : Object.entries(values).map(([key, value]) => `${key}=${value}`).join(", ")
+        };
+      });
+    return print(rows, args.json);
+  });
+
+marketTask("market:upgrade", "Upgrades an upgradeable marketplace to a new implementation, only the owner of its ProxyAdmin can")
+  .addOptionalParam("contract", "The contract of the new implementation", "MusicNFTMarketplace")
+  .addOptionalParam("from", "The owner of the ProxyAdmin (the first account by default)")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const marketplace = await getMarketplace(hre, args);
+    const proxyAdminAddress = await readAddressSlot(hre, marketplace.address, ADMIN_SLOT);
+    if (proxyAdminAddress === ethers.constants.AddressZero) {
+      throw new Error(`The marketplace at ${marketplace.address} is not upgradeable`);
+    }
+    const previousImplementation = await readAddressSlot(hre, marketplace.address, IMPLEMENTATION_SLOT);
+
+    await hre.run("compile", { quiet: true });
+    // like the one the deploy script deploys, the implementation is an empty marketplace: the proxy already holds the tracks.
+    // the trading module is deployed again with it, since the new version may have changed it too
+    const tradingModule = await (await ethers.getContractFactory("MusicNFTMarketplaceTrading", marketplace.signer)).deploy();
+    await tradingModule.deployTransaction.wait();
+    const ImplementationFactory = await ethers.getContractFactory(args.contract, marketplace.signer);
+    const implementation = await ImplementationFactory.deploy(tradingModule.address, 0, await marketplace.signer.getAddress(), []);
+    await implementation.deployTransaction.wait();
+
+    const proxyAdmin = await ethers.getContractAt("ProxyAdmin", proxyAdminAddress, marketplace.signer);
+    const transaction = await proxyAdmin.upgrade(marketplace.address, implementation.address);
+    await transaction.wait();
+
+    // the frontend talks to the marketplace recorded for the network with the ABI of the new implementation
+    if (!args.address) {
+      fs.writeFileSync(
+        path.join(contractsDir(hre), "MusicNFTMarketplace.json"),
+        JSON.stringify(hre.artifacts.readArtifactSync(args.contract), null, 2)
+      );
+    }
+
+    return print([{
+      proxy: marketplace.address, previousImplementation, implementation: implementation.address, tradingModule: tradingModule.address,
+      transaction: transaction.hash
+    }], args.json);
+  });
+
+marketTask("market:seed", "Buys, relists and resells tracks from the accounts of a local node, so the marketplace has some sales history")
+  .addOptionalParam("buyers", "How many accounts buy the tracks, the ones after the deployer and the artist", 3, types.int)
+  .addOptionalParam("markup", "How much more than they paid the buyers relist their tracks for, in percent", 50, types.int)
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    // the accounts of a local node are all unlocked, real ones are not to be spent on fake sales
+    if (!["hardhat", "localhost"].includes(hre.network.name)) {
+      throw new Error(`The activity is only seeded on a local node, not on ${hre.network.name}`);
+    }
+    const marketplace = await getMarketplace(hre, args);
+    const artist = await marketplace.artist();
+    // the first account deployed the marketplace, it is left out of the buyers like the artist
+    const [, ...accounts] = await ethers.getSigners();
+    const buyers = accounts.filter(account => account.address !== artist).slice(0, args.buyers);
+    if (buyers.length < 2) {
+      throw new Error("At least 2 buyers are needed, so the tracks can be resold to another one");
+    }
+
+    const rows = [];
+    const buy = async (tokenId, buyer) => {
+      const { seller, price, paymentToken } = await marketplace.marketItems(tokenId);
+      const transaction = await marketplace.connect(buyer).buyTokenAtPrice(tokenId, price, paymentToken, { value: price });
+      await transaction.wait();
+      rows.push({ action: "bought", tokenId, seller, buyer: buyer.address, price: ethers.utils.formatEther(price), transaction: transaction.hash });
+    };
+    const relist = async (tokenId, owner, price) => {
+      const transaction = await marketplace.connect(owner).resellToken(tokenId, price);
+      await transaction.wait();
+      rows.push({ action: "relisted", tokenId, seller: owner.address, buyer: "", price: ethers.utils.formatEther(price), transaction: transaction.hash });
+    };
+
+    // half of the tracks listed in ether (rounded up) are bought by the buyers in turn, which leaves the others for the floor price
+    const buyerAddresses = buyers.map(buyer => buyer.address);
+    const listings = (await marketplace.getAllUnsoldTokens())
+      .filter(item => item.paymentToken === ethers.constants.AddressZero && !buyerAddresses.includes(item.seller));
+    const bought = [];
+    for (const [i, item] of listings.slice(0, Math.ceil(listings.length / 2)).entries()) {
+      await buy(item.tokenId.toNumber(), buyers[i % buyers.length]);
+      bought.push({ tokenId: item.tokenId.toNumber(), owner: buyers[i % buyers.length], price: item.price });
+    }
+
+    // half of those are relisted with the markup, and half of these resold to the next buyer
+    const relisted = bought.slice(0, Math.ceil(bought.length / 2));
+    for (const { tokenId, owner, price } of relisted) {
+      await relist(tokenId, owner, price.mul(100 + args.markup).div(100));
+    }
+    for (const { tokenId, owner } of relisted.slice(0, Math.ceil(relisted.length / 2))) {
+      await buy(tokenId, buyers[(buyers.indexOf(owner) + 1) % buyers.length]);
+    }
+
+    return print(rows, args.json);
+  });
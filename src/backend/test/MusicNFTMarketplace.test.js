@@ -9,20 +9,20 @@ const { expect } = require("chai");
 // we will also be using hardhat.ethers() to interact with our smart contract
 const { ethers } = require("hardhat");
 
-// arrow functions for converting from ethers to wei and vice-versa
+// arrow function for converting from ethers to wei
 const ethToWei = (num) => ethers.utils.parseEther(num.toString()) // string => bigNumber
-const weiToEth = (num) => ethers.utils.formatEther(num)           // bigNumber => string
 
 // "describe" is a mocha function for grouping tests together
 //  takes 2 arguments -> name of the test, callback function (function which is passed as an argument to another function)
 describe("Music-NFT Marketplace Testing", function () {
 
-  let nftMarketplace;
-  let deployer, artist, user1, user2, users;  // address of all the associated persons
-  let royaltyFee = ethToWei(0.01); // the artist will receive 0.01 ether for each reselling
+  let nftMarketplace, tradingModule;
+  let deployer, artist, user1, user2;  // address of all the associated persons
+  let royaltyFee = 250; // the artist will receive 2.5% (250 basis points) of each sale price
   let URI = "https://bafybeidhjjbjonyqcahuzlpt7sznmh4xrlbspa3gstop5o47l6gsiaffee.ipfs.nftstorage.link/";  // the URI where all the musics are stored
   let prices = [ethToWei(1), ethToWei(2), ethToWei(3), ethToWei(4), ethToWei(5), ethToWei(6), ethToWei(7), ethToWei(8)];  // setting the prices for each of the musics in the marketplace
-  let deploymentFees = ethToWei(prices.length * 0.01);  // the deployer will need to pay the royaltyFee for all the musics
+  // the share of a price which goes to the artist, 10000 basis points = 100%
+  const royaltyOf = (price, fee = royaltyFee) => price.mul(fee).div(10000)
 
   // beforeEach will run this async function before every "it"
   beforeEach(async function () {
@@ -31,17 +31,20 @@ describe("Music-NFT Marketplace Testing", function () {
     const NFTMarketplaceFactory = await ethers.getContractFactory("MusicNFTMarketplace");
 
     // GetSigners returns the accounts of all the nodes in the blockchain. 
-    // "...users" will contain the list of the accounts of user3 till lastUser // ethers.getSigners is a function of ether.js which is injected into hardhat
-    [deployer, artist, user1, user2, ...users] = await ethers.getSigners();  // so we can collect all the signers running on this hardhat local blockchain
+    // ethers.getSigners is a function of ether.js which is injected into hardhat
+    [deployer, artist, user1, user2] = await ethers.getSigners();  // so we can collect the signers running on this hardhat local blockchain
+
+    // the auctions, the signed orders... run in a trading module deployed beforehand, which the marketplace forwards them to
+    tradingModule = await (await ethers.getContractFactory("MusicNFTMarketplaceTrading")).deploy();
 
     // Deploying the contract passing the arguments which the .sol contract needed in its' constructor
     // the promise from .deploy resolved to an instance of the contract, here named "nftMarketplace", 
     // which will be used to interact with the contract
     nftMarketplace = await NFTMarketplaceFactory.deploy(
+      tradingModule.address,
       royaltyFee,
       artist.address,
-      prices,
-      {value: deploymentFees}  // this is the "msg.value" needed for covering the royaltyFee for the musics deployed
+      prices
     );
 
   });
@@ -88,16 +91,145 @@ describe("Music-NFT Marketplace Testing", function () {
 
     });
 
-    // checking if the wallet balance of the smart contract contains the deployed fee or not
-    it("Ether Balance equals to Deployment Fees", async function () {
-      expect(await ethers.provider.getBalance(nftMarketplace.address)).to.equal(deploymentFees);
+    it("Emitted an event of Listing for every Music NFT", async function () {
+      await expect(nftMarketplace.deployTransaction)
+        .to.emit(nftMarketplace, "MarketItemListed")
+        .withArgs(prices.length - 1, deployer.address, prices[prices.length - 1]);
+    });
+
+    it("Resolved the Token URI from the Base URI", async function () {
+      expect(await nftMarketplace.tokenURI(0)).to.equal(URI + "0");
+      expect(await nftMarketplace.tokenURI(7)).to.equal(URI + "7");
+    });
+
+    // royalties are taken out of the sale price, so listing the musics costs nothing up front
+    it("Ether Balance of the Smart Contract is Zero", async function () {
+      expect(await ethers.provider.getBalance(nftMarketplace.address)).to.equal(0);
+    });
+
+    it("Deployment Rejected when Royalty Fee exceeds the Maximum", async function () {
+      const NFTMarketplaceFactory = await ethers.getContractFactory("MusicNFTMarketplace");
+      await expect(
+        NFTMarketplaceFactory.deploy(tradingModule.address, 1001, artist.address, prices)
+      ).to.be.revertedWith("Royalty Fee can not exceed the maximum");
+    });
+
+    it("Deployment Rejected without a Trading Module", async function () {
+      const NFTMarketplaceFactory = await ethers.getContractFactory("MusicNFTMarketplace");
+      await expect(
+        NFTMarketplaceFactory.deploy(ethers.constants.AddressZero, royaltyFee, artist.address, prices)
+      ).to.be.revertedWith("Trading module can not be the zero address");
+    });
+
+  });
+
+  describe("Minting of new Tracks", function () {
+
+    const price = ethToWei(1.5);
+    const trackURI = "ipfs://bafybeignewtrack/metadata.json";
+
+    it("Artist CAN mint a new Track", async function () {
+      await nftMarketplace.connect(artist).mintTrack(price, trackURI);
+
+      // the new track gets the next tokenId and is listed on the marketplace by the artist
+      const item = await nftMarketplace.marketItems(prices.length);
+      expect(item.tokenId).to.equal(prices.length);
+      expect(item.seller).to.equal(artist.address);
+      expect(item.price).to.equal(price);
+      expect(await nftMarketplace.ownerOf(prices.length)).to.equal(nftMarketplace.address);
+    });
+
+    it("Developer CAN mint a new Track", async function () {
+      await nftMarketplace.mintTrack(price, trackURI);
+      expect((await nftMarketplace.marketItems(prices.length)).seller).to.equal(deployer.address);
+    });
+
+    it("Third person CAN NOT mint a new Track", async function () {
+      await expect(nftMarketplace.connect(user1).mintTrack(price, trackURI)).to.be.revertedWith("Only the owner, the artist or a manager can mint tracks");
+      await expect(nftMarketplace.connect(user1).mintTracks([price], [trackURI])).to.be.revertedWith("Only the owner, the artist or a manager can mint tracks");
+    });
+
+    it("Emitted an event of Listing a new Track", async function () {
+      await expect(nftMarketplace.connect(artist).mintTrack(price, trackURI))
+        .to.emit(nftMarketplace, "MarketItemListed")
+        .withArgs(prices.length, artist.address, price);
+    });
+
+    it("Resolved the URI of old and new Tracks", async function () {
+      await nftMarketplace.connect(artist).mintTrack(price, trackURI);
+      // the tracks minted by the constructor still use the base URI
+      expect(await nftMarketplace.tokenURI(0)).to.equal(URI + "0");
+      // the new track has its own URI
+      expect(await nftMarketplace.tokenURI(prices.length)).to.equal(trackURI);
+    });
+
+    it("Transaction Rejected when querying the URI of a Token that does not exist", async function () {
+      await expect(nftMarketplace.tokenURI(prices.length)).to.be.revertedWith("ERC721Metadata: URI query for nonexistent token");
+    });
+
+    it("Transaction Rejected when Price is set to Zero", async function () {
+      await expect(nftMarketplace.connect(artist).mintTrack(0, trackURI)).to.be.revertedWith("Prices must be greater than Zero");
+    });
+
+    it("Transaction Rejected when Metadata URI is Empty", async function () {
+      await expect(nftMarketplace.connect(artist).mintTrack(price, "")).to.be.revertedWith("Please provide the metadata URI of the track");
+    });
+
+    it("Minted a Batch of Tracks", async function () {
+      const uris = ["ipfs://album/1.json", "ipfs://album/2.json", "ipfs://album/3.json"];
+      const batchPrices = [ethToWei(1), ethToWei(2), ethToWei(3)];
+
+      // the returned tokenIds are read with a static call before sending the transaction
+      const tokenIds = await nftMarketplace.connect(artist).callStatic.mintTracks(batchPrices, uris);
+      expect(tokenIds.map(id => id.toNumber())).to.deep.equal([8, 9, 10]);
+
+      await expect(nftMarketplace.connect(artist).mintTracks(batchPrices, uris))
+        .to.emit(nftMarketplace, "MarketItemListed")
+        .withArgs(10, artist.address, batchPrices[2]);
+
+      await Promise.all(uris.map(async function (uri, indx) {
+        expect(await nftMarketplace.tokenURI(prices.length + indx)).to.equal(uri);
+        expect((await nftMarketplace.marketItems(prices.length + indx)).price).to.equal(batchPrices[indx]);
+      }));
+    });
+
+    it("Transaction Rejected when Batch Prices and URIs do not match", async function () {
+      await expect(
+        nftMarketplace.connect(artist).mintTracks([price, price], [trackURI])
+      ).to.be.revertedWith("Every track needs both a price and a metadata URI");
+    });
+
+    it("Minted Tracks can be Bought", async function () {
+      await nftMarketplace.connect(artist).mintTrack(price, trackURI);
+      await nftMarketplace.connect(user1).buyToken(prices.length, { value: price });
+
+      expect(await nftMarketplace.ownerOf(prices.length)).to.equal(user1.address);
+      // the artist is both the seller and the royalty receiver of its own release
+      expect(await nftMarketplace.pendingWithdrawal(artist.address)).to.equal(price);
+    });
+
+    it("Minted more than 255 Tracks", async function () {
+      // minting in batches of 50, to stay below the block gas limit
+      const batch = Array.from({ length: 50 }, () => price);
+      const uris = batch.map((_, i) => `ipfs://catalog/${i}.json`);
+      for (let i = 0; i < 6; i++) {
+        await nftMarketplace.connect(artist).mintTracks(batch, uris);
+      }
+
+      const lastTokenId = prices.length + 300 - 1;
+      expect(await nftMarketplace.balanceOf(nftMarketplace.address)).to.equal(prices.length + 300);
+      expect(await nftMarketplace.tokenURI(lastTokenId)).to.equal("ipfs://catalog/49.json");
+      expect(await nftMarketplace.tokenURI(0)).to.equal(URI + "0");
+
+      await nftMarketplace.connect(user1).buyToken(lastTokenId, { value: price });
+      expect(await nftMarketplace.ownerOf(lastTokenId)).to.equal(user1.address);
     });
 
   });
 
   describe("Updated Royalty Fee", function () {
 
-    const fee = ethToWei(0.02); 
+    const fee = 500; 
 
     it("Third person CAN NOT update the Royalty Fee", async function () {
       // say we want to change the royalty fee to => 0.2 ether
@@ -108,10 +240,42 @@ describe("Music-NFT Marketplace Testing", function () {
 
     it ("Developer CAN update the Royalty Fee", async function() {
       // here the developer is trying to update the royalty fee which should be permissible
-      await nftMarketplace.updateRoyaltyFee(fee); 
+      await expect(nftMarketplace.updateRoyaltyFee(fee))
+        .to.emit(nftMarketplace, "RoyaltyFeeUpdated")
+        .withArgs(fee);
       expect(await nftMarketplace.royaltyFee()).to.equal(fee);  // checking if the update has been done or not
     });
 
+    it("Royalty Fee CAN NOT exceed the Maximum", async function () {
+      expect(await nftMarketplace.MAX_ROYALTY_FEE()).to.equal(1000);
+      await expect(nftMarketplace.updateRoyaltyFee(1001)).to.be.revertedWith("Royalty Fee can not exceed the maximum");
+    });
+
+  });
+
+  describe("Updated Base URI", function () {
+
+    const newURI = "http://localhost:8080/ipfs/bafyreimetadata/";
+
+    it("Developer CAN update the Base URI", async function () {
+      await expect(nftMarketplace.setBaseURI(newURI))
+        .to.emit(nftMarketplace, "BaseURIUpdated")
+        .withArgs(newURI);
+      expect(await nftMarketplace.baseURI()).to.equal(newURI);
+      expect(await nftMarketplace.tokenURI(3)).to.equal(newURI + "3");
+    });
+
+    it("Third person and Artist CAN NOT update the Base URI", async function () {
+      await expect(nftMarketplace.connect(user1).setBaseURI(newURI)).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(nftMarketplace.connect(artist).setBaseURI(newURI)).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Tracks minted with their own URI kept it", async function () {
+      await nftMarketplace.connect(artist).mintTrack(ethToWei(1), "ipfs://new-track.json");
+      await nftMarketplace.setBaseURI(newURI);
+      expect(await nftMarketplace.tokenURI(prices.length)).to.equal("ipfs://new-track.json");
+    });
+
   });
 
   describe("Purchase of Tokens", function () {
@@ -120,26 +284,18 @@ describe("Music-NFT Marketplace Testing", function () {
     // solidity can easily handle large numbers with uint256, but js can not handle it with safe math
     // that's why we need BigNumber in js. For doing calculation of BigNumber, 
     // we need to invoke the functions of BigNumber like BigNumber.add(value), etc.
-    // But for avoiding that, and for doing the calculation using normal safe math of js,
-    // we are converting every BigNumber wei to ether (which safe math can handle)
+    // the royalty split is checked to the exact wei, so here BigNumber math is used instead of converting to ether
 
-    it("Seller & Artist Received the Payment", async function() {
-
-      // initial wallet balance of the seller (deployer at first) & artist
-      // weiToEth function is needed because "getBalance" returns the balance in wei, which is a BigNumber
-      const sellerInitialBalance = +weiToEth(await deployer.getBalance()); //  "+" is a unary operator which converts the value to a number
-      const artistInitialBalance = +weiToEth(await artist.getBalance());  // as "weiToEth" returns an string
+    it("Seller & Artist were Credited the Payment", async function() {
 
       // user1 is buying the nft with tokenId:0
       await nftMarketplace.connect(user1).buyToken(0, {value: prices[0]});
 
-      // updated wallet balance of the seller & artist
-      const sellerUpdatedBalance = +weiToEth(await deployer.getBalance());
-      const artistUpdatedBalance = +weiToEth(await artist.getBalance());
-
-      // checking if the wallet balance of seller and artist is updated after the transaction
-      expect(sellerUpdatedBalance).to.equal(sellerInitialBalance + +weiToEth(prices[0]));  // here, we are doing normal addition, not BigNumber.add()
-      expect(artistUpdatedBalance).to.equal(artistInitialBalance + +weiToEth(royaltyFee)); // that is exactly why we needed to convert wei to ether
+      // the artist is credited its share of the price and the seller (deployer at first) the rest
+      expect(await nftMarketplace.pendingWithdrawal(deployer.address)).to.equal(prices[0].sub(royaltyOf(prices[0])));
+      expect(await nftMarketplace.pendingWithdrawal(artist.address)).to.equal(royaltyOf(prices[0]));
+      // the payment stays in the smart contract wallet until it is withdrawn
+      expect(await ethers.provider.getBalance(nftMarketplace.address)).to.equal(prices[0]);
     });
 
     it("Buyer is the New Owner", async function() {
@@ -162,7 +318,7 @@ describe("Music-NFT Marketplace Testing", function () {
       // the arguments are => tokenId, seller, buyer, price
       await expect(nftMarketplace.connect(user1).buyToken(0, { value: prices[0] }))
         .to.emit(nftMarketplace, "MarketItemBought")
-        .withArgs(0, deployer.address, user1.address, prices[0]
+        .withArgs(0, deployer.address, user1.address, prices[0], ethers.constants.AddressZero
       )
     });
 
@@ -172,6 +328,14 @@ describe("Music-NFT Marketplace Testing", function () {
         nftMarketplace.connect(user1).buyToken(1, { value: prices[2] })
       ).to.be.revertedWith("Please send the asking price in order to complete the purchase");
     });
+
+    it("Transaction Rejected when the Token is not Listed", async function () {
+      await nftMarketplace.connect(user1).buyToken(0, { value: prices[0] });
+      // tokenId:0 is sold now, so it can not be bought again
+      await expect(
+        nftMarketplace.connect(user2).buyToken(0, { value: prices[0] })
+      ).to.be.revertedWith("Token is not listed for sale");
+    });
     
   })
 
@@ -185,26 +349,34 @@ describe("Music-NFT Marketplace Testing", function () {
     // user1 wil list the item back in the marketplace with a new price, which is suppose 2 ethers
     const resalePrice = ethToWei(2);
 
-    it("Smart Contract Wallet Balance is updated", async function() {
-      // fetching the initial balance of the smart contract wallet
-      const smartWalletInitialBalance = +weiToEth(await ethers.provider.getBalance(nftMarketplace.address));
-      // user1 is listing the music with tokenID:0 in the marketplace
-      await nftMarketplace.connect(user1).resellToken(0, resalePrice, {value: royaltyFee});
-      // fetching the updated balance of the smart contract wallet
-      const smartWalletUpdatedBalance = +weiToEth(await ethers.provider.getBalance(nftMarketplace.address));
-      // checking if the smart contract wallet balance is updated after the listing of token by user1
-      // new balance = previous balance + royalty fee
-      expect(smartWalletUpdatedBalance).to.equal(smartWalletInitialBalance + +weiToEth(royaltyFee));
+    it("Relisting is Free", async function() {
+      const smartWalletInitialBalance = await ethers.provider.getBalance(nftMarketplace.address);
+      // user1 is listing the music with tokenID:0 in the marketplace without sending any ether
+      await nftMarketplace.connect(user1).resellToken(0, resalePrice);
+      // the royalty is only paid when the token is bought, so the smart contract wallet balance is unchanged
+      expect(await ethers.provider.getBalance(nftMarketplace.address)).to.equal(smartWalletInitialBalance);
+    });
+
+    it("Seller & Artist were Credited the Payment of a Resale", async function() {
+      await nftMarketplace.connect(user1).resellToken(0, resalePrice);
+
+      const artistInitialCredit = await nftMarketplace.pendingWithdrawal(artist.address);
+
+      // user2 buys the token relisted by user1
+      await nftMarketplace.connect(user2).buyToken(0, {value: resalePrice});
+
+      expect(await nftMarketplace.pendingWithdrawal(user1.address)).to.equal(resalePrice.sub(royaltyOf(resalePrice)));
+      expect(await nftMarketplace.pendingWithdrawal(artist.address)).to.equal(artistInitialCredit.add(royaltyOf(resalePrice)));
     });
 
     it("Smart Contract is the New Owner", async function() {
-      await nftMarketplace.connect(user1).resellToken(0, resalePrice, {value: royaltyFee});
+      await nftMarketplace.connect(user1).resellToken(0, resalePrice);
       // checing if the new owner of the music token is the smart contract or not
       expect(await nftMarketplace.ownerOf(0)).to.equal(nftMarketplace.address);
     });
 
     it("Data Integrity of the Token in the Marketplace", async function() {
-      await nftMarketplace.connect(user1).resellToken(0, resalePrice, {value: royaltyFee});
+      await nftMarketplace.connect(user1).resellToken(0, resalePrice);
       // fetching info of a token from the marketplace
       const item = await nftMarketplace.marketItems(0); // marketItems array contains the data of the all the tokens
       expect(item.tokenId).to.equal(0);                 // matching the tokenId,
@@ -216,22 +388,271 @@ describe("Music-NFT Marketplace Testing", function () {
       // user1 lists the item on marketplace.
       // checking if the purchase has emitted an event with the specific arguments or not
       // the arguments are => tokenId, seller, price
-      await expect(nftMarketplace.connect(user1).resellToken(0, resalePrice, { value: royaltyFee }))
+      await expect(nftMarketplace.connect(user1).resellToken(0, resalePrice))
         .to.emit(nftMarketplace, "MarketItemRelisted")
-        .withArgs(0, user1.address, resalePrice
+        .withArgs(0, user1.address, resalePrice, ethers.constants.AddressZero
       )
     });
 
     it("Transaction Rejected when Price is set to Zero", async function () {
       await expect(
-        nftMarketplace.connect(user1).resellToken(0, 0, { value: royaltyFee })
+        nftMarketplace.connect(user1).resellToken(0, 0)
         ).to.be.revertedWith("Please set a Positive Number as the price of the item");
     });
 
-    it("Transaction Rejected when required Royalty Fee is not Paid", async function () {
-      await expect(
-        nftMarketplace.connect(user1).resellToken(0, resalePrice, { value: 0 })
-      ).to.be.revertedWith("Please send the required Royalty Fee in order to relist the item on Marketplace");
+  });
+
+  describe("Cancelling and Repricing Listings", function () {
+
+    const resalePrice = ethToWei(2);
+
+    // user1 buys token 0 and relists it, so user1 is the seller of token 0 while the deployer is the seller of the others
+    beforeEach(async function () {
+      await nftMarketplace.connect(user1).buyToken(0, { value: prices[0] });
+      await nftMarketplace.connect(user1).resellToken(0, resalePrice);
+    });
+
+    it("Seller CAN cancel its Listing", async function () {
+      await nftMarketplace.connect(user1).cancelListing(0);
+
+      // the token is back with the seller and is no longer for sale
+      expect(await nftMarketplace.ownerOf(0)).to.equal(user1.address);
+      expect((await nftMarketplace.marketItems(0)).seller).to.equal("0x0000000000000000000000000000000000000000");
+    });
+
+    it("Original Seller CAN cancel a Listing made at Deployment", async function () {
+      await nftMarketplace.connect(deployer).cancelListing(1);
+      expect(await nftMarketplace.ownerOf(1)).to.equal(deployer.address);
+    });
+
+    it("Emitted an event of Cancelling a Listing", async function () {
+      await expect(nftMarketplace.connect(user1).cancelListing(0))
+        .to.emit(nftMarketplace, "MarketItemCancelled")
+        .withArgs(0, user1.address);
+    });
+
+    it("Third person CAN NOT cancel a Listing", async function () {
+      await expect(nftMarketplace.connect(user2).cancelListing(0)).to.be.revertedWith("Only the seller can cancel the listing");
+      await expect(nftMarketplace.connect(user1).cancelListing(1)).to.be.revertedWith("Only the seller can cancel the listing");
+    });
+
+    it("Cancelled Listing CAN NOT be cancelled again or bought", async function () {
+      await nftMarketplace.connect(user1).cancelListing(0);
+      await expect(nftMarketplace.connect(user1).cancelListing(0)).to.be.revertedWith("Only the seller can cancel the listing");
+      await expect(nftMarketplace.connect(user2).buyToken(0, { value: resalePrice })).to.be.reverted;
+    });
+
+    it("Cancelled Token CAN be relisted", async function () {
+      await nftMarketplace.connect(user1).cancelListing(0);
+      await nftMarketplace.connect(user1).resellToken(0, ethToWei(3));
+      expect((await nftMarketplace.marketItems(0)).price).to.equal(ethToWei(3));
+    });
+
+    it("Getter functions stayed consistent after Cancelling", async function () {
+      await nftMarketplace.connect(user1).cancelListing(0);
+      await nftMarketplace.connect(deployer).cancelListing(1);
+
+      const unsoldItems = await nftMarketplace.getAllUnsoldTokens();
+      expect(unsoldItems.length).to.equal(prices.length - 2);
+      expect(unsoldItems.some(i => i.tokenId.toNumber() === 0 || i.tokenId.toNumber() === 1)).to.equal(false);
+
+      expect((await nftMarketplace.connect(user1).getMyTokens()).map(i => i.tokenId.toNumber())).to.deep.equal([0]);
+      expect((await nftMarketplace.connect(deployer).getMyTokens()).map(i => i.tokenId.toNumber())).to.deep.equal([1]);
+    });
+
+    it("Seller CAN update the Price of its Listing", async function () {
+      await expect(nftMarketplace.connect(user1).updateListingPrice(0, ethToWei(5)))
+        .to.emit(nftMarketplace, "MarketItemPriceUpdated")
+        .withArgs(0, user1.address, ethToWei(5), ethers.constants.AddressZero);
+
+      const item = await nftMarketplace.marketItems(0);
+      expect(item.price).to.equal(ethToWei(5));
+      expect(item.seller).to.equal(user1.address);
+
+      // the token is now sold for the new price only
+      await expect(nftMarketplace.connect(user2).buyToken(0, { value: resalePrice }))
+        .to.be.revertedWith("Please send the asking price in order to complete the purchase");
+      await nftMarketplace.connect(user2).buyToken(0, { value: ethToWei(5) });
+      expect(await nftMarketplace.ownerOf(0)).to.equal(user2.address);
+    });
+
+    it("Third person CAN NOT update the Price of a Listing", async function () {
+      await expect(nftMarketplace.connect(user2).updateListingPrice(0, 1)).to.be.revertedWith("Only the seller or a manager can update the price");
+      await expect(nftMarketplace.connect(user1).updateListingPrice(1, 1)).to.be.revertedWith("Only the seller or a manager can update the price");
+    });
+
+    it("Price of a sold Token CAN NOT be updated", async function () {
+      await nftMarketplace.connect(user2).buyToken(0, { value: resalePrice });
+      await expect(nftMarketplace.connect(user1).updateListingPrice(0, 1)).to.be.revertedWith("Only the seller or a manager can update the price");
+    });
+
+    it("Transaction Rejected when the new Price is set to Zero", async function () {
+      await expect(nftMarketplace.connect(user1).updateListingPrice(0, 0)).to.be.revertedWith("Please set a Positive Number as the price of the item");
+    });
+
+  });
+
+  describe("Withdrawal of Payments", function () {
+
+    beforeEach(async function () {
+      await nftMarketplace.connect(user1).buyToken(0, { value: prices[0] });
+    });
+
+    it("Seller & Artist Received the Payment on Withdrawal", async function () {
+      const sellerInitialBalance = await deployer.getBalance();
+      const artistInitialBalance = await artist.getBalance();
+
+      // the gas paid for the withdrawal transactions has to be taken into account
+      const gasCost = (receipt) => receipt.gasUsed.mul(receipt.effectiveGasPrice);
+      const sellerReceipt = await (await nftMarketplace.connect(deployer).withdraw()).wait();
+      const artistReceipt = await (await nftMarketplace.connect(artist).withdraw()).wait();
+
+      expect(await deployer.getBalance()).to.equal(sellerInitialBalance.add(prices[0]).sub(royaltyOf(prices[0])).sub(gasCost(sellerReceipt)));
+      expect(await artist.getBalance()).to.equal(artistInitialBalance.add(royaltyOf(prices[0])).sub(gasCost(artistReceipt)));
+      // nothing is left behind in the smart contract wallet
+      expect(await ethers.provider.getBalance(nftMarketplace.address)).to.equal(0);
+    });
+
+    it("Cleared the Balance after Withdrawal", async function () {
+      await nftMarketplace.connect(artist).withdraw();
+      expect(await nftMarketplace.pendingWithdrawal(artist.address)).to.equal(0);
+      await expect(nftMarketplace.connect(artist).withdraw()).to.be.revertedWith("No funds to withdraw");
+    });
+
+    it("Emitted an event of Withdrawing", async function () {
+      await expect(nftMarketplace.connect(artist).withdraw())
+        .to.emit(nftMarketplace, "Withdrawn")
+        .withArgs(artist.address, royaltyOf(prices[0]));
+    });
+
+    it("Transaction Rejected when there is Nothing to Withdraw", async function () {
+      await expect(nftMarketplace.connect(user2).withdraw()).to.be.revertedWith("No funds to withdraw");
+    });
+
+    describe("Smart Contract Wallets", function () {
+
+      let recipient;
+
+      // the recipient contract buys token 1 and relists it, so it becomes the seller
+      beforeEach(async function () {
+        const TestRecipientFactory = await ethers.getContractFactory("TestRecipient");
+        recipient = await TestRecipientFactory.deploy(nftMarketplace.address);
+        await recipient.buy(1, { value: prices[1] });
+        await recipient.relist(1, prices[2]);
+      });
+
+      it("A Seller Rejecting Ether CAN NOT block the Sale", async function () {
+        await recipient.setReverting(true);
+
+        await nftMarketplace.connect(user2).buyToken(1, { value: prices[2] });
+
+        expect(await nftMarketplace.ownerOf(1)).to.equal(user2.address);
+        expect(await nftMarketplace.pendingWithdrawal(recipient.address)).to.equal(prices[2].sub(royaltyOf(prices[2])));
+        // its own withdrawal fails, but the funds stay credited
+        await expect(recipient.withdraw()).to.be.revertedWith("Withdrawal failed");
+        expect(await nftMarketplace.pendingWithdrawal(recipient.address)).to.equal(prices[2].sub(royaltyOf(prices[2])));
+      });
+
+      it("A Smart Contract Seller CAN Withdraw with more than 2300 Gas", async function () {
+        await nftMarketplace.connect(user2).buyToken(1, { value: prices[2] });
+
+        // receiving with re-entering costs more than the stipend "transfer" used to forward
+        await recipient.setReentering(true);
+        await recipient.withdraw();
+
+        expect(await ethers.provider.getBalance(recipient.address)).to.equal(prices[2].sub(royaltyOf(prices[2])));
+        expect(await nftMarketplace.pendingWithdrawal(recipient.address)).to.equal(0);
+      });
+
+      it("Withdrawal CAN NOT be Re-entered", async function () {
+        await nftMarketplace.connect(user2).buyToken(1, { value: prices[2] });
+
+        await recipient.setReentering(true);
+        await recipient.withdraw();
+
+        expect(await recipient.reentrySucceeded()).to.equal(false);
+      });
+
+    });
+
+  });
+
+  describe("Royalties (EIP-2981)", function () {
+
+    it("Reported the Artist and the Royalty Amount of a Sale", async function () {
+      const [receiver, royaltyAmount] = await nftMarketplace.royaltyInfo(0, prices[0]);
+      expect(receiver).to.equal(artist.address);
+      expect(royaltyAmount).to.equal(ethToWei(0.025));  // 2.5% of 1 ether
+    });
+
+    it("Rounded the Royalty Amount down", async function () {
+      // 2.5% of 9999 wei is 249.975 wei, the seller keeps the fraction
+      const [, royaltyAmount] = await nftMarketplace.royaltyInfo(0, 9999);
+      expect(royaltyAmount).to.equal(249);
+      // prices smaller than one basis point pay no royalty at all
+      expect((await nftMarketplace.royaltyInfo(0, 39))[1]).to.equal(0);
+    });
+
+    it("Split an odd Price without losing any Wei", async function () {
+      const price = ethers.BigNumber.from(9999);
+      await nftMarketplace.connect(user1).buyToken(0, { value: prices[0] });
+      await nftMarketplace.connect(user1).resellToken(0, price);
+
+      const artistInitialCredit = await nftMarketplace.pendingWithdrawal(artist.address);
+      await nftMarketplace.connect(user2).buyToken(0, { value: price });
+
+      expect(await nftMarketplace.pendingWithdrawal(user1.address)).to.equal(9750);
+      expect(await nftMarketplace.pendingWithdrawal(artist.address)).to.equal(artistInitialCredit.add(249));
+    });
+
+    it("Applied a Per-Token Royalty Fee Override", async function () {
+      await expect(nftMarketplace.setTokenRoyaltyFee(1, 1000))
+        .to.emit(nftMarketplace, "TokenRoyaltyFeeUpdated")
+        .withArgs(1, 1000);
+
+      expect(await nftMarketplace.getRoyaltyFee(1)).to.equal(1000);
+      expect((await nftMarketplace.royaltyInfo(1, prices[1]))[1]).to.equal(royaltyOf(prices[1], 1000));
+      // the other tokens keep the default royalty fee, even when it changes
+      await nftMarketplace.updateRoyaltyFee(100);
+      expect(await nftMarketplace.getRoyaltyFee(0)).to.equal(100);
+      expect(await nftMarketplace.getRoyaltyFee(1)).to.equal(1000);
+
+      await nftMarketplace.connect(user1).buyToken(1, { value: prices[1] });
+      expect(await nftMarketplace.pendingWithdrawal(artist.address)).to.equal(royaltyOf(prices[1], 1000));
+    });
+
+    it("Applied a Per-Token Royalty Fee Override of Zero", async function () {
+      await nftMarketplace.setTokenRoyaltyFee(2, 0);
+      expect((await nftMarketplace.royaltyInfo(2, prices[2]))[1]).to.equal(0);
+    });
+
+    it("Reset a Token to the Default Royalty Fee", async function () {
+      await nftMarketplace.setTokenRoyaltyFee(1, 1000);
+      await expect(nftMarketplace.resetTokenRoyaltyFee(1))
+        .to.emit(nftMarketplace, "TokenRoyaltyFeeReset")
+        .withArgs(1);
+      expect(await nftMarketplace.getRoyaltyFee(1)).to.equal(royaltyFee);
+    });
+
+    it("Per-Token Royalty Fee CAN NOT exceed the Maximum", async function () {
+      await expect(nftMarketplace.setTokenRoyaltyFee(1, 1001)).to.be.revertedWith("Royalty Fee can not exceed the maximum");
+    });
+
+    it("Third person CAN NOT override the Royalty Fee of a Token", async function () {
+      await expect(nftMarketplace.connect(user1).setTokenRoyaltyFee(1, 0)).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(nftMarketplace.connect(user1).resetTokenRoyaltyFee(1)).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Royalty Fee CAN NOT be set for a Token that does not exist", async function () {
+      await expect(nftMarketplace.setTokenRoyaltyFee(prices.length, 100)).to.be.revertedWith("Token does not exist");
+    });
+
+    it("Supported the EIP-2981 Interface", async function () {
+      expect(await nftMarketplace.supportsInterface("0x2a55205a")).to.equal(true);  // IERC2981
+      expect(await nftMarketplace.supportsInterface("0x80ac58cd")).to.equal(true);  // IERC721
+      expect(await nftMarketplace.supportsInterface("0x5b5e139f")).to.equal(true);  // IERC721Metadata
+      expect(await nftMarketplace.supportsInterface("0x01ffc9a7")).to.equal(true);  // IERC165
+      expect(await nftMarketplace.supportsInterface("0xffffffff")).to.equal(false);
     });
 
   });
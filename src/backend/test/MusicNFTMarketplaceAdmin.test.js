@@ -0,0 +1,174 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { signListing } = require("../../shared/signedOrders");
+
+const ethToWei = (num) => ethers.utils.parseEther(num.toString()) // string => bigNumber
+
+describe("Music-NFT Marketplace Admin Testing", function () {
+
+  let nftMarketplace, tradingModule;
+  let deployer, artist, user1, user2, treasury;
+  const royaltyFee = 250;  // 2.5%
+  const platformFee = 500;  // 5%
+  const prices = [ethToWei(1), ethToWei(2), ethToWei(3)];
+  const shareOf = (price, fee) => price.mul(fee).div(10000);
+
+  beforeEach(async function () {
+    [deployer, artist, user1, user2, treasury] = await ethers.getSigners();
+    tradingModule = await (await ethers.getContractFactory("MusicNFTMarketplaceTrading")).deploy();
+    const NFTMarketplaceFactory = await ethers.getContractFactory("MusicNFTMarketplace");
+    nftMarketplace = await NFTMarketplaceFactory.deploy(tradingModule.address, royaltyFee, artist.address, prices);
+  });
+
+  describe("Platform Fee", function () {
+
+    it("Platform Fee is Zero and the Treasury is the Deployer by default", async function () {
+      expect(await nftMarketplace.platformFee()).to.equal(0);
+      expect(await nftMarketplace.treasury()).to.equal(deployer.address);
+    });
+
+    it("Owner CAN set the Platform Fee and the Treasury", async function () {
+      await expect(nftMarketplace.setPlatformFee(platformFee))
+        .to.emit(nftMarketplace, "PlatformFeeUpdated")
+        .withArgs(platformFee);
+      await expect(nftMarketplace.setTreasury(treasury.address))
+        .to.emit(nftMarketplace, "TreasuryUpdated")
+        .withArgs(treasury.address);
+
+      expect(await nftMarketplace.platformFee()).to.equal(platformFee);
+      expect(await nftMarketplace.treasury()).to.equal(treasury.address);
+    });
+
+    it("Third person CAN NOT set the Platform Fee or the Treasury", async function () {
+      await expect(nftMarketplace.connect(user1).setPlatformFee(platformFee)).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(nftMarketplace.connect(user1).setTreasury(user1.address)).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Transaction Rejected when the Platform Fee exceeds the Maximum or the Treasury is Zero", async function () {
+      await expect(nftMarketplace.setPlatformFee(1001)).to.be.revertedWith("Platform Fee can not exceed the maximum");
+      await expect(nftMarketplace.setTreasury(ethers.constants.AddressZero)).to.be.revertedWith("Treasury can not be the zero address");
+    });
+
+    it("Treasury was Credited the Platform Fee of a Purchase", async function () {
+      await nftMarketplace.setPlatformFee(platformFee);
+      await nftMarketplace.setTreasury(treasury.address);
+      const artistInitialCredit = await nftMarketplace.pendingWithdrawal(artist.address);
+
+      await nftMarketplace.connect(user1).buyToken(2, { value: prices[2] });
+
+      const fee = shareOf(prices[2], platformFee);
+      const royalty = shareOf(prices[2], royaltyFee);
+      expect(await nftMarketplace.pendingWithdrawal(treasury.address)).to.equal(fee);
+      expect(await nftMarketplace.pendingWithdrawal(artist.address)).to.equal(artistInitialCredit.add(royalty));
+      // the deployer listed the token, it gets the rest
+      expect(await nftMarketplace.pendingWithdrawal(deployer.address)).to.equal(prices[2].sub(fee).sub(royalty));
+
+      await expect(nftMarketplace.connect(treasury).withdraw())
+        .to.emit(nftMarketplace, "Withdrawn")
+        .withArgs(treasury.address, fee);
+    });
+
+  });
+
+  describe("Pause", function () {
+
+    beforeEach(async function () {
+      await nftMarketplace.connect(user1).buyToken(0, { value: prices[0] });
+      await expect(nftMarketplace.pause())
+        .to.emit(nftMarketplace, "Paused")
+        .withArgs(deployer.address);
+    });
+
+    it("Buying and Relisting are stopped while Paused", async function () {
+      await expect(nftMarketplace.connect(user2).buyToken(1, { value: prices[1] })).to.be.revertedWith("Pausable: paused");
+      await expect(nftMarketplace.connect(user1).resellToken(0, ethToWei(5))).to.be.revertedWith("Pausable: paused");
+      await expect(nftMarketplace.connect(user1).createAuction(0, ethToWei(1), 3600)).to.be.revertedWith("Pausable: paused");
+
+      const expiry = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const { order, signature } = await signListing(nftMarketplace, user1, { tokenId: 0, price: ethToWei(5), expiry });
+      await expect(nftMarketplace.connect(user2).buyWithSignature(order, signature, { value: ethToWei(5) }))
+        .to.be.revertedWith("Pausable: paused");
+    });
+
+    it("Sellers CAN still cancel their Listings and Withdraw while Paused", async function () {
+      await nftMarketplace.connect(deployer).cancelListing(1);
+      expect(await nftMarketplace.ownerOf(1)).to.equal(deployer.address);
+      await nftMarketplace.connect(artist).withdraw();
+    });
+
+    it("Trading resumed once Unpaused", async function () {
+      await expect(nftMarketplace.unpause())
+        .to.emit(nftMarketplace, "Unpaused")
+        .withArgs(deployer.address);
+      await nftMarketplace.connect(user2).buyToken(1, { value: prices[1] });
+      expect(await nftMarketplace.ownerOf(1)).to.equal(user2.address);
+    });
+
+    it("Third person CAN NOT Pause or Unpause", async function () {
+      await expect(nftMarketplace.connect(user1).unpause()).to.be.revertedWith("Ownable: caller is not the owner");
+      await nftMarketplace.unpause();
+      await expect(nftMarketplace.connect(user1).pause()).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+  });
+
+  describe("Copyright Takedown", function () {
+
+    it("Listed Token was Delisted and returned to its Seller", async function () {
+      await expect(nftMarketplace.takedownToken(1))
+        .to.emit(nftMarketplace, "TokenTakenDown")
+        .withArgs(1);
+
+      expect(await nftMarketplace.takenDown(1)).to.equal(true);
+      expect(await nftMarketplace.ownerOf(1)).to.equal(deployer.address);
+      expect((await nftMarketplace.marketItems(1)).seller).to.equal(ethers.constants.AddressZero);
+      expect((await nftMarketplace.getAllUnsoldTokens()).map(i => i.tokenId.toNumber()).sort()).to.deep.equal([0, 2]);
+      await expect(nftMarketplace.connect(user1).buyToken(1, { value: prices[1] })).to.be.revertedWith("Token is not listed for sale");
+    });
+
+    it("Taken down Token CAN NOT be listed again until Restored", async function () {
+      await nftMarketplace.connect(user1).buyToken(0, { value: prices[0] });
+      await nftMarketplace.takedownToken(0);
+
+      await expect(nftMarketplace.connect(user1).resellToken(0, ethToWei(5))).to.be.revertedWith("Token has been taken down");
+      await expect(nftMarketplace.connect(user1).createAuction(0, ethToWei(1), 3600)).to.be.revertedWith("Token has been taken down");
+      const expiry = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const { order, signature } = await signListing(nftMarketplace, user1, { tokenId: 0, price: ethToWei(5), expiry });
+      await expect(nftMarketplace.connect(user2).buyWithSignature(order, signature, { value: ethToWei(5) }))
+        .to.be.revertedWith("Token has been taken down");
+
+      await expect(nftMarketplace.restoreToken(0))
+        .to.emit(nftMarketplace, "TokenRestored")
+        .withArgs(0);
+      await nftMarketplace.connect(user1).resellToken(0, ethToWei(5));
+      expect((await nftMarketplace.marketItems(0)).seller).to.equal(user1.address);
+    });
+
+    it("Running Auction was Cancelled and the Highest Bid Credited back", async function () {
+      await nftMarketplace.connect(user1).buyToken(0, { value: prices[0] });
+      await nftMarketplace.connect(user1).createAuction(0, ethToWei(1), 3600);
+      await nftMarketplace.connect(user2).placeBid(0, { value: ethToWei(2) });
+
+      await nftMarketplace.takedownToken(0);
+
+      expect(await nftMarketplace.ownerOf(0)).to.equal(user1.address);
+      expect((await nftMarketplace.auctions(0)).seller).to.equal(ethers.constants.AddressZero);
+      expect(await nftMarketplace.pendingWithdrawal(user2.address)).to.equal(ethToWei(2));
+    });
+
+    it("Only the Owner or a Moderator CAN take down or restore a Token", async function () {
+      await expect(nftMarketplace.connect(artist).takedownToken(1)).to.be.revertedWith("Only the owner or a moderator can moderate tokens");
+      await nftMarketplace.takedownToken(1);
+      await expect(nftMarketplace.connect(artist).restoreToken(1)).to.be.revertedWith("Only the owner or a moderator can moderate tokens");
+    });
+
+    it("Transaction Rejected for unknown or already handled Tokens", async function () {
+      await expect(nftMarketplace.takedownToken(99)).to.be.revertedWith("Token does not exist");
+      await expect(nftMarketplace.restoreToken(1)).to.be.revertedWith("Token has not been taken down");
+      await nftMarketplace.takedownToken(1);
+      await expect(nftMarketplace.takedownToken(1)).to.be.revertedWith("Token has already been taken down");
+    });
+
+  });
+
+});
@@ -0,0 +1,220 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const ethToWei = (num) => ethers.utils.parseEther(num.toString()) // string => bigNumber
+
+// moves the time of the hardhat network forward and mines a block with the new timestamp
+const increaseTime = async (seconds) => {
+  await ethers.provider.send("evm_increaseTime", [seconds]);
+  await ethers.provider.send("evm_mine", []);
+};
+
+const latestTimestamp = async () => (await ethers.provider.getBlock("latest")).timestamp;
+
+describe("Music-NFT Marketplace Auction Testing", function () {
+
+  let nftMarketplace, tradingModule;
+  let deployer, artist, seller, bidder1, bidder2;
+  const royaltyFee = 250;  // 2.5%
+  const prices = [ethToWei(1), ethToWei(2), ethToWei(3)];
+  const reservePrice = ethToWei(1);
+  const duration = 60 * 60 * 24;  // one day
+  const royaltyOf = (price) => price.mul(royaltyFee).div(10000);
+
+  // the seller buys token 0 and puts it up for auction
+  beforeEach(async function () {
+    [deployer, artist, seller, bidder1, bidder2] = await ethers.getSigners();
+    tradingModule = await (await ethers.getContractFactory("MusicNFTMarketplaceTrading")).deploy();
+    const NFTMarketplaceFactory = await ethers.getContractFactory("MusicNFTMarketplace");
+    nftMarketplace = await NFTMarketplaceFactory.deploy(tradingModule.address, royaltyFee, artist.address, prices);
+
+    await nftMarketplace.connect(seller).buyToken(0, { value: prices[0] });
+    await nftMarketplace.connect(seller).createAuction(0, reservePrice, duration);
+  });
+
+  describe("Creation of Auctions", function () {
+
+    it("Smart Contract holds the Token during the Auction", async function () {
+      expect(await nftMarketplace.ownerOf(0)).to.equal(nftMarketplace.address);
+
+      const auction = await nftMarketplace.auctions(0);
+      expect(auction.seller).to.equal(seller.address);
+      expect(auction.reservePrice).to.equal(reservePrice);
+      expect(auction.endTime).to.equal((await latestTimestamp()) + duration);
+      expect(auction.highestBidder).to.equal(ethers.constants.AddressZero);
+    });
+
+    it("Emitted an event of Creating an Auction", async function () {
+      await nftMarketplace.connect(bidder1).buyToken(1, { value: prices[1] });
+      const tx = await nftMarketplace.connect(bidder1).createAuction(1, reservePrice, duration);
+      const endTime = (await latestTimestamp()) + duration;
+      await expect(tx)
+        .to.emit(nftMarketplace, "AuctionCreated")
+        .withArgs(1, bidder1.address, reservePrice, endTime);
+    });
+
+    it("Third person CAN NOT auction a Token it does not own", async function () {
+      // token 1 is still listed, so it is owned by the contract, not by bidder1
+      await expect(nftMarketplace.connect(bidder1).createAuction(1, reservePrice, duration))
+        .to.be.revertedWith("ERC721: transfer from incorrect owner");
+    });
+
+    it("Transaction Rejected when Reserve Price is Zero", async function () {
+      await nftMarketplace.connect(bidder1).buyToken(1, { value: prices[1] });
+      await expect(nftMarketplace.connect(bidder1).createAuction(1, 0, duration))
+        .to.be.revertedWith("Please set a Positive Number as the reserve price");
+    });
+
+    it("Transaction Rejected when Duration is out of Range", async function () {
+      await nftMarketplace.connect(bidder1).buyToken(1, { value: prices[1] });
+      await expect(nftMarketplace.connect(bidder1).createAuction(1, reservePrice, 0))
+        .to.be.revertedWith("Auction duration must be between zero and 30 days");
+      await expect(nftMarketplace.connect(bidder1).createAuction(1, reservePrice, 60 * 60 * 24 * 31))
+        .to.be.revertedWith("Auction duration must be between zero and 30 days");
+    });
+
+    it("Auctioned Token is not among the Unsold Tokens and CAN NOT be bought", async function () {
+      const unsoldItems = await nftMarketplace.getAllUnsoldTokens();
+      // the listings are not kept in tokenId order
+      expect(unsoldItems.map(i => i.tokenId.toNumber()).sort()).to.deep.equal([1, 2]);
+
+      await expect(nftMarketplace.connect(bidder1).buyToken(0, { value: prices[0] }))
+        .to.be.revertedWith("Token is not listed for sale");
+    });
+
+  });
+
+  describe("Bidding", function () {
+
+    it("Accepted a first Bid at the Reserve Price", async function () {
+      await expect(nftMarketplace.connect(bidder1).placeBid(0, { value: reservePrice }))
+        .to.emit(nftMarketplace, "BidPlaced");
+
+      const auction = await nftMarketplace.auctions(0);
+      expect(auction.highestBidder).to.equal(bidder1.address);
+      expect(auction.highestBid).to.equal(reservePrice);
+    });
+
+    it("Transaction Rejected when first Bid is below the Reserve Price", async function () {
+      await expect(nftMarketplace.connect(bidder1).placeBid(0, { value: reservePrice.sub(1) }))
+        .to.be.revertedWith("Bid must be at least the reserve price");
+    });
+
+    it("Transaction Rejected when Bid does not beat the Highest Bid by the Minimum Increment", async function () {
+      await nftMarketplace.connect(bidder1).placeBid(0, { value: reservePrice });
+      // the highest bid is 1 ether, so the next one has to be at least 1.05 ether
+      await expect(nftMarketplace.connect(bidder2).placeBid(0, { value: ethToWei(1.049) }))
+        .to.be.revertedWith("Bid must be higher than the highest bid by the minimum increment");
+      await nftMarketplace.connect(bidder2).placeBid(0, { value: ethToWei(1.05) });
+      expect((await nftMarketplace.auctions(0)).highestBidder).to.equal(bidder2.address);
+    });
+
+    it("Outbid Bidder was Credited its Bid back", async function () {
+      await nftMarketplace.connect(bidder1).placeBid(0, { value: reservePrice });
+      await nftMarketplace.connect(bidder2).placeBid(0, { value: ethToWei(2) });
+
+      expect(await nftMarketplace.pendingWithdrawal(bidder1.address)).to.equal(reservePrice);
+      expect(await nftMarketplace.pendingWithdrawal(bidder2.address)).to.equal(0);
+
+      // the refund is withdrawn like any other payment
+      await expect(nftMarketplace.connect(bidder1).withdraw())
+        .to.emit(nftMarketplace, "Withdrawn")
+        .withArgs(bidder1.address, reservePrice);
+    });
+
+    it("Seller CAN NOT bid on its own Auction", async function () {
+      await expect(nftMarketplace.connect(seller).placeBid(0, { value: reservePrice }))
+        .to.be.revertedWith("Seller can not bid on its own auction");
+    });
+
+    it("Transaction Rejected when there is no Auction", async function () {
+      await expect(nftMarketplace.connect(bidder1).placeBid(1, { value: reservePrice }))
+        .to.be.revertedWith("There is no auction for this token");
+    });
+
+    it("Transaction Rejected when the Auction has Ended", async function () {
+      await increaseTime(duration);
+      await expect(nftMarketplace.connect(bidder1).placeBid(0, { value: reservePrice }))
+        .to.be.revertedWith("Auction has already ended");
+    });
+
+    it("Bid placed early did not extend the Auction", async function () {
+      const endTime = (await nftMarketplace.auctions(0)).endTime;
+      await nftMarketplace.connect(bidder1).placeBid(0, { value: reservePrice });
+      expect((await nftMarketplace.auctions(0)).endTime).to.equal(endTime);
+    });
+
+    it("Late Bid extended the End of the Auction", async function () {
+      // 5 minutes before the end
+      await increaseTime(duration - 5 * 60);
+
+      const tx = await nftMarketplace.connect(bidder1).placeBid(0, { value: reservePrice });
+      const newEndTime = (await latestTimestamp()) + 10 * 60;
+      await expect(tx)
+        .to.emit(nftMarketplace, "BidPlaced")
+        .withArgs(0, bidder1.address, reservePrice, newEndTime);
+      expect((await nftMarketplace.auctions(0)).endTime).to.equal(newEndTime);
+
+      // the auction is still running after its original end time
+      await increaseTime(6 * 60);
+      await nftMarketplace.connect(bidder2).placeBid(0, { value: ethToWei(2) });
+      await expect(nftMarketplace.settleAuction(0)).to.be.revertedWith("Auction has not ended yet");
+    });
+
+  });
+
+  describe("Settlement", function () {
+
+    it("Transaction Rejected when the Auction has not Ended", async function () {
+      await nftMarketplace.connect(bidder1).placeBid(0, { value: reservePrice });
+      await expect(nftMarketplace.settleAuction(0)).to.be.revertedWith("Auction has not ended yet");
+    });
+
+    it("Highest Bidder received the Token and Seller & Artist were Credited", async function () {
+      await nftMarketplace.connect(bidder1).placeBid(0, { value: reservePrice });
+      await nftMarketplace.connect(bidder2).placeBid(0, { value: ethToWei(3) });
+      await increaseTime(duration);
+
+      const artistInitialCredit = await nftMarketplace.pendingWithdrawal(artist.address);
+      // anyone can settle an auction which has ended
+      await expect(nftMarketplace.connect(deployer).settleAuction(0))
+        .to.emit(nftMarketplace, "AuctionSettled")
+        .withArgs(0, bidder2.address, ethToWei(3));
+
+      expect(await nftMarketplace.ownerOf(0)).to.equal(bidder2.address);
+      expect(await nftMarketplace.pendingWithdrawal(seller.address)).to.equal(ethToWei(3).sub(royaltyOf(ethToWei(3))));
+      expect(await nftMarketplace.pendingWithdrawal(artist.address)).to.equal(artistInitialCredit.add(royaltyOf(ethToWei(3))));
+      expect((await nftMarketplace.marketItems(0)).price).to.equal(ethToWei(3));
+      // the auction is gone
+      expect((await nftMarketplace.auctions(0)).seller).to.equal(ethers.constants.AddressZero);
+    });
+
+    it("Token went back to the Seller when there was no Bid", async function () {
+      await increaseTime(duration);
+      await expect(nftMarketplace.settleAuction(0))
+        .to.emit(nftMarketplace, "AuctionSettled")
+        .withArgs(0, ethers.constants.AddressZero, 0);
+
+      expect(await nftMarketplace.ownerOf(0)).to.equal(seller.address);
+      expect(await nftMarketplace.pendingWithdrawal(seller.address)).to.equal(0);
+    });
+
+    it("Auction CAN NOT be settled twice", async function () {
+      await increaseTime(duration);
+      await nftMarketplace.settleAuction(0);
+      await expect(nftMarketplace.settleAuction(0)).to.be.revertedWith("There is no auction for this token");
+    });
+
+    it("Winner CAN relist the Token and Getter functions stayed consistent", async function () {
+      await nftMarketplace.connect(bidder1).placeBid(0, { value: reservePrice });
+      await increaseTime(duration);
+      await nftMarketplace.settleAuction(0);
+
+      expect((await nftMarketplace.connect(bidder1).getMyTokens()).map(i => i.tokenId.toNumber())).to.deep.equal([0]);
+      await nftMarketplace.connect(bidder1).resellToken(0, ethToWei(5));
+      expect((await nftMarketplace.getAllUnsoldTokens()).map(i => i.tokenId.toNumber()).sort()).to.deep.equal([0, 1, 2]);
+    });
+
+  });
+
+});
@@ -0,0 +1,282 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const ethToWei = (num) => ethers.utils.parseEther(num.toString()) // string => bigNumber
+// the mock stablecoin has 6 decimals, like USDC
+const usdc = (num) => ethers.utils.parseUnits(num.toString(), 6)
+
+describe("Music-NFT Marketplace Bundle and Cart Testing", function () {
+
+  let nftMarketplace, stablecoin, tradingModule;
+  let deployer, artist, user1, user2, manager;
+  const royaltyFee = 250;  // 2.5%
+  const prices = [ethToWei(1), ethToWei(2), ethToWei(3), ethToWei(4), ethToWei(5)];
+  const shareOf = (price, fee) => price.mul(fee).div(10000);
+  const MANAGER_ROLE = ethers.utils.id("MANAGER_ROLE");
+
+  // the 3 first tracks are bundled by the deployer (their seller) as an album, at 5 ETH instead of 6
+  const albumPrice = ethToWei(5);
+  // 5 ETH split between 3 tokens, the first ones getting the wei left over
+  const albumShares = [albumPrice.div(3).add(1), albumPrice.div(3).add(1), albumPrice.div(3)];
+
+  beforeEach(async function () {
+    [deployer, artist, user1, user2, manager] = await ethers.getSigners();
+    tradingModule = await (await ethers.getContractFactory("MusicNFTMarketplaceTrading")).deploy();
+    const NFTMarketplaceFactory = await ethers.getContractFactory("MusicNFTMarketplace");
+    nftMarketplace = await NFTMarketplaceFactory.deploy(tradingModule.address, royaltyFee, artist.address, prices);
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    stablecoin = await MockERC20.deploy("USD Coin", "USDC", 6);
+    await stablecoin.mint(user1.address, usdc(1000));
+  });
+
+  describe("Creating Bundles", function () {
+
+    it("Seller CAN bundle its Listings", async function () {
+      await expect(nftMarketplace.createBundle("Album", [0, 1, 2], albumPrice))
+        .to.emit(nftMarketplace, "BundleCreated")
+        .withArgs(0, deployer.address, albumPrice, "Album", [0, 1, 2]);
+
+      const [bundle] = await nftMarketplace.getBundles();
+      expect(bundle.bundleId).to.equal(0);
+      expect(bundle.seller).to.equal(deployer.address);
+      expect(bundle.price).to.equal(albumPrice);
+      expect(bundle.name).to.equal("Album");
+      expect(bundle.tokenIds.map(id => id.toNumber())).to.deep.equal([0, 1, 2]);
+      // the tokens stay listed on their own
+      expect(await nftMarketplace.listingCount()).to.equal(prices.length);
+    });
+
+    it("Bundle id returned to the Seller", async function () {
+      expect(await nftMarketplace.callStatic.createBundle("Album", [0, 1], albumPrice)).to.equal(0);
+      await nftMarketplace.createBundle("Album", [0, 1], albumPrice);
+      expect(await nftMarketplace.callStatic.createBundle("EP", [3, 4], albumPrice)).to.equal(1);
+    });
+
+    it("Manager CAN bundle the Listings of the Catalogue", async function () {
+      await nftMarketplace.grantRole(MANAGER_ROLE, manager.address);
+      await expect(nftMarketplace.connect(manager).createBundle("EP", [3, 4], ethToWei(8)))
+        .to.emit(nftMarketplace, "BundleCreated")
+        .withArgs(0, deployer.address, ethToWei(8), "EP", [3, 4]);
+    });
+
+    it("Third person CAN NOT bundle the Listings of a Seller", async function () {
+      await expect(nftMarketplace.connect(user1).createBundle("Album", [0, 1], albumPrice))
+        .to.be.revertedWith("Only the seller of every token or a manager can bundle them");
+    });
+
+    it("Seller CAN NOT bundle the Listings of another Seller", async function () {
+      await nftMarketplace.connect(user1).buyToken(0, { value: prices[0] });
+      await nftMarketplace.connect(user1).resellToken(0, ethToWei(2));
+
+      await expect(nftMarketplace.connect(user1).createBundle("Mixtape", [0, 1], albumPrice))
+        .to.be.revertedWith("Only the seller of every token or a manager can bundle them");
+      // a manager can not bundle the resale of an user with the catalogue either
+      await nftMarketplace.grantRole(MANAGER_ROLE, manager.address);
+      await expect(nftMarketplace.connect(manager).createBundle("Mixtape", [0, 1], albumPrice))
+        .to.be.revertedWith("Only the seller of every token or a manager can bundle them");
+    });
+
+    it("Seller CAN NOT bundle a Token which is not listed", async function () {
+      await nftMarketplace.connect(user1).buyToken(2, { value: prices[2] });
+      await expect(nftMarketplace.createBundle("Album", [0, 1, 2], albumPrice))
+        .to.be.revertedWith("Only the seller of every token or a manager can bundle them");
+    });
+
+    it("Transaction Rejected when the Tokens repeat or are not in ascending Order", async function () {
+      await expect(nftMarketplace.createBundle("Album", [0, 1, 1], albumPrice))
+        .to.be.revertedWith("The tokens of a bundle must be in ascending order");
+      await expect(nftMarketplace.createBundle("Album", [2, 1], albumPrice))
+        .to.be.revertedWith("The tokens of a bundle must be in ascending order");
+    });
+
+    it("Transaction Rejected for a single Token or a Price of Zero", async function () {
+      await expect(nftMarketplace.createBundle("Single", [0], albumPrice))
+        .to.be.revertedWith("A bundle holds between 2 and 50 tokens");
+      await expect(nftMarketplace.createBundle("Album", [0, 1], 0))
+        .to.be.revertedWith("Please set a Positive Number as the price of the bundle");
+    });
+
+    it("Seller CAN cancel a Bundle, its Tokens staying listed", async function () {
+      await nftMarketplace.createBundle("Album", [0, 1, 2], albumPrice);
+
+      await expect(nftMarketplace.connect(user1).cancelBundle(0))
+        .to.be.revertedWith("Only the seller or a manager can cancel the bundle");
+      await expect(nftMarketplace.cancelBundle(0))
+        .to.emit(nftMarketplace, "BundleCancelled")
+        .withArgs(0, deployer.address);
+
+      expect(await nftMarketplace.getBundles()).to.deep.equal([]);
+      expect(await nftMarketplace.listingCount()).to.equal(prices.length);
+      await expect(nftMarketplace.connect(user1).buyBundle(0, { value: albumPrice }))
+        .to.be.revertedWith("Bundle is not for sale");
+      await expect(nftMarketplace.cancelBundle(0))
+        .to.be.revertedWith("Only the seller or a manager can cancel the bundle");
+    });
+
+  });
+
+  describe("Buying Bundles", function () {
+
+    beforeEach(async function () {
+      await nftMarketplace.createBundle("Album", [0, 1, 2], albumPrice);
+    });
+
+    it("Buyer CAN buy a Bundle, every Token paying its own Royalty", async function () {
+      const transaction = nftMarketplace.connect(user1).buyBundle(0, { value: albumPrice });
+      await expect(transaction)
+        .to.emit(nftMarketplace, "BundleSold")
+        .withArgs(0, user1.address, albumPrice);
+      for (const tokenId of [0, 1, 2]) {
+        await expect(transaction)
+          .to.emit(nftMarketplace, "MarketItemBought")
+          .withArgs(tokenId, deployer.address, user1.address, albumShares[tokenId], ethers.constants.AddressZero);
+        await expect(transaction)
+          .to.emit(nftMarketplace, "RoyaltyCredited")
+          .withArgs(tokenId, artist.address, shareOf(albumShares[tokenId], royaltyFee), ethers.constants.AddressZero);
+        expect(await nftMarketplace.ownerOf(tokenId)).to.equal(user1.address);
+        expect((await nftMarketplace.marketItems(tokenId)).price).to.equal(albumShares[tokenId]);
+      }
+
+      const royalties = albumShares.reduce((sum, share) => sum.add(shareOf(share, royaltyFee)), ethers.constants.Zero);
+      expect(await nftMarketplace.pendingWithdrawal(artist.address)).to.equal(royalties);
+      expect(await nftMarketplace.pendingWithdrawal(deployer.address)).to.equal(albumPrice.sub(royalties));
+      expect(await nftMarketplace.listingCount()).to.equal(2);
+      expect(await nftMarketplace.getBundles()).to.deep.equal([]);
+    });
+
+    it("Royalty Fee of a Token applied to its Share of the Bundle", async function () {
+      await nftMarketplace.setTokenRoyaltyFee(1, 1000);
+      await expect(nftMarketplace.connect(user1).buyBundle(0, { value: albumPrice }))
+        .to.emit(nftMarketplace, "RoyaltyCredited")
+        .withArgs(1, artist.address, shareOf(albumShares[1], 1000), ethers.constants.AddressZero);
+    });
+
+    it("Transaction Rejected without the Price of the Bundle", async function () {
+      await expect(nftMarketplace.connect(user1).buyBundle(0, { value: ethToWei(6) }))
+        .to.be.revertedWith("Please send the price of the bundle in order to complete the purchase");
+      await expect(nftMarketplace.connect(user1).buyBundle(1, { value: albumPrice }))
+        .to.be.revertedWith("Bundle is not for sale");
+    });
+
+    it("Bundle CAN NOT be bought twice", async function () {
+      await nftMarketplace.connect(user1).buyBundle(0, { value: albumPrice });
+      await expect(nftMarketplace.connect(user2).buyBundle(0, { value: albumPrice }))
+        .to.be.revertedWith("Bundle is not for sale");
+    });
+
+    it("Purchase reverted as a whole when a Token of the Bundle was sold", async function () {
+      await nftMarketplace.connect(user2).buyToken(1, { value: prices[1] });
+
+      await expect(nftMarketplace.connect(user1).buyBundle(0, { value: albumPrice }))
+        .to.be.revertedWith("A token of the bundle is no longer available");
+      // nothing changed hands, and the bundle is still there
+      expect(await nftMarketplace.balanceOf(user1.address)).to.equal(0);
+      expect(await nftMarketplace.ownerOf(0)).to.equal(nftMarketplace.address);
+      expect(await nftMarketplace.ownerOf(2)).to.equal(nftMarketplace.address);
+      expect(await nftMarketplace.getBundles()).to.have.length(1);
+    });
+
+    it("Purchase reverted when a Token of the Bundle was relisted by another Seller", async function () {
+      await nftMarketplace.connect(user2).buyToken(2, { value: prices[2] });
+      await nftMarketplace.connect(user2).resellToken(2, prices[2]);
+
+      await expect(nftMarketplace.connect(user1).buyBundle(0, { value: albumPrice }))
+        .to.be.revertedWith("A token of the bundle is no longer available");
+    });
+
+    it("Purchase reverted when a Token of the Bundle was unlisted or taken down", async function () {
+      await nftMarketplace.takedownToken(0);
+      await expect(nftMarketplace.connect(user1).buyBundle(0, { value: albumPrice }))
+        .to.be.revertedWith("A token of the bundle is no longer available");
+
+      await nftMarketplace.restoreToken(0);
+      await nftMarketplace.resellToken(0, prices[0]);
+      await nftMarketplace.cancelListing(2);
+      await expect(nftMarketplace.connect(user1).buyBundle(0, { value: albumPrice }))
+        .to.be.revertedWith("A token of the bundle is no longer available");
+    });
+
+    it("Bundle CAN NOT be bought while the Marketplace is paused", async function () {
+      await nftMarketplace.pause();
+      await expect(nftMarketplace.connect(user1).buyBundle(0, { value: albumPrice }))
+        .to.be.revertedWith("Pausable: paused");
+    });
+
+  });
+
+  describe("Buying Carts", function () {
+
+    it("Buyer CAN buy a Cart of Listings in one Transaction", async function () {
+      const total = prices[0].add(prices[2]).add(prices[4]);
+      const transaction = nftMarketplace.connect(user1).buyCart([0, 2, 4], { value: total });
+
+      await expect(transaction)
+        .to.emit(nftMarketplace, "CartPurchased")
+        .withArgs(user1.address, [0, 2, 4], total);
+      for (const tokenId of [0, 2, 4]) {
+        await expect(transaction)
+          .to.emit(nftMarketplace, "MarketItemBought")
+          .withArgs(tokenId, deployer.address, user1.address, prices[tokenId], ethers.constants.AddressZero);
+        expect(await nftMarketplace.ownerOf(tokenId)).to.equal(user1.address);
+      }
+      // every item pays its own royalty
+      const royalties = [0, 2, 4].reduce((sum, tokenId) => sum.add(shareOf(prices[tokenId], royaltyFee)), ethers.constants.Zero);
+      expect(await nftMarketplace.pendingWithdrawal(artist.address)).to.equal(royalties);
+      expect(await nftMarketplace.listingCount()).to.equal(2);
+    });
+
+    it("Buyer CAN pay a Cart in Ether and in an ERC-20 Token", async function () {
+      await nftMarketplace.setPaymentTokenAllowed(stablecoin.address, true);
+      await nftMarketplace.updateListingCurrency(3, usdc(20), stablecoin.address);
+      await stablecoin.connect(user1).approve(nftMarketplace.address, usdc(20));
+
+      await expect(nftMarketplace.connect(user1).buyCart([2, 3], { value: prices[2] }))
+        .to.emit(nftMarketplace, "CartPurchased")
+        .withArgs(user1.address, [2, 3], prices[2]);
+
+      expect(await stablecoin.balanceOf(user1.address)).to.equal(usdc(980));
+      expect(await nftMarketplace.pendingTokenWithdrawal(stablecoin.address, artist.address)).to.equal(shareOf(usdc(20), royaltyFee));
+      expect(await nftMarketplace.pendingWithdrawal(artist.address)).to.equal(shareOf(prices[2], royaltyFee));
+    });
+
+    it("Transaction Rejected when the Ether sent is not the Total of the Cart", async function () {
+      await expect(nftMarketplace.connect(user1).buyCart([0, 1], { value: prices[0] }))
+        .to.be.revertedWith("Please send the total price of the cart in order to complete the purchase");
+    });
+
+    it("Purchase reverted as a whole when a Token of the Cart is no longer available", async function () {
+      await nftMarketplace.connect(user2).buyToken(2, { value: prices[2] });
+
+      await expect(nftMarketplace.connect(user1).buyCart([0, 2], { value: prices[0].add(prices[2]) }))
+        .to.be.revertedWith("A token of the cart is no longer available");
+      expect(await nftMarketplace.ownerOf(0)).to.equal(nftMarketplace.address);
+      expect(await nftMarketplace.balanceOf(user1.address)).to.equal(0);
+    });
+
+    it("Purchase reverted when a Token of the Cart lacks the Allowance of its ERC-20 Token", async function () {
+      await nftMarketplace.setPaymentTokenAllowed(stablecoin.address, true);
+      await nftMarketplace.updateListingCurrency(3, usdc(20), stablecoin.address);
+
+      await expect(nftMarketplace.connect(user1).buyCart([0, 3], { value: prices[0] }))
+        .to.be.revertedWith("ERC20: insufficient allowance");
+      expect(await nftMarketplace.ownerOf(0)).to.equal(nftMarketplace.address);
+    });
+
+    it("Cart CAN NOT hold a Token twice, or no Token", async function () {
+      await expect(nftMarketplace.connect(user1).buyCart([1, 1], { value: prices[1].mul(2) }))
+        .to.be.revertedWith("A token of the cart is no longer available");
+      await expect(nftMarketplace.connect(user1).buyCart([], { value: 0 }))
+        .to.be.revertedWith("A cart holds between 1 and 50 tokens");
+    });
+
+    it("Buying a Token of a Bundle on its own leaves the Bundle unavailable", async function () {
+      await nftMarketplace.createBundle("Album", [0, 1, 2], albumPrice);
+      await nftMarketplace.connect(user2).buyCart([1, 3], { value: prices[1].add(prices[3]) });
+
+      await expect(nftMarketplace.connect(user1).buyBundle(0, { value: albumPrice }))
+        .to.be.revertedWith("A token of the bundle is no longer available");
+    });
+
+  });
+
+});
@@ -0,0 +1,270 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const ethToWei = (num) => ethers.utils.parseEther(num.toString()) // string => bigNumber
+// the mock stablecoin has 6 decimals, like USDC
+const usdc = (num) => ethers.utils.parseUnits(num.toString(), 6)
+
+describe("Music-NFT Marketplace ERC-20 Payment Testing", function () {
+
+  let nftMarketplace, stablecoin, tradingModule;
+  let deployer, artist, user1, user2, treasury;
+  const royaltyFee = 250;  // 2.5%
+  const prices = [ethToWei(1), ethToWei(2), ethToWei(3)];
+  const shareOf = (price, fee) => price.mul(fee).div(10000);
+
+  // the stablecoin is allowed, token 0 is bought by user1 and token 1 is repriced in the stablecoin by the deployer, its seller
+  beforeEach(async function () {
+    [deployer, artist, user1, user2, treasury] = await ethers.getSigners();
+    tradingModule = await (await ethers.getContractFactory("MusicNFTMarketplaceTrading")).deploy();
+    const NFTMarketplaceFactory = await ethers.getContractFactory("MusicNFTMarketplace");
+    nftMarketplace = await NFTMarketplaceFactory.deploy(tradingModule.address, royaltyFee, artist.address, prices);
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    stablecoin = await MockERC20.deploy("USD Coin", "USDC", 6);
+
+    await nftMarketplace.setPaymentTokenAllowed(stablecoin.address, true);
+    await nftMarketplace.connect(user1).buyToken(0, { value: prices[0] });
+    await nftMarketplace.updateListingCurrency(1, usdc(20), stablecoin.address);
+
+    await stablecoin.mint(user1.address, usdc(1000));
+    await stablecoin.mint(user2.address, usdc(1000));
+  });
+
+  describe("Allowed Payment Tokens", function () {
+
+    it("Owner CAN allow and disallow Payment Tokens", async function () {
+      expect(await nftMarketplace.isPaymentTokenAllowed(stablecoin.address)).to.equal(true);
+      expect(await nftMarketplace.getPaymentTokens()).to.deep.equal([stablecoin.address]);
+
+      await expect(nftMarketplace.setPaymentTokenAllowed(stablecoin.address, false))
+        .to.emit(nftMarketplace, "PaymentTokenAllowed")
+        .withArgs(stablecoin.address, false);
+      expect(await nftMarketplace.isPaymentTokenAllowed(stablecoin.address)).to.equal(false);
+      expect(await nftMarketplace.getPaymentTokens()).to.deep.equal([]);
+    });
+
+    it("Third person CAN NOT allow a Payment Token", async function () {
+      await expect(nftMarketplace.connect(user1).setPaymentTokenAllowed(user1.address, true))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Transaction Rejected when the Payment Token is the Zero Address", async function () {
+      await expect(nftMarketplace.setPaymentTokenAllowed(ethers.constants.AddressZero, true))
+        .to.be.revertedWith("Payment token can not be the zero address");
+    });
+
+  });
+
+  describe("Listings priced in ERC-20 Tokens", function () {
+
+    it("Seller CAN change the Currency of its Listing", async function () {
+      const item = await nftMarketplace.marketItems(1);
+      expect(item.price).to.equal(usdc(20));
+      expect(item.paymentToken).to.equal(stablecoin.address);
+
+      // and back to ether
+      await expect(nftMarketplace.updateListingCurrency(1, ethToWei(2), ethers.constants.AddressZero))
+        .to.emit(nftMarketplace, "MarketItemPriceUpdated")
+        .withArgs(1, deployer.address, ethToWei(2), ethers.constants.AddressZero);
+      expect((await nftMarketplace.marketItems(1)).paymentToken).to.equal(ethers.constants.AddressZero);
+    });
+
+    it("Updating the Price kept the Currency of the Listing", async function () {
+      await expect(nftMarketplace.updateListingPrice(1, usdc(25)))
+        .to.emit(nftMarketplace, "MarketItemPriceUpdated")
+        .withArgs(1, deployer.address, usdc(25), stablecoin.address);
+    });
+
+    it("Third person CAN NOT change the Currency of a Listing", async function () {
+      await expect(nftMarketplace.connect(user1).updateListingCurrency(2, usdc(30), stablecoin.address))
+        .to.be.revertedWith("Only the seller or a manager can update the price");
+    });
+
+    it("Transaction Rejected when the Payment Token is not Allowed", async function () {
+      await expect(nftMarketplace.updateListingCurrency(2, usdc(30), user1.address))
+        .to.be.revertedWith("Payment token is not allowed");
+      await expect(nftMarketplace.connect(user1).resellTokenForERC20(0, usdc(30), user1.address))
+        .to.be.revertedWith("Payment token is not allowed");
+    });
+
+    it("Owner of a Token CAN relist it priced in an ERC-20 Token", async function () {
+      await expect(nftMarketplace.connect(user1).resellTokenForERC20(0, usdc(30), stablecoin.address))
+        .to.emit(nftMarketplace, "MarketItemRelisted")
+        .withArgs(0, user1.address, usdc(30), stablecoin.address);
+
+      const item = await nftMarketplace.marketItems(0);
+      expect(item.seller).to.equal(user1.address);
+      expect(item.price).to.equal(usdc(30));
+      expect(item.paymentToken).to.equal(stablecoin.address);
+    });
+
+    it("Relisting in ether reset the Currency of the Token", async function () {
+      await nftMarketplace.connect(user1).resellTokenForERC20(0, usdc(30), stablecoin.address);
+      await nftMarketplace.connect(user1).cancelListing(0);
+      await nftMarketplace.connect(user1).resellToken(0, ethToWei(4));
+
+      expect((await nftMarketplace.marketItems(0)).paymentToken).to.equal(ethers.constants.AddressZero);
+      await nftMarketplace.connect(user2).buyToken(0, { value: ethToWei(4) });
+      expect(await nftMarketplace.ownerOf(0)).to.equal(user2.address);
+    });
+
+  });
+
+  describe("Purchase with ERC-20 Tokens", function () {
+
+    it("Buyer bought a Token after approving the Marketplace to spend the Price", async function () {
+      await stablecoin.connect(user2).approve(nftMarketplace.address, usdc(20));
+      await expect(nftMarketplace.connect(user2).buyToken(1))
+        .to.emit(nftMarketplace, "MarketItemBought")
+        .withArgs(1, deployer.address, user2.address, usdc(20), stablecoin.address);
+
+      expect(await nftMarketplace.ownerOf(1)).to.equal(user2.address);
+      expect(await stablecoin.balanceOf(user2.address)).to.equal(usdc(980));
+      // the price is held by the marketplace until it is withdrawn
+      expect(await stablecoin.balanceOf(nftMarketplace.address)).to.equal(usdc(20));
+    });
+
+    it("Seller & Artist & Treasury were Credited in the ERC-20 Token, not in ether", async function () {
+      const platformFee = 500;  // 5%
+      await nftMarketplace.setPlatformFee(platformFee);
+      await nftMarketplace.setTreasury(treasury.address);
+      const artistInitialCredit = await nftMarketplace.pendingWithdrawal(artist.address);
+
+      await stablecoin.connect(user2).approve(nftMarketplace.address, usdc(20));
+      await expect(nftMarketplace.connect(user2).buyToken(1))
+        .to.emit(nftMarketplace, "RoyaltyCredited")
+        .withArgs(1, artist.address, shareOf(usdc(20), royaltyFee), stablecoin.address);
+
+      const royalty = shareOf(usdc(20), royaltyFee);
+      const fee = shareOf(usdc(20), platformFee);
+      expect(await nftMarketplace.pendingTokenWithdrawal(stablecoin.address, artist.address)).to.equal(royalty);
+      expect(await nftMarketplace.pendingTokenWithdrawal(stablecoin.address, treasury.address)).to.equal(fee);
+      expect(await nftMarketplace.pendingTokenWithdrawal(stablecoin.address, deployer.address)).to.equal(usdc(20).sub(royalty).sub(fee));
+      // the ether balances did not change
+      expect(await nftMarketplace.pendingWithdrawal(artist.address)).to.equal(artistInitialCredit);
+      expect(await nftMarketplace.pendingWithdrawal(treasury.address)).to.equal(0);
+    });
+
+    it("Transaction Rejected when the Marketplace is not Approved to spend the Price", async function () {
+      await stablecoin.connect(user2).approve(nftMarketplace.address, usdc(19));
+      await expect(nftMarketplace.connect(user2).buyToken(1)).to.be.revertedWith("ERC20: insufficient allowance");
+    });
+
+    it("Transaction Rejected when Ether is sent for a Listing priced in an ERC-20 Token", async function () {
+      await stablecoin.connect(user2).approve(nftMarketplace.address, usdc(20));
+      await expect(nftMarketplace.connect(user2).buyToken(1, { value: ethToWei(2) }))
+        .to.be.revertedWith("This listing is paid in an ERC-20 token, not in ether");
+    });
+
+    it("Listing CAN NOT be bought once its Payment Token is not Allowed anymore", async function () {
+      await nftMarketplace.setPaymentTokenAllowed(stablecoin.address, false);
+      await stablecoin.connect(user2).approve(nftMarketplace.address, usdc(20));
+      await expect(nftMarketplace.connect(user2).buyToken(1)).to.be.revertedWith("Payment token is not allowed");
+    });
+
+    it("Buyer bought a Token at the Price and in the Currency it saw", async function () {
+      await stablecoin.connect(user2).approve(nftMarketplace.address, ethers.constants.MaxUint256);
+      await expect(nftMarketplace.connect(user2).buyTokenAtPrice(1, usdc(20), stablecoin.address))
+        .to.emit(nftMarketplace, "MarketItemBought")
+        .withArgs(1, deployer.address, user2.address, usdc(20), stablecoin.address);
+      await expect(nftMarketplace.connect(user2).buyTokenAtPrice(2, prices[2], ethers.constants.AddressZero, { value: prices[2] }))
+        .to.emit(nftMarketplace, "MarketItemBought")
+        .withArgs(2, deployer.address, user2.address, prices[2], ethers.constants.AddressZero);
+    });
+
+    it("Purchase at the Price the Buyer saw Rejected once the Seller raised it", async function () {
+      // an unlimited allowance would pay any price the seller sets in between
+      await stablecoin.connect(user2).approve(nftMarketplace.address, ethers.constants.MaxUint256);
+      await nftMarketplace.updateListingPrice(1, usdc(900));
+
+      await expect(nftMarketplace.connect(user2).buyTokenAtPrice(1, usdc(20), stablecoin.address))
+        .to.be.revertedWith("Listing price or currency has changed");
+      expect(await stablecoin.balanceOf(user2.address)).to.equal(usdc(1000));
+      expect(await nftMarketplace.ownerOf(1)).to.equal(nftMarketplace.address);
+    });
+
+    it("Purchase at the Price the Buyer saw Rejected once the Seller changed the Currency", async function () {
+      const otherToken = await (await ethers.getContractFactory("MockERC20")).deploy("Other Coin", "OTHER", 18);
+      await nftMarketplace.setPaymentTokenAllowed(otherToken.address, true);
+      await otherToken.mint(user2.address, ethToWei(1000));
+      await otherToken.connect(user2).approve(nftMarketplace.address, ethers.constants.MaxUint256);
+      // the same amount, in a token worth more
+      await nftMarketplace.updateListingCurrency(1, usdc(20), otherToken.address);
+
+      await expect(nftMarketplace.connect(user2).buyTokenAtPrice(1, usdc(20), stablecoin.address))
+        .to.be.revertedWith("Listing price or currency has changed");
+      expect(await otherToken.balanceOf(user2.address)).to.equal(ethToWei(1000));
+    });
+
+    it("Listings priced in ether still work unchanged", async function () {
+      await expect(nftMarketplace.connect(user2).buyToken(2, { value: prices[2] }))
+        .to.emit(nftMarketplace, "MarketItemBought")
+        .withArgs(2, deployer.address, user2.address, prices[2], ethers.constants.AddressZero);
+      expect(await nftMarketplace.pendingTokenWithdrawal(stablecoin.address, deployer.address)).to.equal(0);
+    });
+
+  });
+
+  describe("Withdrawal of ERC-20 Tokens", function () {
+
+    beforeEach(async function () {
+      await stablecoin.connect(user2).approve(nftMarketplace.address, usdc(20));
+      await nftMarketplace.connect(user2).buyToken(1);
+    });
+
+    it("Seller & Artist CAN withdraw the ERC-20 Tokens credited to them", async function () {
+      const royalty = shareOf(usdc(20), royaltyFee);
+
+      await expect(nftMarketplace.connect(artist).withdrawToken(stablecoin.address))
+        .to.emit(nftMarketplace, "TokenWithdrawn")
+        .withArgs(artist.address, stablecoin.address, royalty);
+      await nftMarketplace.withdrawToken(stablecoin.address);
+
+      expect(await stablecoin.balanceOf(artist.address)).to.equal(royalty);
+      expect(await stablecoin.balanceOf(deployer.address)).to.equal(usdc(20).sub(royalty));
+      expect(await stablecoin.balanceOf(nftMarketplace.address)).to.equal(0);
+      expect(await nftMarketplace.pendingTokenWithdrawal(stablecoin.address, artist.address)).to.equal(0);
+    });
+
+    it("ERC-20 Tokens CAN NOT be withdrawn twice", async function () {
+      await nftMarketplace.connect(artist).withdrawToken(stablecoin.address);
+      await expect(nftMarketplace.connect(artist).withdrawToken(stablecoin.address)).to.be.revertedWith("No funds to withdraw");
+    });
+
+    it("ERC-20 Tokens CAN be withdrawn after the Payment Token was disallowed", async function () {
+      await nftMarketplace.setPaymentTokenAllowed(stablecoin.address, false);
+      await nftMarketplace.connect(artist).withdrawToken(stablecoin.address);
+      expect(await stablecoin.balanceOf(artist.address)).to.equal(shareOf(usdc(20), royaltyFee));
+    });
+
+  });
+
+  describe("Auctions and Signed Orders", function () {
+
+    it("Token sold at an Auction recorded its Price in ether", async function () {
+      // user2 buys token 1 with the stablecoin, then auctions it
+      await stablecoin.connect(user2).approve(nftMarketplace.address, usdc(20));
+      await nftMarketplace.connect(user2).buyToken(1);
+      await nftMarketplace.connect(user2).createAuction(1, ethToWei(1), 60 * 60);
+      await nftMarketplace.connect(user1).placeBid(1, { value: ethToWei(1) });
+      await ethers.provider.send("evm_increaseTime", [60 * 60]);
+      await nftMarketplace.settleAuction(1);
+
+      const item = await nftMarketplace.marketItems(1);
+      expect(item.price).to.equal(ethToWei(1));
+      expect(item.paymentToken).to.equal(ethers.constants.AddressZero);
+    });
+
+    it("Marketplace forwarded the Auctions to its Trading Module", async function () {
+      const module = await nftMarketplace.tradingModule();
+      expect(module).to.equal(tradingModule.address);
+      // the module runs on the storage of the marketplace, so its own stays empty
+      const trading = await ethers.getContractAt("MusicNFTMarketplaceTrading", module);
+      await nftMarketplace.connect(user1).createAuction(0, ethToWei(1), 60 * 60);
+      expect((await nftMarketplace.auctions(0)).seller).to.equal(user1.address);
+      expect((await trading.auctions(0)).seller).to.equal(ethers.constants.AddressZero);
+    });
+
+  });
+
+});
@@ -0,0 +1,198 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { signListing } = require("../../shared/signedOrders");
+
+const ethToWei = (num) => ethers.utils.parseEther(num.toString()) // string => bigNumber
+
+describe("Music-NFT Marketplace Factory Testing", function () {
+
+  let factory, NFTMarketplaceFactory, tradingModule;
+  let deployer, artist1, artist2, user1;
+  const royaltyFee = 250;
+
+  // creates a collection for an artist and returns the MusicNFTMarketplace contract instance of it
+  const createCollection = async (artist, fee = royaltyFee) => {
+    const receipt = await (await factory.connect(artist).createCollection(fee)).wait();
+    const event = receipt.events.find(e => e.event === "CollectionCreated");
+    return NFTMarketplaceFactory.attach(event.args.collection);
+  };
+
+  beforeEach(async function () {
+    [deployer, artist1, artist2, user1] = await ethers.getSigners();
+    tradingModule = await (await ethers.getContractFactory("MusicNFTMarketplaceTrading")).deploy();
+    NFTMarketplaceFactory = await ethers.getContractFactory("MusicNFTMarketplace");
+    // the collections are clones of an empty marketplace
+    const implementation = await NFTMarketplaceFactory.deploy(tradingModule.address, 0, deployer.address, []);
+    const RegistryFactory = await ethers.getContractFactory("MusicNFTMarketplaceFactory");
+    factory = await RegistryFactory.deploy(implementation.address);
+  });
+
+  describe("Creation of Collections", function () {
+
+    it("Emitted an event of Creating a Collection", async function () {
+      await expect(factory.connect(artist1).createCollection(royaltyFee))
+        .to.emit(factory, "CollectionCreated");
+    });
+
+    it("Artist is the Owner and Royalty Receiver of the new Collection", async function () {
+      const collection = await createCollection(artist1);
+
+      expect(await collection.owner()).to.equal(artist1.address);
+      expect(await collection.artist()).to.equal(artist1.address);
+      expect(await collection.royaltyFee()).to.equal(royaltyFee);
+      // a new collection starts empty
+      expect((await collection.getAllUnsoldTokens()).length).to.equal(0);
+    });
+
+    it("Artist CAN list and sell Tracks on its Collection", async function () {
+      const collection = await createCollection(artist1);
+      await collection.connect(artist1).mintTrack(ethToWei(1), "ipfs://artist1/0.json");
+
+      expect((await collection.marketItems(0)).seller).to.equal(artist1.address);
+      await collection.connect(user1).buyToken(0, { value: ethToWei(1) });
+      expect(await collection.ownerOf(0)).to.equal(user1.address);
+    });
+
+    it("Tracked the Collections of every Artist", async function () {
+      const first = await createCollection(artist1);
+      const second = await createCollection(artist2);
+      const third = await createCollection(artist1);
+
+      expect(await factory.getCollectionsOf(artist1.address)).to.deep.equal([first.address, third.address]);
+      expect(await factory.getCollectionsOf(artist2.address)).to.deep.equal([second.address]);
+      expect(await factory.getCollectionsOf(user1.address)).to.deep.equal([]);
+
+      const collections = await factory.getAllCollections();
+      expect(collections.map(c => [c.artist, c.collection])).to.deep.equal([
+        [artist1.address, first.address],
+        [artist2.address, second.address],
+        [artist1.address, third.address]
+      ]);
+      expect(await factory.isRegistered(second.address)).to.equal(true);
+    });
+
+    it("Transaction Rejected when Royalty Fee exceeds the Maximum", async function () {
+      await expect(factory.connect(artist1).createCollection(1001)).to.be.revertedWith("Royalty Fee can not exceed the maximum");
+    });
+
+    it("Collection is a Clone set up like a deployed Marketplace", async function () {
+      const collection = await createCollection(artist1);
+
+      // the clone only holds a tiny proxy to the implementation, yet it answers like a whole marketplace
+      expect((await ethers.provider.getCode(collection.address)).length).to.be.below(200);
+      expect(await collection.name()).to.equal("MusicNFTs");
+      expect(await collection.symbol()).to.equal("MNS");
+      expect(await collection.baseURI()).to.equal(await (await ethers.getContractAt("MusicNFTMarketplace", await factory.implementation())).baseURI());
+    });
+
+    it("Collections and the Implementation CAN NOT be initialized again", async function () {
+      const collection = await createCollection(artist1);
+      await expect(collection.connect(user1).initialize(royaltyFee, user1.address))
+        .to.be.revertedWith("Initializable: contract is already initialized");
+
+      const implementation = NFTMarketplaceFactory.attach(await factory.implementation());
+      await expect(implementation.connect(user1).initialize(royaltyFee, user1.address))
+        .to.be.revertedWith("Initializable: contract is already initialized");
+    });
+
+    it("Listings signed for a Collection are bound to that Collection", async function () {
+      const collection = await createCollection(artist1);
+      await collection.connect(artist1).mintTrack(ethToWei(1), "ipfs://artist1/0.json");
+      await collection.connect(user1).buyToken(0, { value: ethToWei(1) });
+
+      const expiry = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const { order, signature } = await signListing(collection, user1, { tokenId: 0, price: ethToWei(2), expiry });
+      await collection.connect(artist2).buyWithSignature(order, signature, { value: ethToWei(2) });
+      expect(await collection.ownerOf(0)).to.equal(artist2.address);
+    });
+
+  });
+
+  describe("Registration of existing Collections", function () {
+
+    let marketplace;
+
+    // a marketplace deployed on its own, the way the deploy script does it
+    beforeEach(async function () {
+      marketplace = await NFTMarketplaceFactory.deploy(tradingModule.address, royaltyFee, artist1.address, [ethToWei(1), ethToWei(2)]);
+    });
+
+    it("Owner CAN register its Marketplace", async function () {
+      await expect(factory.connect(deployer).registerCollection(marketplace.address))
+        .to.emit(factory, "CollectionRegistered")
+        .withArgs(artist1.address, marketplace.address);
+
+      // the collection is filed under its artist, not under the owner registering it
+      expect(await factory.getCollectionsOf(artist1.address)).to.deep.equal([marketplace.address]);
+      expect(await factory.getCollectionsOf(deployer.address)).to.deep.equal([]);
+    });
+
+    it("Artist CAN register its Marketplace", async function () {
+      await factory.connect(artist1).registerCollection(marketplace.address);
+      expect(await factory.isRegistered(marketplace.address)).to.equal(true);
+    });
+
+    it("Third person CAN NOT register a Marketplace", async function () {
+      await expect(
+        factory.connect(user1).registerCollection(marketplace.address)
+      ).to.be.revertedWith("Only the artist or the owner can register a collection");
+    });
+
+    it("Marketplace CAN NOT be registered twice", async function () {
+      await factory.connect(deployer).registerCollection(marketplace.address);
+      await expect(
+        factory.connect(artist1).registerCollection(marketplace.address)
+      ).to.be.revertedWith("Collection is already registered");
+    });
+
+    it("Created Collections CAN NOT be registered again", async function () {
+      const collection = await createCollection(artist2);
+      await expect(
+        factory.connect(artist2).registerCollection(collection.address)
+      ).to.be.revertedWith("Collection is already registered");
+    });
+
+  });
+
+  describe("Rotation of the Artist", function () {
+
+    it("Collection re-filed under the new Artist once synced", async function () {
+      const first = await createCollection(artist1);
+      const second = await createCollection(artist1);
+      await first.connect(artist1).updateArtist(artist2.address);
+
+      // anybody can sync the registry with the collection
+      await expect(factory.connect(user1).syncArtist(first.address))
+        .to.emit(factory, "CollectionArtistUpdated")
+        .withArgs(first.address, artist1.address, artist2.address);
+
+      expect(await factory.getCollectionsOf(artist1.address)).to.deep.equal([second.address]);
+      expect(await factory.getCollectionsOf(artist2.address)).to.deep.equal([first.address]);
+      const [collection] = await factory.getAllCollections();
+      expect(collection.artist).to.equal(artist2.address);
+      expect(collection.collection).to.equal(first.address);
+    });
+
+    it("Registered Marketplace re-filed under the new Artist once synced", async function () {
+      const marketplace = await NFTMarketplaceFactory.deploy(tradingModule.address, royaltyFee, artist1.address, [ethToWei(1)]);
+      await factory.registerCollection(marketplace.address);
+      await marketplace.connect(artist1).updateArtist(artist2.address);
+      await factory.syncArtist(marketplace.address);
+
+      expect(await factory.getCollectionsOf(artist1.address)).to.deep.equal([]);
+      expect(await factory.getCollectionsOf(artist2.address)).to.deep.equal([marketplace.address]);
+    });
+
+    it("Transaction Rejected when the Artist did not change or the Collection is not registered", async function () {
+      const collection = await createCollection(artist1);
+      await expect(factory.syncArtist(collection.address))
+        .to.be.revertedWith("Collection is already filed under its artist");
+
+      const marketplace = await NFTMarketplaceFactory.deploy(tradingModule.address, royaltyFee, artist1.address, []);
+      await expect(factory.syncArtist(marketplace.address))
+        .to.be.revertedWith("Collection is not registered");
+    });
+
+  });
+
+});
@@ -0,0 +1,176 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const ethToWei = (num) => ethers.utils.parseEther(num.toString()) // string => bigNumber
+
+const tokenIdsOf = (items) => items.map(i => i.tokenId.toNumber());
+
+// GAS_BENCHMARKS => when set to "true" or "1", also runs the gas benchmarks, which mint a few thousand tracks
+const runBenchmarks = ["true", "1"].includes((process.env.GAS_BENCHMARKS || "").toLowerCase());
+
+describe("Music-NFT Marketplace Pagination Testing", function () {
+
+  let nftMarketplace, tradingModule;
+  let deployer, artist, user1, user2;
+  const royaltyFee = 250;  // 2.5%
+  const prices = Array.from({ length: 10 }, (_, i) => ethToWei(i + 1));
+
+  beforeEach(async function () {
+    [deployer, artist, user1, user2] = await ethers.getSigners();
+    tradingModule = await (await ethers.getContractFactory("MusicNFTMarketplaceTrading")).deploy();
+    const NFTMarketplaceFactory = await ethers.getContractFactory("MusicNFTMarketplace");
+    nftMarketplace = await NFTMarketplaceFactory.deploy(tradingModule.address, royaltyFee, artist.address, prices);
+  });
+
+  describe("Listings", function () {
+
+    it("Counted the Tokens and the Listings", async function () {
+      expect(await nftMarketplace.tokenCount()).to.equal(10);
+      expect(await nftMarketplace.listingCount()).to.equal(10);
+
+      await nftMarketplace.connect(user1).buyToken(3, { value: prices[3] });
+      expect(await nftMarketplace.tokenCount()).to.equal(10);
+      expect(await nftMarketplace.listingCount()).to.equal(9);
+    });
+
+    it("Returned the Listings Page by Page", async function () {
+      const firstPage = await nftMarketplace.getListings(0, 4);
+      const secondPage = await nftMarketplace.getListings(4, 4);
+      const lastPage = await nftMarketplace.getListings(8, 4);  // only 2 left
+
+      expect(tokenIdsOf(firstPage)).to.deep.equal([0, 1, 2, 3]);
+      expect(tokenIdsOf(secondPage)).to.deep.equal([4, 5, 6, 7]);
+      expect(tokenIdsOf(lastPage)).to.deep.equal([8, 9]);
+      expect(lastPage[1].price).to.equal(prices[9]);
+    });
+
+    it("Returned an empty Page past the last Listing", async function () {
+      expect(await nftMarketplace.getListings(10, 4)).to.deep.equal([]);
+      expect(await nftMarketplace.getListings(1000, 4)).to.deep.equal([]);
+      expect(await nftMarketplace.getListings(0, 0)).to.deep.equal([]);
+    });
+
+    it("Dropped sold and cancelled Tokens from the Listings", async function () {
+      await nftMarketplace.connect(user1).buyToken(0, { value: prices[0] });
+      await nftMarketplace.connect(deployer).cancelListing(5);
+
+      const listed = tokenIdsOf(await nftMarketplace.getListings(0, 10));
+      expect(listed.sort((a, b) => a - b)).to.deep.equal([1, 2, 3, 4, 6, 7, 8, 9]);
+      expect(tokenIdsOf(await nftMarketplace.getAllUnsoldTokens()).sort((a, b) => a - b)).to.deep.equal(listed);
+    });
+
+    it("Returned the Listings of a Seller, which the Contract owns", async function () {
+      await nftMarketplace.connect(user1).buyToken(2, { value: prices[2] });
+      await nftMarketplace.connect(user1).buyToken(7, { value: prices[7] });
+      await nftMarketplace.connect(user1).resellToken(7, ethToWei(20));
+
+      const listings = await nftMarketplace.getListingsBySeller(user1.address);
+      expect(tokenIdsOf(listings)).to.deep.equal([7]);
+      expect(listings[0].seller).to.equal(user1.address);
+      expect(listings[0].price).to.equal(ethToWei(20));
+      expect(await nftMarketplace.ownerOf(7)).to.equal(nftMarketplace.address);
+
+      // the tracks minted by the constructor are listed by the deployer
+      expect(await nftMarketplace.getListingsBySeller(deployer.address)).to.have.length(8);
+      expect(await nftMarketplace.getListingsBySeller(user2.address)).to.deep.equal([]);
+
+      await nftMarketplace.connect(user2).buyToken(7, { value: ethToWei(20) });
+      expect(await nftMarketplace.getListingsBySeller(user1.address)).to.deep.equal([]);
+    });
+
+    it("Returned the Listings of a Seller Page by Page", async function () {
+      await nftMarketplace.connect(user1).buyToken(2, { value: prices[2] });
+      expect(await nftMarketplace.sellerListingCount(deployer.address)).to.equal(9);
+      expect(await nftMarketplace.sellerListingCount(user1.address)).to.equal(0);
+
+      const firstPage = await nftMarketplace.getSellerListings(deployer.address, 0, 4);
+      const secondPage = await nftMarketplace.getSellerListings(deployer.address, 4, 4);
+      const lastPage = await nftMarketplace.getSellerListings(deployer.address, 8, 4);  // only 1 left
+
+      expect(firstPage).to.have.length(4);
+      expect(secondPage).to.have.length(4);
+      expect(lastPage).to.have.length(1);
+      const paged = tokenIdsOf([...firstPage, ...secondPage, ...lastPage]);
+      expect(paged).to.deep.equal(tokenIdsOf(await nftMarketplace.getListingsBySeller(deployer.address)));
+      expect(await nftMarketplace.getSellerListings(deployer.address, 9, 4)).to.deep.equal([]);
+      expect(await nftMarketplace.getSellerListings(user1.address, 0, 4)).to.deep.equal([]);
+    });
+
+  });
+
+  describe("Owner Index", function () {
+
+    beforeEach(async function () {
+      for (const tokenId of [1, 4, 6]) {
+        await nftMarketplace.connect(user1).buyToken(tokenId, { value: prices[tokenId] });
+      }
+    });
+
+    it("Supports the ERC721Enumerable Interface", async function () {
+      expect(await nftMarketplace.supportsInterface("0x780e9d63")).to.equal(true);
+      expect(await nftMarketplace.totalSupply()).to.equal(10);
+      expect(await nftMarketplace.tokenOfOwnerByIndex(user1.address, 2)).to.equal(6);
+    });
+
+    it("Returned the Tokens of an Owner Page by Page", async function () {
+      expect(tokenIdsOf(await nftMarketplace.getTokensOf(user1.address, 0, 2))).to.deep.equal([1, 4]);
+      expect(tokenIdsOf(await nftMarketplace.getTokensOf(user1.address, 2, 2))).to.deep.equal([6]);
+      expect(await nftMarketplace.getTokensOf(user1.address, 3, 2)).to.deep.equal([]);
+      expect(await nftMarketplace.getTokensOf(user2.address, 0, 2)).to.deep.equal([]);
+    });
+
+    it("Kept the Owner Index up to date on Transfers", async function () {
+      await nftMarketplace.connect(user1).transferFrom(user1.address, user2.address, 1);
+      await nftMarketplace.connect(user1).resellToken(4, ethToWei(1));
+
+      expect(tokenIdsOf(await nftMarketplace.connect(user1).getMyTokens())).to.deep.equal([6]);
+      expect(tokenIdsOf(await nftMarketplace.connect(user2).getMyTokens())).to.deep.equal([1]);
+    });
+
+  });
+
+  // the views are "free" off-chain, but RPC endpoints cap the gas of eth_call (often at 50M or less),
+  // so their cost has to stay flat as the catalogue grows instead of growing with the number of tokens.
+  // minting the catalogue takes minutes, so they only run with GAS_BENCHMARKS=true
+  (runBenchmarks ? describe : describe.skip)("Gas Benchmarks", function () {
+
+    const TOTAL_TRACKS = 2000;
+    const BATCH = 50;  // minting in batches of 50, to stay below the block gas limit
+    const PAGE = 50;
+
+    this.timeout(10 * 60 * 1000);
+
+    it(`Page of Listings cost the same with ${TOTAL_TRACKS} more Tracks`, async function () {
+      const batch = Array.from({ length: BATCH }, () => ethToWei(1));
+      const uris = batch.map((_, i) => `ipfs://bench/${i}`);
+      // the cost of a full page while the catalogue is still small
+      await nftMarketplace.connect(artist).mintTracks(batch, uris);
+      const smallCatalogue = await nftMarketplace.estimateGas.getListings(0, PAGE);
+
+      for (let i = 1; i < TOTAL_TRACKS / BATCH; i++) {
+        await nftMarketplace.connect(artist).mintTracks(batch, uris);
+      }
+      // a user buys a few tokens spread across the catalogue and relists one of them
+      for (const tokenId of [5, 500, 1500, 1999]) {
+        await nftMarketplace.connect(user1).buyToken(tokenId, { value: await (await nftMarketplace.marketItems(tokenId)).price });
+      }
+      await nftMarketplace.connect(user1).resellToken(500, ethToWei(2));
+      expect(await nftMarketplace.tokenCount()).to.equal(prices.length + TOTAL_TRACKS);
+      const listingCount = (await nftMarketplace.listingCount()).toNumber();
+
+      const firstPage = await nftMarketplace.estimateGas.getListings(0, PAGE);
+      const lastPage = await nftMarketplace.estimateGas.getListings(listingCount - PAGE, PAGE);
+      const sellerListings = await nftMarketplace.estimateGas.getSellerListings(user1.address, 0, PAGE);
+      const myTokens = await nftMarketplace.connect(user1).estimateGas.getMyTokens();
+
+      // a page costs the same whatever the size of the catalogue, within 10%
+      expect(firstPage).to.be.lt(smallCatalogue.mul(110).div(100));
+      expect(lastPage).to.be.lt(smallCatalogue.mul(110).div(100));
+      // the views of a user only depend on its own tokens
+      expect(myTokens).to.be.lt(firstPage);
+      expect(sellerListings).to.be.lt(firstPage);
+    });
+
+  });
+
+});
@@ -0,0 +1,223 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const ethToWei = (num) => ethers.utils.parseEther(num.toString()) // string => bigNumber
+
+describe("Music-NFT Marketplace Roles Testing", function () {
+
+  let nftMarketplace, tradingModule;
+  let deployer, artist, manager, moderator, user1, user2;
+  let MANAGER_ROLE, MODERATOR_ROLE;
+  const royaltyFee = 250;  // 2.5%
+  const prices = [ethToWei(1), ethToWei(2), ethToWei(3)];
+  const trackURI = "ipfs://track.json";
+
+  beforeEach(async function () {
+    [deployer, artist, manager, moderator, user1, user2] = await ethers.getSigners();
+    tradingModule = await (await ethers.getContractFactory("MusicNFTMarketplaceTrading")).deploy();
+    const NFTMarketplaceFactory = await ethers.getContractFactory("MusicNFTMarketplace");
+    nftMarketplace = await NFTMarketplaceFactory.deploy(tradingModule.address, royaltyFee, artist.address, prices);
+    MANAGER_ROLE = await nftMarketplace.MANAGER_ROLE();
+    MODERATOR_ROLE = await nftMarketplace.MODERATOR_ROLE();
+  });
+
+  describe("Role Administration", function () {
+
+    it("Owner CAN grant and revoke Roles", async function () {
+      await expect(nftMarketplace.grantRole(MANAGER_ROLE, manager.address))
+        .to.emit(nftMarketplace, "RoleGranted")
+        .withArgs(MANAGER_ROLE, manager.address, deployer.address);
+      await expect(nftMarketplace.grantRole(MODERATOR_ROLE, moderator.address))
+        .to.emit(nftMarketplace, "RoleGranted")
+        .withArgs(MODERATOR_ROLE, moderator.address, deployer.address);
+
+      expect(await nftMarketplace.hasRole(MANAGER_ROLE, manager.address)).to.equal(true);
+      expect(await nftMarketplace.hasRole(MODERATOR_ROLE, manager.address)).to.equal(false);
+      expect(await nftMarketplace.getRoleMembers(MANAGER_ROLE)).to.deep.equal([manager.address]);
+      expect(await nftMarketplace.getRoleMembers(MODERATOR_ROLE)).to.deep.equal([moderator.address]);
+
+      await expect(nftMarketplace.revokeRole(MANAGER_ROLE, manager.address))
+        .to.emit(nftMarketplace, "RoleRevoked")
+        .withArgs(MANAGER_ROLE, manager.address, deployer.address);
+      expect(await nftMarketplace.hasRole(MANAGER_ROLE, manager.address)).to.equal(false);
+      expect(await nftMarketplace.getRoleMembers(MANAGER_ROLE)).to.deep.equal([]);
+    });
+
+    it("Granting a held Role or revoking a missing one emits nothing", async function () {
+      await nftMarketplace.grantRole(MANAGER_ROLE, manager.address);
+      await expect(nftMarketplace.grantRole(MANAGER_ROLE, manager.address)).to.not.emit(nftMarketplace, "RoleGranted");
+      await expect(nftMarketplace.revokeRole(MODERATOR_ROLE, manager.address)).to.not.emit(nftMarketplace, "RoleRevoked");
+      expect(await nftMarketplace.getRoleMembers(MANAGER_ROLE)).to.deep.equal([manager.address]);
+    });
+
+    it("Role holder CAN renounce its Role", async function () {
+      await nftMarketplace.grantRole(MODERATOR_ROLE, moderator.address);
+      await expect(nftMarketplace.connect(moderator).renounceRole(MODERATOR_ROLE))
+        .to.emit(nftMarketplace, "RoleRevoked")
+        .withArgs(MODERATOR_ROLE, moderator.address, moderator.address);
+      expect(await nftMarketplace.hasRole(MODERATOR_ROLE, moderator.address)).to.equal(false);
+    });
+
+    it("Only the Owner CAN grant or revoke Roles", async function () {
+      await nftMarketplace.grantRole(MANAGER_ROLE, manager.address);
+      await expect(nftMarketplace.connect(artist).grantRole(MANAGER_ROLE, user1.address)).to.be.revertedWith("Ownable: caller is not the owner");
+      // a manager can not hand out roles either
+      await expect(nftMarketplace.connect(manager).grantRole(MODERATOR_ROLE, user1.address)).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(nftMarketplace.connect(manager).revokeRole(MANAGER_ROLE, manager.address)).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Transaction Rejected for an unknown Role", async function () {
+      const role = ethers.utils.id("DJ_ROLE");
+      await expect(nftMarketplace.grantRole(role, user1.address)).to.be.revertedWith("Unknown role");
+      await expect(nftMarketplace.grantRole(ethers.constants.HashZero, user1.address)).to.be.revertedWith("Unknown role");
+    });
+
+  });
+
+  describe("Manager", function () {
+
+    beforeEach(async function () {
+      await nftMarketplace.grantRole(MANAGER_ROLE, manager.address);
+    });
+
+    it("Manager CAN mint Tracks, listed on behalf of the Owner", async function () {
+      await expect(nftMarketplace.connect(manager).mintTrack(ethToWei(4), trackURI))
+        .to.emit(nftMarketplace, "MarketItemListed")
+        .withArgs(prices.length, deployer.address, ethToWei(4));
+      await nftMarketplace.connect(manager).mintTracks([ethToWei(5)], [trackURI]);
+      expect(await nftMarketplace.tokenCount()).to.equal(prices.length + 2);
+      expect((await nftMarketplace.marketItems(prices.length + 1)).seller).to.equal(deployer.address);
+      expect(await nftMarketplace.getListingsBySeller(manager.address)).to.deep.equal([]);
+    });
+
+    it("Proceeds of the Tracks minted by a Manager credited to the Owner, not to the Manager", async function () {
+      await nftMarketplace.connect(manager).mintTrack(ethToWei(4), trackURI);
+      await nftMarketplace.connect(user1).buyToken(prices.length, { value: ethToWei(4) });
+
+      const royalty = ethToWei(4).mul(royaltyFee).div(10000);
+      expect(await nftMarketplace.pendingWithdrawal(deployer.address)).to.equal(ethToWei(4).sub(royalty));
+      expect(await nftMarketplace.pendingWithdrawal(artist.address)).to.equal(royalty);
+      expect(await nftMarketplace.pendingWithdrawal(manager.address)).to.equal(0);
+    });
+
+    it("Artist and Owner list the Tracks they mint on their own behalf", async function () {
+      await expect(nftMarketplace.connect(artist).mintTrack(ethToWei(4), trackURI))
+        .to.emit(nftMarketplace, "MarketItemListed")
+        .withArgs(prices.length, artist.address, ethToWei(4));
+      await expect(nftMarketplace.mintTrack(ethToWei(4), trackURI))
+        .to.emit(nftMarketplace, "MarketItemListed")
+        .withArgs(prices.length + 1, deployer.address, ethToWei(4));
+    });
+
+    it("Manager CAN set the Prices of the Catalogue", async function () {
+      // listed by the owner
+      await expect(nftMarketplace.connect(manager).updateListingPrice(0, ethToWei(10)))
+        .to.emit(nftMarketplace, "MarketItemPriceUpdated")
+        .withArgs(0, deployer.address, ethToWei(10), ethers.constants.AddressZero);
+      // listed by the artist
+      await nftMarketplace.connect(artist).mintTrack(ethToWei(4), trackURI);
+      await nftMarketplace.connect(manager).updateListingPrice(prices.length, ethToWei(8));
+
+      expect((await nftMarketplace.marketItems(0)).price).to.equal(ethToWei(10));
+      expect((await nftMarketplace.marketItems(prices.length)).price).to.equal(ethToWei(8));
+      // the seller of the listing does not change
+      expect((await nftMarketplace.marketItems(0)).seller).to.equal(deployer.address);
+    });
+
+    it("Manager CAN NOT set the Price of a Resale", async function () {
+      await nftMarketplace.connect(user1).buyToken(0, { value: prices[0] });
+      await nftMarketplace.connect(user1).resellToken(0, ethToWei(5));
+
+      await expect(nftMarketplace.connect(manager).updateListingPrice(0, 1)).to.be.revertedWith("Only the seller or a manager can update the price");
+      await expect(nftMarketplace.connect(manager).updateListingCurrency(0, 1, ethers.constants.AddressZero))
+        .to.be.revertedWith("Only the seller or a manager can update the price");
+    });
+
+    it("Manager CAN NOT administer the Marketplace", async function () {
+      await expect(nftMarketplace.connect(manager).updateRoyaltyFee(500)).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(nftMarketplace.connect(manager).setPlatformFee(100)).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(nftMarketplace.connect(manager).takedownToken(0)).to.be.revertedWith("Only the owner or a moderator can moderate tokens");
+    });
+
+    it("Revoked Manager CAN NOT mint nor set Prices anymore", async function () {
+      await nftMarketplace.revokeRole(MANAGER_ROLE, manager.address);
+      await expect(nftMarketplace.connect(manager).mintTrack(ethToWei(4), trackURI)).to.be.revertedWith("Only the owner, the artist or a manager can mint tracks");
+      await expect(nftMarketplace.connect(manager).updateListingPrice(0, 1)).to.be.revertedWith("Only the seller or a manager can update the price");
+    });
+
+  });
+
+  describe("Moderator", function () {
+
+    beforeEach(async function () {
+      await nftMarketplace.grantRole(MODERATOR_ROLE, moderator.address);
+    });
+
+    it("Moderator CAN take down and restore a Token", async function () {
+      await expect(nftMarketplace.connect(moderator).takedownToken(1))
+        .to.emit(nftMarketplace, "TokenTakenDown")
+        .withArgs(1);
+      expect(await nftMarketplace.ownerOf(1)).to.equal(deployer.address);
+      expect((await nftMarketplace.marketItems(1)).seller).to.equal(ethers.constants.AddressZero);
+
+      await expect(nftMarketplace.connect(moderator).restoreToken(1))
+        .to.emit(nftMarketplace, "TokenRestored")
+        .withArgs(1);
+      expect(await nftMarketplace.takenDown(1)).to.equal(false);
+    });
+
+    it("Moderator CAN NOT mint nor set Prices", async function () {
+      await expect(nftMarketplace.connect(moderator).mintTrack(ethToWei(4), trackURI)).to.be.revertedWith("Only the owner, the artist or a manager can mint tracks");
+      await expect(nftMarketplace.connect(moderator).updateListingPrice(0, 1)).to.be.revertedWith("Only the seller or a manager can update the price");
+      await expect(nftMarketplace.connect(moderator).pause()).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Third person CAN NOT take down a Token", async function () {
+      await expect(nftMarketplace.connect(user1).takedownToken(1)).to.be.revertedWith("Only the owner or a moderator can moderate tokens");
+      await nftMarketplace.connect(moderator).renounceRole(MODERATOR_ROLE);
+      await expect(nftMarketplace.connect(moderator).takedownToken(1)).to.be.revertedWith("Only the owner or a moderator can moderate tokens");
+    });
+
+  });
+
+  describe("Artist Payout Address", function () {
+
+    it("Artist CAN rotate its Payout Address", async function () {
+      await expect(nftMarketplace.connect(artist).updateArtist(user2.address))
+        .to.emit(nftMarketplace, "ArtistUpdated")
+        .withArgs(artist.address, user2.address);
+
+      expect(await nftMarketplace.artist()).to.equal(user2.address);
+      const [receiver, royalty] = await nftMarketplace.royaltyInfo(0, ethToWei(1));
+      expect(receiver).to.equal(user2.address);
+      expect(royalty).to.equal(ethToWei(1).mul(royaltyFee).div(10000));
+    });
+
+    it("Royalties are Credited to the new Address, the earlier ones stay with the previous one", async function () {
+      await nftMarketplace.connect(user1).buyToken(0, { value: prices[0] });
+      await nftMarketplace.connect(artist).updateArtist(user2.address);
+      await nftMarketplace.connect(user1).buyToken(1, { value: prices[1] });
+
+      expect(await nftMarketplace.pendingWithdrawal(artist.address)).to.equal(prices[0].mul(royaltyFee).div(10000));
+      expect(await nftMarketplace.pendingWithdrawal(user2.address)).to.equal(prices[1].mul(royaltyFee).div(10000));
+      await expect(() => nftMarketplace.connect(artist).withdraw())
+        .to.changeEtherBalance(artist, prices[0].mul(royaltyFee).div(10000));
+    });
+
+    it("New Address acts as the Artist", async function () {
+      await nftMarketplace.connect(artist).updateArtist(user2.address);
+      await nftMarketplace.connect(user2).mintTrack(ethToWei(4), trackURI);
+      await expect(nftMarketplace.connect(artist).mintTrack(ethToWei(4), trackURI)).to.be.revertedWith("Only the owner, the artist or a manager can mint tracks");
+      await expect(nftMarketplace.connect(artist).updateArtist(artist.address)).to.be.revertedWith("Only the artist can change its payout address");
+    });
+
+    it("Only the Artist CAN rotate its Payout Address", async function () {
+      await expect(nftMarketplace.updateArtist(user2.address)).to.be.revertedWith("Only the artist can change its payout address");
+      await nftMarketplace.grantRole(MANAGER_ROLE, manager.address);
+      await expect(nftMarketplace.connect(manager).updateArtist(user2.address)).to.be.revertedWith("Only the artist can change its payout address");
+      await expect(nftMarketplace.connect(artist).updateArtist(ethers.constants.AddressZero)).to.be.revertedWith("Artist can not be the zero address");
+    });
+
+  });
+
+});
@@ -0,0 +1,172 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { signListing, signOffer } = require("../../shared/signedOrders");
+
+const ethToWei = (num) => ethers.utils.parseEther(num.toString()) // string => bigNumber
+
+// moves the time of the hardhat network forward and mines a block with the new timestamp
+const increaseTime = async (seconds) => {
+  await ethers.provider.send("evm_increaseTime", [seconds]);
+  await ethers.provider.send("evm_mine", []);
+};
+
+const latestTimestamp = async () => (await ethers.provider.getBlock("latest")).timestamp;
+
+describe("Music-NFT Marketplace Signed Orders Testing", function () {
+
+  let nftMarketplace, tradingModule;
+  let artist, seller, buyer, user3;
+  let expiry;
+  const royaltyFee = 250;  // 2.5%
+  const prices = [ethToWei(1), ethToWei(2), ethToWei(3)];
+  const royaltyOf = (price) => price.mul(royaltyFee).div(10000);
+
+  // the seller buys token 0, which then sits in its own wallet instead of being listed on the contract
+  beforeEach(async function () {
+    [, artist, seller, buyer, user3] = await ethers.getSigners();
+    tradingModule = await (await ethers.getContractFactory("MusicNFTMarketplaceTrading")).deploy();
+    const NFTMarketplaceFactory = await ethers.getContractFactory("MusicNFTMarketplace");
+    nftMarketplace = await NFTMarketplaceFactory.deploy(tradingModule.address, royaltyFee, artist.address, prices);
+
+    await nftMarketplace.connect(seller).buyToken(0, { value: prices[0] });
+    expiry = (await latestTimestamp()) + 60 * 60;  // valid for one hour
+  });
+
+  describe("Signed Listings", function () {
+
+    it("Buyer bought a Token through a Listing signed off-chain", async function () {
+      const { order, signature } = await signListing(nftMarketplace, seller, { tokenId: 0, price: ethToWei(5), expiry });
+      const artistInitialCredit = await nftMarketplace.pendingWithdrawal(artist.address);
+
+      await expect(nftMarketplace.connect(buyer).buyWithSignature(order, signature, { value: ethToWei(5) }))
+        .to.emit(nftMarketplace, "MarketItemBought")
+        .withArgs(0, seller.address, buyer.address, ethToWei(5), ethers.constants.AddressZero);
+
+      // the token went straight from the seller's wallet to the buyer's
+      expect(await nftMarketplace.ownerOf(0)).to.equal(buyer.address);
+      expect(await nftMarketplace.pendingWithdrawal(seller.address)).to.equal(ethToWei(5).sub(royaltyOf(ethToWei(5))));
+      expect(await nftMarketplace.pendingWithdrawal(artist.address)).to.equal(artistInitialCredit.add(royaltyOf(ethToWei(5))));
+      expect((await nftMarketplace.marketItems(0)).price).to.equal(ethToWei(5));
+    });
+
+    it("Transaction Rejected when the Asking Price is not sent", async function () {
+      const { order, signature } = await signListing(nftMarketplace, seller, { tokenId: 0, price: ethToWei(5), expiry });
+      await expect(nftMarketplace.connect(buyer).buyWithSignature(order, signature, { value: ethToWei(4) }))
+        .to.be.revertedWith("Please send the asking price in order to complete the purchase");
+    });
+
+    it("Listing signed by someone else than the Owner CAN NOT be executed", async function () {
+      const { order, signature } = await signListing(nftMarketplace, user3, { tokenId: 0, price: ethToWei(5), expiry });
+      await expect(nftMarketplace.connect(buyer).buyWithSignature(order, signature, { value: ethToWei(5) }))
+        .to.be.revertedWith("Seller does not own the token anymore");
+    });
+
+    it("Tampered Listing CAN NOT be executed", async function () {
+      const { order, signature } = await signListing(nftMarketplace, seller, { tokenId: 0, price: ethToWei(5), expiry });
+      // the signature no longer matches the order, so it recovers a different (random) address
+      const tampered = { ...order, price: ethToWei(1).toString() };
+      await expect(nftMarketplace.connect(buyer).buyWithSignature(tampered, signature, { value: ethToWei(1) }))
+        .to.be.revertedWith("Seller does not own the token anymore");
+    });
+
+    it("Listing CAN NOT be executed twice", async function () {
+      const { order, signature } = await signListing(nftMarketplace, seller, { tokenId: 0, price: ethToWei(5), expiry });
+      await nftMarketplace.connect(buyer).buyWithSignature(order, signature, { value: ethToWei(5) });
+
+      // the buyer sells the token back to the seller, after which the old listing would be valid again
+      await nftMarketplace.connect(buyer).transferFrom(buyer.address, seller.address, 0);
+      await expect(nftMarketplace.connect(user3).buyWithSignature(order, signature, { value: ethToWei(5) }))
+        .to.be.revertedWith("Signed order has already been executed");
+    });
+
+    it("Expired Listing CAN NOT be executed", async function () {
+      const { order, signature } = await signListing(nftMarketplace, seller, { tokenId: 0, price: ethToWei(5), expiry });
+      await increaseTime(60 * 60 + 1);
+      await expect(nftMarketplace.connect(buyer).buyWithSignature(order, signature, { value: ethToWei(5) }))
+        .to.be.revertedWith("Signed order has expired");
+    });
+
+    it("Listing signed for another Marketplace CAN NOT be executed", async function () {
+      const NFTMarketplaceFactory = await ethers.getContractFactory("MusicNFTMarketplace");
+      const otherMarketplace = await NFTMarketplaceFactory.deploy(tradingModule.address, royaltyFee, artist.address, prices);
+      // the domain of the signature names the other contract, so it recovers a different address here
+      const { order, signature } = await signListing(otherMarketplace, seller, { tokenId: 0, price: ethToWei(5), expiry });
+      await expect(nftMarketplace.connect(buyer).buyWithSignature(order, signature, { value: ethToWei(5) }))
+        .to.be.revertedWith("Seller does not own the token anymore");
+    });
+
+  });
+
+  describe("Signed Offers", function () {
+
+    it("Deposit was credited to the Buyer", async function () {
+      await expect(nftMarketplace.connect(buyer).deposit({ value: ethToWei(3) }))
+        .to.emit(nftMarketplace, "Deposited")
+        .withArgs(buyer.address, ethToWei(3));
+      expect(await nftMarketplace.pendingWithdrawal(buyer.address)).to.equal(ethToWei(3));
+
+      await expect(nftMarketplace.connect(buyer).deposit({ value: 0 }))
+        .to.be.revertedWith("Please send a Positive Amount of ether");
+    });
+
+    it("Owner accepted an Offer paid out of the Buyer's Deposit", async function () {
+      await nftMarketplace.connect(buyer).deposit({ value: ethToWei(3) });
+      const { order, signature } = await signOffer(nftMarketplace, buyer, { tokenId: 0, price: ethToWei(2), expiry });
+
+      await expect(nftMarketplace.connect(seller).acceptOffer(order, signature))
+        .to.emit(nftMarketplace, "MarketItemBought")
+        .withArgs(0, seller.address, buyer.address, ethToWei(2), ethers.constants.AddressZero);
+
+      expect(await nftMarketplace.ownerOf(0)).to.equal(buyer.address);
+      // the rest of the deposit is still there
+      expect(await nftMarketplace.pendingWithdrawal(buyer.address)).to.equal(ethToWei(1));
+      expect(await nftMarketplace.pendingWithdrawal(seller.address)).to.equal(ethToWei(2).sub(royaltyOf(ethToWei(2))));
+    });
+
+    it("Only the Owner of the Token CAN accept an Offer", async function () {
+      await nftMarketplace.connect(buyer).deposit({ value: ethToWei(3) });
+      const { order, signature } = await signOffer(nftMarketplace, buyer, { tokenId: 0, price: ethToWei(2), expiry });
+      await expect(nftMarketplace.connect(user3).acceptOffer(order, signature))
+        .to.be.revertedWith("Only the owner of the token can accept an offer");
+    });
+
+    it("Transaction Rejected when the Buyer has not deposited enough", async function () {
+      await nftMarketplace.connect(buyer).deposit({ value: ethToWei(1) });
+      const { order, signature } = await signOffer(nftMarketplace, buyer, { tokenId: 0, price: ethToWei(2), expiry });
+      await expect(nftMarketplace.connect(seller).acceptOffer(order, signature))
+        .to.be.revertedWith("Buyer has not deposited enough funds");
+    });
+
+  });
+
+  describe("Cancellation", function () {
+
+    it("Incrementing the Nonce cancelled every Order signed before", async function () {
+      const { order, signature } = await signListing(nftMarketplace, seller, { tokenId: 0, price: ethToWei(5), expiry });
+
+      await expect(nftMarketplace.connect(seller).cancelSignedOrders())
+        .to.emit(nftMarketplace, "NonceIncremented")
+        .withArgs(seller.address, 1);
+      expect(await nftMarketplace.nonces(seller.address)).to.equal(1);
+
+      await expect(nftMarketplace.connect(buyer).buyWithSignature(order, signature, { value: ethToWei(5) }))
+        .to.be.revertedWith("Signed order has been cancelled");
+
+      // a listing signed with the new nonce is valid
+      const relisted = await signListing(nftMarketplace, seller, { tokenId: 0, price: ethToWei(5), expiry });
+      expect(relisted.order.nonce).to.equal("1");
+      await nftMarketplace.connect(buyer).buyWithSignature(relisted.order, relisted.signature, { value: ethToWei(5) });
+      expect(await nftMarketplace.ownerOf(0)).to.equal(buyer.address);
+    });
+
+    it("Listing became invalid once the Token was sold elsewhere", async function () {
+      const { order, signature } = await signListing(nftMarketplace, seller, { tokenId: 0, price: ethToWei(5), expiry });
+      // listing the token on the contract moves it out of the seller's wallet
+      await nftMarketplace.connect(seller).resellToken(0, ethToWei(4));
+      await expect(nftMarketplace.connect(buyer).buyWithSignature(order, signature, { value: ethToWei(5) }))
+        .to.be.revertedWith("Seller does not own the token anymore");
+    });
+
+  });
+
+});
@@ -0,0 +1,24 @@
+const { expect } = require("chai");
+const { artifacts } = require("hardhat");
+
+// EIP-170 caps the code of a contract at 24KB, and EIP-3860 (from Shanghai on) the code creating it at 48KB:
+// a contract over either limit can not be deployed, so they are checked here rather than on the first deployment to a real network
+const MAX_CODE_SIZE = 24576;
+const MAX_INITCODE_SIZE = 2 * MAX_CODE_SIZE;
+
+// the bytecode of the artifacts is hex, prefixed with "0x"
+const sizeOf = (bytecode) => (bytecode.length - 2) / 2;
+
+describe("Music-NFT Marketplace Size Testing", function () {
+
+  const contracts = ["MusicNFTMarketplace", "MusicNFTMarketplaceTrading", "MusicNFTMarketplaceFactory", "MusicNFTMarketplaceProxy"];
+
+  contracts.forEach(name => {
+    it(`${name} fits in the Code Size Limits`, async function () {
+      const { bytecode, deployedBytecode } = await artifacts.readArtifact(name);
+      expect(sizeOf(deployedBytecode)).to.be.at.most(MAX_CODE_SIZE);
+      expect(sizeOf(bytecode)).to.be.at.most(MAX_INITCODE_SIZE);
+    });
+  });
+
+});
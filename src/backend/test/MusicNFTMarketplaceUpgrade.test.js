@@ -0,0 +1,218 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+
+const ethToWei = (num) => ethers.utils.parseEther(num.toString())
+
+// the upgradeable marketplace is deployed the way the deploy script does it:
+// an empty marketplace as the implementation, a ProxyAdmin, and a proxy initialized with the tracks
+describe("Music-NFT Marketplace Upgrade Testing", function () {
+
+  let nftMarketplace, implementation, proxyAdmin, tradingModule;
+  let deployer, artist, user1, user2;
+  const royaltyFee = 250;
+  const prices = [ethToWei(1), ethToWei(2), ethToWei(3), ethToWei(4)];
+
+  beforeEach(async function () {
+    [deployer, artist, user1, user2] = await ethers.getSigners();
+    tradingModule = await (await ethers.getContractFactory("MusicNFTMarketplaceTrading")).deploy();
+    const NFTMarketplaceFactory = await ethers.getContractFactory("MusicNFTMarketplace");
+    implementation = await NFTMarketplaceFactory.deploy(tradingModule.address, 0, deployer.address, []);
+    proxyAdmin = await (await ethers.getContractFactory("ProxyAdmin")).deploy();
+
+    const initialization = NFTMarketplaceFactory.interface.encodeFunctionData("initializeWithTracks", [royaltyFee, artist.address, prices]);
+    const proxy = await (await ethers.getContractFactory("MusicNFTMarketplaceProxy")).deploy(implementation.address, proxyAdmin.address, initialization);
+    // the proxy is used with the ABI of the marketplace
+    nftMarketplace = NFTMarketplaceFactory.attach(proxy.address);
+  });
+
+  describe("Initialization", function () {
+
+    it("Initialized the Proxy like the Constructor does", async function () {
+      expect(await nftMarketplace.owner()).to.equal(deployer.address);
+      expect(await nftMarketplace.artist()).to.equal(artist.address);
+      expect(await nftMarketplace.royaltyFee()).to.equal(royaltyFee);
+      expect(await nftMarketplace.treasury()).to.equal(deployer.address);
+      expect(await nftMarketplace.name()).to.equal("MusicNFTs");
+      expect(await nftMarketplace.baseURI()).to.equal(await implementation.baseURI());
+      expect(await nftMarketplace.tokenURI(3)).to.equal((await implementation.baseURI()) + "3");
+
+      const listings = await nftMarketplace.getAllUnsoldTokens();
+      expect(listings.map(item => item.price)).to.deep.equal(prices);
+      listings.forEach(item => expect(item.seller).to.equal(deployer.address));
+      expect(await nftMarketplace.ownerOf(0)).to.equal(nftMarketplace.address);
+    });
+
+    it("Kept the State in the Proxy, not in the Implementation", async function () {
+      expect(await implementation.tokenCount()).to.equal(0);
+      expect(await proxyAdmin.getProxyImplementation(nftMarketplace.address)).to.equal(implementation.address);
+      expect(await proxyAdmin.getProxyAdmin(nftMarketplace.address)).to.equal(proxyAdmin.address);
+    });
+
+    it("Proxy CAN NOT be initialized twice", async function () {
+      await expect(nftMarketplace.connect(user1).initializeWithTracks(0, user1.address, []))
+        .to.be.revertedWith("Initializable: contract is already initialized");
+      await expect(nftMarketplace.connect(user1).initialize(0, user1.address))
+        .to.be.revertedWith("Initializable: contract is already initialized");
+    });
+
+    it("Implementation CAN NOT be initialized", async function () {
+      await expect(implementation.connect(user1).initializeWithTracks(0, user1.address, prices))
+        .to.be.revertedWith("Initializable: contract is already initialized");
+    });
+
+  });
+
+  describe("Trading through the Proxy", function () {
+
+    it("Tracks CAN be bought, relisted and withdrawn", async function () {
+      await nftMarketplace.connect(user1).buyToken(0, { value: prices[0] });
+      await nftMarketplace.connect(user1).resellToken(0, ethToWei(5));
+      await nftMarketplace.connect(user2).buyToken(0, { value: ethToWei(5) });
+
+      expect(await nftMarketplace.ownerOf(0)).to.equal(user2.address);
+      await expect(() => nftMarketplace.connect(artist).withdraw())
+        .to.changeEtherBalance(artist, prices[0].add(ethToWei(5)).mul(royaltyFee).div(10000));
+    });
+
+    it("Auctions CAN be run by the Trading Module", async function () {
+      await nftMarketplace.connect(user1).buyToken(0, { value: prices[0] });
+      await nftMarketplace.connect(user1).createAuction(0, ethToWei(1), 3600);
+      await expect(nftMarketplace.connect(user2).placeBid(0, { value: ethToWei(1.5) }))
+        .to.emit(nftMarketplace, "BidPlaced");
+      expect((await nftMarketplace.auctions(0)).highestBidder).to.equal(user2.address);
+    });
+
+  });
+
+  describe("Upgrade to a V2", function () {
+
+    let upgraded, v2, listings;
+
+    // some state which has to survive the upgrade: a sale, a relisting, a new track, balances and settings
+    beforeEach(async function () {
+      await nftMarketplace.connect(user1).buyToken(1, { value: prices[1] });
+      await nftMarketplace.connect(user1).buyToken(2, { value: prices[2] });
+      await nftMarketplace.connect(user1).resellToken(2, ethToWei(10));
+      await nftMarketplace.connect(artist).mintTrack(ethToWei(6), "ipfs://new-track.json");
+      await nftMarketplace.setBaseURI("ipfs://catalog/");
+      await nftMarketplace.setPlatformFee(100);
+
+      listings = await nftMarketplace.getAllUnsoldTokens();
+      const V2Factory = await ethers.getContractFactory("MusicNFTMarketplaceV2");
+      v2 = await V2Factory.deploy(tradingModule.address, 0, deployer.address, []);
+      await proxyAdmin.upgrade(nftMarketplace.address, v2.address);
+      upgraded = V2Factory.attach(nftMarketplace.address);
+    });
+
+    it("Upgraded the Implementation, at the same Address", async function () {
+      expect(await proxyAdmin.getProxyImplementation(nftMarketplace.address)).to.equal(v2.address);
+      expect(await upgraded.version()).to.equal(2);
+    });
+
+    it("Listings and Ownership survived the Upgrade", async function () {
+      expect(await upgraded.getAllUnsoldTokens()).to.deep.equal(listings);
+      expect(await upgraded.tokenCount()).to.equal(prices.length + 1);
+      expect(await upgraded.ownerOf(1)).to.equal(user1.address);
+      expect(await upgraded.ownerOf(2)).to.equal(upgraded.address);
+      expect((await upgraded.marketItems(2)).seller).to.equal(user1.address);
+      expect(await upgraded.balanceOf(user1.address)).to.equal(1);
+      expect((await upgraded.getTokensOf(user1.address, 0, 10)).map(item => item.tokenId.toNumber())).to.deep.equal([1]);
+    });
+
+    it("Settings and Balances survived the Upgrade", async function () {
+      expect(await upgraded.owner()).to.equal(deployer.address);
+      expect(await upgraded.artist()).to.equal(artist.address);
+      expect(await upgraded.royaltyFee()).to.equal(royaltyFee);
+      expect(await upgraded.platformFee()).to.equal(100);
+      expect(await upgraded.tokenURI(0)).to.equal("ipfs://catalog/0");
+      expect(await upgraded.tokenURI(prices.length)).to.equal("ipfs://new-track.json");
+      expect(await upgraded.pendingWithdrawal(artist.address)).to.equal(prices[1].add(prices[2]).mul(royaltyFee).div(10000));
+    });
+
+    it("Marketplace kept working after the Upgrade", async function () {
+      await upgraded.connect(user2).buyToken(2, { value: ethToWei(10) });
+      expect(await upgraded.ownerOf(2)).to.equal(user2.address);
+      await expect(() => upgraded.connect(user1).withdraw())
+        .to.changeEtherBalance(user1, ethToWei(10).sub(ethToWei(10).mul(royaltyFee + 100).div(10000)));
+    });
+
+    it("New State Variables of V2 CAN be used", async function () {
+      await upgraded.setReleaseNotes("Version 2");
+      expect(await upgraded.releaseNotes()).to.equal("Version 2");
+      // the new variable did not overwrite the existing ones
+      expect(await upgraded.treasury()).to.equal(deployer.address);
+      expect(await upgraded.baseURI()).to.equal("ipfs://catalog/");
+    });
+
+  });
+
+  describe("Upgrade Permissions", function () {
+
+    it("Third person CAN NOT upgrade the Marketplace", async function () {
+      const v2 = await (await ethers.getContractFactory("MusicNFTMarketplaceV2")).deploy(tradingModule.address, 0, deployer.address, []);
+      await expect(proxyAdmin.connect(user1).upgrade(nftMarketplace.address, v2.address))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+      // calls to the proxy from anyone but its admin go to the marketplace, so the proxy can not be upgraded directly either
+      const proxy = await ethers.getContractAt("MusicNFTMarketplaceProxy", nftMarketplace.address);
+      await expect(proxy.connect(user1).upgradeTo(v2.address)).to.be.reverted;
+    });
+
+  });
+
+  describe("market:upgrade Task", function () {
+
+    const { log, table } = console;
+
+    beforeEach(function () {
+      console.log = () => {};
+      console.table = () => {};
+    });
+
+    afterEach(function () {
+      console.log = log;
+      console.table = table;
+    });
+
+    it("Upgraded the Marketplace to a new Implementation", async function () {
+      await nftMarketplace.connect(user1).buyToken(0, { value: prices[0] });
+      const [row] = await hre.run("market:upgrade", { address: nftMarketplace.address, contract: "MusicNFTMarketplaceV2" });
+
+      expect(row.previousImplementation).to.equal(implementation.address);
+      expect(await proxyAdmin.getProxyImplementation(nftMarketplace.address)).to.equal(row.implementation);
+      const upgraded = await ethers.getContractAt("MusicNFTMarketplaceV2", nftMarketplace.address);
+      expect(await upgraded.version()).to.equal(2);
+      expect(await upgraded.ownerOf(0)).to.equal(user1.address);
+      // the new implementation comes with a trading module of its own, which the proxy now forwards to
+      expect(row.tradingModule).to.not.equal(tradingModule.address);
+      expect(await upgraded.tradingModule()).to.equal(row.tradingModule);
+      await upgraded.connect(user1).createAuction(0, ethToWei(1), 3600);
+      expect((await upgraded.auctions(0)).seller).to.equal(user1.address);
+    });
+
+    it("Kept the Royalty Fee and the Artist of the Proxy, whatever the new Implementation was constructed with", async function () {
+      await nftMarketplace.updateRoyaltyFee(500);
+      await nftMarketplace.connect(artist).updateArtist(user2.address);
+      const [row] = await hre.run("market:upgrade", { address: nftMarketplace.address, contract: "MusicNFTMarketplaceV2" });
+
+      const newImplementation = await ethers.getContractAt("MusicNFTMarketplaceV2", row.implementation);
+      expect(await newImplementation.royaltyFee()).to.equal(0);
+      expect(await newImplementation.tokenCount()).to.equal(0);
+      expect(await nftMarketplace.royaltyFee()).to.equal(500);
+      expect(await nftMarketplace.artist()).to.equal(user2.address);
+    });
+
+    it("Rejected a Marketplace which is not upgradeable", async function () {
+      const plain = await (await ethers.getContractFactory("MusicNFTMarketplace")).deploy(tradingModule.address, royaltyFee, artist.address, prices);
+      let error;
+      try {
+        await hre.run("market:upgrade", { address: plain.address });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal(`The marketplace at ${plain.address} is not upgradeable`);
+    });
+
+  });
+
+});
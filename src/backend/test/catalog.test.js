@@ -0,0 +1,167 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadCatalog, validateCatalog, getDeployArgs } = require("../scripts/catalog");
+
+const ethToWei = (num) => ethers.utils.parseEther(num.toString())
+
+describe("Catalog Manifest", function () {
+
+  const artist = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  let catalog;
+
+  beforeEach(function () {
+    catalog = {
+      artist,
+      royaltyFee: 250,
+      tracks: [
+        { title: "First Track", price: "1" },
+        { title: "Second Track", price: 2.5 }
+      ]
+    };
+  });
+
+  describe("Loading", function () {
+
+    let dir;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "catalog-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Loaded a JSON manifest", async function () {
+      const file = path.join(dir, "catalog.json");
+      fs.writeFileSync(file, JSON.stringify(catalog));
+      expect(loadCatalog(file)).to.deep.equal(catalog);
+    });
+
+    it("Loaded a YAML manifest", async function () {
+      const file = path.join(dir, "catalog.yaml");
+      fs.writeFileSync(file, [
+        `artist: "${artist}"`,
+        `royaltyFee: 250`,
+        `tracks:`,
+        `  - title: First Track`,
+        `    price: "1"`,
+        `  - title: Second Track`,
+        `    price: 2.5`
+      ].join("\n"));
+      expect(loadCatalog(file)).to.deep.equal(catalog);
+    });
+
+    it("Shipped a valid default manifest", async function () {
+      expect(() => validateCatalog(loadCatalog(path.join(__dirname, "../catalog.json")))).to.not.throw();
+    });
+
+  });
+
+  describe("Validation", function () {
+
+    it("Rejected an invalid artist address", async function () {
+      catalog.artist = "0x1234";
+      expect(() => validateCatalog(catalog)).to.throw('artist "0x1234" is not a valid address');
+    });
+
+    it("Rejected an invalid royalty fee", async function () {
+      catalog.royaltyFee = "a lot";
+      expect(() => validateCatalog(catalog)).to.throw('royaltyFee "a lot" must be a whole number of basis points between 0 and 1000');
+      catalog.royaltyFee = 2.5;
+      expect(() => validateCatalog(catalog)).to.throw('royaltyFee "2.5" must be a whole number');
+    });
+
+    it("Rejected a royalty fee above the contract maximum", async function () {
+      catalog.royaltyFee = 1001;
+      expect(() => validateCatalog(catalog)).to.throw('royaltyFee "1001" must be a whole number of basis points between 0 and 1000');
+    });
+
+    it("Rejected an empty track list", async function () {
+      catalog.tracks = [];
+      expect(() => validateCatalog(catalog)).to.throw("tracks must be a non-empty list");
+    });
+
+    it("Rejected tracks without a title or a positive price", async function () {
+      catalog.tracks.push({ price: "1" }, { title: "Free Track", price: "0" });
+      expect(() => validateCatalog(catalog)).to.throw(/track 2 has no title[\s\S]*track 3 must have a price greater than zero/);
+    });
+
+    it("Rejected a baseURI which is not a directory", async function () {
+      catalog.baseURI = "https://ipfs.io/ipfs/bafy";
+      expect(() => validateCatalog(catalog)).to.throw('baseURI "https://ipfs.io/ipfs/bafy" must be the URL of a directory, ending with "/"');
+      catalog.baseURI = "https://ipfs.io/ipfs/bafy/";
+      expect(() => validateCatalog(catalog)).to.not.throw();
+    });
+
+    it("Rejected bundles without a title, a positive price or valid tracks", async function () {
+      catalog.bundles = [
+        { tracks: [0, 1], price: "3" },
+        { title: "Single", tracks: [0], price: "1" },
+        { title: "Unknown Track", tracks: [0, 2], price: "2" },
+        { title: "Descending", tracks: [1, 0], price: "3" },
+        { title: "Free", tracks: [0, 1], price: "0" }
+      ];
+      const message = "must list between 2 and 50 different tracks by their index, in ascending order";
+      expect(() => validateCatalog(catalog)).to.throw(
+        new RegExp(`bundle 0 has no title[\\s\\S]*bundle 1 ${message}[\\s\\S]*bundle 2 ${message}[\\s\\S]*bundle 3 ${message}[\\s\\S]*bundle 4 must have a price greater than zero`)
+      );
+      catalog.bundles = [{ title: "The Album", tracks: [0, 1], price: "3" }];
+      expect(() => validateCatalog(catalog)).to.not.throw();
+    });
+
+  });
+
+  describe("Deployment Arguments", function () {
+
+    it("Converted the prices to wei", async function () {
+      const args = getDeployArgs(catalog);
+      expect(args.artist).to.equal(artist);
+      expect(args.royaltyFee).to.equal(250);
+      expect(args.prices).to.deep.equal([ethToWei(1), ethToWei(2.5)]);
+      expect(args.baseURI).to.equal(undefined);
+      expect(args.bundles).to.deep.equal([]);
+    });
+
+    it("Converted the bundles to the arguments of createBundle", async function () {
+      catalog.bundles = [{ title: "The Album", tracks: [0, 1], price: "3" }];
+      expect(getDeployArgs(catalog).bundles).to.deep.equal([{ name: "The Album", tokenIds: [0, 1], price: ethToWei(3) }]);
+    });
+
+    it("Passed the baseURI of the manifest on", async function () {
+      catalog.baseURI = "https://ipfs.io/ipfs/bafy/";
+      expect(getDeployArgs(catalog).baseURI).to.equal("https://ipfs.io/ipfs/bafy/");
+    });
+
+    it("Deployed the marketplace with the computed arguments", async function () {
+      const { royaltyFee, artist, prices } = getDeployArgs(catalog);
+      const tradingModule = await (await ethers.getContractFactory("MusicNFTMarketplaceTrading")).deploy();
+      const NFTMarketplaceFactory = await ethers.getContractFactory("MusicNFTMarketplace");
+      const nftMarketplace = await NFTMarketplaceFactory.deploy(tradingModule.address, royaltyFee, artist, prices);
+
+      expect(await nftMarketplace.artist()).to.equal(artist);
+      expect(await nftMarketplace.royaltyFee()).to.equal(250);
+      expect((await nftMarketplace.marketItems(1)).price).to.equal(ethToWei(2.5));
+    });
+
+    it("Created the bundles of the manifest on the deployed marketplace", async function () {
+      catalog.bundles = [{ title: "The Album", tracks: [0, 1], price: "3" }];
+      const { royaltyFee, artist, prices, bundles } = getDeployArgs(catalog);
+      const tradingModule = await (await ethers.getContractFactory("MusicNFTMarketplaceTrading")).deploy();
+      const NFTMarketplaceFactory = await ethers.getContractFactory("MusicNFTMarketplace");
+      const nftMarketplace = await NFTMarketplaceFactory.deploy(tradingModule.address, royaltyFee, artist, prices);
+      for (const bundle of bundles) {
+        await nftMarketplace.createBundle(bundle.name, bundle.tokenIds, bundle.price);
+      }
+
+      const [album] = await nftMarketplace.getBundles();
+      expect(album.name).to.equal("The Album");
+      expect(album.price).to.equal(ethToWei(3));
+    });
+
+  });
+
+});
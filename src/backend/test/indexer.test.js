@@ -0,0 +1,208 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const http = require("http");
+const { openStore } = require("../indexer/store");
+const { createIndexer } = require("../indexer/indexer");
+const { createServer } = require("../indexer/server");
+
+const ethToWei = (num) => ethers.utils.parseEther(num.toString()) // string => bigNumber
+
+const increaseTime = async (seconds) => {
+  await ethers.provider.send("evm_increaseTime", [seconds]);
+  await ethers.provider.send("evm_mine", []);
+};
+
+// GETs a path of the API and returns the status and the parsed body
+const get = (server, path) => new Promise((resolve, reject) => {
+  http.get(`http://127.0.0.1:${server.address().port}${path}`, (res) => {
+    let body = "";
+    res.on("data", (chunk) => { body += chunk; });
+    res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+  }).on("error", reject);
+});
+
+describe("Marketplace Event Indexer Testing", function () {
+
+  let nftMarketplace, factory, store, indexer, tradingModule;
+  let deployer, artist, user1, user2;
+  const royaltyFee = 250;  // 2.5%
+  const prices = [ethToWei(1), ethToWei(2), ethToWei(3)];
+  const royaltyOf = (price) => price.mul(royaltyFee).div(10000);
+
+  beforeEach(async function () {
+    [deployer, artist, user1, user2] = await ethers.getSigners();
+    tradingModule = await (await ethers.getContractFactory("MusicNFTMarketplaceTrading")).deploy();
+    const NFTMarketplaceFactory = await ethers.getContractFactory("MusicNFTMarketplace");
+    nftMarketplace = await NFTMarketplaceFactory.deploy(tradingModule.address, royaltyFee, artist.address, prices);
+    const FactoryContractFactory = await ethers.getContractFactory("MusicNFTMarketplaceFactory");
+    factory = await FactoryContractFactory.deploy((await NFTMarketplaceFactory.deploy(tradingModule.address, 0, deployer.address, [])).address);
+
+    // the store only lives in memory, and indexing starts at the deployment of the marketplace
+    store = openStore();
+    indexer = createIndexer({
+      provider: ethers.provider,
+      store,
+      marketplaceAbi: (await artifacts.readArtifact("MusicNFTMarketplace")).abi,
+      factoryAbi: (await artifacts.readArtifact("MusicNFTMarketplaceFactory")).abi,
+      marketplaces: [nftMarketplace.address],
+      factory: factory.address,
+      fromBlock: nftMarketplace.deployTransaction.blockNumber,
+      batchSize: 3
+    });
+  });
+
+  describe("Indexing", function () {
+
+    it("Indexed the Listings of the Deployment", async function () {
+      expect(await indexer.sync()).to.equal(3);
+      const history = store.tokenHistory(nftMarketplace.address, 1);
+      expect(history).to.have.length(1);
+      expect(history[0]).to.include({ event: "MarketItemListed", seller: deployer.address, price: prices[1].toString() });
+      expect(store.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+    });
+
+    it("Recorded the Price History of a Token", async function () {
+      await nftMarketplace.connect(user1).buyToken(0, { value: prices[0] });
+      await nftMarketplace.connect(user1).resellToken(0, ethToWei(5));
+      await nftMarketplace.connect(user1).updateListingPrice(0, ethToWei(4));
+      await nftMarketplace.connect(user2).buyToken(0, { value: ethToWei(4) });
+      await indexer.sync();
+
+      const history = store.tokenHistory(nftMarketplace.address, 0);
+      expect(history.map(h => h.event)).to.deep.equal([
+        "MarketItemListed", "MarketItemBought", "MarketItemRelisted", "MarketItemPriceUpdated", "MarketItemBought"
+      ]);
+      expect(history[4]).to.include({ seller: user1.address, buyer: user2.address, price: ethToWei(4).toString() });
+      expect(history[4].timestamp).to.be.a("number");
+    });
+
+    it("Only indexed the new Blocks on the next Sync", async function () {
+      await indexer.sync();
+      expect(await indexer.sync()).to.equal(0);
+      await nftMarketplace.connect(user1).buyToken(2, { value: prices[2] });
+      // one sale and the royalty it credited
+      expect(await indexer.sync()).to.equal(2);
+    });
+
+    it("Recorded Purchases and Sales of every Address, including Auctions", async function () {
+      await nftMarketplace.connect(user1).buyToken(0, { value: prices[0] });
+      await nftMarketplace.connect(user1).createAuction(0, ethToWei(1), 60 * 60);
+      await nftMarketplace.connect(user2).placeBid(0, { value: ethToWei(2) });
+      await increaseTime(60 * 60);
+      await nftMarketplace.settleAuction(0);
+      await indexer.sync();
+
+      const user1Activity = store.accountActivity(user1.address);
+      expect(user1Activity.purchases.map(p => p.price)).to.deep.equal([prices[0].toString()]);
+      expect(user1Activity.sales).to.have.length(1);
+      expect(user1Activity.sales[0]).to.include({ buyer: user2.address, price: ethToWei(2).toString(), tokenId: "0" });
+
+      expect(store.accountActivity(user2.address).purchases).to.have.length(1);
+    });
+
+    it("Totalled the Royalties of the Artist", async function () {
+      await nftMarketplace.connect(user1).buyToken(0, { value: prices[0] });
+      await nftMarketplace.connect(user1).buyToken(1, { value: prices[1] });
+      await indexer.sync();
+
+      const royalties = store.royaltyTotals(artist.address);
+      expect(royalties.total).to.equal(royaltyOf(prices[0]).add(royaltyOf(prices[1])).toString());
+      expect(royalties.byCollection[nftMarketplace.address]).to.equal(royalties.total);
+      expect(store.royaltyTotals(user2.address).total).to.equal("0");
+    });
+
+    it("Recorded the Payment Token of the Sales and totalled its Royalties apart", async function () {
+      const stablecoin = await (await ethers.getContractFactory("MockERC20")).deploy("USD Coin", "USDC", 6);
+      const price = ethers.utils.parseUnits("20", 6);
+      await nftMarketplace.setPaymentTokenAllowed(stablecoin.address, true);
+      await nftMarketplace.updateListingCurrency(0, price, stablecoin.address);
+      await stablecoin.mint(user1.address, price);
+      await stablecoin.connect(user1).approve(nftMarketplace.address, price);
+      await nftMarketplace.connect(user1).buyToken(0);
+      await nftMarketplace.connect(user1).buyToken(1, { value: prices[1] });
+      await indexer.sync();
+
+      const history = store.tokenHistory(nftMarketplace.address, 0);
+      expect(history.map(h => h.paymentToken)).to.deep.equal([ethers.constants.AddressZero, stablecoin.address, stablecoin.address]);
+      expect(store.accountActivity(user1.address).purchases.map(p => p.paymentToken).sort())
+        .to.deep.equal([ethers.constants.AddressZero, stablecoin.address].sort());
+
+      const royalties = store.royaltyTotals(artist.address);
+      // the total in wei only counts the sales paid in ether
+      expect(royalties.total).to.equal(royaltyOf(prices[1]).toString());
+      expect(royalties.byPaymentToken).to.deep.equal({ [stablecoin.address]: royaltyOf(price).toString() });
+    });
+
+    it("Followed the Collections created through the Factory", async function () {
+      const tx = await factory.connect(user1).createCollection(royaltyFee);
+      const collection = (await tx.wait()).events.find(e => e.event === "CollectionCreated").args.collection;
+      const newMarketplace = await ethers.getContractAt("MusicNFTMarketplace", collection);
+      await newMarketplace.connect(user1).mintTrack(ethToWei(1), "ipfs://track");
+      await newMarketplace.connect(user2).buyToken(0, { value: ethToWei(1) });
+      await indexer.sync();
+
+      expect(store.collections).to.deep.equal([nftMarketplace.address, collection]);
+      expect(store.tokenHistory(collection, 0).map(h => h.event)).to.deep.equal(["MarketItemListed", "MarketItemBought"]);
+    });
+
+  });
+
+  describe("Reorgs", function () {
+
+    it("Dropped the Events of the Blocks replaced by a Reorg", async function () {
+      await indexer.sync();
+      const snapshot = await ethers.provider.send("evm_snapshot", []);
+
+      await nftMarketplace.connect(user1).buyToken(0, { value: prices[0] });
+      await indexer.sync();
+      expect(store.accountActivity(user1.address).purchases).to.have.length(1);
+
+      // the purchase of user1 is replaced by one of user2 in a block with the same number
+      await ethers.provider.send("evm_revert", [snapshot]);
+      await nftMarketplace.connect(user2).buyToken(0, { value: prices[0] });
+      await indexer.sync();
+
+      expect(store.accountActivity(user1.address).purchases).to.have.length(0);
+      expect(store.accountActivity(user2.address).purchases).to.have.length(1);
+      expect(store.tokenHistory(nftMarketplace.address, 0).map(h => h.event)).to.deep.equal(["MarketItemListed", "MarketItemBought"]);
+    });
+
+  });
+
+  describe("HTTP API", function () {
+
+    let server;
+
+    beforeEach(async function () {
+      await nftMarketplace.connect(user1).buyToken(0, { value: prices[0] });
+      await indexer.sync();
+      server = createServer(store);
+      await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    });
+
+    afterEach(async function () {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it("Served the Price History of a Token", async function () {
+      const { status, body } = await get(server, `/collections/${nftMarketplace.address}/tokens/0/history`);
+      expect(status).to.equal(200);
+      expect(body.history.map(h => h.event)).to.deep.equal(["MarketItemListed", "MarketItemBought"]);
+    });
+
+    it("Served the Activity of an Address and the Royalties of an Artist", async function () {
+      const activity = await get(server, `/accounts/${user1.address}/activity`);
+      expect(activity.body.purchases).to.have.length(1);
+
+      const royalties = await get(server, `/artists/${artist.address}/royalties`);
+      expect(royalties.body.total).to.equal(royaltyOf(prices[0]).toString());
+    });
+
+    it("Rejected Invalid Addresses and Unknown Paths", async function () {
+      expect((await get(server, "/accounts/0x1234/activity")).status).to.equal(400);
+      expect((await get(server, "/unknown")).status).to.equal(404);
+    });
+
+  });
+
+});
@@ -0,0 +1,235 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+
+const ethToWei = (num) => ethers.utils.parseEther(num.toString())
+const usdc = (num) => ethers.utils.parseUnits(num.toString(), 6)
+
+// the market tasks are run with hre.run against the in-process hardhat network, which returns the rows they print
+describe("Market Tasks", function () {
+
+  let nftMarketplace, stablecoin, tradingModule;
+  let deployer, artist, user1, user2;
+  const royaltyFee = 250;
+  const prices = [ethToWei(1), ethToWei(2), ethToWei(3)];
+
+  // what the tasks printed, instead of the output of the tests
+  let output;
+  const { log, table } = console;
+
+  // runs a task on the marketplace
+  const runTask = (name, args = {}) => hre.run(name, { address: nftMarketplace.address, ...args });
+  // the message of the error a task failed with
+  const failureOf = async (promise) => {
+    try {
+      await promise;
+    } catch (error) {
+      return error.message;
+    }
+    throw new Error("The task did not fail");
+  };
+
+  beforeEach(async function () {
+    [deployer, artist, user1, user2] = await ethers.getSigners();
+    tradingModule = await (await ethers.getContractFactory("MusicNFTMarketplaceTrading")).deploy();
+    const NFTMarketplaceFactory = await ethers.getContractFactory("MusicNFTMarketplace");
+    nftMarketplace = await NFTMarketplaceFactory.deploy(tradingModule.address, royaltyFee, artist.address, prices);
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    stablecoin = await MockERC20.deploy("USD Coin", "USDC", 6);
+    await nftMarketplace.setPaymentTokenAllowed(stablecoin.address, true);
+
+    output = [];
+    console.log = (...values) => output.push(values.join(" "));
+    console.table = (rows) => output.push(rows);
+  });
+
+  afterEach(function () {
+    console.log = log;
+    console.table = table;
+  });
+
+  describe("market:list", function () {
+
+    it("Listed the Tracks for sale with their Prices in their Currency", async function () {
+      await nftMarketplace.updateListingCurrency(2, usdc(9.99), stablecoin.address);
+      const rows = await runTask("market:list");
+
+      expect(rows).to.deep.equal([
+        { tokenId: 0, seller: deployer.address, price: "1.0 ETH" },
+        { tokenId: 1, seller: deployer.address, price: "2.0 ETH" },
+        { tokenId: 2, seller: deployer.address, price: "9.99 USDC" }
+      ]);
+      // printed as a table by default
+      expect(output).to.deep.equal([rows]);
+    });
+
+    it("Printed JSON with --json", async function () {
+      const rows = await runTask("market:list", { json: true });
+      expect(JSON.parse(output[0])).to.deep.equal(rows);
+    });
+
+    it("Rejected an Address without a Contract", async function () {
+      expect(await failureOf(hre.run("market:list", { address: user2.address }))).to.include(`There is no contract at ${user2.address}`);
+    });
+
+  });
+
+  describe("market:buy", function () {
+
+    it("Bought a Track priced in Ether", async function () {
+      const [row] = await runTask("market:buy", { tokenId: 1, from: user1.address });
+
+      expect(row).to.include({ tokenId: 1, seller: deployer.address, buyer: user1.address, price: "2.0 ETH" });
+      expect(await nftMarketplace.ownerOf(1)).to.equal(user1.address);
+      expect(await nftMarketplace.pendingWithdrawal(artist.address)).to.equal(prices[1].mul(royaltyFee).div(10000));
+    });
+
+    it("Approved the Marketplace before buying a Track priced in an ERC-20 Token", async function () {
+      await nftMarketplace.updateListingCurrency(0, usdc(20), stablecoin.address);
+      await stablecoin.mint(user1.address, usdc(100));
+
+      const [row] = await runTask("market:buy", { tokenId: 0, from: user1.address });
+      expect(row.price).to.equal("20.0 USDC");
+      expect(await nftMarketplace.ownerOf(0)).to.equal(user1.address);
+      expect(await stablecoin.balanceOf(user1.address)).to.equal(usdc(80));
+      // bought for the price and in the currency the task read, so a price changed in between is not paid
+      const transaction = await ethers.provider.getTransaction(row.transaction);
+      const { name, args } = nftMarketplace.interface.parseTransaction(transaction);
+      expect(name).to.equal("buyTokenAtPrice");
+      expect(args._price).to.equal(usdc(20));
+      expect(args._paymentToken).to.equal(stablecoin.address);
+    });
+
+    it("Rejected a Track which is not for sale", async function () {
+      await runTask("market:buy", { tokenId: 0, from: user1.address });
+      expect(await failureOf(runTask("market:buy", { tokenId: 0, from: user2.address }))).to.include("Token 0 is not listed for sale");
+    });
+
+  });
+
+  describe("market:relist", function () {
+
+    beforeEach(async function () {
+      await nftMarketplace.connect(user1).buyToken(0, { value: prices[0] });
+    });
+
+    it("Relisted an owned Track in Ether", async function () {
+      const [row] = await runTask("market:relist", { tokenId: 0, price: "1.5", from: user1.address });
+
+      expect(row).to.include({ tokenId: 0, seller: user1.address, price: "1.5 ETH" });
+      const item = await nftMarketplace.marketItems(0);
+      expect(item.seller).to.equal(user1.address);
+      expect(item.price).to.equal(ethToWei(1.5));
+    });
+
+    it("Relisted an owned Track in an ERC-20 Token", async function () {
+      await runTask("market:relist", { tokenId: 0, price: "12.5", paymentToken: stablecoin.address, from: user1.address });
+
+      const item = await nftMarketplace.marketItems(0);
+      expect(item.price).to.equal(usdc(12.5));
+      expect(item.paymentToken).to.equal(stablecoin.address);
+    });
+
+    it("Third person CAN NOT relist a Track", async function () {
+      expect(await failureOf(runTask("market:relist", { tokenId: 0, price: "1", from: user2.address }))).to.include("ERC721: transfer from incorrect owner");
+    });
+
+  });
+
+  describe("market:set-royalty", function () {
+
+    it("Owner CAN update the Royalty Fee", async function () {
+      const [row] = await runTask("market:set-royalty", { fee: 500 });
+
+      expect(row).to.include({ previousFee: 250, royaltyFee: 500 });
+      expect(await nftMarketplace.royaltyFee()).to.equal(500);
+    });
+
+    it("Third person CAN NOT update the Royalty Fee", async function () {
+      expect(await failureOf(runTask("market:set-royalty", { fee: 500, from: user1.address }))).to.include("Ownable: caller is not the owner");
+    });
+
+  });
+
+  describe("market:holders", function () {
+
+    it("Listed the Holders of the Tracks", async function () {
+      await nftMarketplace.connect(user1).buyToken(0, { value: prices[0] });
+      await nftMarketplace.connect(user1).buyToken(2, { value: prices[2] });
+
+      expect(await runTask("market:holders")).to.deep.equal([
+        { holder: user1.address, tokens: 2, tokenIds: "0, 2" },
+        { holder: `${nftMarketplace.address} (marketplace)`, tokens: 1, tokenIds: "1" }
+      ]);
+    });
+
+  });
+
+  describe("market:events", function () {
+
+    it("Printed the Events of the Marketplace", async function () {
+      const deployBlock = (await nftMarketplace.deployTransaction.wait()).blockNumber;
+      await nftMarketplace.connect(user1).buyToken(0, { value: prices[0] });
+
+      const rows = await runTask("market:events", { fromBlock: deployBlock });
+      expect(rows.map(row => row.event)).to.deep.equal([
+        "OwnershipTransferred", "Transfer", "MarketItemListed", "Transfer", "MarketItemListed", "Transfer", "MarketItemListed",
+        "PaymentTokenAllowed", "RoyaltyCredited", "Approval", "Transfer", "MarketItemBought"
+      ]);
+      expect(rows[rows.length - 1].args).to.equal(
+        `tokenId=0, seller=${deployer.address}, buyer=${user1.address}, price=${prices[0]}, paymentToken=${ethers.constants.AddressZero}`
+      );
+    });
+
+    it("Filtered the Events by Block and Name", async function () {
+      const tx = await nftMarketplace.connect(user1).buyToken(0, { value: prices[0] });
+      const { blockNumber } = await tx.wait();
+      await nftMarketplace.connect(user1).buyToken(1, { value: prices[1] });
+
+      const rows = await runTask("market:events", { fromBlock: blockNumber, toBlock: blockNumber, event: "MarketItemBought", json: true });
+      expect(rows).to.have.lengthOf(1);
+      expect(rows[0].args).to.deep.equal({
+        tokenId: "0", seller: deployer.address, buyer: user1.address, price: prices[0].toString(), paymentToken: ethers.constants.AddressZero
+      });
+      expect(JSON.parse(output[0])).to.deep.equal(rows);
+    });
+
+    it("Rejected an unknown Event", async function () {
+      expect(await failureOf(runTask("market:events", { event: "Nope" }))).to.include("The marketplace has no Nope event");
+    });
+
+  });
+
+  describe("market:seed", function () {
+
+    it("Bought, relisted and resold Tracks from the Accounts of the Node", async function () {
+      const user3 = (await ethers.getSigners())[4];
+      const rows = await runTask("market:seed");
+
+      expect(rows.map(row => [row.action, row.tokenId, row.seller, row.buyer, row.price])).to.deep.equal([
+        // half of the tracks are bought, the third one is left for sale
+        ["bought", 0, deployer.address, user1.address, "1.0"],
+        ["bought", 1, deployer.address, user2.address, "2.0"],
+        // half of those are relisted 50% higher, and resold to the next buyer
+        ["relisted", 0, user1.address, "", "1.5"],
+        ["bought", 0, user1.address, user2.address, "1.5"]
+      ]);
+      expect(await nftMarketplace.ownerOf(0)).to.equal(user2.address);
+      expect(await nftMarketplace.ownerOf(1)).to.equal(user2.address);
+      expect(await nftMarketplace.ownerOf(2)).to.equal(nftMarketplace.address);
+      expect(await nftMarketplace.balanceOf(user3.address)).to.equal(0);
+      expect(await nftMarketplace.pendingWithdrawal(artist.address)).to.be.gt(0);
+    });
+
+    it("Relisted with the given Markup", async function () {
+      const rows = await runTask("market:seed", { buyers: 2, markup: 10 });
+      expect(rows.find(row => row.action === "relisted").price).to.equal("1.1");
+    });
+
+    it("Rejected a single Buyer", async function () {
+      expect(await failureOf(runTask("market:seed", { buyers: 1 }))).to.include("At least 2 buyers are needed");
+    });
+
+  });
+
+});
@@ -0,0 +1,241 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createMediaServer } = require("../media/server");
+const { audioPreview } = require("../media/preview");
+const { audioDuration } = require("../scripts/audioDuration");
+const { PREVIEW_SECONDS, challengeMessage, previewPath, trackPath } = require("../../shared/mediaAccess");
+
+const ethToWei = (num) => ethers.utils.parseEther(num.toString()) // string => bigNumber
+
+// a WAV file of silence: 16 bit mono samples at sampleRate, so a second of audio takes sampleRate * 2 bytes
+function wavFile(seconds, sampleRate = 8000) {
+  const data = Buffer.alloc(Math.round(seconds * sampleRate) * 2);
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0, "ascii");
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write("WAVE", 8, "ascii");
+  header.write("fmt ", 12, "ascii");
+  header.writeUInt32LE(16, 16);  // size of the fmt chunk
+  header.writeUInt16LE(1, 20);  // PCM
+  header.writeUInt16LE(1, 22);  // channels
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);  // byte rate
+  header.writeUInt16LE(2, 32);  // block align
+  header.writeUInt16LE(16, 34);  // bits per sample
+  header.write("data", 36, "ascii");
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+// a constant bitrate MP3 of empty frames: MPEG-1 layer III, 128 kbps, 44100 Hz, so a second takes 16000 bytes
+function mp3File(seconds) {
+  const buffer = Buffer.alloc(seconds * 16000);
+  buffer.writeUInt32BE(0xfffb9064, 0);
+  return buffer;
+}
+
+// the media server runs against the in-process hardhat network, as the stand-in of the one the frontend talks to
+describe("Media Server Testing", function () {
+
+  let nftMarketplace, server, mediaDir, clock, tradingModule;
+  let artist, user1, user2;
+  const royaltyFee = 250;  // 2.5%
+  const prices = [ethToWei(1), ethToWei(2), ethToWei(3)];
+  const fullTrack = wavFile(75);
+
+  // requests a path of the server, with the session token (if any) as a bearer token
+  const request = (urlPath, { token, headers = {}, ...options } = {}) => fetch(`http://127.0.0.1:${server.address().port}${urlPath}`, {
+    ...options,
+    headers: token ? { ...headers, Authorization: `Bearer ${token}` } : headers
+  });
+  const audioOf = async (response) => Buffer.from(await response.arrayBuffer());
+
+  // what the player of the frontend does: gets a challenge, has the wallet sign it, and trades the signature for a session
+  const signIn = async (signer) => {
+    const challenge = await (await request(`/challenge?account=${signer.address}`)).json();
+    const signature = await signer.signMessage(challenge.message);
+    return request("/sessions", { method: "POST", body: JSON.stringify({ nonce: challenge.nonce, signature }) });
+  };
+  const sessionOf = async (signer) => (await (await signIn(signer)).json()).token;
+
+  beforeEach(async function () {
+    [, artist, user1, user2] = await ethers.getSigners();
+    tradingModule = await (await ethers.getContractFactory("MusicNFTMarketplaceTrading")).deploy();
+    const NFTMarketplaceFactory = await ethers.getContractFactory("MusicNFTMarketplace");
+    nftMarketplace = await NFTMarketplaceFactory.deploy(tradingModule.address, royaltyFee, artist.address, prices);
+
+    // token 0 is a WAV file and token 1 an MP3 file, token 2 has no audio on the server
+    mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), "media-"));
+    fs.mkdirSync(path.join(mediaDir, nftMarketplace.address.toLowerCase()));
+    fs.writeFileSync(path.join(mediaDir, nftMarketplace.address.toLowerCase(), "0.wav"), fullTrack);
+    fs.writeFileSync(path.join(mediaDir, nftMarketplace.address.toLowerCase(), "1.mp3"), mp3File(60));
+
+    clock = Math.floor(Date.now() / 1000);
+    server = createMediaServer({
+      provider: ethers.provider,
+      marketplaceAbi: (await artifacts.readArtifact("MusicNFTMarketplace")).abi,
+      mediaDir,
+      now: () => clock
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+    await nftMarketplace.connect(user1).buyToken(0, { value: prices[0] });
+    await nftMarketplace.connect(user1).buyToken(1, { value: prices[1] });
+  });
+
+  afterEach(async function () {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(mediaDir, { recursive: true, force: true });
+  });
+
+  describe("Previews", function () {
+
+    it("Served the first 30 Seconds of a Track to anyone", async function () {
+      const response = await request(previewPath(nftMarketplace.address, 0));
+      expect(response.status).to.equal(200);
+      expect(response.headers.get("content-type")).to.equal("audio/wav");
+      expect(audioDuration(await audioOf(response))).to.equal(PREVIEW_SECONDS);
+
+      const mp3 = await request(previewPath(nftMarketplace.address, 1));
+      expect(mp3.headers.get("content-type")).to.equal("audio/mpeg");
+      expect(audioDuration(await audioOf(mp3))).to.equal(PREVIEW_SECONDS);
+    });
+
+    it("Cut short Tracks to their first Half, never serving them whole", function () {
+      expect(audioDuration(audioPreview(wavFile(10), PREVIEW_SECONDS))).to.equal(5);
+      expect(audioDuration(audioPreview(wavFile(PREVIEW_SECONDS), PREVIEW_SECONDS))).to.equal(PREVIEW_SECONDS / 2);
+      expect(audioPreview(Buffer.from("not audio"), PREVIEW_SECONDS)).to.equal(undefined);
+    });
+
+    it("Cut a short MP3 to its first Half", async function () {
+      expect(audioDuration(audioPreview(mp3File(10), PREVIEW_SECONDS))).to.equal(5);
+      expect(audioPreview(mp3File(PREVIEW_SECONDS), PREVIEW_SECONDS).length).to.equal(mp3File(PREVIEW_SECONDS).length / 2);
+
+      // served that way by the public route
+      fs.writeFileSync(path.join(mediaDir, nftMarketplace.address.toLowerCase(), "1.mp3"), mp3File(20));
+      const response = await request(previewPath(nftMarketplace.address, 1));
+      expect(response.status).to.equal(200);
+      expect(audioDuration(await audioOf(response))).to.equal(10);
+    });
+
+    it("Served a Range of the Preview", async function () {
+      const response = await request(previewPath(nftMarketplace.address, 0), { headers: { Range: "bytes=0-43" } });
+      expect(response.status).to.equal(206);
+      expect(response.headers.get("content-range")).to.equal(`bytes 0-43/${44 + PREVIEW_SECONDS * 16000}`);
+      expect((await audioOf(response)).toString("ascii", 0, 4)).to.equal("RIFF");
+    });
+
+    it("Rejected Tokens without Audio and Invalid Addresses", async function () {
+      expect((await request(previewPath(nftMarketplace.address, 2))).status).to.equal(404);
+      expect((await request(previewPath(user1.address, 0))).status).to.equal(404);
+      expect((await request("/previews/0x1234/0")).status).to.equal(400);
+    });
+
+  });
+
+  describe("Signed Challenge", function () {
+
+    it("Opened a Session for the Account which signed the Challenge", async function () {
+      const response = await signIn(user1);
+      expect(response.status).to.equal(200);
+      const session = await response.json();
+      expect(session.account).to.equal(user1.address);
+      expect(session.expiresAt).to.equal(clock + 60 * 60);
+    });
+
+    it("Challenge names the Account, the Chain and its Nonce", async function () {
+      const challenge = await (await request(`/challenge?account=${user1.address.toLowerCase()}`)).json();
+      expect(challenge.message).to.equal(challengeMessage({
+        account: user1.address, chainId: 31337, nonce: challenge.nonce, expiresAt: clock + 5 * 60
+      }));
+      expect((await request("/challenge?account=0x1234")).status).to.equal(400);
+    });
+
+    it("Rejected a Challenge signed by another Account", async function () {
+      const challenge = await (await request(`/challenge?account=${user1.address}`)).json();
+      const signature = await user2.signMessage(challenge.message);
+      const response = await request("/sessions", { method: "POST", body: JSON.stringify({ nonce: challenge.nonce, signature }) });
+
+      expect(response.status).to.equal(401);
+      expect((await response.json()).error).to.equal("The challenge was not signed by its account");
+    });
+
+    it("Challenge CAN NOT be used twice", async function () {
+      const challenge = await (await request(`/challenge?account=${user1.address}`)).json();
+      const body = JSON.stringify({ nonce: challenge.nonce, signature: await user1.signMessage(challenge.message) });
+
+      expect((await request("/sessions", { method: "POST", body })).status).to.equal(200);
+      const replay = await request("/sessions", { method: "POST", body });
+      expect(replay.status).to.equal(401);
+      expect((await replay.json()).error).to.equal("The challenge is unknown or expired");
+    });
+
+    it("Rejected an expired Challenge and malformed Requests", async function () {
+      const challenge = await (await request(`/challenge?account=${user1.address}`)).json();
+      const signature = await user1.signMessage(challenge.message);
+      clock += 5 * 60;
+      expect((await request("/sessions", { method: "POST", body: JSON.stringify({ nonce: challenge.nonce, signature }) })).status).to.equal(401);
+
+      expect((await request("/sessions", { method: "POST", body: "{" })).status).to.equal(400);
+      const another = await (await request(`/challenge?account=${user1.address}`)).json();
+      expect((await request("/sessions", { method: "POST", body: JSON.stringify({ nonce: another.nonce, signature: "0x1234" }) })).status).to.equal(401);
+    });
+
+  });
+
+  describe("Full Tracks", function () {
+
+    it("Owner CAN play the full Track", async function () {
+      const response = await request(trackPath(nftMarketplace.address, 0), { token: await sessionOf(user1) });
+      expect(response.status).to.equal(200);
+      expect(await audioOf(response)).to.deep.equal(fullTrack);
+    });
+
+    it("Session Token CAN be passed in the Query", async function () {
+      const token = await sessionOf(user1);
+      const response = await request(`${trackPath(nftMarketplace.address, 1)}?session=${token}`);
+      expect(response.status).to.equal(200);
+      expect((await audioOf(response)).length).to.equal(60 * 16000);
+    });
+
+    it("Third person CAN NOT play the full Track", async function () {
+      const response = await request(trackPath(nftMarketplace.address, 0), { token: await sessionOf(user2) });
+      expect(response.status).to.equal(403);
+      expect((await response.json()).error).to.equal("Only the owner of the token can play the full track");
+    });
+
+    it("Full Track CAN NOT be played without a Session", async function () {
+      expect((await request(trackPath(nftMarketplace.address, 0))).status).to.equal(401);
+      expect((await request(trackPath(nftMarketplace.address, 0), { token: "not-a-session" })).status).to.equal(401);
+
+      const token = await sessionOf(user1);
+      clock += 60 * 60;
+      expect((await request(trackPath(nftMarketplace.address, 0), { token })).status).to.equal(401);
+    });
+
+    it("Access follows the Ownership of the Token", async function () {
+      const seller = await sessionOf(user1);
+      const buyer = await sessionOf(user2);
+      await nftMarketplace.connect(user1).resellToken(0, ethToWei(5));
+      // a listed token is held by the marketplace, so its seller can only play the preview
+      expect((await request(trackPath(nftMarketplace.address, 0), { token: seller })).status).to.equal(403);
+
+      await nftMarketplace.connect(user2).buyToken(0, { value: ethToWei(5) });
+      expect((await request(trackPath(nftMarketplace.address, 0), { token: buyer })).status).to.equal(200);
+      expect((await request(trackPath(nftMarketplace.address, 0), { token: seller })).status).to.equal(403);
+    });
+
+    it("Taken down Track is not served", async function () {
+      const token = await sessionOf(user1);
+      await nftMarketplace.takedownToken(0);
+
+      expect((await request(trackPath(nftMarketplace.address, 0), { token })).status).to.equal(451);
+      expect((await request(previewPath(nftMarketplace.address, 0))).status).to.equal(451);
+    });
+
+  });
+
+});
@@ -0,0 +1,375 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { fileCid, directoryCid } = require("../scripts/cid");
+const { audioDuration } = require("../scripts/audioDuration");
+const { createStorage, createFilesystemStorage, serveFilesystemStorage } = require("../scripts/storage");
+const { parseCsvRows, parseTracksCsv, trackMetadata, buildCatalog } = require("../scripts/upload");
+const { getDeployArgs } = require("../scripts/catalog");
+
+const ethToWei = (num) => ethers.utils.parseEther(num.toString())
+
+// a WAV file of silence: 16 bit mono samples at sampleRate, so a second of audio takes sampleRate * 2 bytes
+function wavFile(seconds, sampleRate = 8000) {
+  const data = Buffer.alloc(Math.round(seconds * sampleRate) * 2);
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0, "ascii");
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write("WAVE", 8, "ascii");
+  header.write("fmt ", 12, "ascii");
+  header.writeUInt32LE(16, 16);  // size of the fmt chunk
+  header.writeUInt16LE(1, 20);  // PCM
+  header.writeUInt16LE(1, 22);  // channels
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);  // byte rate
+  header.writeUInt16LE(2, 32);  // block align
+  header.writeUInt16LE(16, 34);  // bits per sample
+  header.write("data", 36, "ascii");
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+// a constant bitrate MP3 of empty frames: MPEG-1 layer III, 128 kbps, 44100 Hz, so a second takes 16000 bytes
+function mp3File(seconds) {
+  const buffer = Buffer.alloc(seconds * 16000);
+  buffer.writeUInt32BE(0xfffb9064, 0);
+  return buffer;
+}
+
+describe("Catalogue Upload", function () {
+
+  const artist = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  let dir, storageDir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "tracks-"));
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "storage-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  // writes a folder of two tracks, the first one with a cover
+  function writeTracks(csv) {
+    fs.writeFileSync(path.join(dir, "first.wav"), wavFile(2.5));
+    fs.writeFileSync(path.join(dir, "second.mp3"), mp3File(3));
+    fs.writeFileSync(path.join(dir, "first.png"), Buffer.from("not really a png"));
+    fs.writeFileSync(path.join(dir, "tracks.csv"), csv || [
+      "title,price,audio,image,description,duration",
+      'First Track,1,first.wav,first.png,"The first track, with a comma",',
+      "Second Track,2.5,second.mp3,,,"
+    ].join("\n"));
+  }
+
+  describe("Content Identifiers", function () {
+
+    it("Computed the CID of a file", async function () {
+      // the CID "ipfs add --cid-version=1 --raw-leaves" gives to a file holding "hello world"
+      expect(fileCid(Buffer.from("hello world"))).to.equal("bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e");
+    });
+
+    it("Computed the same CID for the same directory whatever the order of its files", async function () {
+      const a = fileCid(Buffer.from("a"));
+      const b = fileCid(Buffer.from("b"));
+      expect(directoryCid({ "0.json": a, "1.json": b })).to.equal(directoryCid({ "1.json": b, "0.json": a }));
+      expect(directoryCid({ "0.json": a, "1.json": b })).to.not.equal(directoryCid({ "0.json": b, "1.json": a }));
+      expect(directoryCid({ "0.json": a })).to.match(/^bagu/);
+    });
+
+  });
+
+  describe("CSV", function () {
+
+    it("Parsed quoted fields, escaped quotes and Windows line endings", async function () {
+      expect(parseCsvRows('a,"b, c","say ""hi"""\r\n\r\n1,2,3\r\n')).to.deep.equal([
+        ["a", "b, c", 'say "hi"'],
+        ["1", "2", "3"]
+      ]);
+    });
+
+    it("Read the tracks by the names of the columns", async function () {
+      expect(parseTracksCsv("Price,Title,Audio\n1, Track ,track.mp3")).to.deep.equal([
+        { price: "1", title: "Track", audio: "track.mp3" }
+      ]);
+    });
+
+    it("Rejected a CSV without the required columns", async function () {
+      expect(() => parseTracksCsv("title,image\nTrack,cover.png")).to.throw("The CSV has no price, audio column");
+      expect(() => parseTracksCsv("")).to.throw("The CSV is empty");
+    });
+
+  });
+
+  describe("Audio Duration", function () {
+
+    it("Read the duration of a WAV file", async function () {
+      expect(audioDuration(wavFile(2.5))).to.equal(2.5);
+      expect(audioDuration(wavFile(1, 44100))).to.equal(1);
+    });
+
+    it("Read the duration of a constant bitrate MP3 file, behind an ID3 tag", async function () {
+      expect(audioDuration(mp3File(3))).to.equal(3);
+      const tag = Buffer.concat([Buffer.from("ID3"), Buffer.from([4, 0, 0, 0, 0, 0, 20]), Buffer.alloc(20)]);
+      expect(audioDuration(Buffer.concat([tag, mp3File(3)]))).to.equal(3);
+    });
+
+    it("Returned undefined for other formats", async function () {
+      expect(audioDuration(Buffer.from("fLaC and some audio"))).to.equal(undefined);
+    });
+
+  });
+
+  describe("Metadata", function () {
+
+    it("Generated the ERC-721 metadata of a track", async function () {
+      expect(trackMetadata({ title: "Track", artistName: "The Artist", image: "ipfs://cover", audio: "ipfs://audio", duration: 90 })).to.deep.equal({
+        name: "Track",
+        description: "Track by The Artist",
+        artist: "The Artist",
+        animation_url: "ipfs://audio",
+        duration: 90,
+        image: "ipfs://cover"
+      });
+    });
+
+    it("Left the image out of a track without a cover", async function () {
+      expect(trackMetadata({ title: "Track", description: "Live", artistName: "The Artist", audio: "ipfs://audio", duration: 90 }))
+        .to.not.have.property("image");
+    });
+
+  });
+
+  describe("Building the Catalogue", function () {
+
+    let storage;
+
+    beforeEach(function () {
+      storage = createFilesystemStorage({ dir: storageDir, gateway: "http://gateway" });
+    });
+
+    it("Uploaded the files and the metadata, and returned the manifest", async function () {
+      writeTracks();
+      const { catalog, cids } = await buildCatalog({ dir, storage, artist, artistName: "The Artist", royaltyFee: 250 });
+
+      expect(catalog).to.deep.equal({
+        artist,
+        royaltyFee: 250,
+        tracks: [{ title: "First Track", price: "1" }, { title: "Second Track", price: "2.5" }],
+        baseURI: `http://gateway/ipfs/${cids.metadata}/`
+      });
+
+      // the files are stored by their CID
+      const audio = fs.readFileSync(path.join(dir, "first.wav"));
+      expect(cids.tracks[0].audio).to.equal(fileCid(audio));
+      expect(fs.readFileSync(path.join(storageDir, cids.tracks[0].audio))).to.deep.equal(audio);
+      expect(cids.tracks[1].image).to.equal(null);
+
+      const first = JSON.parse(fs.readFileSync(path.join(storageDir, cids.metadata, "0.json")));
+      expect(first).to.deep.equal({
+        name: "First Track",
+        description: "The first track, with a comma",
+        artist: "The Artist",
+        animation_url: `http://gateway/ipfs/${cids.tracks[0].audio}`,
+        duration: 2.5,
+        image: `http://gateway/ipfs/${cids.tracks[0].image}`
+      });
+      const second = JSON.parse(fs.readFileSync(path.join(storageDir, cids.metadata, "1.json")));
+      expect(second.description).to.equal("Second Track by The Artist");
+      expect(second.duration).to.equal(3);
+    });
+
+    it("Gave the same CIDs to the same folder", async function () {
+      writeTracks();
+      const args = { dir, storage, artist, artistName: "The Artist", royaltyFee: 250 };
+      const { cids } = await buildCatalog(args);
+      expect((await buildCatalog(args)).cids).to.deep.equal(cids);
+    });
+
+    it("Used the duration of the CSV over the one of the file", async function () {
+      writeTracks("title,price,audio,duration\nFirst Track,1,first.wav,61.5");
+      const { cids } = await buildCatalog({ dir, storage, artist, artistName: "The Artist", royaltyFee: 250 });
+      expect(JSON.parse(fs.readFileSync(path.join(storageDir, cids.metadata, "0.json"))).duration).to.equal(61.5);
+    });
+
+    it("Reported every problem at once, before uploading anything", async function () {
+      writeTracks();
+      fs.writeFileSync(path.join(dir, "track.flac"), Buffer.from("fLaC"));
+      fs.writeFileSync(path.join(dir, "tracks.csv"), [
+        "title,price,audio,image",
+        "First Track,0,first.wav,",
+        ",1,missing.mp3,",
+        "Third Track,1,track.flac,missing.png",
+        "Fourth Track,1,,"
+      ].join("\n"));
+
+      let error;
+      try {
+        await buildCatalog({ dir, storage, artist: "0x1234", artistName: "The Artist", royaltyFee: 250 });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message.split("\n")).to.deep.equal([
+        "Invalid catalogue:",
+        `  - track 1: missing.mp3 was not found in ${dir}`,
+        `  - track 2: missing.png was not found in ${dir}`,
+        "  - track 2: the duration of track.flac can not be read, please set it in the duration column",
+        "  - track 3 has no audio file",
+        '  - artist "0x1234" is not a valid address',
+        "  - track 0 must have a price greater than zero",
+        "  - track 1 has no title"
+      ]);
+      expect(fs.readdirSync(storageDir)).to.deep.equal([]);
+    });
+
+    it("Rejected an unknown storage", async function () {
+      expect(() => createStorage("dropbox")).to.throw('Unknown storage "dropbox", use one of: filesystem, ipfs');
+    });
+
+  });
+
+  describe("Serving the Storage", function () {
+
+    let server, gateway;
+
+    beforeEach(async function () {
+      server = serveFilesystemStorage(storageDir);
+      await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+      gateway = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async function () {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it("Served the uploaded files like an IPFS gateway", async function () {
+      const storage = createFilesystemStorage({ dir: storageDir, gateway });
+      const file = await storage.addFile(Buffer.from("hello world"));
+      const directory = await storage.addDirectory([{ path: "0.json", content: Buffer.from('{"name":"Track"}') }]);
+
+      expect(await (await fetch(file.uri)).text()).to.equal("hello world");
+      const response = await fetch(directory.uri + "0.json");
+      expect(response.headers.get("content-type")).to.equal("application/json");
+      expect(await response.json()).to.deep.equal({ name: "Track" });
+    });
+
+    it("Did not serve the files outside of the storage", async function () {
+      fs.writeFileSync(path.join(dir, "secret"), "secret");
+      const outside = path.relative(storageDir, path.join(dir, "secret"));
+      expect((await fetch(`${gateway}/ipfs/${outside.split(path.sep).map(encodeURIComponent).join("/")}`)).status).to.equal(404);
+      expect((await fetch(`${gateway}/ipfs/%2e%2e%2f${path.basename(dir)}%2fsecret`)).status).to.equal(404);
+      expect((await fetch(`${gateway}/ipfs/missing`)).status).to.equal(404);
+    });
+
+    it("Deployed a marketplace whose tracks resolve to the uploaded metadata", async function () {
+      writeTracks();
+      const storage = createFilesystemStorage({ dir: storageDir, gateway });
+      const { catalog, cids } = await buildCatalog({ dir, storage, artist, artistName: "The Artist", royaltyFee: 250 });
+
+      // what the deploy script does with the manifest
+      const { royaltyFee, prices, baseURI } = getDeployArgs(catalog);
+      const tradingModule = await (await ethers.getContractFactory("MusicNFTMarketplaceTrading")).deploy();
+      const NFTMarketplaceFactory = await ethers.getContractFactory("MusicNFTMarketplace");
+      const nftMarketplace = await NFTMarketplaceFactory.deploy(tradingModule.address, royaltyFee, artist, prices);
+      await nftMarketplace.setBaseURI(baseURI);
+
+      expect((await nftMarketplace.marketItems(1)).price).to.equal(ethToWei(2.5));
+      // the frontend reads the metadata of the tracks minted at deployment at tokenURI + ".json"
+      const metadata = await (await fetch(await nftMarketplace.tokenURI(1) + ".json")).json();
+      expect(metadata.name).to.equal("Second Track");
+      const audio = await fetch(metadata.animation_url);
+      expect(Buffer.from(await audio.arrayBuffer())).to.deep.equal(fs.readFileSync(path.join(dir, "second.mp3")));
+      expect(metadata.animation_url).to.equal(`${gateway}/ipfs/${cids.tracks[1].audio}`);
+    });
+
+  });
+
+  describe("IPFS Storage", function () {
+
+    let node, apiUrl, uploads;
+
+    // a stand-in for the RPC API of an IPFS node: every file added gets the next CID of the node,
+    // and the directory wrapping them (the entry without a name) one more
+    beforeEach(async function () {
+      uploads = [];
+      let added = 0;
+      node = http.createServer((req, res) => {
+        const chunks = [];
+        req.on("data", chunk => chunks.push(chunk));
+        req.on("end", () => {
+          const body = Buffer.concat(chunks).toString();
+          const url = new URL(req.url, "http://localhost");
+          uploads.push({ path: url.pathname, query: url.searchParams, body });
+          const names = [...body.matchAll(/filename="([^"]*)"/g)].map(match => match[1]);
+          const entries = names.map(name => ({ Name: name, Hash: `bafynodefile${++added}` }));
+          if (url.searchParams.get("wrap-with-directory") === "true") entries.push({ Name: "", Hash: `bafynodedir${++added}` });
+          res.end(entries.map(entry => JSON.stringify(entry)).join("\n") + "\n");
+        });
+      });
+      await new Promise(resolve => node.listen(0, "127.0.0.1", resolve));
+      apiUrl = `http://127.0.0.1:${node.address().port}`;
+    });
+
+    afterEach(async function () {
+      await new Promise(resolve => node.close(resolve));
+    });
+
+    it("Addressed the files and the metadata by the CIDs the node returned", async function () {
+      writeTracks();
+      const storage = createStorage("ipfs", { apiUrl, gateway: "http://gateway" });
+      const { catalog, cids } = await buildCatalog({ dir, storage, artist, artistName: "The Artist", royaltyFee: 250 });
+
+      // the audio files and the cover are added one at a time, then the metadata wrapped in a directory
+      expect(uploads).to.have.length(4);
+      uploads.forEach(upload => expect(upload.path).to.equal("/api/v0/add"));
+      expect(uploads[3].query.get("wrap-with-directory")).to.equal("true");
+      expect(cids.tracks[0].audio).to.match(/^bafynodefile/);
+      expect(cids.metadata).to.match(/^bafynodedir/);
+      // the baseURI is the directory the node pinned, not the one computed locally
+      expect(catalog.baseURI).to.equal(`http://gateway/ipfs/${cids.metadata}/`);
+      expect(uploads[3].body).to.include("0.json").and.to.include("1.json");
+      expect(uploads[3].body).to.include(`http://gateway/ipfs/${cids.tracks[0].audio}`);
+    });
+
+    it("Reported the upload refused by the node", async function () {
+      node.removeAllListeners("request");
+      node.on("request", (req, res) => {
+        req.resume();
+        res.statusCode = 500;
+        res.end("no space left");
+      });
+      const storage = createStorage("ipfs", { apiUrl });
+
+      let error;
+      try {
+        await storage.addFile(Buffer.from("hello world"));
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal(`The IPFS node at ${apiUrl} refused the upload: 500 no space left`);
+    });
+
+  });
+
+  describe("Hardhat Task", function () {
+
+    it("Wrote the manifest the deploy script reads", async function () {
+      writeTracks();
+      const out = path.join(dir, "catalog.json");
+      const catalog = await hre.run("catalog:upload", {
+        dir, artist, artistName: "The Artist", royaltyFee: 500, storageDir, gateway: "http://gateway", out
+      });
+
+      expect(JSON.parse(fs.readFileSync(out))).to.deep.equal(catalog);
+      expect(catalog.royaltyFee).to.equal(500);
+      expect(getDeployArgs(catalog).baseURI).to.match(/^http:\/\/gateway\/ipfs\/bagu.*\/$/);
+    });
+
+  });
+
+});
@@ -0,0 +1,215 @@
+import { useState, useEffect, useCallback } from 'react'
+import { ethers } from "ethers"
+import { Card, Button, Form, InputGroup, Alert, Spinner, Badge } from 'react-bootstrap'
+
+// the roles the owner of the marketplace grants, by the names shown in the panel (the contract keys them by keccak256 of their name)
+export const ROLES = {
+  Manager: ethers.utils.id("MANAGER_ROLE"),
+  Moderator: ethers.utils.id("MODERATOR_ROLE")
+}
+
+// the operational controls of the marketplace, shown to its owner: the platform fee and the treasury it is credited to,
+// the emergency pause of the trading, the managers and moderators, and the takedown of tokens after a copyright claim.
+// the moderators (isOwner false) are only shown the takedown
+export default function AdminPanel({ contract, isOwner = true }) {
+  const [loading, setLoading] = useState(true)
+  const [settings, setSettings] = useState(null)
+  const [platformFee, setPlatformFee] = useState("")
+  const [treasury, setTreasury] = useState("")
+  const [tokenId, setTokenId] = useState("")
+  const [roleAccount, setRoleAccount] = useState("")
+  const [roleName, setRoleName] = useState("Manager")
+  const [error, setError] = useState(null)
+  const [message, setMessage] = useState(null)
+
+  const loadSettings = useCallback(async () => {
+    if (!isOwner) {
+      setSettings({})
+      setLoading(false)
+      return
+    }
+    // the members of every role, by role name
+    const roleMembers = {}
+    for (const [name, role] of Object.entries(ROLES)) {
+      roleMembers[name] = await contract.getRoleMembers(role)
+    }
+    setSettings({
+      platformFee: await contract.platformFee(),
+      treasury: await contract.treasury(),
+      paused: await contract.paused(),
+      roleMembers
+    })
+    setLoading(false)
+  }, [contract, isOwner])
+
+  // runs an admin transaction, then shows its outcome and refreshes the settings
+  const runAdminTransaction = async (sendTransaction, success) => {
+    setError(null)
+    setMessage(null)
+    try {
+      await (await sendTransaction()).wait()
+      setMessage(success)
+      await loadSettings()
+    } catch (e) {
+      setError(e.reason || e.message)
+    }
+  }
+
+  const updatePlatformFee = () => {
+    // the fee is typed as a percentage, the contract takes basis points
+    const percent = Number(platformFee)
+    if (platformFee === "" || percent < 0) {
+      setError("Please set a platform fee of 0% or more")
+      return
+    }
+    runAdminTransaction(() => contract.setPlatformFee(Math.round(percent * 100)), `Platform fee set to ${percent}%`)
+  }
+
+  const updateTreasury = () => {
+    if (!ethers.utils.isAddress(treasury)) {
+      setError("Please enter a valid treasury address")
+      return
+    }
+    runAdminTransaction(() => contract.setTreasury(treasury), "Treasury updated")
+  }
+
+  const grantRole = () => {
+    if (!ethers.utils.isAddress(roleAccount)) {
+      setError("Please enter a valid account address")
+      return
+    }
+    runAdminTransaction(() => contract.grantRole(ROLES[roleName], roleAccount), `${roleName} role granted to ${roleAccount}`)
+  }
+
+  const revokeRole = (name, account) => {
+    runAdminTransaction(() => contract.revokeRole(ROLES[name], account), `${name} role revoked from ${account}`)
+  }
+
+  // takes a token down, or restores it when it is already taken down
+  const toggleTakedown = async (restore) => {
+    if (tokenId === "" || Number(tokenId) < 0) {
+      setError("Please enter a token id")
+      return
+    }
+    runAdminTransaction(
+      () => restore ? contract.restoreToken(tokenId) : contract.takedownToken(tokenId),
+      restore ? `Token ${tokenId} restored` : `Token ${tokenId} taken down`
+    )
+  }
+
+  useEffect(() => {
+    loadSettings().catch(e => {
+      setError(e.reason || e.message)
+      setLoading(false)
+    })
+  }, [loadSettings])
+
+  if (loading) return (
+    <main style={{ padding: "1rem 0" }}>
+      <Spinner animation="border" role="status" />
+      <h2>Loading...</h2>
+    </main>
+  )
+
+  return (
+    <div className="container px-5 py-4" style={{ maxWidth: "720px" }}>
+      <h2>Admin</h2>
+      {error && <Alert variant="danger">{error}</Alert>}
+      {message && <Alert variant="success">{message}</Alert>}
+      {settings && isOwner &&
+        <>
+          <Card className="mb-3">
+            <Card.Body>
+              <Card.Title>Platform fee</Card.Title>
+              <Card.Text>{`Currently ${settings.platformFee / 100}% of every sale, credited to ${settings.treasury}`}</Card.Text>
+              <InputGroup className="mb-2">
+                <Form.Control
+                  type="number"
+                  min="0"
+                  step="any"
+                  placeholder="Fee in %"
+                  aria-label="Platform fee in percent"
+                  value={platformFee}
+                  onChange={(e) => setPlatformFee(e.target.value)}
+                />
+                <Button onClick={updatePlatformFee} variant="outline-primary">Set Fee</Button>
+              </InputGroup>
+              <InputGroup>
+                <Form.Control
+                  placeholder="0x..."
+                  aria-label="Treasury address"
+                  value={treasury}
+                  onChange={(e) => setTreasury(e.target.value)}
+                />
+                <Button onClick={updateTreasury} variant="outline-primary">Set Treasury</Button>
+              </InputGroup>
+            </Card.Body>
+          </Card>
+          <Card className="mb-3">
+            <Card.Body>
+              <Card.Title>
+                Trading <Badge bg={settings.paused ? "danger" : "success"}>{settings.paused ? "Paused" : "Active"}</Badge>
+              </Card.Title>
+              <Card.Text>While paused nothing can be bought, listed or bid on. Listings can still be cancelled and funds withdrawn.</Card.Text>
+              {settings.paused ? (
+                <Button onClick={() => runAdminTransaction(() => contract.unpause(), "Trading resumed")} variant="success">Unpause</Button>
+              ) : (
+                <Button onClick={() => runAdminTransaction(() => contract.pause(), "Trading paused")} variant="danger">Pause</Button>
+              )}
+            </Card.Body>
+          </Card>
+          <Card className="mb-3">
+            <Card.Body>
+              <Card.Title>Roles</Card.Title>
+              <Card.Text>Managers mint tracks and set the prices of the catalogue, moderators take tokens down.</Card.Text>
+              {Object.entries(settings.roleMembers).map(([name, members]) => (
+                <div key={name} className="mb-2">
+                  <strong>{`${name}s`}</strong>
+                  {members.length === 0 && <div className="text-muted">None</div>}
+                  {members.map(member => (
+                    <div key={member} className="d-flex justify-content-between align-items-center">
+                      <span>{member}</span>
+                      <Button size="sm" onClick={() => revokeRole(name, member)} variant="outline-danger" aria-label={`Revoke ${name} ${member}`}>Revoke</Button>
+                    </div>
+                  ))}
+                </div>
+              ))}
+              <InputGroup>
+                <Form.Select aria-label="Role" value={roleName} onChange={(e) => setRoleName(e.target.value)} style={{ maxWidth: "10rem" }}>
+                  {Object.keys(ROLES).map(name => <option key={name} value={name}>{name}</option>)}
+                </Form.Select>
+                <Form.Control
+                  placeholder="0x..."
+                  aria-label="Role account address"
+                  value={roleAccount}
+                  onChange={(e) => setRoleAccount(e.target.value)}
+                />
+                <Button onClick={grantRole} variant="outline-primary">Grant</Button>
+              </InputGroup>
+            </Card.Body>
+          </Card>
+        </>
+      }
+      {settings &&
+        <Card>
+          <Card.Body>
+            <Card.Title>Copyright takedown</Card.Title>
+            <Card.Text>A token taken down is delisted, returned to its seller and can not be listed again until it is restored.</Card.Text>
+            <InputGroup>
+              <Form.Control
+                type="number"
+                min="0"
+                placeholder="Token id"
+                aria-label="Token id"
+                value={tokenId}
+                onChange={(e) => setTokenId(e.target.value)}
+              />
+              <Button onClick={() => toggleTakedown(false)} variant="outline-danger">Take Down</Button>
+              <Button onClick={() => toggleTakedown(true)} variant="outline-secondary">Restore</Button>
+            </InputGroup>
+          </Card.Body>
+        </Card>
+      }
+    </div>
+  )
+}
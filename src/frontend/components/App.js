@@ -1,48 +1,222 @@
-
-import logo from './logo.png';
+import { BrowserRouter, Routes, Route } from "react-router-dom";
+import { useState, useEffect, useCallback } from 'react'
+import { ethers } from "ethers"
+import { Spinner, Alert } from 'react-bootstrap'
+import Navigation from './Navbar';
+import Home from './Home.js'
+import MyTokens from './MyTokens.js'
+import AdminPanel, { ROLES } from './AdminPanel'
+import ArtistDashboard from './ArtistDashboard'
+import { PlayerProvider } from './Player'
+import MusicNFTMarketplaceAbi from '../contractsData/MusicNFTMarketplace.json'
+import MusicNFTMarketplaceAddress from '../contractsData/MusicNFTMarketplace-address.json'
+import MusicNFTMarketplaceFactoryAbi from '../contractsData/MusicNFTMarketplaceFactory.json'
+import MusicNFTMarketplaceFactoryAddress from '../contractsData/MusicNFTMarketplaceFactory-address.json'
+import { loadCatalogues } from './catalogues'
+import { withCache, cacheKey, saveCached, loadCached } from './offlineCache'
 import './App.css';
- 
+
+// the chain id of the network the wallet was last connected to
+const LAST_NETWORK = cacheKey("last-network")
+
+// the marketplace deployed by the deploy script is opened first, otherwise the first catalogue
+const openedCatalogue = (deployment, catalogues) => deployment ? deployment.address : catalogues[0].address
+
+// the catalogues cached for the network the wallet was last connected to, and the one to open, or null when none were cached.
+// they are shown before any call to the wallet, which may be missing or unable to reach its network, through contracts
+// without a provider: every page then shows what it cached, read-only, until the wallet is connected
+function cachedCatalogues() {
+  const network = loadCached(LAST_NETWORK)
+  const cached = network && loadCached(cacheKey(network.data, "catalogues"))
+  if (!cached || cached.data.length === 0) return null
+  return { catalogues: cached.data, opened: openedCatalogue(MusicNFTMarketplaceAddress[network.data], cached.data) }
+}
+
 function App() {
+  // what was cached before the wallet is connected
+  const [cached] = useState(cachedCatalogues)
+  const [loading, setLoading] = useState(!cached)
+  const [account, setAccount] = useState(null)
+  const [contract, setContract] = useState(() => cached ? new ethers.Contract(cached.opened, MusicNFTMarketplaceAbi.abi) : {})
+  const [signer, setSigner] = useState(null)
+  const [catalogues, setCatalogues] = useState(cached ? cached.catalogues : [])
+  const [error, setError] = useState(null)
+  const [isOwner, setIsOwner] = useState(false)
+  const [isModerator, setIsModerator] = useState(false)
+  const [isArtist, setIsArtist] = useState(false)
+  // whether the wallet was connected, its events are only listened to from then on
+  const [connected, setConnected] = useState(false)
+
+  // connects to the wallet injected by the browser (e.g. metamask)
+  const web3Handler = async () => {
+    if (!window.ethereum) {
+      setError("No injected wallet found, please install MetaMask")
+      return
+    }
+    let accounts
+    try {
+      accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
+    } catch (e) {
+      setError(e.reason || e.message)
+      return
+    }
+    setError(null)
+    setAccount(accounts[0])
+    setConnected(true)
+
+    // Get provider from Metamask
+    const provider = new ethers.providers.Web3Provider(window.ethereum)
+
+    // Get signer
+    const signer = provider.getSigner()
+    loadContracts(signer).catch(e => setError(e.reason || e.message))
+  }
+
+  // switches the marketplace to the catalogue (MusicNFTMarketplace contract) of another artist
+  const selectCatalogue = useCallback((address, currentSigner = signer) => {
+    // Get deployed copy of music nft marketplace contract
+    const contract = new ethers.Contract(address, MusicNFTMarketplaceAbi.abi, currentSigner)
+    setContract(contract)
+    setLoading(false)
+  }, [signer])
+
+  const loadContracts = useCallback(async (signer) => {
+    // the deploy script records one deployment per chain id, so the ones of the connected network are picked
+    const { chainId } = await signer.provider.getNetwork()
+    saveCached(LAST_NETWORK, chainId)
+    const marketplaceDeployment = MusicNFTMarketplaceAddress[chainId]
+    const factoryDeployment = MusicNFTMarketplaceFactoryAddress[chainId]
+
+    // the catalogues are cached, so the last known ones are still opened when the network can not be reached
+    const { data: catalogues } = await withCache(cacheKey(chainId, "catalogues"), async () => {
+      // the catalogues of all the artists are listed by the factory
+      let catalogues = []
+      if (factoryDeployment) {
+        const factory = new ethers.Contract(factoryDeployment.address, MusicNFTMarketplaceFactoryAbi.abi, signer)
+        catalogues = await loadCatalogues(factory, factoryDeployment.blockNumber)
+      }
+      // a marketplace deployed on its own is shown as well, even if it was never registered in the factory.
+      // it comes with the block the deploy script recorded it was deployed in
+      if (marketplaceDeployment) {
+        const { address, blockNumber } = marketplaceDeployment
+        const registered = catalogues.find(c => c.address === address)
+        if (registered) {
+          registered.blockNumber = blockNumber
+        } else {
+          const marketplace = new ethers.Contract(address, MusicNFTMarketplaceAbi.abi, signer)
+          catalogues = [{ artist: await marketplace.artist(), address, blockNumber }, ...catalogues]
+        }
+      }
+      return catalogues
+    })
+
+    if (catalogues.length === 0) {
+      setError(`The marketplace is not deployed on the connected network (chain id ${chainId})`)
+      return
+    }
+    setSigner(signer)
+    setCatalogues(catalogues)
+    selectCatalogue(openedCatalogue(marketplaceDeployment, catalogues), signer)
+  }, [selectCatalogue])
+
+  // the wallet's events are listened to once it is connected, the listeners being removed before new ones are added
+  // (connecting again does not add more of them)
+  useEffect(() => {
+    if (!connected) return
+    // the page is reloaded on network change, because the contract address is only valid on one network
+    const onChainChanged = () => window.location.reload()
+    // the marketplace data depends on msg.sender, so the contracts are reconnected with the new account's signer
+    const onAccountsChanged = (accounts) => {
+      setAccount(accounts[0])
+      const provider = new ethers.providers.Web3Provider(window.ethereum)
+      loadContracts(provider.getSigner()).catch(e => setError(e.reason || e.message))
+    }
+    window.ethereum.on('chainChanged', onChainChanged)
+    window.ethereum.on('accountsChanged', onAccountsChanged)
+    return () => {
+      window.ethereum.removeListener('chainChanged', onChainChanged)
+      window.ethereum.removeListener('accountsChanged', onAccountsChanged)
+    }
+  }, [connected, loadContracts])
+
+  // the admin panel is only offered to the owner of the selected marketplace, and to its moderators for the takedowns.
+  // the dashboard is offered to its artist and its owner
+  useEffect(() => {
+    setIsOwner(false)
+    setIsModerator(false)
+    setIsArtist(false)
+    if (!account || !contract.owner) return
+    let cancelled = false
+    contract.owner()
+      .then(owner => { if (!cancelled) setIsOwner(owner.toLowerCase() === account.toLowerCase()) })
+      .catch(() => {})
+    contract.artist()
+      .then(artist => { if (!cancelled) setIsArtist(artist.toLowerCase() === account.toLowerCase()) })
+      .catch(() => {})
+    // the catalogues deployed before the roles have no hasRole
+    if (contract.hasRole) {
+      contract.hasRole(ROLES.Moderator, account)
+        .then(moderator => { if (!cancelled) setIsModerator(moderator) })
+        .catch(() => {})
+    }
+    return () => { cancelled = true }
+  }, [contract, account])
+
+  // the events of the selected catalogue are read from the block it was deployed in, when it is known
+  const selected = catalogues.find(c => c.address === contract.address)
+  const deployedAt = (selected && selected.blockNumber) || 0
+
   return (
-    <div>
-      <nav className="navbar navbar-dark fixed-top bg-dark flex-md-nowrap p-0 shadow">
-        <a
-          className="navbar-brand col-sm-3 col-md-2 ms-3"
-          href="http://www.dappuniversity.com/bootcamp"
-          target="_blank"
-          rel="noopener noreferrer"
-        >
-          Dapp University
-        </a>
-      </nav>
-      <div className="container-fluid mt-5">
-        <div className="row">
-          <main role="main" className="col-lg-12 d-flex text-center">
-            <div className="content mx-auto mt-5">
-              <a
-                href="http://www.dappuniversity.com/bootcamp"
-                target="_blank"
-                rel="noopener noreferrer"
-              >
-                <img src={logo} className="App-logo" alt="logo"/>
-              </a>
-              <h1 className= "mt-5">Dapp University Starter Kit</h1>
-              <p>
-                Edit <code>src/frontend/components/App.js</code> and save to reload.
-              </p>
-              <a
-                className="App-link"
-                href="http://www.dappuniversity.com/bootcamp"
-                target="_blank"
-                rel="noopener noreferrer"
-              >
-                LEARN BLOCKCHAIN <u><b>NOW! </b></u>
-              </a>
-            </div>
-          </main>
+    <BrowserRouter>
+      <PlayerProvider signer={signer} account={account}>
+        <div className="App">
+          <Navigation
+            web3Handler={web3Handler}
+            account={account}
+            catalogues={catalogues}
+            catalogue={contract.address}
+            onSelectCatalogue={selectCatalogue}
+            isAdmin={isOwner || isModerator}
+            showDashboard={isArtist || isOwner}
+          />
+          <div>
+            {loading ? (
+              <div style={{ display: 'flex', flexDirection: 'column', justifyContent: 'center', alignItems: 'center', minHeight: '80vh' }}>
+                {error ? <p className="text-danger">{error}</p> : (
+                  <>
+                    <Spinner animation="border" style={{ display: 'flex' }} />
+                    <p className='mx-3 my-0'>Awaiting Metamask Connection...</p>
+                  </>
+                )}
+              </div>
+            ) : (
+              <>
+                {/* the wallet could not be connected, the cached catalogue stays open */}
+                {error && <Alert variant="warning" className="m-3">{error}</Alert>}
+                <Routes>
+                  <Route path="/" element={
+                    <Home contract={contract} account={account} />
+                  } />
+                  <Route path="/my-tokens" element={
+                    <MyTokens contract={contract} account={account} />
+                  } />
+                  {(isArtist || isOwner) &&
+                    <Route path="/dashboard" element={
+                      <ArtistDashboard contract={contract} fromBlock={deployedAt} />
+                    } />
+                  }
+                  {(isOwner || isModerator) &&
+                    <Route path="/admin" element={
+                      <AdminPanel contract={contract} isOwner={isOwner} />
+                    } />
+                  }
+                </Routes>
+              </>
+            )}
+          </div>
         </div>
-      </div>
-    </div>
+      </PlayerProvider>
+    </BrowserRouter>
   );
 }
 
@@ -0,0 +1,113 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Row, Col, Card, Button, Table, Alert, Spinner } from 'react-bootstrap'
+import { loadSalesActivity, analyzeSales, reportCurrencies, summaryCsv, salesCsv, downloadCsv } from './analytics'
+import { loadCurrency, paymentTokenContract, formatPrice } from './paymentTokens'
+import { shortAddress } from './catalogues'
+
+// how the catalogue performs, shown to its artist (and to the owner of the marketplace): the royalties earned,
+// the primary and secondary volume, the floor and average price, the sell-through of the tracks listed at deployment
+// and the accounts reselling the most. both the figures and the sales they come from can be exported as CSV
+export default function ArtistDashboard({ contract, fromBlock = 0 }) {
+  const [loading, setLoading] = useState(true)
+  const [report, setReport] = useState(null)
+  const [currencies, setCurrencies] = useState({})
+  const [error, setError] = useState(null)
+
+  const loadReport = useCallback(async () => {
+    const report = analyzeSales(await loadSalesActivity(contract, fromBlock))
+    // the symbol and decimals of every currency the amounts are in, by payment token
+    const currencies = {}
+    for (const paymentToken of reportCurrencies(report)) {
+      currencies[paymentToken] = await loadCurrency(paymentTokenContract(paymentToken, contract.provider))
+    }
+    setCurrencies(currencies)
+    setReport(report)
+    setLoading(false)
+  }, [contract, fromBlock])
+
+  useEffect(() => {
+    loadReport().catch(e => {
+      setError(e.reason || e.message)
+      setLoading(false)
+    })
+  }, [loadReport])
+
+  // the amounts of a figure in every currency, e.g. "1.5 ETH, 20.0 USDC"
+  const formatAmounts = (totals) => {
+    const amounts = Object.keys(currencies).filter(paymentToken => totals[paymentToken])
+    return amounts.length > 0 ? amounts.map(paymentToken => formatPrice(totals[paymentToken], currencies[paymentToken])).join(", ") : "None"
+  }
+
+  if (loading) return (
+    <main style={{ padding: "1rem 0" }}>
+      <Spinner animation="border" role="status" />
+      <h2>Loading...</h2>
+    </main>
+  )
+
+  if (!report) return <Alert variant="danger" className="mt-3">{error}</Alert>
+
+  const figures = [
+    ["Royalties earned", formatAmounts(report.royalties)],
+    ["Primary volume", `${formatAmounts(report.primaryVolume)} (${report.primarySales} sales)`],
+    ["Secondary volume", `${formatAmounts(report.secondaryVolume)} (${report.secondarySales} sales)`],
+    ["Floor price", formatAmounts(report.floorPrice)],
+    ["Average price", formatAmounts(report.averagePrice)],
+    ["Sell-through", report.sellThroughRate === null
+      ? "No tracks listed at deployment"
+      : `${Math.round(report.sellThroughRate * 100)}% (${report.originalsSold} of ${report.originals} original tracks)`]
+  ]
+
+  return (
+    <div className="px-5 py-4 container">
+      <div className="d-flex justify-content-between align-items-center mb-3">
+        <h3 className="mb-0">Dashboard</h3>
+        <div>
+          <Button variant="outline-secondary" className="me-2" onClick={() => downloadCsv(`summary-${contract.address}.csv`, summaryCsv(report, currencies))}>
+            Export Summary
+          </Button>
+          <Button variant="outline-secondary" onClick={() => downloadCsv(`sales-${contract.address}.csv`, salesCsv(report, currencies))}>
+            Export Sales
+          </Button>
+        </div>
+      </div>
+      <Row xs={1} md={2} lg={3} className="g-4">
+        {figures.map(([title, value]) => (
+          <Col key={title}>
+            <Card role="group" aria-label={title}>
+              <Card.Body>
+                <Card.Subtitle className="text-muted mb-2">{title}</Card.Subtitle>
+                <Card.Text className="fs-5">{value}</Card.Text>
+              </Card.Body>
+            </Card>
+          </Col>
+        ))}
+      </Row>
+      <h4 className="mt-4">Top resellers</h4>
+      {report.topResellers.length > 0 ? (
+        <Table striped bordered size="sm">
+          <thead>
+            <tr>
+              <th>Account</th>
+              <th>Resales</th>
+              <th>Relistings</th>
+              <th>Volume</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.topResellers.map(reseller => (
+              <tr key={reseller.account}>
+                <td title={reseller.account}>{shortAddress(reseller.account)}</td>
+                <td>{reseller.sales}</td>
+                <td>{reseller.relistings}</td>
+                <td>{formatAmounts(reseller.volume)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      ) : (
+        <p>No track has been resold yet</p>
+      )}
+    </div>
+  )
+}
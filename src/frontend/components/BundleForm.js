@@ -0,0 +1,62 @@
+import { useState } from 'react'
+import { Button, Form, InputGroup } from 'react-bootstrap'
+
+// a form for selling several listings of the connected account together (e.g. an album) at a single price in ether.
+// onCreate(name, items, price) resolves to true once the bundle is created, which clears the form
+export default function BundleForm({ listings, onCreate }) {
+  const [name, setName] = useState("")
+  const [price, setPrice] = useState("")
+  const [selected, setSelected] = useState([])
+
+  const toggle = (id) => setSelected(selected.includes(id) ? selected.filter(other => other !== id) : [...selected, id])
+
+  const submit = async (e) => {
+    e.preventDefault()
+    const items = listings.filter(item => selected.includes(item.itemId.toString()))
+    if (await onCreate(name, items, price)) {
+      setName("")
+      setPrice("")
+      setSelected([])
+    }
+  }
+
+  return (
+    <Form className="mb-4" onSubmit={submit} aria-label="New bundle">
+      <h5>Sell as a bundle</h5>
+      {listings.map(item => {
+        const id = item.itemId.toString()
+        return (
+          <Form.Check
+            key={id}
+            inline
+            type="checkbox"
+            id={`bundle-track-${id}`}
+            label={item.name}
+            checked={selected.includes(id)}
+            onChange={() => toggle(id)}
+          />
+        )
+      })}
+      <InputGroup className="mt-2">
+        <Form.Control
+          placeholder="Bundle name"
+          aria-label="Bundle name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <Form.Control
+          type="number"
+          min="0"
+          step="any"
+          placeholder="Price in ETH"
+          aria-label="Bundle price"
+          value={price}
+          onChange={(e) => setPrice(e.target.value)}
+        />
+        <Button type="submit" variant="outline-primary">
+          Create Bundle
+        </Button>
+      </InputGroup>
+    </Form>
+  )
+}
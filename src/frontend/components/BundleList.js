@@ -0,0 +1,44 @@
+import { Row, Col, Card, Button } from 'react-bootstrap'
+import { formatPrice } from './paymentTokens'
+
+// the bundles for sale (as loaded by loadBundles), each bought at its single price in ether. a bundle one of whose tracks
+// is not listed anymore can not be bought, its seller can only cancel it
+export default function BundleList({ bundles, account, onBuy, onCancel }) {
+  const isOwnBundle = (bundle) => !!account && bundle.seller.toLowerCase() === account.toLowerCase()
+
+  return (
+    <div className="px-5 pt-4 container">
+      <h4>Bundles</h4>
+      <Row xs={1} md={2} lg={3} className="g-4">
+        {bundles.map(bundle => (
+          <Col key={bundle.bundleId.toString()}>
+            <Card role="group" aria-label={bundle.name}>
+              <Card.Body>
+                <Card.Title>{bundle.name}</Card.Title>
+                <Card.Text>{bundle.items.map(item => item.name).join(", ")}</Card.Text>
+                {!bundle.available &&
+                  <Card.Text className="text-muted">No longer available, a track of the bundle is not listed anymore</Card.Text>
+                }
+              </Card.Body>
+              <Card.Footer>
+                {isOwnBundle(bundle) ? (
+                  <div className='d-grid'>
+                    <Button onClick={() => onCancel(bundle)} variant="outline-danger">
+                      Cancel Bundle
+                    </Button>
+                  </div>
+                ) : (
+                  <div className='d-grid'>
+                    <Button onClick={() => onBuy(bundle)} variant="primary" disabled={!bundle.available}>
+                      {`Buy Bundle for ${formatPrice(bundle.price)}`}
+                    </Button>
+                  </div>
+                )}
+              </Card.Footer>
+            </Card>
+          </Col>
+        ))}
+      </Row>
+    </div>
+  )
+}
@@ -0,0 +1,43 @@
+import { ethers } from 'ethers'
+import { Card, Button, ListGroup } from 'react-bootstrap'
+import { formatPrice } from './paymentTokens'
+
+// the most listings bought in one transaction (MAX_BATCH_SIZE of the contract)
+export const MAX_CART_SIZE = 50
+
+// what the listings of a cart cost, one { currency, amount } per currency: the prices of different currencies are never added up
+export function cartTotals(items) {
+  const totals = {}
+  items.forEach(item => {
+    const total = totals[item.paymentToken] || { currency: item.currency, amount: ethers.constants.Zero }
+    totals[item.paymentToken] = { ...total, amount: total.amount.add(item.price) }
+  })
+  return Object.values(totals)
+}
+
+// the listings picked on the marketplace, bought together with buyCart: either all of them or none,
+// the transaction reverting when one of them is not listed anymore
+export default function Cart({ items, onRemove, onCheckout }) {
+  const totals = cartTotals(items)
+
+  return (
+    <Card className="mt-3" role="region" aria-label="Cart">
+      <Card.Header>{`Cart (${items.length})`}</Card.Header>
+      <ListGroup variant="flush">
+        {items.map(item => (
+          <ListGroup.Item key={item.itemId.toString()} className="d-flex justify-content-between align-items-center">
+            <span>{item.name}</span>
+            <span>
+              {formatPrice(item.price, item.currency)}{" "}
+              <Button onClick={() => onRemove(item)} variant="outline-danger" size="sm" aria-label={`Remove ${item.name} from the cart`}>&times;</Button>
+            </span>
+          </ListGroup.Item>
+        ))}
+      </ListGroup>
+      <Card.Footer className="d-flex justify-content-between align-items-center">
+        <span>{`Total: ${totals.map(({ amount, currency }) => formatPrice(amount, currency)).join(" + ")}`}</span>
+        <Button onClick={onCheckout} variant="primary">Checkout</Button>
+      </Card.Footer>
+    </Card>
+  )
+}
@@ -0,0 +1,258 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Row, Col, Card, Button, Alert, Spinner, Tabs, Tab, Pagination } from 'react-bootstrap'
+import { loadMarketItem } from './marketItem'
+import ListingControls from './ListingControls'
+import SignedListingForm from './SignedListingForm'
+import TrackHistory from './TrackHistory'
+import Cart, { MAX_CART_SIZE, cartTotals } from './Cart'
+import BundleList from './BundleList'
+import { loadBundles } from './bundles'
+import { usePlayer } from './Player'
+import { withCache, cacheKey, staleMessage } from './offlineCache'
+import { isEther, paymentTokenContract, formatPrice, parsePrice } from './paymentTokens'
+
+// how many listings are shown per page
+export const PAGE_SIZE = 12
+
+// the landing page, listing every music nft which is still for sale on the marketplace, one page at a time.
+// the listings of the connected account can be repriced or cancelled instead of bought, the ones priced in an ERC-20 token
+// are bought after approving the marketplace to spend the price,
+// and listings signed off-chain by their sellers can be pasted in and bought. listings are also added to a cart, bought in one
+// transaction, and the bundles of tracks sold together at a single price are shown above them. the History tab of a track shows its past sales,
+// and its preview is played by the player at the bottom of the page.
+// every page of listings is cached, and shown (without anything to sign, the cart or the bundles) when the network can not be reached
+export default function Home({ contract, account }) {
+  const [loading, setLoading] = useState(true)
+  const [items, setItems] = useState([])
+  const [error, setError] = useState(null)
+  const [page, setPage] = useState(0)
+  const [pageCount, setPageCount] = useState(1)
+  // when the listings shown are the cached ones, the time they were saved at
+  const [staleSince, setStaleSince] = useState(null)
+  // the listings picked for buying together, kept while browsing the pages
+  const [cart, setCart] = useState([])
+  const [bundles, setBundles] = useState([])
+  const player = usePlayer()
+
+  const loadMarketplaceItems = useCallback(async () => {
+    const listings = await withCache(cacheKey(contract.address, "listings", page), async () => {
+      // only a page of the listings is fetched, so the call stays cheap however big the catalogue is
+      const count = (await contract.listingCount()).toNumber()
+      const pages = Math.max(1, Math.ceil(count / PAGE_SIZE))
+      if (page >= pages) return { pages, items: [] }
+      const results = await contract.getListings(page * PAGE_SIZE, PAGE_SIZE)
+      return { pages, items: await Promise.all(results.map(i => loadMarketItem(contract, i))) }
+    })
+    const { pages, items } = listings.data
+    setPageCount(pages)
+    // a purchase can empty the last page, in which case the previous one is shown
+    if (page >= pages) {
+      setPage(pages - 1)
+      return
+    }
+    setItems(items)
+    setStaleSince(listings.stale ? listings.savedAt : null)
+    // the bundles are only bought with a transaction, so they are not cached
+    setBundles(listings.stale ? [] : await loadBundles(contract))
+    setLoading(false)
+  }, [contract, page])
+
+  // the marketplace pulls an ERC-20 price out of the buyer's balance of the token, so it has to be allowed to spend it first
+  const approveSpending = async (paymentToken, amount) => {
+    const token = paymentTokenContract(paymentToken, contract.signer)
+    const allowance = await token.allowance(account, contract.address)
+    if (allowance.lt(amount)) {
+      await (await token.approve(contract.address, amount)).wait()
+    }
+  }
+
+  // the token is bought for the price and in the currency shown, the purchase reverting if the seller changed them in the meantime
+  const buyMarketItem = async (item) => {
+    setError(null)
+    try {
+      if (isEther(item.paymentToken)) {
+        // the contract only accepts the exact asking price
+        await (await contract.buyTokenAtPrice(item.itemId, item.price, item.paymentToken, { value: item.price })).wait()
+      } else {
+        await approveSpending(item.paymentToken, item.price)
+        await (await contract.buyTokenAtPrice(item.itemId, item.price, item.paymentToken)).wait()
+      }
+      await loadMarketplaceItems()
+    } catch (e) {
+      setError(e.reason || e.message)
+    }
+  }
+
+  // runs a transaction on a listing, then refreshes the listings
+  const manageListing = async (sendTransaction) => {
+    setError(null)
+    try {
+      await (await sendTransaction()).wait()
+      await loadMarketplaceItems()
+    } catch (e) {
+      setError(e.reason || e.message)
+    }
+  }
+
+  const updatePrice = (item, price) => {
+    if (!price || Number(price) <= 0) {
+      setError("Please set a positive price for the listing")
+      return
+    }
+    // the new price is in the currency the listing is already in
+    manageListing(() => contract.updateListingPrice(item.itemId, parsePrice(price, item.currency)))
+  }
+
+  const cancelListing = (item) => manageListing(() => contract.cancelListing(item.itemId))
+
+  // the signed listing is the JSON shared by the seller: { order: { tokenId, price, nonce, expiry }, signature }
+  const buySignedListing = async (signedListing) => {
+    setError(null)
+    let order, signature
+    try {
+      ({ order, signature } = JSON.parse(signedListing))
+    } catch (e) {
+      setError("The signed listing is not valid")
+      return
+    }
+    if (!order || !signature) {
+      setError("The signed listing is not valid")
+      return
+    }
+    manageListing(() => contract.buyWithSignature(order, signature, { value: order.price }))
+  }
+
+  // the cart and the page belong to the catalogue they were picked in, so they are dropped when another artist's one is
+  // selected: its token ids are not the same tracks
+  useEffect(() => {
+    setCart([])
+    setPage(0)
+  }, [contract.address])
+
+  const isInCart = (item) => cart.some(cartItem => cartItem.itemId.eq(item.itemId))
+
+  const addToCart = (item) => {
+    if (cart.length >= MAX_CART_SIZE) {
+      setError(`A cart holds up to ${MAX_CART_SIZE} tracks`)
+      return
+    }
+    setCart([...cart, item])
+  }
+
+  const removeFromCart = (item) => setCart(cart.filter(cartItem => !cartItem.itemId.eq(item.itemId)))
+
+  // the ERC-20 totals of the cart are approved first, then its ether total is sent along with buyCart
+  const checkout = async () => {
+    setError(null)
+    try {
+      const totals = cartTotals(cart)
+      for (const { currency, amount } of totals) {
+        if (!isEther(currency.address)) await approveSpending(currency.address, amount)
+      }
+      const ether = totals.find(({ currency }) => isEther(currency.address))
+      await (await contract.buyCart(cart.map(item => item.itemId), { value: ether ? ether.amount : 0 })).wait()
+      setCart([])
+      await loadMarketplaceItems()
+    } catch (e) {
+      setError(e.reason || e.message)
+    }
+  }
+
+  // a bundle is paid in ether, its exact price
+  const buyBundle = (bundle) => manageListing(() => contract.buyBundle(bundle.bundleId, { value: bundle.price }))
+
+  const cancelBundle = (bundle) => manageListing(() => contract.cancelBundle(bundle.bundleId))
+
+  const isOwnListing = (item) => !!account && item.seller.toLowerCase() === account.toLowerCase()
+
+  useEffect(() => {
+    loadMarketplaceItems().catch(e => {
+      setError(e.reason || e.message)
+      setLoading(false)
+    })
+  }, [loadMarketplaceItems])
+
+  if (loading) return (
+    <main style={{ padding: "1rem 0" }}>
+      <Spinner animation="border" role="status" />
+      <h2>Loading...</h2>
+    </main>
+  )
+
+  return (
+    <div className="flex justify-center">
+      {error && <Alert variant="danger" className="mt-3">{error}</Alert>}
+      {staleSince && <Alert variant="warning" className="mt-3">{staleMessage("listings", staleSince)}</Alert>}
+      {account && !staleSince && <div className="px-5 container"><SignedListingForm onBuy={buySignedListing} /></div>}
+      {cart.length > 0 && !staleSince &&
+        <div className="px-5 container"><Cart items={cart} onRemove={removeFromCart} onCheckout={checkout} /></div>
+      }
+      {bundles.length > 0 && <BundleList bundles={bundles} account={account} onBuy={buyBundle} onCancel={cancelBundle} />}
+      {items.length > 0 ?
+        <div className="px-5 container">
+          <Row xs={1} md={2} lg={4} className="g-4 py-5">
+            {items.map((item) => (
+              <Col key={item.itemId.toString()} className="overflow-hidden">
+                <Card>
+                  <Card.Img variant="top" src={item.artwork} alt={item.name} />
+                  <Card.Body color="secondary">
+                    <Card.Title>{item.name}</Card.Title>
+                    <Tabs defaultActiveKey="track" id={`track-tabs-${item.itemId}`} className="mb-2">
+                      <Tab eventKey="track" title="Track">
+                        {item.audio &&
+                          <Button onClick={() => player.playPreview(contract.address, item)} variant="outline-secondary" size="sm" aria-label={`Play the preview of ${item.name}`}>
+                            Play Preview
+                          </Button>
+                        }
+                        {isOwnListing(item) &&
+                          <Card.Text className="mt-1">{`Your listing for ${formatPrice(item.price, item.currency)}`}</Card.Text>
+                        }
+                      </Tab>
+                      {/* the history is only fetched once the tab is opened */}
+                      <Tab eventKey="history" title="History" mountOnEnter>
+                        <TrackHistory contract={contract} tokenId={item.itemId} />
+                      </Tab>
+                    </Tabs>
+                  </Card.Body>
+                  <Card.Footer>
+                    {staleSince ? (
+                      <Card.Text>{`Listed for ${formatPrice(item.price, item.currency)}`}</Card.Text>
+                    ) : isOwnListing(item) ? (
+                      <ListingControls item={item} onUpdatePrice={updatePrice} onCancel={cancelListing} />
+                    ) : (
+                      <div className='d-grid'>
+                        <Button onClick={() => buyMarketItem(item)} variant="primary" size="lg">
+                          {`Buy for ${formatPrice(item.price, item.currency)}`}
+                        </Button>
+                        {isInCart(item) ? (
+                          <Button onClick={() => removeFromCart(item)} variant="outline-secondary" className="mt-2" aria-label={`Remove ${item.name} from the cart`}>
+                            Remove from Cart
+                          </Button>
+                        ) : (
+                          <Button onClick={() => addToCart(item)} variant="outline-secondary" className="mt-2" aria-label={`Add ${item.name} to the cart`}>
+                            Add to Cart
+                          </Button>
+                        )}
+                      </div>
+                    )}
+                  </Card.Footer>
+                </Card>
+              </Col>
+            ))}
+          </Row>
+          {pageCount > 1 &&
+            <Pagination className="justify-content-center">
+              <Pagination.Prev aria-label="Previous page" disabled={page === 0} onClick={() => setPage(page - 1)} />
+              <Pagination.Item active>{`Page ${page + 1} of ${pageCount}`}</Pagination.Item>
+              <Pagination.Next aria-label="Next page" disabled={page === pageCount - 1} onClick={() => setPage(page + 1)} />
+            </Pagination>
+          }
+        </div>
+        : (
+          <main style={{ padding: "1rem 0" }}>
+            <h2>No listed assets</h2>
+          </main>
+        )}
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+import { useState } from 'react'
+import { Button, Form, InputGroup } from 'react-bootstrap'
+
+// shown instead of the buy button on the listings of the connected account, for repricing or cancelling them
+export default function ListingControls({ item, onUpdatePrice, onCancel }) {
+  const [price, setPrice] = useState("")
+
+  return (
+    <>
+      <InputGroup className="mb-2">
+        <Form.Control
+          type="number"
+          min="0"
+          step="any"
+          placeholder={`New price in ${item.currency.symbol}`}
+          aria-label={`New price for ${item.name}`}
+          value={price}
+          onChange={(e) => setPrice(e.target.value)}
+        />
+        <Button onClick={() => onUpdatePrice(item, price)} variant="outline-primary">
+          Update Price
+        </Button>
+      </InputGroup>
+      <div className='d-grid'>
+        <Button onClick={() => onCancel(item)} variant="outline-danger">
+          Cancel Listing
+        </Button>
+      </div>
+    </>
+  )
+}
@@ -0,0 +1,303 @@
+import { useState, useEffect, useCallback } from 'react'
+import { ethers } from "ethers"
+import { Row, Col, Card, Button, Form, InputGroup, Alert, Spinner, Pagination } from 'react-bootstrap'
+import { loadMarketItem } from './marketItem'
+import { signListing } from '../../shared/signedOrders'
+import { loadCurrency, paymentTokenContract, formatPrice } from './paymentTokens'
+import { usePlayer } from './Player'
+import { withCache, cacheKey, staleMessage } from './offlineCache'
+import BundleForm from './BundleForm'
+import { PAGE_SIZE } from './Home'
+
+// how long a listing signed off-chain stays valid
+const SIGNED_LISTING_DURATION = 7 * 24 * 60 * 60
+
+// lists the music nfts owned by the connected account, each with a form for relisting it on the marketplace
+// or signing a gasless listing, along with the proceeds of its sales waiting to be withdrawn (in ether and in every ERC-20 token).
+// the tokens the account listed for sale are owned by the contract until they are sold, so they are shown apart,
+// and several of them can be sold together as a bundle. both are shown one page at a time, each with its own pages.
+// the full tracks of the collection are queued in the player, which signs in to the media server first.
+// every page of the collection is cached, and shown without its forms, withdrawals and tracks when the network can not be reached
+export default function MyTokens({ contract, account }) {
+  const [loading, setLoading] = useState(true)
+  const [myTokens, setMyTokens] = useState([])
+  const [myListings, setMyListings] = useState([])
+  const [tokensPage, setTokensPage] = useState(0)
+  const [tokensPageCount, setTokensPageCount] = useState(1)
+  const [listingsPage, setListingsPage] = useState(0)
+  const [listingsPageCount, setListingsPageCount] = useState(1)
+  const [pending, setPending] = useState(ethers.constants.Zero)
+  const [pendingTokens, setPendingTokens] = useState([])
+  const [prices, setPrices] = useState({})
+  const [signedListings, setSignedListings] = useState({})
+  const [error, setError] = useState(null)
+  // when the collection shown is the cached one, the time it was saved at
+  const [staleSince, setStaleSince] = useState(null)
+  const player = usePlayer()
+
+  // the proceeds of the sales paid in the ERC-20 tokens allowed on the marketplace, with the currency of each
+  const loadPendingTokens = useCallback(async () => {
+    const paymentTokens = await contract.getPaymentTokens()
+    const balances = await Promise.all(paymentTokens.map(async (paymentToken) => ({
+      amount: await contract.pendingTokenWithdrawal(paymentToken, account),
+      currency: await loadCurrency(paymentTokenContract(paymentToken, contract.provider))
+    })))
+    return balances.filter(balance => balance.amount.gt(0))
+  }, [contract, account])
+
+  // the page-th page of the count() items fetched by loadItems(offset, limit): { pages, items }
+  const loadPage = useCallback(async (page, count, loadItems) => {
+    const pages = Math.max(1, Math.ceil((await count()).toNumber() / PAGE_SIZE))
+    if (page >= pages) return { pages, items: [] }
+    const results = await loadItems(page * PAGE_SIZE, PAGE_SIZE)
+    return { pages, items: await Promise.all(results.map(i => loadMarketItem(contract, i))) }
+  }, [contract])
+
+  const loadMyTokens = useCallback(async () => {
+    // only a page of the tokens and of the listings is fetched, so the calls stay cheap however many the account has
+    const tokens = await withCache(cacheKey(contract.address, "tokens", account, tokensPage), () =>
+      loadPage(tokensPage, () => contract.balanceOf(account), (offset, limit) => contract.getTokensOf(account, offset, limit)))
+    const listings = await withCache(cacheKey(contract.address, "seller-listings", account, listingsPage), () =>
+      loadPage(listingsPage, () => contract.sellerListingCount(account), (offset, limit) => contract.getSellerListings(account, offset, limit)))
+    setTokensPageCount(tokens.data.pages)
+    setListingsPageCount(listings.data.pages)
+    // relisting the tokens of the last page empties it, in which case the previous one is shown
+    if (tokensPage >= tokens.data.pages || listingsPage >= listings.data.pages) {
+      setTokensPage(Math.min(tokensPage, tokens.data.pages - 1))
+      setListingsPage(Math.min(listingsPage, listings.data.pages - 1))
+      return
+    }
+    setMyTokens(tokens.data.items)
+    setMyListings(listings.data.items)
+    const stale = [tokens, listings].find(page => page.stale)
+    setStaleSince(stale ? stale.savedAt : null)
+    // the proceeds are only withdrawn with a transaction, so they are not cached
+    if (!stale) {
+      setPending(await contract.pendingWithdrawal(account))
+      setPendingTokens(await loadPendingTokens())
+    }
+    setLoading(false)
+  }, [contract, account, tokensPage, listingsPage, loadPage, loadPendingTokens])
+
+  const withdraw = async () => {
+    setError(null)
+    try {
+      await (await contract.withdraw()).wait()
+      setPending(await contract.pendingWithdrawal(account))
+    } catch (e) {
+      setError(e.reason || e.message)
+    }
+  }
+
+  const withdrawToken = async (paymentToken) => {
+    setError(null)
+    try {
+      await (await contract.withdrawToken(paymentToken)).wait()
+      setPendingTokens(await loadPendingTokens())
+    } catch (e) {
+      setError(e.reason || e.message)
+    }
+  }
+
+  // the price typed in the form of a token, or null (with an error shown) when it is not a positive number
+  const priceOf = (item) => {
+    const price = prices[item.itemId.toString()]
+    if (!price || Number(price) <= 0) {
+      setError("Please set a positive price before relisting")
+      return null
+    }
+    return price
+  }
+
+  const resellItem = async (item) => {
+    setError(null)
+    const price = priceOf(item)
+    if (!price) return
+    try {
+      // relisting is free, the artist's royalty is taken out of the price when the token is bought
+      await (await contract.resellToken(item.itemId, ethers.utils.parseEther(price))).wait()
+      await loadMyTokens()
+    } catch (e) {
+      setError(e.reason || e.message)
+    }
+  }
+
+  // the listing is signed in the wallet, which costs no gas. the token stays in the wallet and the signed listing
+  // is shared with a buyer, who executes it with buyWithSignature
+  const signGaslessListing = async (item) => {
+    setError(null)
+    const price = priceOf(item)
+    if (!price) return
+    try {
+      const expiry = Math.floor(Date.now() / 1000) + SIGNED_LISTING_DURATION
+      const signed = await signListing(contract, contract.signer, {
+        tokenId: item.itemId,
+        price: ethers.utils.parseEther(price),
+        expiry
+      })
+      setSignedListings({ ...signedListings, [item.itemId.toString()]: JSON.stringify(signed) })
+    } catch (e) {
+      setError(e.reason || e.message)
+    }
+  }
+
+  // the bundle takes its tokens in ascending order
+  const createBundle = async (name, items, price) => {
+    setError(null)
+    if (items.length < 2) {
+      setError("Please pick at least 2 of your listings for the bundle")
+      return false
+    }
+    if (!name.trim()) {
+      setError("Please name the bundle")
+      return false
+    }
+    if (!price || Number(price) <= 0) {
+      setError("Please set a positive price for the bundle")
+      return false
+    }
+    try {
+      const tokenIds = items.map(item => item.itemId).sort((a, b) => a.lt(b) ? -1 : 1)
+      await (await contract.createBundle(name.trim(), tokenIds, ethers.utils.parseEther(price))).wait()
+      return true
+    } catch (e) {
+      setError(e.reason || e.message)
+      return false
+    }
+  }
+
+  // the tracks with audio, in the order of the collection
+  const playableTokens = myTokens.filter(item => item.audio)
+  const playCollection = (item) => player.playTracks(contract.address, playableTokens, Math.max(0, playableTokens.indexOf(item)))
+
+  useEffect(() => {
+    loadMyTokens().catch(e => {
+      setError(e.reason || e.message)
+      setLoading(false)
+    })
+  }, [loadMyTokens])
+
+  if (loading) return (
+    <main style={{ padding: "1rem 0" }}>
+      <Spinner animation="border" role="status" />
+      <h2>Loading...</h2>
+    </main>
+  )
+
+  return (
+    <div className="flex justify-center">
+      {error && <Alert variant="danger" className="mt-3">{error}</Alert>}
+      {staleSince && <Alert variant="warning" className="mt-3">{staleMessage("tracks you own", staleSince)}</Alert>}
+      {pending.gt(0) &&
+        <Alert variant="info" className="mt-3 d-flex justify-content-between align-items-center">
+          <span>{`${ethers.utils.formatEther(pending)} ETH from your sales is ready to withdraw`}</span>
+          <Button onClick={withdraw} variant="primary">Withdraw</Button>
+        </Alert>
+      }
+      {pendingTokens.map(({ amount, currency }) => (
+        <Alert key={currency.address} variant="info" className="mt-3 d-flex justify-content-between align-items-center">
+          <span>{`${formatPrice(amount, currency)} from your sales is ready to withdraw`}</span>
+          <Button onClick={() => withdrawToken(currency.address)} variant="primary">{`Withdraw ${currency.symbol}`}</Button>
+        </Alert>
+      ))}
+      {myTokens.length > 0 ?
+        <div className="px-5 container">
+          {playableTokens.length > 0 && !staleSince &&
+            <div className="pt-4">
+              <Button onClick={() => playCollection(playableTokens[0])} variant="primary">Play All</Button>
+            </div>
+          }
+          <Row xs={1} md={2} lg={4} className="g-4 py-5">
+            {myTokens.map((item) => {
+              const id = item.itemId.toString()
+              return (
+                <Col key={id} className="overflow-hidden">
+                  <Card>
+                    <Card.Img variant="top" src={item.artwork} alt={item.name} />
+                    <Card.Body color="secondary">
+                      <Card.Title>{item.name}</Card.Title>
+                      {item.audio && !staleSince &&
+                        <Button onClick={() => playCollection(item)} variant="outline-secondary" size="sm" aria-label={`Play ${item.name}`}>
+                          Play
+                        </Button>
+                      }
+                      <Card.Text className="mt-1">
+                        Bought for {formatPrice(item.price, item.currency)}
+                      </Card.Text>
+                    </Card.Body>
+                    {!staleSince && <Card.Footer>
+                      <InputGroup>
+                        <Form.Control
+                          type="number"
+                          min="0"
+                          step="any"
+                          placeholder="Price in ETH"
+                          aria-label={`Relist price for ${item.name}`}
+                          value={prices[id] || ""}
+                          onChange={(e) => setPrices({ ...prices, [id]: e.target.value })}
+                        />
+                        <Button onClick={() => resellItem(item)} variant="outline-primary">
+                          Relist
+                        </Button>
+                        <Button onClick={() => signGaslessListing(item)} variant="outline-secondary">
+                          Sign Listing
+                        </Button>
+                      </InputGroup>
+                      {signedListings[id] &&
+                        <Form.Control
+                          as="textarea"
+                          rows={3}
+                          readOnly
+                          className="mt-2"
+                          aria-label={`Signed listing for ${item.name}`}
+                          value={signedListings[id]}
+                        />
+                      }
+                    </Card.Footer>}
+                  </Card>
+                </Col>
+              )
+            })}
+          </Row>
+          <PageLinks page={tokensPage} pageCount={tokensPageCount} onChange={setTokensPage} of="your tracks" />
+        </div>
+        : (
+          <main style={{ padding: "1rem 0" }}>
+            <h2>No owned tokens</h2>
+          </main>
+        )}
+      {myListings.length > 0 &&
+        <div className="px-5 container">
+          <h4>Listed for sale</h4>
+          {myListings.length > 1 && !staleSince && <BundleForm listings={myListings} onCreate={createBundle} />}
+          <Row xs={1} md={2} lg={4} className="g-4 pb-5">
+            {myListings.map((item) => (
+              <Col key={item.itemId.toString()} className="overflow-hidden">
+                <Card>
+                  <Card.Img variant="top" src={item.artwork} alt={item.name} />
+                  <Card.Body color="secondary">
+                    <Card.Title>{item.name}</Card.Title>
+                    <Card.Text>{`Listed for ${formatPrice(item.price, item.currency)}`}</Card.Text>
+                  </Card.Body>
+                </Card>
+              </Col>
+            ))}
+          </Row>
+          <PageLinks page={listingsPage} pageCount={listingsPageCount} onChange={setListingsPage} of="your listings" />
+        </div>
+      }
+    </div>
+  );
+}
+
+// the links to the previous and the next page, when there is more than one
+function PageLinks({ page, pageCount, onChange, of }) {
+  if (pageCount <= 1) return null
+  return (
+    <Pagination className="justify-content-center">
+      <Pagination.Prev aria-label={`Previous page of ${of}`} disabled={page === 0} onClick={() => onChange(page - 1)} />
+      <Pagination.Item active>{`Page ${page + 1} of ${pageCount}`}</Pagination.Item>
+      <Pagination.Next aria-label={`Next page of ${of}`} disabled={page === pageCount - 1} onClick={() => onChange(page + 1)} />
+    </Pagination>
+  )
+}
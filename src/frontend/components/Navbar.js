@@ -0,0 +1,54 @@
+import { Link } from "react-router-dom";
+import { Navbar, Nav, Button, Container, Form } from 'react-bootstrap'
+import { shortAddress } from './catalogues'
+import logo from './logo.png'
+
+// top navigation bar with the page links, the artist (catalogue) picker and the wallet connect button.
+// the admin page is only linked for the owner and the moderators of the marketplace, the dashboard for its artist and owner
+export default function Navigation({ web3Handler, account, catalogues = [], catalogue, onSelectCatalogue, isAdmin = false, showDashboard = false }) {
+  return (
+    <Navbar expand="lg" bg="secondary" variant="dark">
+      <Container>
+        <Navbar.Brand as={Link} to="/">
+          <img src={logo} width="40" height="40" className="" alt="" />
+          &nbsp; Music NFT Marketplace
+        </Navbar.Brand>
+        <Navbar.Toggle aria-controls="responsive-navbar-nav" />
+        <Navbar.Collapse id="responsive-navbar-nav">
+          <Nav className="me-auto">
+            <Nav.Link as={Link} to="/">Home</Nav.Link>
+            <Nav.Link as={Link} to="/my-tokens">My Tokens</Nav.Link>
+            {showDashboard && <Nav.Link as={Link} to="/dashboard">Dashboard</Nav.Link>}
+            {isAdmin && <Nav.Link as={Link} to="/admin">Admin</Nav.Link>}
+          </Nav>
+          {catalogues.length > 1 &&
+            <Form.Select
+              aria-label="Artist"
+              className="w-auto me-3"
+              value={catalogue}
+              onChange={(e) => onSelectCatalogue(e.target.value)}>
+              {catalogues.map(c => (
+                <option key={c.address} value={c.address}>{`Artist ${shortAddress(c.artist)}`}</option>
+              ))}
+            </Form.Select>
+          }
+          <Nav>
+            {account ? (
+              <Nav.Link
+                href={`https://etherscan.io/address/${account}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="button nav-button btn-sm mx-4">
+                <Button variant="outline-light">
+                  {account.slice(0, 5) + '...' + account.slice(38, 42)}
+                </Button>
+              </Nav.Link>
+            ) : (
+              <Button onClick={web3Handler} variant="outline-light">Connect Wallet</Button>
+            )}
+          </Nav>
+        </Navbar.Collapse>
+      </Container>
+    </Navbar>
+  )
+}
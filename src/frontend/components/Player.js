@@ -0,0 +1,131 @@
+import { createContext, useContext, useState, useEffect } from 'react'
+import { Button, ButtonGroup, Badge, ListGroup, Spinner } from 'react-bootstrap'
+import { PREVIEW_SECONDS } from '../../shared/mediaAccess'
+import { previewUrl, trackUrl, signIn, isSessionValid } from './media'
+
+const PlayerContext = createContext(null)
+
+// the pages start the player through usePlayer():
+// - playPreview(marketplace, item) => plays the preview of a listed track
+// - playTracks(marketplace, items, start) => queues the full tracks of the account (the ones it owns), from items[start]
+export const usePlayer = () => useContext(PlayerContext)
+
+// a track of the queue, from a market item of a page
+const queuedTrack = (marketplace, item, full) => ({
+  marketplace,
+  tokenId: item.itemId.toString(),
+  name: item.name,
+  artwork: item.artwork,
+  full
+})
+
+// the player stays at the bottom of every page, so the music keeps playing while browsing the marketplace.
+// the previews are public, the full tracks are streamed by the media server once the wallet signed its challenge:
+// the session it opens is kept until it expires or the account changes
+export function PlayerProvider({ signer, account, children }) {
+  const [queue, setQueue] = useState([])
+  const [position, setPosition] = useState(0)
+  const [session, setSession] = useState(null)
+  const [signingIn, setSigningIn] = useState(false)
+  const [showQueue, setShowQueue] = useState(false)
+  const [error, setError] = useState(null)
+
+  // the tracks of the previous account are not its own anymore
+  useEffect(() => {
+    setSession(null)
+    setQueue(queue => queue.filter(track => !track.full))
+  }, [account])
+
+  const playPreview = (marketplace, item) => {
+    setError(null)
+    setQueue([queuedTrack(marketplace, item, false)])
+    setPosition(0)
+  }
+
+  const playTracks = async (marketplace, items, start = 0) => {
+    setError(null)
+    if (!isSessionValid(session, account)) {
+      setSigningIn(true)
+      try {
+        setSession(await signIn(signer))
+      } catch (e) {
+        setError(e.reason || e.message)
+        return
+      } finally {
+        setSigningIn(false)
+      }
+    }
+    setQueue(items.map(item => queuedTrack(marketplace, item, true)))
+    setPosition(start)
+  }
+
+  const stop = () => {
+    setQueue([])
+    setShowQueue(false)
+    setError(null)
+  }
+
+  const current = queue[position]
+  const src = current && (current.full
+    ? trackUrl(current.marketplace, current.tokenId, session)
+    : previewUrl(current.marketplace, current.tokenId))
+
+  return (
+    <PlayerContext.Provider value={{ playPreview, playTracks }}>
+      {children}
+      {(current || signingIn || error) &&
+        <>
+          {/* keeps the end of the page above the player */}
+          <div style={{ height: "8rem" }} />
+          <div className="fixed-bottom bg-light border-top py-2" role="region" aria-label="Player">
+            <div className="container d-flex align-items-center">
+              {current && <img src={current.artwork} alt="" width="56" height="56" className="me-3" />}
+              <div className="flex-grow-1 me-3">
+                {signingIn && <div><Spinner animation="border" size="sm" /> Please sign the message in your wallet to play your tracks</div>}
+                {error && <p className="text-danger mb-0">{error}</p>}
+                {current &&
+                  <>
+                    <div>
+                      <strong>{current.name}</strong>{" "}
+                      {!current.full && <Badge bg="secondary">{`${PREVIEW_SECONDS}s preview`}</Badge>}{" "}
+                      {queue.length > 1 && <span className="text-muted small">{`${position + 1} / ${queue.length}`}</span>}
+                    </div>
+                    <audio
+                      key={src}
+                      src={src}
+                      controls
+                      autoPlay
+                      className="w-100"
+                      data-testid="player-audio"
+                      onEnded={() => position < queue.length - 1 && setPosition(position + 1)}
+                      onError={() => setError("The track can not be played, is the media server running?")}
+                    />
+                  </>
+                }
+              </div>
+              <ButtonGroup size="sm">
+                {queue.length > 1 &&
+                  <>
+                    <Button variant="outline-secondary" aria-label="Previous track" disabled={position === 0} onClick={() => setPosition(position - 1)}>&#9664;</Button>
+                    <Button variant="outline-secondary" aria-label="Next track" disabled={position === queue.length - 1} onClick={() => setPosition(position + 1)}>&#9654;</Button>
+                    <Button variant="outline-secondary" onClick={() => setShowQueue(!showQueue)}>Queue</Button>
+                  </>
+                }
+                <Button variant="outline-secondary" aria-label="Close the player" onClick={stop}>&times;</Button>
+              </ButtonGroup>
+            </div>
+            {showQueue && queue.length > 1 &&
+              <ListGroup className="container mt-2" style={{ maxHeight: "12rem", overflowY: "auto" }}>
+                {queue.map((track, i) => (
+                  <ListGroup.Item key={track.tokenId} action active={i === position} onClick={() => setPosition(i)}>
+                    {track.name}
+                  </ListGroup.Item>
+                ))}
+              </ListGroup>
+            }
+          </div>
+        </>
+      }
+    </PlayerContext.Provider>
+  )
+}
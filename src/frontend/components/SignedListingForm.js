@@ -0,0 +1,23 @@
+import { useState } from 'react'
+import { Button, Form } from 'react-bootstrap'
+
+// a box for pasting a listing a seller signed off-chain (as shared from its My Tokens page), in order to buy it
+export default function SignedListingForm({ onBuy }) {
+  const [signedListing, setSignedListing] = useState("")
+
+  return (
+    <Form className="mt-3" onSubmit={(e) => { e.preventDefault(); onBuy(signedListing) }}>
+      <Form.Control
+        as="textarea"
+        rows={2}
+        placeholder="Paste a signed listing"
+        aria-label="Signed listing"
+        value={signedListing}
+        onChange={(e) => setSignedListing(e.target.value)}
+      />
+      <Button type="submit" variant="outline-primary" className="mt-2">
+        Buy Signed Listing
+      </Button>
+    </Form>
+  )
+}
@@ -0,0 +1,57 @@
+import { useState, useEffect } from 'react'
+import { Table, Spinner } from 'react-bootstrap'
+import { shortAddress } from './catalogues'
+import { isEther, loadCurrency, paymentTokenContract, formatPrice } from './paymentTokens'
+
+// the indexer (npm run indexer) serves the past events of the marketplaces
+export const INDEXER_URL = process.env.REACT_APP_INDEXER_URL || "http://localhost:4000"
+
+const EVENT_LABELS = {
+  MarketItemListed: "Listed",
+  MarketItemRelisted: "Relisted",
+  MarketItemPriceUpdated: "Price updated",
+  MarketItemCancelled: "Listing cancelled",
+  MarketItemBought: "Sold",
+  AuctionCreated: "Auction started",
+  AuctionSettled: "Auction settled",
+  TokenTakenDown: "Taken down",
+  TokenRestored: "Restored"
+}
+
+// the listings, price changes and sales of a track, as recorded by the indexer
+export default function TrackHistory({ contract, tokenId }) {
+  const [history, setHistory] = useState(null)
+  const [currencies, setCurrencies] = useState({})
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    fetch(`${INDEXER_URL}/collections/${contract.address}/tokens/${tokenId.toString()}/history`)
+      .then(res => res.json())
+      .then(async body => {
+        // the symbol and decimals of the ERC-20 tokens some of the prices are in
+        const paymentTokens = [...new Set(body.history.map(entry => entry.paymentToken).filter(token => !isEther(token)))]
+        const loaded = await Promise.all(paymentTokens.map(token => loadCurrency(paymentTokenContract(token, contract.provider))))
+        setCurrencies(Object.fromEntries(loaded.map(currency => [currency.address, currency])))
+        setHistory(body.history)
+      })
+      .catch(() => setError("The history is unavailable, is the indexer running?"))
+  }, [contract, tokenId])
+
+  if (error) return <p className="text-muted small mb-0">{error}</p>
+  if (!history) return <Spinner animation="border" size="sm" role="status" />
+  if (!history.length) return <p className="text-muted small mb-0">No history yet</p>
+
+  return (
+    <Table size="sm" className="small mb-0">
+      <tbody>
+        {history.map(entry => (
+          <tr key={entry.transactionHash + entry.event}>
+            <td>{EVENT_LABELS[entry.event] || entry.event}</td>
+            <td>{entry.price ? formatPrice(entry.price, currencies[entry.paymentToken]) : ""}</td>
+            <td>{entry.buyer ? `to ${shortAddress(entry.buyer)}` : entry.seller ? `by ${shortAddress(entry.seller)}` : ""}</td>
+          </tr>
+        ))}
+      </tbody>
+    </Table>
+  )
+}
@@ -0,0 +1,228 @@
+import { ethers } from 'ethers'
+
+// how a catalogue performs, for its artist: computed from the events of the marketplace (the sales, relistings and
+// royalties) and from its current listings. the amounts are kept by payment token, the prices of different
+// currencies are never added up
+
+const ETH = ethers.constants.AddressZero
+
+// how many resellers the dashboard ranks
+export const TOP_RESELLERS = 10
+
+// how many listings are read per call, so every call stays cheap however big the catalogue is
+export const LISTINGS_PAGE_SIZE = 100
+
+// adds amount to the total of its currency
+const addAmount = (totals, paymentToken, amount) => {
+  totals[paymentToken] = (totals[paymentToken] || ethers.constants.Zero).add(amount)
+}
+
+// the royalty of a sale is credited in the same transaction, for the same token
+const sameTransfer = (royalty, sale) => royalty.transactionHash === sale.transactionHash && royalty.args.tokenId.eq(sale.args.tokenId)
+
+// every listing of the marketplace, read a page at a time
+async function loadListings(contract) {
+  const count = (await contract.listingCount()).toNumber()
+  const pages = []
+  for (let offset = 0; offset < count; offset += LISTINGS_PAGE_SIZE) {
+    pages.push(contract.getListings(offset, LISTINGS_PAGE_SIZE))
+  }
+  return (await Promise.all(pages)).flat()
+}
+
+// reads the activity of the marketplace since fromBlock, the block it was deployed in being the cheapest to read from:
+// { sales, relistings, listings, royalties, originals }.
+// the sales are the purchases at a fixed price or with a signed order (MarketItemBought) and the auctions won (AuctionSettled)
+export async function loadSalesActivity(contract, fromBlock = 0) {
+  const query = (filter) => contract.queryFilter(filter, fromBlock)
+  const [listed, bought, relisted, created, settled, royalties] = await Promise.all([
+    query(contract.filters.MarketItemListed()),
+    query(contract.filters.MarketItemBought()),
+    query(contract.filters.MarketItemRelisted()),
+    query(contract.filters.AuctionCreated()),
+    query(contract.filters.AuctionSettled()),
+    query(contract.filters.RoyaltyCredited())
+  ])
+
+  const sales = [
+    ...bought.map(event => ({ ...event, seller: event.args.seller, buyer: event.args.buyer, price: event.args.price, paymentToken: event.args.paymentToken })),
+    // the auctions are paid in ether, and their seller is the one who created them
+    ...settled.filter(event => event.args.winner !== ETH).map(event => {
+      const auction = created.filter(e => e.args.tokenId.eq(event.args.tokenId) && e.blockNumber <= event.blockNumber).pop()
+      return { ...event, seller: auction ? auction.args.seller : ETH, buyer: event.args.winner, price: event.args.amount, paymentToken: ETH }
+    })
+  ].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+
+  // the tracks listed when the marketplace was deployed are the ones listed by the transaction creating it:
+  // its constructor, or the initialization of its proxy. the catalogues created empty by the factory have none
+  let originals = []
+  if (listed.length > 0) {
+    const deployment = await contract.provider.getTransaction(listed[0].transactionHash)
+    if (deployment && !deployment.to) {
+      originals = listed.filter(event => event.transactionHash === listed[0].transactionHash).map(event => event.args.tokenId)
+    }
+  }
+
+  const timestamps = {}
+  for (const blockNumber of new Set(sales.map(sale => sale.blockNumber))) {
+    timestamps[blockNumber] = (await contract.provider.getBlock(blockNumber)).timestamp
+  }
+
+  return {
+    sales: sales.map(sale => ({
+      tokenId: sale.args.tokenId,
+      seller: sale.seller,
+      buyer: sale.buyer,
+      price: sale.price,
+      paymentToken: sale.paymentToken,
+      royalty: royalties.filter(event => sameTransfer(event, sale)).reduce((sum, event) => sum.add(event.args.amount), ethers.constants.Zero),
+      blockNumber: sale.blockNumber,
+      transactionHash: sale.transactionHash,
+      timestamp: timestamps[sale.blockNumber]
+    })),
+    relistings: relisted.map(event => ({ tokenId: event.args.tokenId, seller: event.args.seller, price: event.args.price, paymentToken: event.args.paymentToken })),
+    listings: await loadListings(contract),
+    royalties: royalties.map(event => ({ tokenId: event.args.tokenId, amount: event.args.amount, paymentToken: event.args.paymentToken })),
+    originals
+  }
+}
+
+// the figures of the dashboard. the first sale of a token is its primary sale, the ones after it are resales (secondary)
+export function analyzeSales({ sales, relistings, listings, royalties, originals }) {
+  const soldTokens = new Set()
+  const report = {
+    sales: [],
+    royalties: {},
+    primaryVolume: {},
+    secondaryVolume: {},
+    primarySales: 0,
+    secondarySales: 0,
+    floorPrice: {},
+    averagePrice: {},
+    originals: originals.length,
+    originalsSold: 0,
+    sellThroughRate: null,
+    topResellers: []
+  }
+
+  const resellers = {}
+  const reseller = (account) => {
+    if (!resellers[account]) resellers[account] = { account, sales: 0, relistings: 0, volume: {} }
+    return resellers[account]
+  }
+
+  const salesCount = {}
+  sales.forEach(sale => {
+    const tokenId = sale.tokenId.toString()
+    const primary = !soldTokens.has(tokenId)
+    soldTokens.add(tokenId)
+    report.sales.push({ ...sale, primary })
+    if (primary) {
+      report.primarySales++
+      addAmount(report.primaryVolume, sale.paymentToken, sale.price)
+    } else {
+      report.secondarySales++
+      addAmount(report.secondaryVolume, sale.paymentToken, sale.price)
+      const entry = reseller(sale.seller)
+      entry.sales++
+      addAmount(entry.volume, sale.paymentToken, sale.price)
+    }
+    addAmount(report.averagePrice, sale.paymentToken, sale.price)
+    salesCount[sale.paymentToken] = (salesCount[sale.paymentToken] || 0) + 1
+  })
+  Object.keys(report.averagePrice).forEach(paymentToken => {
+    report.averagePrice[paymentToken] = report.averagePrice[paymentToken].div(salesCount[paymentToken])
+  })
+
+  royalties.forEach(royalty => addAmount(report.royalties, royalty.paymentToken, royalty.amount))
+  relistings.forEach(relisting => reseller(relisting.seller).relistings++)
+
+  listings.forEach(listing => {
+    const floor = report.floorPrice[listing.paymentToken]
+    if (!floor || listing.price.lt(floor)) report.floorPrice[listing.paymentToken] = listing.price
+  })
+
+  report.originalsSold = originals.filter(tokenId => soldTokens.has(tokenId.toString())).length
+  if (originals.length > 0) report.sellThroughRate = report.originalsSold / originals.length
+
+  // the most resales first, then the most relistings
+  report.topResellers = Object.values(resellers)
+    .sort((a, b) => b.sales - a.sales || b.relistings - a.relistings)
+    .slice(0, TOP_RESELLERS)
+  return report
+}
+
+// every payment token the report has an amount in, ether first
+export function reportCurrencies(report) {
+  const paymentTokens = new Set([ETH])
+  const amounts = [report.royalties, report.primaryVolume, report.secondaryVolume, report.floorPrice, report.averagePrice]
+  amounts.forEach(totals => Object.keys(totals).forEach(paymentToken => paymentTokens.add(paymentToken)))
+  return [...paymentTokens]
+}
+
+// a CSV document, quoting the values which need it
+export function toCsv(rows) {
+  const quote = (value) => {
+    const text = value === null || value === undefined ? "" : value.toString()
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+  }
+  return rows.map(row => row.map(quote).join(",")).join("\n") + "\n"
+}
+
+const formatAmount = (amount, currency) => amount ? ethers.utils.formatUnits(amount, currency.decimals) : ""
+
+// one row per figure and currency. currencies are the { address, symbol, decimals } of the payment tokens, by address
+export function summaryCsv(report, currencies) {
+  const rows = [["Metric", "Currency", "Value"]]
+  const amounts = [
+    ["Royalties earned", report.royalties],
+    ["Primary volume", report.primaryVolume],
+    ["Secondary volume", report.secondaryVolume],
+    ["Floor price", report.floorPrice],
+    ["Average price", report.averagePrice]
+  ]
+  amounts.forEach(([metric, totals]) => {
+    reportCurrencies(report).filter(paymentToken => totals[paymentToken]).forEach(paymentToken => {
+      rows.push([metric, currencies[paymentToken].symbol, formatAmount(totals[paymentToken], currencies[paymentToken])])
+    })
+  })
+  rows.push(["Primary sales", "", report.primarySales])
+  rows.push(["Secondary sales", "", report.secondarySales])
+  rows.push(["Original tracks", "", report.originals])
+  rows.push(["Original tracks sold", "", report.originalsSold])
+  rows.push(["Sell-through rate", "", report.sellThroughRate === null ? "" : report.sellThroughRate.toFixed(4)])
+  return toCsv(rows)
+}
+
+// one row per sale, in the order they happened
+export function salesCsv(report, currencies) {
+  const rows = [["Date", "Block", "Transaction", "Token", "Type", "Seller", "Buyer", "Price", "Currency", "Royalty"]]
+  report.sales.forEach(sale => {
+    const currency = currencies[sale.paymentToken]
+    rows.push([
+      sale.timestamp ? new Date(sale.timestamp * 1000).toISOString() : "",
+      sale.blockNumber,
+      sale.transactionHash,
+      sale.tokenId.toString(),
+      sale.primary ? "primary" : "secondary",
+      sale.seller,
+      sale.buyer,
+      formatAmount(sale.price, currency),
+      currency.symbol,
+      formatAmount(sale.royalty, currency)
+    ])
+  })
+  return toCsv(rows)
+}
+
+// has the browser save a CSV document as filename
+export function downloadCsv(filename, csv) {
+  const url = URL.createObjectURL(new Blob([csv], { type: "text/csv" }))
+  const link = document.createElement("a")
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
@@ -0,0 +1,20 @@
+import { loadMarketItem } from './marketItem'
+
+// the bundles for sale on the marketplace, with the tracks they hold. a bundle can be bought as long as every one of its
+// tracks is still listed by the seller of the bundle: buyBundle reverts once one of them was sold, unlisted or taken down
+export async function loadBundles(contract) {
+  const bundles = await contract.getBundles()
+  return Promise.all(bundles.map(async (bundle) => {
+    const listings = await Promise.all(bundle.tokenIds.map(tokenId => contract.marketItems(tokenId)))
+    const items = await Promise.all(bundle.tokenIds.map((tokenId, i) =>
+      loadMarketItem(contract, { tokenId, seller: listings[i].seller, price: listings[i].price, paymentToken: listings[i].paymentToken })))
+    return {
+      bundleId: bundle.bundleId,
+      seller: bundle.seller,
+      price: bundle.price,
+      name: bundle.name,
+      items,
+      available: listings.every(listing => listing.seller.toLowerCase() === bundle.seller.toLowerCase())
+    }
+  }))
+}
@@ -0,0 +1,15 @@
+// what the service worker (src/service-worker.js) caches besides the app itself. each predicate gets what workbox
+// matches a route with: { request, url, sameOrigin }.
+// nothing else goes through the cache: the RPC calls go through the wallet, the indexer and the media server are
+// always asked (a full track is only streamed to its owner's session)
+
+// the metadata of the tracks, pinned on another origin (the files of the app are precached)
+export const isMetadataRequest = ({ request, url, sameOrigin }) =>
+  request.method === "GET" && !sameOrigin && url.pathname.toLowerCase().endsWith(".json")
+
+// the artwork of the tracks, wherever it is hosted
+export const isArtworkRequest = ({ request }) => request.method === "GET" && request.destination === "image"
+
+// the navigations answered with index.html, leaving out the files (e.g. /manifest.json) and the routes of CRA's server
+export const isAppNavigation = ({ request, url }) =>
+  request.mode === "navigate" && !url.pathname.startsWith("/_") && !/\/[^/?]+\.[^/]+$/.test(url.pathname)
@@ -0,0 +1,28 @@
+const inOrder = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+
+// every artist has its own MusicNFTMarketplace contract (a "catalogue"), which the factory announces with an event
+// when it creates or registers it. the catalogues are collected from those events, in the order they happened,
+// with the artist they were last filed under (syncArtist announces it once the artist rotated its address).
+// the catalogues created by the factory come with the block they were deployed in, from which their events can be read
+export async function loadCatalogues(factory, fromBlock) {
+  const created = await factory.queryFilter(factory.filters.CollectionCreated(), fromBlock)
+  const registered = await factory.queryFilter(factory.filters.CollectionRegistered(), fromBlock)
+  // the factories deployed before syncArtist have no such event
+  const updated = factory.filters.CollectionArtistUpdated
+    ? await factory.queryFilter(factory.filters.CollectionArtistUpdated(), fromBlock)
+    : []
+
+  const catalogues = [...created, ...registered]
+    .sort(inOrder)
+    .map(event => created.includes(event)
+      ? { artist: event.args.artist, address: event.args.collection, blockNumber: event.blockNumber }
+      : { artist: event.args.artist, address: event.args.collection })
+  updated.sort(inOrder).forEach(event => {
+    const catalogue = catalogues.find(c => c.address === event.args.collection)
+    if (catalogue) catalogue.artist = event.args.newArtist
+  })
+  return catalogues
+}
+
+// shortens an address for display, e.g. 0x7099...79C8
+export const shortAddress = (address) => address.slice(0, 6) + '...' + address.slice(38, 42)
@@ -0,0 +1,51 @@
+import { ethers } from 'ethers';
+import Identicon from 'identicon.js';
+import { loadCurrency, paymentTokenContract } from './paymentTokens';
+
+// the gateway the IPFS content (metadata, artwork and audio) is fetched through, the browser can not fetch ipfs:// itself
+export const IPFS_GATEWAY = process.env.REACT_APP_IPFS_GATEWAY || "https://ipfs.io/ipfs/";
+
+// a CIDv0 (Qm...) or a base32 CIDv1 (b...), optionally followed by a path
+const BARE_CID = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,})(\/.*)?$/;
+
+// the URL a URI of the metadata can be fetched at: ipfs:// URIs and bare CIDs go through the gateway, other URLs are kept
+export function resolveURI(uri) {
+  if (uri.startsWith("ipfs://")) return IPFS_GATEWAY + uri.slice("ipfs://".length).replace(/^ipfs\//, "");
+  if (BARE_CID.test(uri)) return IPFS_GATEWAY + uri;
+  return uri;
+}
+
+// the URL of the metadata of a token. the tracks minted at deployment have it at baseURI + tokenId + ".json"
+// (tokenURI returns baseURI + tokenId), while the ones minted later have a tokenURI pointing to the metadata file itself,
+// whatever its name
+async function metadataURL(contract, tokenId) {
+  const [uri, baseURI] = await Promise.all([contract.tokenURI(tokenId), contract.baseURI()]);
+  return resolveURI(uri === baseURI + tokenId.toString() ? uri + ".json" : uri);
+}
+
+// turns a MarketItem struct returned by the contract into something the UI can render.
+// the price comes with the currency it is in (ether or an ERC-20 token)
+export async function loadMarketItem(contract, item) {
+  const response = await fetch(await metadataURL(contract, item.tokenId));
+  const metadata = await response.json();
+  const currency = await loadCurrency(paymentTokenContract(item.paymentToken, contract.provider));
+
+  // tracks without artwork get an identicon generated from their name, so every card still has a picture
+  // Identicon needs a hex seed of at least 15 characters, which is why the name is hashed first
+  const artwork = (metadata.image && resolveURI(metadata.image)) ||
+    `data:image/png;base64,${new Identicon(ethers.utils.id(metadata.name + item.tokenId).slice(2), 330).toString()}`;
+
+  const audio = metadata.animation_url || metadata.audio;
+
+  return {
+    itemId: item.tokenId,
+    seller: item.seller,
+    price: item.price,
+    paymentToken: currency.address,
+    currency,
+    name: metadata.name,
+    description: metadata.description,
+    artwork,
+    audio: audio && resolveURI(audio)
+  };
+}
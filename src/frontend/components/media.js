@@ -0,0 +1,46 @@
+import { ethers } from 'ethers'
+import { challengeMessage, previewPath, trackPath } from '../../shared/mediaAccess'
+
+// the media server (npm run media) streams the previews of the tracks, and the full tracks to their owners
+export const MEDIA_URL = process.env.REACT_APP_MEDIA_URL || "http://localhost:4001"
+
+export const previewUrl = (marketplace, tokenId) => MEDIA_URL + previewPath(marketplace, tokenId)
+
+// the <audio> element can not send the session as a header, so it goes in the query
+export const trackUrl = (marketplace, tokenId, session) =>
+  `${MEDIA_URL}${trackPath(marketplace, tokenId)}?session=${encodeURIComponent(session.token)}`
+
+// a session is good for the account it was opened for, until it expires
+export const isSessionValid = (session, account) =>
+  !!session && !!account && session.account.toLowerCase() === account.toLowerCase() && session.expiresAt > Date.now() / 1000
+
+// the error of a failed request to the media server, with the message it answered with
+async function mediaError(response) {
+  const body = await response.json().catch(() => ({}))
+  return new Error(body.error || `The media server answered ${response.status}`)
+}
+
+// proves to the media server that the signer holds its account: the server issues a challenge, the wallet signs it
+// (personal_sign, no transaction) and the signature is traded for a session { token, account, expiresAt }.
+// the challenge is rebuilt from its fields first, so the wallet is never asked to sign anything else
+export async function signIn(signer) {
+  const account = await signer.getAddress()
+  const { chainId } = await signer.provider.getNetwork()
+
+  const response = await fetch(`${MEDIA_URL}/challenge?account=${account}`)
+  if (!response.ok) throw await mediaError(response)
+  const challenge = await response.json()
+  if (ethers.utils.getAddress(challenge.account) !== ethers.utils.getAddress(account) || challenge.chainId !== chainId ||
+      challenge.message !== challengeMessage(challenge)) {
+    throw new Error("The media server sent an unexpected message to sign")
+  }
+
+  const signature = await signer.signMessage(challenge.message)
+  const sessionResponse = await fetch(`${MEDIA_URL}/sessions`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ nonce: challenge.nonce, signature })
+  })
+  if (!sessionResponse.ok) throw await mediaError(sessionResponse)
+  return sessionResponse.json()
+}
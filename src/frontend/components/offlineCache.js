@@ -0,0 +1,65 @@
+import { ethers } from 'ethers'
+
+// the last listings and collections the pages loaded, kept in localStorage so they are still shown when the wallet's RPC
+// (or the network) is unreachable. what is shown from the cache is marked as stale, and nothing needing a signature
+// is offered on it: there is no queue of transactions to send once back online.
+// the service worker (src/service-worker.js) caches the app itself, the metadata and the artwork
+
+// bumped when the shape of the cached data changes, so what the previous version saved is not read anymore
+const CACHE_VERSION = 1
+const PREFIX = `music-nft-cache:v${CACHE_VERSION}:`
+
+// the key of what a page loads, e.g. cacheKey(contract.address, "listings", 0). addresses are keyed whatever their case
+export const cacheKey = (...parts) => parts.map(part => part.toString().toLowerCase()).join(":")
+
+// BigNumbers are saved as { type: "BigNumber", hex } by their toJSON(), and revived as BigNumbers
+const reviveBigNumbers = (key, value) =>
+  value && value.type === "BigNumber" && typeof value.hex === "string" ? ethers.BigNumber.from(value.hex) : value
+
+export function saveCached(key, data, { storage = window.localStorage, now = Date.now() } = {}) {
+  try {
+    storage.setItem(PREFIX + key, JSON.stringify({ savedAt: now, data }))
+  } catch (e) {
+    // the storage is full or disabled: the page still works, it just has nothing to show offline
+  }
+}
+
+// returns { data, savedAt } or null when nothing (readable) was saved under key
+export function loadCached(key, { storage = window.localStorage } = {}) {
+  try {
+    const entry = JSON.parse(storage.getItem(PREFIX + key), reviveBigNumbers)
+    return entry && typeof entry.savedAt === "number" ? entry : null
+  } catch (e) {
+    return null
+  }
+}
+
+// runs load() and caches what it returns: { data, stale: false }. when load() fails, the data saved by the last successful
+// load is returned instead: { data, savedAt, stale: true }. the error is thrown when nothing was saved
+export async function withCache(key, load, options = {}) {
+  try {
+    const data = await load()
+    saveCached(key, data, options)
+    return { data, stale: false }
+  } catch (error) {
+    const cached = loadCached(key, options)
+    if (!cached) throw error
+    return { data: cached.data, savedAt: cached.savedAt, stale: true }
+  }
+}
+
+// how long ago the cached data was saved, e.g. "5 minutes ago"
+export function formatAge(savedAt, now = Date.now()) {
+  const seconds = Math.max(0, Math.round((now - savedAt) / 1000))
+  const units = [["day", 24 * 60 * 60], ["hour", 60 * 60], ["minute", 60]]
+  for (const [unit, length] of units) {
+    const count = Math.floor(seconds / length)
+    if (count > 0) return `${count} ${unit}${count > 1 ? "s" : ""} ago`
+  }
+  return "just now"
+}
+
+// the banner of the pages showing cached data
+export const staleMessage = (what, savedAt) =>
+  `The network can not be reached, these are the ${what} saved ${formatAge(savedAt)} and they may be out of date. ` +
+  "Buying, listing and playing your tracks will be back once you are online."
@@ -0,0 +1,44 @@
+import { ethers } from 'ethers'
+
+// listings are priced in ether, or in one of the ERC-20 tokens (e.g. a stablecoin) allowed by the owner of the marketplace.
+// the paymentToken of a listing is the address of its token, the zero address standing for ether
+
+// the part of the ERC-20 standard the frontend needs, for showing prices and paying the listings priced in a token
+export const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)"
+]
+
+export const ETHER = { address: ethers.constants.AddressZero, symbol: "ETH", decimals: 18 }
+
+export const isEther = (paymentToken) => !paymentToken || paymentToken === ethers.constants.AddressZero
+
+// the ERC-20 contract of a payment token, or null for ether
+export const paymentTokenContract = (paymentToken, signerOrProvider) =>
+  isEther(paymentToken) ? null : new ethers.Contract(paymentToken, ERC20_ABI, signerOrProvider)
+
+// the symbol and decimals of the tokens already looked up, by address
+const currencies = {}
+
+// the currency of a price, given the ERC-20 contract of its payment token (null for ether)
+export function loadCurrency(token) {
+  if (!token) return Promise.resolve(ETHER)
+  if (!currencies[token.address]) {
+    currencies[token.address] = Promise.all([token.symbol(), token.decimals()])
+      .then(([symbol, decimals]) => ({ address: token.address, symbol, decimals }))
+      .catch(e => {
+        // looked up again next time
+        delete currencies[token.address]
+        throw e
+      })
+  }
+  return currencies[token.address]
+}
+
+// "1.5 ETH", "20.0 USDC"
+export const formatPrice = (amount, currency = ETHER) => `${ethers.utils.formatUnits(amount, currency.decimals)} ${currency.symbol}`
+
+// the amount typed by the user, in the smallest unit of the currency
+export const parsePrice = (amount, currency = ETHER) => ethers.utils.parseUnits(amount, currency.decimals)
@@ -0,0 +1,117 @@
+import { render, screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import AdminPanel, { ROLES } from '../components/AdminPanel'
+import { mockMarketplace } from './mockContract'
+
+const treasury = "0x90F79bf6EB2c4f870365E785982E1f101E93b906"
+const manager = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC"
+
+describe("AdminPanel", function () {
+
+  let contract;
+
+  beforeEach(function () {
+    contract = mockMarketplace({
+      platformFee: jest.fn().mockResolvedValue(250)
+    })
+  })
+
+  it("Showed the current settings", async function () {
+    render(<AdminPanel contract={contract} />)
+
+    expect(await screen.findByText("Currently 2.5% of every sale, credited to 0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266")).toBeInTheDocument()
+    expect(screen.getByText("Active")).toBeInTheDocument()
+  })
+
+  it("Set the platform fee in basis points", async function () {
+    render(<AdminPanel contract={contract} />)
+
+    userEvent.type(await screen.findByLabelText("Platform fee in percent"), "1.5")
+    userEvent.click(screen.getByRole("button", { name: "Set Fee" }))
+
+    expect(await screen.findByText("Platform fee set to 1.5%")).toBeInTheDocument()
+    expect(contract.setPlatformFee).toHaveBeenCalledWith(150)
+  })
+
+  it("Refused an invalid treasury address", async function () {
+    render(<AdminPanel contract={contract} />)
+
+    userEvent.type(await screen.findByLabelText("Treasury address"), "0x1234")
+    userEvent.click(screen.getByRole("button", { name: "Set Treasury" }))
+
+    expect(await screen.findByText("Please enter a valid treasury address")).toBeInTheDocument()
+    expect(contract.setTreasury).not.toHaveBeenCalled()
+
+    userEvent.clear(screen.getByLabelText("Treasury address"))
+    userEvent.type(screen.getByLabelText("Treasury address"), treasury)
+    userEvent.click(screen.getByRole("button", { name: "Set Treasury" }))
+    await waitFor(() => expect(contract.setTreasury).toHaveBeenCalledWith(treasury))
+  })
+
+  it("Paused and unpaused the trading", async function () {
+    render(<AdminPanel contract={contract} />)
+
+    const pauseButton = await screen.findByRole("button", { name: "Pause" })
+    contract.paused.mockResolvedValue(true)
+    userEvent.click(pauseButton)
+
+    expect(await screen.findByText("Paused")).toBeInTheDocument()
+    expect(contract.pause).toHaveBeenCalledTimes(1)
+
+    contract.paused.mockResolvedValue(false)
+    userEvent.click(screen.getByRole("button", { name: "Unpause" }))
+    expect(await screen.findByText("Active")).toBeInTheDocument()
+    expect(contract.unpause).toHaveBeenCalledTimes(1)
+  })
+
+  it("Took down and restored a token", async function () {
+    render(<AdminPanel contract={contract} />)
+
+    userEvent.type(await screen.findByLabelText("Token id"), "3")
+    userEvent.click(screen.getByRole("button", { name: "Take Down" }))
+    expect(await screen.findByText("Token 3 taken down")).toBeInTheDocument()
+    expect(contract.takedownToken).toHaveBeenCalledWith("3")
+
+    userEvent.click(screen.getByRole("button", { name: "Restore" }))
+    expect(await screen.findByText("Token 3 restored")).toBeInTheDocument()
+    expect(contract.restoreToken).toHaveBeenCalledWith("3")
+  })
+
+  it("Listed, granted and revoked the roles", async function () {
+    contract.getRoleMembers.mockImplementation((role) => Promise.resolve(role === ROLES.Manager ? [manager] : []))
+    render(<AdminPanel contract={contract} />)
+
+    expect(await screen.findByText(manager)).toBeInTheDocument()
+    expect(screen.getByText("None")).toBeInTheDocument()
+
+    userEvent.selectOptions(screen.getByLabelText("Role"), "Moderator")
+    userEvent.type(screen.getByLabelText("Role account address"), treasury)
+    userEvent.click(screen.getByRole("button", { name: "Grant" }))
+    expect(await screen.findByText(`Moderator role granted to ${treasury}`)).toBeInTheDocument()
+    expect(contract.grantRole).toHaveBeenCalledWith(ROLES.Moderator, treasury)
+
+    userEvent.click(screen.getByRole("button", { name: `Revoke Manager ${manager}` }))
+    expect(await screen.findByText(`Manager role revoked from ${manager}`)).toBeInTheDocument()
+    expect(contract.revokeRole).toHaveBeenCalledWith(ROLES.Manager, manager)
+  })
+
+  it("Only showed the takedown to a moderator", async function () {
+    render(<AdminPanel contract={contract} isOwner={false} />)
+
+    expect(await screen.findByText("Copyright takedown")).toBeInTheDocument()
+    expect(screen.queryByText("Platform fee")).not.toBeInTheDocument()
+    expect(screen.queryByText("Roles")).not.toBeInTheDocument()
+    expect(contract.getRoleMembers).not.toHaveBeenCalled()
+  })
+
+  it("Showed the revert reason of a failed transaction", async function () {
+    contract.takedownToken.mockRejectedValue({ reason: "Token has already been taken down" })
+    render(<AdminPanel contract={contract} />)
+
+    userEvent.type(await screen.findByLabelText("Token id"), "3")
+    userEvent.click(screen.getByRole("button", { name: "Take Down" }))
+
+    expect(await screen.findByText("Token has already been taken down")).toBeInTheDocument()
+  })
+
+});
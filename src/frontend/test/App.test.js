@@ -0,0 +1,120 @@
+import { render, screen, waitFor, act } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { ethers } from 'ethers'
+import App from '../components/App'
+import { saveCached, cacheKey } from '../components/offlineCache'
+import { ETHER } from '../components/paymentTokens'
+import MusicNFTMarketplaceAddress from '../contractsData/MusicNFTMarketplace-address.json'
+
+const account = "0x90F79bf6EB2c4f870365E785982E1f101E93b906"
+const artist = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8"
+const deployment = MusicNFTMarketplaceAddress[31337]
+
+// the catalogue of the local network and the first page of its listings, the way the app cached them
+// while the wallet was last connected
+function cacheCatalogue() {
+  saveCached(cacheKey("last-network"), 31337)
+  saveCached(cacheKey(31337, "catalogues"), [{ artist, address: deployment.address }])
+  saveCached(cacheKey(deployment.address, "listings", 0), {
+    pages: 1,
+    items: [{
+      itemId: ethers.BigNumber.from(0), seller: artist, price: ethers.utils.parseEther("1"), paymentToken: ETHER.address,
+      currency: ETHER, name: "First Track", artwork: "https://ipfs.test/art/0.png"
+    }]
+  })
+}
+
+// a stand-in for the wallet injected by the browser, keeping the listeners of its events.
+// the RPC calls the marketplace needs are rejected, the app only gets as far as connecting
+// (or only as far as the accounts, when the wallet can not reach its network)
+function mockWallet({ online = true } = {}) {
+  const listeners = {}
+  return {
+    listeners: (event) => [...(listeners[event] || [])],
+    request: jest.fn(({ method }) => {
+      if (method === "eth_requestAccounts" || method === "eth_accounts") return Promise.resolve([account])
+      if (online && method === "eth_chainId") return Promise.resolve("0x7a69")
+      if (online && method === "net_version") return Promise.resolve("31337")
+      return Promise.reject(new Error("could not detect network"))
+    }),
+    on: jest.fn((event, listener) => {
+      listeners[event] = listeners[event] || new Set()
+      listeners[event].add(listener)
+    }),
+    removeListener: jest.fn((event, listener) => listeners[event] && listeners[event].delete(listener))
+  }
+}
+
+describe("App", function () {
+
+  let wallet;
+
+  beforeEach(function () {
+    wallet = mockWallet()
+    window.ethereum = wallet
+  })
+
+  afterEach(function () {
+    delete window.ethereum
+    window.localStorage.clear()
+  })
+
+  it("Listened to the events of the wallet once, however many times it was connected", async function () {
+    const { unmount } = render(<App />)
+
+    userEvent.click(screen.getByRole("button", { name: "Connect Wallet" }))
+    await waitFor(() => expect(wallet.listeners("accountsChanged")).toHaveLength(1))
+    // every account is disconnected from the wallet, which offers to connect again
+    act(() => wallet.listeners("accountsChanged")[0]([]))
+    userEvent.click(await screen.findByRole("button", { name: "Connect Wallet" }))
+    await waitFor(() => expect(wallet.request.mock.calls.filter(([{ method }]) => method === "eth_requestAccounts")).toHaveLength(2))
+
+    expect(wallet.listeners("accountsChanged")).toHaveLength(1)
+    expect(wallet.listeners("chainChanged")).toHaveLength(1)
+
+    unmount()
+    expect(wallet.listeners("accountsChanged")).toHaveLength(0)
+    expect(wallet.listeners("chainChanged")).toHaveLength(0)
+  })
+
+  it("Awaited the wallet when no catalogue was cached", function () {
+    render(<App />)
+
+    expect(screen.getByText("Awaiting Metamask Connection...")).toBeInTheDocument()
+    expect(wallet.request).not.toHaveBeenCalled()
+  })
+
+  it("Showed the cached listings of the last network without a wallet", async function () {
+    delete window.ethereum
+    cacheCatalogue()
+    render(<App />)
+
+    expect(await screen.findByText("First Track")).toBeInTheDocument()
+    expect(screen.getByText(/The network can not be reached, these are the listings saved/)).toBeInTheDocument()
+    expect(screen.queryByRole("button", { name: /^Buy for/ })).not.toBeInTheDocument()
+
+    userEvent.click(screen.getByRole("button", { name: "Connect Wallet" }))
+
+    expect(await screen.findByText("No injected wallet found, please install MetaMask")).toBeInTheDocument()
+    expect(screen.getByText("First Track")).toBeInTheDocument()
+  })
+
+  it("Kept the cached listings open when the wallet could not reach its network", async function () {
+    wallet = mockWallet({ online: false })
+    window.ethereum = wallet
+    cacheCatalogue()
+    const { unmount } = render(<App />)
+
+    // the cached catalogue is opened before anything is asked of the wallet
+    expect(await screen.findByText("First Track")).toBeInTheDocument()
+    expect(wallet.request).not.toHaveBeenCalled()
+
+    userEvent.click(screen.getByRole("button", { name: "Connect Wallet" }))
+
+    expect(await screen.findByText(/could not detect network/)).toBeInTheDocument()
+    expect(screen.getByText("First Track")).toBeInTheDocument()
+    // the listeners of the wallet are removed while it is still injected
+    unmount()
+  })
+
+})
@@ -0,0 +1,102 @@
+import { render, screen, within } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import ArtistDashboard from '../components/ArtistDashboard'
+import { mockMarketplace, mockEvents, salesActivityEvents, mockListings, marketItem, DEPLOYMENT_HASH, MARKETPLACE_ADDRESS } from './mockContract'
+
+const artist = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8"
+const buyer1 = "0x90F79bf6EB2c4f870365E785982E1f101E93b906"
+const buyer2 = "0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65"
+
+// jsdom's Blob has no text()
+const readBlob = (blob) => new Promise(resolve => {
+  const reader = new FileReader()
+  reader.onload = () => resolve(reader.result)
+  reader.readAsText(blob)
+})
+
+describe("ArtistDashboard", function () {
+
+  let contract;
+
+  beforeEach(function () {
+    contract = mockMarketplace({
+      ...mockEvents(salesActivityEvents({ artist, buyer1, buyer2 }), DEPLOYMENT_HASH),
+      ...mockListings([marketItem(2, artist, 3), marketItem(3, artist, 4), marketItem(4, artist, 0.5)])
+    })
+  })
+
+  const figure = (name) => within(screen.getByRole("group", { name })).getByText(/./, { selector: "p" })
+
+  it("Showed how the catalogue performs", async function () {
+    render(<ArtistDashboard contract={contract} />)
+
+    expect(await screen.findByRole("group", { name: "Royalties earned" })).toBeInTheDocument()
+    expect(figure("Royalties earned")).toHaveTextContent("0.1875 ETH")
+    expect(figure("Primary volume")).toHaveTextContent("3.0 ETH (2 sales)")
+    expect(figure("Secondary volume")).toHaveTextContent("4.5 ETH (2 sales)")
+    expect(figure("Floor price")).toHaveTextContent("0.5 ETH")
+    expect(figure("Average price")).toHaveTextContent("1.875 ETH")
+    expect(figure("Sell-through")).toHaveTextContent("50% (2 of 4 original tracks)")
+  })
+
+  it("Read the events from the block the catalogue was deployed in", async function () {
+    render(<ArtistDashboard contract={contract} fromBlock={3} />)
+
+    expect(await screen.findByRole("group", { name: "Royalties earned" })).toBeInTheDocument()
+    expect(contract.queryFilter).toHaveBeenCalledWith("MarketItemBought", 3)
+    expect(contract.queryFilter).not.toHaveBeenCalledWith("MarketItemBought", 0)
+  })
+
+  it("Ranked the top resellers", async function () {
+    render(<ArtistDashboard contract={contract} />)
+
+    const rows = within(await screen.findByRole("table")).getAllByRole("row")
+    expect(rows).toHaveLength(3)
+    expect(within(rows[1]).getAllByRole("cell").map(cell => cell.textContent)).toEqual(["0x90F7...b906", "1", "1", "1.5 ETH"])
+    expect(within(rows[2]).getAllByRole("cell").map(cell => cell.textContent)).toEqual(["0x15d3...6A65", "1", "0", "3.0 ETH"])
+  })
+
+  it("Showed a catalogue without sales", async function () {
+    contract = mockMarketplace({
+      ...mockEvents([]),
+      ...mockListings([marketItem(0, artist, 1)])
+    })
+    render(<ArtistDashboard contract={contract} />)
+
+    expect(await screen.findByText("No track has been resold yet")).toBeInTheDocument()
+    expect(figure("Royalties earned")).toHaveTextContent("None")
+    expect(figure("Floor price")).toHaveTextContent("1.0 ETH")
+    expect(figure("Sell-through")).toHaveTextContent("No tracks listed at deployment")
+  })
+
+  it("Exported the figures and the sales as CSV", async function () {
+    const saved = []
+    URL.createObjectURL = jest.fn((blob) => {
+      saved.push(blob)
+      return `blob:${saved.length}`
+    })
+    URL.revokeObjectURL = jest.fn()
+    const click = jest.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(function () {
+      saved[saved.length - 1].filename = this.download
+    })
+    render(<ArtistDashboard contract={contract} />)
+
+    userEvent.click(await screen.findByRole("button", { name: "Export Summary" }))
+    userEvent.click(screen.getByRole("button", { name: "Export Sales" }))
+
+    expect(click).toHaveBeenCalledTimes(2)
+    expect(saved.map(blob => blob.filename)).toEqual([`summary-${MARKETPLACE_ADDRESS}.csv`, `sales-${MARKETPLACE_ADDRESS}.csv`])
+    expect(await readBlob(saved[0])).toContain("Royalties earned,ETH,0.1875")
+    expect((await readBlob(saved[1])).trim().split("\n")).toHaveLength(5)
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:2")
+    click.mockRestore()
+  })
+
+  it("Showed why the activity could not be read", async function () {
+    contract.queryFilter.mockRejectedValue(new Error("could not detect network"))
+    render(<ArtistDashboard contract={contract} />)
+
+    expect(await screen.findByText("could not detect network")).toBeInTheDocument()
+  })
+
+});
@@ -0,0 +1,493 @@
+import { render, screen, waitFor, within } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { ethers } from 'ethers'
+import Home, { PAGE_SIZE } from '../components/Home'
+import { IPFS_GATEWAY } from '../components/marketItem'
+import { mockMarketplace, mockMetadataFetch, marketItem, bundle, ethToWei, BASE_URI, MARKETPLACE_ADDRESS, mockStablecoin, STABLECOIN_ADDRESS } from './mockContract'
+
+// the ERC-20 contract of every payment token is the mock stablecoin of the test
+let mockToken
+jest.mock('../components/paymentTokens', () => {
+  const paymentTokens = jest.requireActual('../components/paymentTokens')
+  return { ...paymentTokens, paymentTokenContract: (paymentToken) => paymentTokens.isEther(paymentToken) ? null : mockToken }
+})
+
+// the player the previews are played by
+const mockPlayer = { playPreview: jest.fn(), playTracks: jest.fn() }
+jest.mock('../components/Player', () => ({ usePlayer: () => mockPlayer }))
+
+const seller = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8"
+const buyer = "0x90F79bf6EB2c4f870365E785982E1f101E93b906"
+
+describe("Home", function () {
+
+  let contract;
+
+  beforeEach(function () {
+    contract = mockMarketplace({
+      listingCount: jest.fn().mockResolvedValue(ethers.BigNumber.from(2)),
+      getListings: jest.fn().mockResolvedValue([marketItem(0, seller, 1), marketItem(2, seller, 3)])
+    })
+    mockMetadataFetch({
+      0: { name: "First Track", image: "https://ipfs.test/art/0.png", animation_url: "https://ipfs.test/audio/0.mp3" },
+      2: { name: "Third Track", audio: "https://ipfs.test/audio/2.mp3" }
+    })
+  })
+
+  it("Resolved the metadata of every unsold token", async function () {
+    render(<Home contract={contract} />)
+
+    expect(await screen.findByText("First Track")).toBeInTheDocument()
+    expect(screen.getByText("Third Track")).toBeInTheDocument()
+    expect(global.fetch).toHaveBeenCalledWith(BASE_URI + "0.json")
+    expect(global.fetch).toHaveBeenCalledWith(BASE_URI + "2.json")
+
+    expect(screen.getByAltText("First Track")).toHaveAttribute("src", "https://ipfs.test/art/0.png")
+    // tracks without an image get a generated identicon
+    expect(screen.getByAltText("Third Track").getAttribute("src")).toMatch(/^data:image\/png;base64,/)
+
+    expect(screen.getByRole("button", { name: "Play the preview of First Track" })).toBeInTheDocument()
+    expect(screen.getByRole("button", { name: "Play the preview of Third Track" })).toBeInTheDocument()
+  })
+
+  it("Played the preview of a track in the player", async function () {
+    render(<Home contract={contract} />)
+
+    userEvent.click(await screen.findByRole("button", { name: "Play the preview of Third Track" }))
+
+    expect(mockPlayer.playPreview).toHaveBeenCalledTimes(1)
+    const [marketplace, item] = mockPlayer.playPreview.mock.calls[0]
+    expect(marketplace).toEqual(MARKETPLACE_ADDRESS)
+    expect(item).toMatchObject({ name: "Third Track", audio: "https://ipfs.test/audio/2.mp3" })
+    expect(item.itemId.toNumber()).toEqual(2)
+  })
+
+  it("Resolved the metadata of a track minted with its own URI", async function () {
+    const trackURI = "https://ipfs.test/new-release/metadata.json"
+    contract.getListings.mockResolvedValue([marketItem(8, seller, 1.5)])
+    contract.tokenURI.mockResolvedValue(trackURI)
+    mockMetadataFetch({ [trackURI]: { name: "New Release" } })
+
+    render(<Home contract={contract} />)
+
+    expect(await screen.findByText("New Release")).toBeInTheDocument()
+    expect(global.fetch).toHaveBeenCalledWith(trackURI)
+  })
+
+  it("Resolved the metadata of a track minted with a bare CID through the IPFS gateway", async function () {
+    const cid = "bafkreigh2akiscaildcqabsyg3dfr6chu3fgpregiymsck7e7aqa4s52zy"
+    contract.getListings.mockResolvedValue([marketItem(8, seller, 1.5)])
+    contract.tokenURI.mockResolvedValue(cid)
+    mockMetadataFetch({ [IPFS_GATEWAY + cid]: { name: "New Release" } })
+
+    render(<Home contract={contract} />)
+
+    expect(await screen.findByText("New Release")).toBeInTheDocument()
+    // the metadata file is the CID itself, nothing is appended to it
+    expect(global.fetch).toHaveBeenCalledWith(IPFS_GATEWAY + cid)
+  })
+
+  it("Resolved the ipfs:// URIs of a track through the IPFS gateway", async function () {
+    contract.getListings.mockResolvedValue([marketItem(8, seller, 1.5)])
+    contract.tokenURI.mockResolvedValue("ipfs://bafybeignewtrack/metadata")
+    mockMetadataFetch({
+      [IPFS_GATEWAY + "bafybeignewtrack/metadata"]: { name: "New Release", image: "ipfs://bafybeignewtrack/art.png" }
+    })
+
+    render(<Home contract={contract} />)
+
+    expect(await screen.findByText("New Release")).toBeInTheDocument()
+    expect(global.fetch).toHaveBeenCalledWith(IPFS_GATEWAY + "bafybeignewtrack/metadata")
+    expect(screen.getByAltText("New Release")).toHaveAttribute("src", IPFS_GATEWAY + "bafybeignewtrack/art.png")
+  })
+
+  it("Bought a token with the exact asking price", async function () {
+    render(<Home contract={contract} />)
+
+    userEvent.click(await screen.findByRole("button", { name: "Buy for 3.0 ETH" }))
+
+    await waitFor(() => expect(contract.getListings).toHaveBeenCalledTimes(2))
+    expect(contract.buyTokenAtPrice).toHaveBeenCalledTimes(1)
+    const [tokenId, price, paymentToken, overrides] = contract.buyTokenAtPrice.mock.calls[0]
+    expect(tokenId.toNumber()).toEqual(2)
+    // the price and the currency shown, which the purchase reverts without
+    expect(price.eq(ethToWei(3))).toEqual(true)
+    expect(paymentToken).toEqual(ethers.constants.AddressZero)
+    expect(overrides.value.eq(ethToWei(3))).toEqual(true)
+  })
+
+  it("Showed the revert reason of a failed purchase", async function () {
+    contract.buyTokenAtPrice.mockRejectedValue({ reason: "Please send the asking price in order to complete the purchase" })
+    render(<Home contract={contract} />)
+
+    userEvent.click(await screen.findByRole("button", { name: "Buy for 1.0 ETH" }))
+
+    expect(await screen.findByText("Please send the asking price in order to complete the purchase")).toBeInTheDocument()
+  })
+
+  describe("Listings priced in an ERC-20 token", function () {
+
+    beforeEach(function () {
+      mockToken = mockStablecoin()
+      contract.getListings.mockResolvedValue([marketItem(4, seller, 20, STABLECOIN_ADDRESS)])
+      mockMetadataFetch({ 4: { name: "Fifth Track" } })
+    })
+
+    it("Approved the marketplace to spend the price before buying", async function () {
+      render(<Home contract={contract} account={buyer} />)
+
+      userEvent.click(await screen.findByRole("button", { name: "Buy for 20.0 USDC" }))
+
+      await waitFor(() => expect(contract.buyTokenAtPrice).toHaveBeenCalledTimes(1))
+      expect(mockToken.allowance).toHaveBeenCalledWith(buyer, MARKETPLACE_ADDRESS)
+      const [spender, amount] = mockToken.approve.mock.calls[0]
+      expect(spender).toEqual(MARKETPLACE_ADDRESS)
+      expect(amount.eq(ethers.utils.parseUnits("20", 6))).toEqual(true)
+      expect(mockToken.approve.mock.invocationCallOrder[0]).toBeLessThan(contract.buyTokenAtPrice.mock.invocationCallOrder[0])
+      // the price is paid with the token, not with ether
+      const [tokenId, price, paymentToken, overrides] = contract.buyTokenAtPrice.mock.calls[0]
+      expect(tokenId.toNumber()).toEqual(4)
+      expect(price.eq(ethers.utils.parseUnits("20", 6))).toEqual(true)
+      expect(paymentToken).toEqual(STABLECOIN_ADDRESS)
+      expect(overrides).toBeUndefined()
+    })
+
+    it("Skipped the approval when the allowance already covers the price", async function () {
+      mockToken.allowance.mockResolvedValue(ethers.utils.parseUnits("100", 6))
+      render(<Home contract={contract} account={buyer} />)
+
+      userEvent.click(await screen.findByRole("button", { name: "Buy for 20.0 USDC" }))
+
+      await waitFor(() => expect(contract.buyTokenAtPrice).toHaveBeenCalledTimes(1))
+      expect(mockToken.approve).not.toHaveBeenCalled()
+    })
+
+    it("Did not buy when the approval was rejected", async function () {
+      mockToken.approve.mockRejectedValue({ message: "User denied transaction signature" })
+      render(<Home contract={contract} account={buyer} />)
+
+      userEvent.click(await screen.findByRole("button", { name: "Buy for 20.0 USDC" }))
+
+      expect(await screen.findByText("User denied transaction signature")).toBeInTheDocument()
+      expect(contract.buyTokenAtPrice).not.toHaveBeenCalled()
+    })
+
+    it("Repriced a listing in its own currency", async function () {
+      render(<Home contract={contract} account={seller} />)
+
+      userEvent.type(await screen.findByPlaceholderText("New price in USDC"), "25")
+      userEvent.click(screen.getByRole("button", { name: "Update Price" }))
+
+      await waitFor(() => expect(contract.updateListingPrice).toHaveBeenCalledTimes(1))
+      expect(contract.updateListingPrice.mock.calls[0][1].eq(ethers.utils.parseUnits("25", 6))).toEqual(true)
+    })
+
+  });
+
+  describe("Listings of the connected account", function () {
+
+    it("Offered to reprice or cancel instead of buying", async function () {
+      render(<Home contract={contract} account={seller.toLowerCase()} />)
+
+      expect(await screen.findAllByRole("button", { name: "Cancel Listing" })).toHaveLength(2)
+      expect(screen.queryByRole("button", { name: /^Buy for/ })).not.toBeInTheDocument()
+      expect(screen.getByText("Your listing for 1.0 ETH")).toBeInTheDocument()
+    })
+
+    it("Cancelled a listing", async function () {
+      render(<Home contract={contract} account={seller} />)
+
+      userEvent.click((await screen.findAllByRole("button", { name: "Cancel Listing" }))[1])
+
+      await waitFor(() => expect(contract.getListings).toHaveBeenCalledTimes(2))
+      expect(contract.cancelListing.mock.calls[0][0].toNumber()).toEqual(2)
+    })
+
+    it("Updated the price of a listing", async function () {
+      render(<Home contract={contract} account={seller} />)
+
+      userEvent.type(await screen.findByLabelText("New price for First Track"), "1.25")
+      userEvent.click(screen.getAllByRole("button", { name: "Update Price" })[0])
+
+      await waitFor(() => expect(contract.getListings).toHaveBeenCalledTimes(2))
+      const [tokenId, price] = contract.updateListingPrice.mock.calls[0]
+      expect(tokenId.toNumber()).toEqual(0)
+      expect(price.eq(ethToWei(1.25))).toEqual(true)
+    })
+
+    it("Refused to update the price without a new price", async function () {
+      render(<Home contract={contract} account={seller} />)
+
+      userEvent.click((await screen.findAllByRole("button", { name: "Update Price" }))[0])
+
+      expect(await screen.findByText("Please set a positive price for the listing")).toBeInTheDocument()
+      expect(contract.updateListingPrice).not.toHaveBeenCalled()
+    })
+
+  });
+
+  describe("Signed listings", function () {
+
+    const signedListing = {
+      order: { tokenId: "4", price: ethToWei(2).toString(), nonce: "0", expiry: "1700000000" },
+      signature: "0x1234"
+    }
+
+    it("Bought a pasted signed listing for its price", async function () {
+      render(<Home contract={contract} account={seller} />)
+
+      userEvent.paste(await screen.findByLabelText("Signed listing"), JSON.stringify(signedListing))
+      userEvent.click(screen.getByRole("button", { name: "Buy Signed Listing" }))
+
+      await waitFor(() => expect(contract.getListings).toHaveBeenCalledTimes(2))
+      expect(contract.buyWithSignature).toHaveBeenCalledWith(signedListing.order, "0x1234", { value: signedListing.order.price })
+    })
+
+    it("Refused a signed listing which is not valid", async function () {
+      render(<Home contract={contract} account={seller} />)
+
+      userEvent.paste(await screen.findByLabelText("Signed listing"), "not a listing")
+      userEvent.click(screen.getByRole("button", { name: "Buy Signed Listing" }))
+
+      expect(await screen.findByText("The signed listing is not valid")).toBeInTheDocument()
+      expect(contract.buyWithSignature).not.toHaveBeenCalled()
+    })
+
+  });
+
+  describe("Cart", function () {
+
+    it("Bought the listings of the cart in one transaction", async function () {
+      render(<Home contract={contract} account={buyer} />)
+
+      userEvent.click(await screen.findByRole("button", { name: "Add First Track to the cart" }))
+      userEvent.click(screen.getByRole("button", { name: "Add Third Track to the cart" }))
+      const cart = screen.getByRole("region", { name: "Cart" })
+      expect(within(cart).getByText("Cart (2)")).toBeInTheDocument()
+      expect(within(cart).getByText("Total: 4.0 ETH")).toBeInTheDocument()
+      userEvent.click(within(cart).getByRole("button", { name: "Checkout" }))
+
+      await waitFor(() => expect(contract.getListings).toHaveBeenCalledTimes(2))
+      const [tokenIds, overrides] = contract.buyCart.mock.calls[0]
+      expect(tokenIds.map(tokenId => tokenId.toNumber())).toEqual([0, 2])
+      expect(overrides.value.eq(ethToWei(4))).toEqual(true)
+      expect(screen.queryByRole("region", { name: "Cart" })).not.toBeInTheDocument()
+    })
+
+    it("Removed a listing from the cart", async function () {
+      render(<Home contract={contract} account={buyer} />)
+
+      userEvent.click(await screen.findByRole("button", { name: "Add First Track to the cart" }))
+      userEvent.click(screen.getByRole("button", { name: "Add Third Track to the cart" }))
+      const cart = screen.getByRole("region", { name: "Cart" })
+      userEvent.click(within(cart).getByRole("button", { name: "Remove First Track from the cart" }))
+
+      expect(within(cart).getByText("Total: 3.0 ETH")).toBeInTheDocument()
+      expect(screen.getByRole("button", { name: "Add First Track to the cart" })).toBeInTheDocument()
+    })
+
+    it("Approved the ERC-20 total of the cart before checking out", async function () {
+      mockToken = mockStablecoin()
+      contract.getListings.mockResolvedValue([marketItem(0, seller, 1), marketItem(4, seller, 20, STABLECOIN_ADDRESS), marketItem(5, seller, 5, STABLECOIN_ADDRESS)])
+      mockMetadataFetch({ 0: { name: "First Track" }, 4: { name: "Fifth Track" }, 5: { name: "Sixth Track" } })
+      render(<Home contract={contract} account={buyer} />)
+
+      for (const name of ["First Track", "Fifth Track", "Sixth Track"]) {
+        userEvent.click(await screen.findByRole("button", { name: `Add ${name} to the cart` }))
+      }
+      expect(screen.getByText("Total: 1.0 ETH + 25.0 USDC")).toBeInTheDocument()
+      userEvent.click(screen.getByRole("button", { name: "Checkout" }))
+
+      await waitFor(() => expect(contract.buyCart).toHaveBeenCalledTimes(1))
+      const [spender, amount] = mockToken.approve.mock.calls[0]
+      expect(spender).toEqual(MARKETPLACE_ADDRESS)
+      expect(amount.eq(ethers.utils.parseUnits("25", 6))).toEqual(true)
+      expect(mockToken.approve.mock.invocationCallOrder[0]).toBeLessThan(contract.buyCart.mock.invocationCallOrder[0])
+      // only the ether listings are paid with the value sent
+      expect(contract.buyCart.mock.calls[0][1].value.eq(ethToWei(1))).toEqual(true)
+    })
+
+    it("Emptied the cart and went back to the first page when another catalogue was selected", async function () {
+      contract.listingCount.mockResolvedValue(ethers.BigNumber.from(PAGE_SIZE + 1))
+      const { rerender } = render(<Home contract={contract} account={buyer} />)
+
+      userEvent.click(await screen.findByRole("button", { name: "Add First Track to the cart" }))
+      userEvent.click(screen.getByLabelText("Next page"))
+      expect(await screen.findByText("Page 2 of 2")).toBeInTheDocument()
+
+      const otherCatalogue = mockMarketplace({
+        address: "0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9",
+        listingCount: jest.fn().mockResolvedValue(ethers.BigNumber.from(PAGE_SIZE + 1)),
+        getListings: jest.fn().mockResolvedValue([marketItem(0, seller, 1)])
+      })
+      rerender(<Home contract={otherCatalogue} account={buyer} />)
+
+      expect(await screen.findByText("Page 1 of 2")).toBeInTheDocument()
+      expect(otherCatalogue.getListings).toHaveBeenLastCalledWith(0, PAGE_SIZE)
+      expect(screen.queryByRole("region", { name: "Cart" })).not.toBeInTheDocument()
+      expect(screen.queryByRole("button", { name: "Checkout" })).not.toBeInTheDocument()
+    })
+
+    it("Kept the cart when a listing of it was no longer available", async function () {
+      contract.buyCart.mockRejectedValue({ reason: "A token of the cart is no longer available" })
+      render(<Home contract={contract} account={buyer} />)
+
+      userEvent.click(await screen.findByRole("button", { name: "Add First Track to the cart" }))
+      userEvent.click(screen.getByRole("button", { name: "Checkout" }))
+
+      expect(await screen.findByText("A token of the cart is no longer available")).toBeInTheDocument()
+      expect(screen.getByRole("region", { name: "Cart" })).toBeInTheDocument()
+    })
+
+  });
+
+  describe("Bundles", function () {
+
+    beforeEach(function () {
+      contract.getBundles.mockResolvedValue([bundle(0, seller, 3.5, "The Album", [0, 2])])
+      contract.marketItems.mockImplementation((tokenId) => Promise.resolve(marketItem(tokenId, seller, 1)))
+    })
+
+    it("Bought a bundle for its price", async function () {
+      render(<Home contract={contract} account={buyer} />)
+
+      const album = await screen.findByRole("group", { name: "The Album" })
+      expect(within(album).getByText("First Track, Third Track")).toBeInTheDocument()
+      userEvent.click(within(album).getByRole("button", { name: "Buy Bundle for 3.5 ETH" }))
+
+      await waitFor(() => expect(contract.getListings).toHaveBeenCalledTimes(2))
+      const [bundleId, overrides] = contract.buyBundle.mock.calls[0]
+      expect(bundleId.toNumber()).toEqual(0)
+      expect(overrides.value.eq(ethToWei(3.5))).toEqual(true)
+    })
+
+    it("Showed a bundle whose track was sold on its own as unavailable", async function () {
+      contract.marketItems.mockImplementation((tokenId) =>
+        Promise.resolve(marketItem(tokenId, tokenId.toNumber() === 2 ? ethers.constants.AddressZero : seller, 1)))
+      render(<Home contract={contract} account={buyer} />)
+
+      const album = await screen.findByRole("group", { name: "The Album" })
+      expect(within(album).getByText("No longer available, a track of the bundle is not listed anymore")).toBeInTheDocument()
+      expect(within(album).getByRole("button", { name: "Buy Bundle for 3.5 ETH" })).toBeDisabled()
+    })
+
+    it("Offered the seller to cancel its bundle", async function () {
+      render(<Home contract={contract} account={seller} />)
+
+      userEvent.click(await screen.findByRole("button", { name: "Cancel Bundle" }))
+
+      await waitFor(() => expect(contract.getListings).toHaveBeenCalledTimes(2))
+      expect(contract.cancelBundle.mock.calls[0][0].toNumber()).toEqual(0)
+      expect(screen.queryByRole("button", { name: /^Buy Bundle/ })).not.toBeInTheDocument()
+    })
+
+  });
+
+  describe("History tab", function () {
+
+    it("Fetched the history of a track from the indexer once opened", async function () {
+      render(<Home contract={contract} />)
+
+      const tabs = await screen.findAllByRole("tab", { name: "History" })
+      expect(global.fetch).not.toHaveBeenCalledWith(expect.stringContaining("/history"))
+
+      global.fetch = jest.fn().mockResolvedValue({
+        json: () => Promise.resolve({
+          history: [
+            { event: "MarketItemListed", seller, buyer: null, price: ethToWei(3).toString(), transactionHash: "0x01" },
+            { event: "MarketItemBought", seller, buyer: "0x90F79bf6EB2c4f870365E785982E1f101E93b906", price: ethToWei(3).toString(), transactionHash: "0x02" }
+          ]
+        })
+      })
+      userEvent.click(tabs[1])
+
+      expect(await screen.findByText("Sold")).toBeInTheDocument()
+      expect(screen.getByText("to 0x90F7...b906")).toBeInTheDocument()
+      expect(screen.getAllByText("3.0 ETH")).toHaveLength(2)
+      expect(global.fetch).toHaveBeenCalledWith(`http://localhost:4000/collections/${MARKETPLACE_ADDRESS}/tokens/2/history`)
+    })
+
+    it("Told when the indexer is not reachable", async function () {
+      render(<Home contract={contract} />)
+
+      const tabs = await screen.findAllByRole("tab", { name: "History" })
+      global.fetch = jest.fn().mockRejectedValue(new TypeError("Failed to fetch"))
+      userEvent.click(tabs[0])
+
+      expect(await screen.findByText("The history is unavailable, is the indexer running?")).toBeInTheDocument()
+    })
+
+  });
+
+  describe("Pagination", function () {
+
+    it("Fetched a single page of the listings", async function () {
+      render(<Home contract={contract} />)
+
+      expect(await screen.findByText("First Track")).toBeInTheDocument()
+      expect(contract.getListings).toHaveBeenCalledWith(0, PAGE_SIZE)
+      // everything fits in one page
+      expect(screen.queryByLabelText("Next page")).not.toBeInTheDocument()
+    })
+
+    it("Moved to the next page", async function () {
+      contract.listingCount.mockResolvedValue(ethers.BigNumber.from(PAGE_SIZE * 2 + 1))
+      render(<Home contract={contract} />)
+
+      expect(await screen.findByText(`Page 1 of 3`)).toBeInTheDocument()
+      userEvent.click(screen.getByLabelText("Next page"))
+
+      expect(await screen.findByText(`Page 2 of 3`)).toBeInTheDocument()
+      expect(contract.getListings).toHaveBeenLastCalledWith(PAGE_SIZE, PAGE_SIZE)
+    })
+
+    it("Went back a page when the last one was emptied", async function () {
+      contract.listingCount.mockResolvedValue(ethers.BigNumber.from(PAGE_SIZE + 1))
+      render(<Home contract={contract} />)
+
+      userEvent.click(await screen.findByLabelText("Next page"))
+      expect(await screen.findByText(`Page 2 of 2`)).toBeInTheDocument()
+
+      // the only listing of the second page is bought
+      contract.listingCount.mockResolvedValue(ethers.BigNumber.from(PAGE_SIZE))
+      userEvent.click(screen.getByRole("button", { name: "Buy for 3.0 ETH" }))
+
+      await waitFor(() => expect(contract.getListings).toHaveBeenLastCalledWith(0, PAGE_SIZE))
+      expect(screen.queryByText(`Page 2 of 2`)).not.toBeInTheDocument()
+    })
+
+  });
+
+  it("Showed an empty marketplace", async function () {
+    contract.listingCount.mockResolvedValue(ethers.constants.Zero)
+    contract.getListings.mockResolvedValue([])
+    render(<Home contract={contract} />)
+
+    expect(await screen.findByText("No listed assets")).toBeInTheDocument()
+  })
+
+  it("Showed the last listings loaded when the network can not be reached", async function () {
+    const { unmount } = render(<Home contract={contract} account={buyer} />)
+    expect(await screen.findByRole("button", { name: "Buy for 3.0 ETH" })).toBeInTheDocument()
+    unmount()
+
+    contract.listingCount.mockRejectedValue(new Error("could not detect network"))
+    render(<Home contract={contract} account={buyer} />)
+
+    expect(await screen.findByText(/The network can not be reached, these are the listings saved just now/)).toBeInTheDocument()
+    expect(screen.getByText("First Track")).toBeInTheDocument()
+    expect(screen.getByText("Listed for 3.0 ETH")).toBeInTheDocument()
+    // nothing needing a signature is offered on stale listings
+    expect(screen.queryByRole("button", { name: /^Buy for/ })).not.toBeInTheDocument()
+    expect(screen.queryByLabelText("Signed listing")).not.toBeInTheDocument()
+  })
+
+  it("Showed why the listings failed to load when none were cached", async function () {
+    contract.listingCount.mockRejectedValue(new Error("could not detect network"))
+    render(<Home contract={contract} />)
+
+    expect(await screen.findByText("could not detect network")).toBeInTheDocument()
+    expect(screen.queryByText(/The network can not be reached/)).not.toBeInTheDocument()
+  })
+
+});
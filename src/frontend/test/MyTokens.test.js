@@ -0,0 +1,277 @@
+import { render, screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import MyTokens from '../components/MyTokens'
+import { PAGE_SIZE } from '../components/Home'
+import { ethers } from 'ethers'
+import { mockMarketplace, mockMetadataFetch, marketItem, ethToWei, mockStablecoin, STABLECOIN_ADDRESS } from './mockContract'
+import { LISTING_TYPES, recoverSigner } from '../../shared/signedOrders'
+
+// the ERC-20 contract of every payment token is the mock stablecoin of the test
+let mockToken
+jest.mock('../components/paymentTokens', () => {
+  const paymentTokens = jest.requireActual('../components/paymentTokens')
+  return { ...paymentTokens, paymentTokenContract: (paymentToken) => paymentTokens.isEther(paymentToken) ? null : mockToken }
+})
+
+// the player the collection is queued in
+const mockPlayer = { playPreview: jest.fn(), playTracks: jest.fn() }
+jest.mock('../components/Player', () => ({ usePlayer: () => mockPlayer }))
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+const account = "0x90F79bf6EB2c4f870365E785982E1f101E93b906"
+
+describe("MyTokens", function () {
+
+  let contract;
+
+  // the account owns the tokens of items, paged by getTokensOf the way the contract pages them
+  const ownTokens = (items) => {
+    contract.balanceOf.mockResolvedValue(ethers.BigNumber.from(items.length))
+    contract.getTokensOf.mockImplementation((owner, offset, limit) => Promise.resolve(items.slice(offset, offset + limit)))
+  }
+
+  // the account listed the tokens of items, paged by getSellerListings the way the contract pages them
+  const listTokens = (items) => {
+    contract.sellerListingCount.mockResolvedValue(ethers.BigNumber.from(items.length))
+    contract.getSellerListings.mockImplementation((seller, offset, limit) => Promise.resolve(items.slice(offset, offset + limit)))
+  }
+
+  beforeEach(function () {
+    contract = mockMarketplace()
+    ownTokens([marketItem(5, ZERO_ADDRESS, 6)])
+    mockMetadataFetch({ 5: { name: "Sixth Track" } })
+  })
+
+  it("Listed the tokens owned by the connected account", async function () {
+    render(<MyTokens contract={contract} account={account} />)
+
+    expect(await screen.findByText("Sixth Track")).toBeInTheDocument()
+    expect(screen.getByText("Bought for 6.0 ETH")).toBeInTheDocument()
+  })
+
+  it("Queued the tracks of the collection in the player", async function () {
+    ownTokens([marketItem(5, ZERO_ADDRESS, 6), marketItem(6, ZERO_ADDRESS, 1), marketItem(7, ZERO_ADDRESS, 2)])
+    mockMetadataFetch({
+      5: { name: "Sixth Track", animation_url: "https://ipfs.test/audio/5.mp3" },
+      6: { name: "Seventh Track" },
+      7: { name: "Eighth Track", animation_url: "https://ipfs.test/audio/7.mp3" }
+    })
+    render(<MyTokens contract={contract} account={account} />)
+
+    userEvent.click(await screen.findByRole("button", { name: "Play Eighth Track" }))
+    // the tracks without audio are left out of the queue
+    const [marketplace, items, start] = mockPlayer.playTracks.mock.calls[0]
+    expect(marketplace).toEqual(contract.address)
+    expect(items.map(item => item.name)).toEqual(["Sixth Track", "Eighth Track"])
+    expect(start).toEqual(1)
+    expect(screen.queryByRole("button", { name: "Play Seventh Track" })).not.toBeInTheDocument()
+
+    userEvent.click(screen.getByRole("button", { name: "Play All" }))
+    expect(mockPlayer.playTracks.mock.calls[1][2]).toEqual(0)
+  })
+
+  it("Relisted a token at the new price", async function () {
+    render(<MyTokens contract={contract} account={account} />)
+
+    userEvent.type(await screen.findByLabelText("Relist price for Sixth Track"), "2.5")
+    userEvent.click(screen.getByRole("button", { name: "Relist" }))
+
+    await waitFor(() => expect(contract.getTokensOf).toHaveBeenCalledTimes(2))
+    expect(contract.resellToken).toHaveBeenCalledTimes(1)
+    const [tokenId, price, overrides] = contract.resellToken.mock.calls[0]
+    expect(tokenId.toNumber()).toEqual(5)
+    expect(price.eq(ethToWei(2.5))).toEqual(true)
+    // relisting sends no ether, the royalty is taken out of the price when the token is bought
+    expect(overrides).toBeUndefined()
+  })
+
+  it("Refused to relist without a price", async function () {
+    render(<MyTokens contract={contract} account={account} />)
+
+    userEvent.click(await screen.findByRole("button", { name: "Relist" }))
+
+    expect(await screen.findByText("Please set a positive price before relisting")).toBeInTheDocument()
+    expect(contract.resellToken).not.toHaveBeenCalled()
+  })
+
+  it("Signed a gasless listing with the wallet", async function () {
+    // a real wallet signs the typed data, so the signature can be checked against its address
+    const wallet = ethers.Wallet.createRandom()
+    contract.signer = wallet
+    render(<MyTokens contract={contract} account={wallet.address} />)
+
+    userEvent.type(await screen.findByLabelText("Relist price for Sixth Track"), "2.5")
+    userEvent.click(screen.getByRole("button", { name: "Sign Listing" }))
+
+    const signedListing = JSON.parse((await screen.findByLabelText("Signed listing for Sixth Track")).value)
+    expect(signedListing.order).toMatchObject({ tokenId: "5", price: ethToWei(2.5).toString(), nonce: "0" })
+    expect(await recoverSigner(LISTING_TYPES, contract, signedListing)).toEqual(wallet.address)
+    expect(contract.nonces).toHaveBeenCalledWith(wallet.address)
+    // signing is free, the token is not moved
+    expect(contract.resellToken).not.toHaveBeenCalled()
+  })
+
+  it("Withdrew the proceeds credited to the account", async function () {
+    contract.pendingWithdrawal
+      .mockResolvedValueOnce(ethToWei(1.95))
+      .mockResolvedValue(ethToWei(0))
+    render(<MyTokens contract={contract} account={account} />)
+
+    expect(await screen.findByText("1.95 ETH from your sales is ready to withdraw")).toBeInTheDocument()
+    expect(contract.pendingWithdrawal).toHaveBeenCalledWith(account)
+    userEvent.click(screen.getByRole("button", { name: "Withdraw" }))
+
+    await waitFor(() => expect(screen.queryByRole("button", { name: "Withdraw" })).not.toBeInTheDocument())
+    expect(contract.withdraw).toHaveBeenCalledTimes(1)
+  })
+
+  it("Withdrew the proceeds paid in an ERC-20 token", async function () {
+    mockToken = mockStablecoin()
+    contract.getPaymentTokens.mockResolvedValue([STABLECOIN_ADDRESS])
+    contract.pendingTokenWithdrawal
+      .mockResolvedValueOnce(ethers.utils.parseUnits("19.5", 6))
+      .mockResolvedValue(ethers.constants.Zero)
+    render(<MyTokens contract={contract} account={account} />)
+
+    expect(await screen.findByText("19.5 USDC from your sales is ready to withdraw")).toBeInTheDocument()
+    expect(contract.pendingTokenWithdrawal).toHaveBeenCalledWith(STABLECOIN_ADDRESS, account)
+    userEvent.click(screen.getByRole("button", { name: "Withdraw USDC" }))
+
+    await waitFor(() => expect(screen.queryByRole("button", { name: "Withdraw USDC" })).not.toBeInTheDocument())
+    expect(contract.withdrawToken).toHaveBeenCalledWith(STABLECOIN_ADDRESS)
+  })
+
+  it("Showed the price of a token bought with an ERC-20 token in its currency", async function () {
+    mockToken = mockStablecoin()
+    ownTokens([marketItem(5, ZERO_ADDRESS, 12, STABLECOIN_ADDRESS)])
+    render(<MyTokens contract={contract} account={account} />)
+
+    expect(await screen.findByText("Bought for 12.0 USDC")).toBeInTheDocument()
+  })
+
+  it("Hid the withdrawal without proceeds", async function () {
+    render(<MyTokens contract={contract} account={account} />)
+
+    expect(await screen.findByText("Sixth Track")).toBeInTheDocument()
+    expect(screen.queryByRole("button", { name: "Withdraw" })).not.toBeInTheDocument()
+  })
+
+  it("Showed the tokens the account listed for sale apart", async function () {
+    listTokens([marketItem(7, account, 4)])
+    mockMetadataFetch({ 5: { name: "Sixth Track" }, 7: { name: "Eighth Track" } })
+    render(<MyTokens contract={contract} account={account} />)
+
+    expect(await screen.findByText("Listed for 4.0 ETH")).toBeInTheDocument()
+    expect(screen.getByText("Eighth Track")).toBeInTheDocument()
+    expect(contract.getSellerListings).toHaveBeenCalledWith(account, 0, PAGE_SIZE)
+    // a listed token can not be relisted
+    expect(screen.queryByLabelText("Relist price for Eighth Track")).not.toBeInTheDocument()
+  })
+
+  describe("Bundles", function () {
+
+    beforeEach(function () {
+      listTokens([marketItem(9, account, 2), marketItem(7, account, 4)])
+      mockMetadataFetch({ 5: { name: "Sixth Track" }, 7: { name: "Eighth Track" }, 9: { name: "Tenth Track" } })
+    })
+
+    it("Bundled listings of the account at a single price, in ascending order", async function () {
+      render(<MyTokens contract={contract} account={account} />)
+
+      userEvent.click(await screen.findByLabelText("Tenth Track"))
+      userEvent.click(screen.getByLabelText("Eighth Track"))
+      userEvent.type(screen.getByLabelText("Bundle name"), "The Album")
+      userEvent.type(screen.getByLabelText("Bundle price"), "5")
+      userEvent.click(screen.getByRole("button", { name: "Create Bundle" }))
+
+      await waitFor(() => expect(contract.createBundle).toHaveBeenCalledTimes(1))
+      const [name, tokenIds, price] = contract.createBundle.mock.calls[0]
+      expect(name).toEqual("The Album")
+      expect(tokenIds.map(tokenId => tokenId.toNumber())).toEqual([7, 9])
+      expect(price.eq(ethToWei(5))).toEqual(true)
+      await waitFor(() => expect(screen.getByLabelText("Bundle name")).toHaveValue(""))
+    })
+
+    it("Refused a bundle of a single listing", async function () {
+      render(<MyTokens contract={contract} account={account} />)
+
+      userEvent.click(await screen.findByLabelText("Tenth Track"))
+      userEvent.type(screen.getByLabelText("Bundle name"), "Single")
+      userEvent.type(screen.getByLabelText("Bundle price"), "1")
+      userEvent.click(screen.getByRole("button", { name: "Create Bundle" }))
+
+      expect(await screen.findByText("Please pick at least 2 of your listings for the bundle")).toBeInTheDocument()
+      expect(contract.createBundle).not.toHaveBeenCalled()
+    })
+
+  });
+
+  it("Showed an empty collection", async function () {
+    ownTokens([])
+    render(<MyTokens contract={contract} account={account} />)
+
+    expect(await screen.findByText("No owned tokens")).toBeInTheDocument()
+  })
+
+  it("Showed the tokens of the account one page at a time", async function () {
+    const items = Array.from({ length: PAGE_SIZE + 2 }, (_, i) => marketItem(i, ZERO_ADDRESS, 1))
+    ownTokens(items)
+    mockMetadataFetch(Object.fromEntries(items.map((_, i) => [i, { name: `Track ${i}` }])))
+    render(<MyTokens contract={contract} account={account} />)
+
+    expect(await screen.findByText("Track 0")).toBeInTheDocument()
+    expect(screen.getByText(`Track ${PAGE_SIZE - 1}`)).toBeInTheDocument()
+    expect(screen.queryByText(`Track ${PAGE_SIZE}`)).not.toBeInTheDocument()
+    expect(screen.getByText("Page 1 of 2")).toBeInTheDocument()
+    expect(contract.getTokensOf).toHaveBeenCalledWith(account, 0, PAGE_SIZE)
+    // the listings of the account fit in a single page, which needs no links
+    expect(screen.queryByLabelText("Next page of your listings")).not.toBeInTheDocument()
+
+    userEvent.click(screen.getByLabelText("Next page of your tracks"))
+
+    expect(await screen.findByText(`Track ${PAGE_SIZE + 1}`)).toBeInTheDocument()
+    expect(screen.queryByText("Track 0")).not.toBeInTheDocument()
+    expect(screen.getByText("Page 2 of 2")).toBeInTheDocument()
+    expect(contract.getTokensOf).toHaveBeenLastCalledWith(account, PAGE_SIZE, PAGE_SIZE)
+    expect(contract.getMyTokens).not.toHaveBeenCalled()
+  })
+
+  it("Showed the listings of the account one page at a time", async function () {
+    const items = Array.from({ length: PAGE_SIZE + 1 }, (_, i) => marketItem(100 + i, account, 2))
+    listTokens(items)
+    mockMetadataFetch({ 5: { name: "Sixth Track" }, ...Object.fromEntries(items.map((_, i) => [100 + i, { name: `Listing ${i}` }])) })
+    render(<MyTokens contract={contract} account={account} />)
+
+    // the listings of the page are the ones offered for a bundle
+    expect(await screen.findByLabelText("Listing 0")).toBeInTheDocument()
+    expect(screen.queryByLabelText(`Listing ${PAGE_SIZE}`)).not.toBeInTheDocument()
+
+    userEvent.click(screen.getByLabelText("Next page of your listings"))
+
+    expect(await screen.findByText(`Listing ${PAGE_SIZE}`)).toBeInTheDocument()
+    expect(screen.queryByLabelText("Listing 0")).not.toBeInTheDocument()
+    expect(contract.getSellerListings).toHaveBeenLastCalledWith(account, PAGE_SIZE, PAGE_SIZE)
+    // the page of the tracks owned is kept
+    expect(screen.getByText("Sixth Track")).toBeInTheDocument()
+    expect(contract.getListingsBySeller).not.toHaveBeenCalled()
+  })
+
+  it("Showed the last collection loaded when the network can not be reached", async function () {
+    mockMetadataFetch({ 5: { name: "Sixth Track", animation_url: "https://ipfs.test/audio/5.mp3" } })
+    contract.pendingWithdrawal.mockResolvedValue(ethToWei(1))
+    const { unmount } = render(<MyTokens contract={contract} account={account} />)
+    expect(await screen.findByRole("button", { name: "Play Sixth Track" })).toBeInTheDocument()
+    unmount()
+
+    contract.getTokensOf.mockRejectedValue(new Error("could not detect network"))
+    render(<MyTokens contract={contract} account={account} />)
+
+    expect(await screen.findByText(/these are the tracks you own saved just now/)).toBeInTheDocument()
+    expect(screen.getByText("Bought for 6.0 ETH")).toBeInTheDocument()
+    // the tracks, the forms and the withdrawals all need a signature
+    expect(screen.queryByRole("button", { name: "Play Sixth Track" })).not.toBeInTheDocument()
+    expect(screen.queryByLabelText("Relist price for Sixth Track")).not.toBeInTheDocument()
+    expect(screen.queryByRole("button", { name: "Withdraw" })).not.toBeInTheDocument()
+  })
+
+});
@@ -0,0 +1,66 @@
+import { render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { MemoryRouter } from 'react-router-dom'
+import Navigation from '../components/Navbar'
+
+const account = "0x90F79bf6EB2c4f870365E785982E1f101E93b906"
+const catalogues = [
+  { artist: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8", address: "0x5FbDB2315678afecb367f032d93F642f64180aa3" },
+  { artist: "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC", address: "0xa16E02E87b7454126E5E10d957A927A7F5B5d2be" }
+]
+
+describe("Navigation", function () {
+
+  const renderNavigation = (props) => render(
+    <MemoryRouter>
+      <Navigation web3Handler={jest.fn()} account={account} {...props} />
+    </MemoryRouter>
+  )
+
+  it("Switched to the catalogue of another artist", function () {
+    const onSelectCatalogue = jest.fn()
+    renderNavigation({ catalogues, catalogue: catalogues[0].address, onSelectCatalogue })
+
+    expect(screen.getByRole("combobox", { name: "Artist" })).toHaveValue(catalogues[0].address)
+    userEvent.selectOptions(screen.getByRole("combobox", { name: "Artist" }), "Artist 0x3C44...93BC")
+
+    expect(onSelectCatalogue).toHaveBeenCalledWith(catalogues[1].address)
+  })
+
+  it("Hid the artist picker when there is a single catalogue", function () {
+    renderNavigation({ catalogues: catalogues.slice(0, 1), catalogue: catalogues[0].address })
+
+    expect(screen.queryByRole("combobox", { name: "Artist" })).not.toBeInTheDocument()
+  })
+
+  it("Offered to connect a wallet", function () {
+    const web3Handler = jest.fn()
+    render(
+      <MemoryRouter>
+        <Navigation web3Handler={web3Handler} account={null} />
+      </MemoryRouter>
+    )
+
+    userEvent.click(screen.getByRole("button", { name: "Connect Wallet" }))
+    expect(web3Handler).toHaveBeenCalled()
+  })
+
+  it("Linked the admin panel for the owner and the moderators only", function () {
+    const { unmount } = renderNavigation({ isAdmin: true })
+    expect(screen.getByRole("link", { name: "Admin" })).toHaveAttribute("href", "/admin")
+    unmount()
+
+    renderNavigation({})
+    expect(screen.queryByRole("link", { name: "Admin" })).not.toBeInTheDocument()
+  })
+
+  it("Linked the dashboard for the artist and the owner only", function () {
+    const { unmount } = renderNavigation({ showDashboard: true })
+    expect(screen.getByRole("link", { name: "Dashboard" })).toHaveAttribute("href", "/dashboard")
+    unmount()
+
+    renderNavigation({})
+    expect(screen.queryByRole("link", { name: "Dashboard" })).not.toBeInTheDocument()
+  })
+
+});
@@ -0,0 +1,186 @@
+import { render, screen, waitFor, fireEvent } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { ethers } from 'ethers'
+import { PlayerProvider, usePlayer } from '../components/Player'
+import { MEDIA_URL, previewUrl, trackUrl } from '../components/media'
+import { challengeMessage } from '../../shared/mediaAccess'
+import { MARKETPLACE_ADDRESS } from './mockContract'
+
+// the wallet of the listener: a real key, so the stand-in media server checks real signatures
+const wallet = new ethers.Wallet("0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d")
+const mockSigner = () => ({
+  getAddress: jest.fn().mockResolvedValue(wallet.address),
+  provider: { getNetwork: jest.fn().mockResolvedValue({ chainId: 31337 }) },
+  signMessage: jest.fn((message) => wallet.signMessage(message))
+})
+
+const track = (tokenId, name) => ({ itemId: ethers.BigNumber.from(tokenId), name, artwork: `https://ipfs.test/art/${tokenId}.png` })
+const tracks = [track(1, "First Track"), track(4, "Second Track"), track(7, "Third Track")]
+
+// a stand-in for the media server (src/backend/media): it issues challenges and opens a session for a valid signature.
+// tamper changes the challenge before it is sent, to play a server asking for another message to be signed
+function mockMediaServer({ tamper } = {}) {
+  const challenges = {}
+  global.fetch = jest.fn(async (url, options = {}) => {
+    const reply = (status, body) => ({ ok: status === 200, status, json: () => Promise.resolve(body) })
+    const { pathname, searchParams } = new URL(url)
+    if (pathname === "/challenge") {
+      const challenge = { account: searchParams.get("account"), chainId: 31337, nonce: "0123abcd", expiresAt: Math.floor(Date.now() / 1000) + 300 }
+      challenges[challenge.nonce] = challenge
+      const body = { message: challengeMessage(challenge), ...challenge }
+      return reply(200, tamper ? tamper(body) : body)
+    }
+    if (pathname === "/sessions" && options.method === "POST") {
+      const { nonce, signature } = JSON.parse(options.body)
+      const challenge = challenges[nonce]
+      delete challenges[nonce]
+      if (!challenge || ethers.utils.verifyMessage(challengeMessage(challenge), signature) !== challenge.account) {
+        return reply(401, { error: "The challenge was not signed by its account" })
+      }
+      return reply(200, { token: "session-token", account: challenge.account, expiresAt: challenge.expiresAt + 3600 })
+    }
+    return reply(404, { error: "Not found" })
+  })
+}
+
+// what the pages do with the player
+function Controls() {
+  const player = usePlayer()
+  return (
+    <>
+      <button onClick={() => player.playPreview(MARKETPLACE_ADDRESS, tracks[0])}>Preview</button>
+      <button onClick={() => player.playTracks(MARKETPLACE_ADDRESS, tracks, 1)}>Play Collection</button>
+    </>
+  )
+}
+
+describe("Player", function () {
+
+  let signer
+
+  beforeEach(function () {
+    signer = mockSigner()
+    mockMediaServer()
+  })
+
+  const renderPlayer = (account = wallet.address) => render(
+    <PlayerProvider signer={signer} account={account}>
+      <Controls />
+    </PlayerProvider>
+  )
+
+  it("Played the preview of a track without signing in", async function () {
+    renderPlayer()
+
+    userEvent.click(screen.getByRole("button", { name: "Preview" }))
+
+    expect(await screen.findByTestId("player-audio")).toHaveAttribute("src", previewUrl(MARKETPLACE_ADDRESS, 1))
+    expect(screen.getByText("First Track")).toBeInTheDocument()
+    expect(screen.getByText("30s preview")).toBeInTheDocument()
+    expect(signer.signMessage).not.toHaveBeenCalled()
+    expect(global.fetch).not.toHaveBeenCalled()
+  })
+
+  it("Signed the challenge of the media server and queued the full tracks", async function () {
+    renderPlayer()
+
+    userEvent.click(screen.getByRole("button", { name: "Play Collection" }))
+
+    const session = { token: "session-token" }
+    await waitFor(() => expect(screen.getByTestId("player-audio")).toHaveAttribute("src", trackUrl(MARKETPLACE_ADDRESS, 4, session)))
+    expect(global.fetch).toHaveBeenCalledWith(`${MEDIA_URL}/challenge?account=${wallet.address}`)
+    expect(signer.signMessage).toHaveBeenCalledTimes(1)
+    expect(screen.getByText("2 / 3")).toBeInTheDocument()
+    expect(screen.queryByText("30s preview")).not.toBeInTheDocument()
+
+    userEvent.click(screen.getByRole("button", { name: "Next track" }))
+    expect(screen.getByTestId("player-audio")).toHaveAttribute("src", trackUrl(MARKETPLACE_ADDRESS, 7, session))
+    expect(screen.getByRole("button", { name: "Next track" })).toBeDisabled()
+
+    // the session is kept for the next plays
+    userEvent.click(screen.getByRole("button", { name: "Play Collection" }))
+    expect(await screen.findByText("2 / 3")).toBeInTheDocument()
+    expect(signer.signMessage).toHaveBeenCalledTimes(1)
+  })
+
+  it("Played the next track of the queue when one ended", async function () {
+    renderPlayer()
+
+    userEvent.click(screen.getByRole("button", { name: "Play Collection" }))
+    expect(await screen.findByText("Second Track")).toBeInTheDocument()
+
+    fireEvent.ended(screen.getByTestId("player-audio"))
+    expect(await screen.findByText("3 / 3")).toBeInTheDocument()
+
+    // the queue lists the collection, and a track of it is played by clicking on it
+    userEvent.click(screen.getByRole("button", { name: "Queue" }))
+    userEvent.click(screen.getByRole("button", { name: "First Track" }))
+    expect(screen.getByTestId("player-audio")).toHaveAttribute("src", trackUrl(MARKETPLACE_ADDRESS, 1, { token: "session-token" }))
+  })
+
+  it("Refused to sign a message which is not the challenge", async function () {
+    mockMediaServer({ tamper: (challenge) => ({ ...challenge, message: "Transfer all my tokens" }) })
+    renderPlayer()
+
+    userEvent.click(screen.getByRole("button", { name: "Play Collection" }))
+
+    expect(await screen.findByText("The media server sent an unexpected message to sign")).toBeInTheDocument()
+    expect(signer.signMessage).not.toHaveBeenCalled()
+    expect(screen.queryByTestId("player-audio")).not.toBeInTheDocument()
+  })
+
+  it("Refused a challenge for another account", async function () {
+    const other = ethers.Wallet.createRandom().address
+    mockMediaServer({ tamper: (challenge) => ({ ...challenge, account: other, message: challengeMessage({ ...challenge, account: other }) }) })
+    renderPlayer()
+
+    userEvent.click(screen.getByRole("button", { name: "Play Collection" }))
+
+    expect(await screen.findByText("The media server sent an unexpected message to sign")).toBeInTheDocument()
+    expect(signer.signMessage).not.toHaveBeenCalled()
+  })
+
+  it("Showed why the media server refused the session", async function () {
+    // the wallet signs with another key than the one of the account
+    signer.signMessage.mockImplementation((message) => ethers.Wallet.createRandom().signMessage(message))
+    renderPlayer()
+
+    userEvent.click(screen.getByRole("button", { name: "Play Collection" }))
+
+    expect(await screen.findByText("The challenge was not signed by its account")).toBeInTheDocument()
+    expect(screen.queryByTestId("player-audio")).not.toBeInTheDocument()
+  })
+
+  it("Showed the wallet refusing to sign", async function () {
+    signer.signMessage.mockRejectedValue(new Error("User denied message signature"))
+    renderPlayer()
+
+    userEvent.click(screen.getByRole("button", { name: "Play Collection" }))
+
+    expect(await screen.findByText("User denied message signature")).toBeInTheDocument()
+  })
+
+  it("Dropped the full tracks of the previous account", async function () {
+    const { rerender } = renderPlayer()
+    userEvent.click(screen.getByRole("button", { name: "Play Collection" }))
+    expect(await screen.findByText("Second Track")).toBeInTheDocument()
+
+    // the full tracks of the previous account are dropped from the player
+    rerender(
+      <PlayerProvider signer={signer} account={ethers.Wallet.createRandom().address}>
+        <Controls />
+      </PlayerProvider>
+    )
+    expect(screen.queryByTestId("player-audio")).not.toBeInTheDocument()
+  })
+
+  it("Closed the player", async function () {
+    renderPlayer()
+
+    userEvent.click(screen.getByRole("button", { name: "Preview" }))
+    userEvent.click(await screen.findByRole("button", { name: "Close the player" }))
+
+    expect(screen.queryByRole("region", { name: "Player" })).not.toBeInTheDocument()
+  })
+
+});
@@ -0,0 +1,148 @@
+import { ethers } from 'ethers'
+import { loadSalesActivity, analyzeSales, LISTINGS_PAGE_SIZE, reportCurrencies, toCsv, summaryCsv, salesCsv } from '../components/analytics'
+import { ETHER } from '../components/paymentTokens'
+import { mockMarketplace, mockEvents, salesActivityEvents, mockListings, marketItem, ethToWei, DEPLOYMENT_HASH, STABLECOIN_ADDRESS } from './mockContract'
+
+const artist = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8"
+const buyer1 = "0x90F79bf6EB2c4f870365E785982E1f101E93b906"
+const buyer2 = "0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65"
+const ETH = ethers.constants.AddressZero
+const USDC = { address: STABLECOIN_ADDRESS, symbol: "USDC", decimals: 6 }
+const usdc = (num) => ethers.utils.parseUnits(num.toString(), 6)
+
+describe("Analytics", function () {
+
+  let contract;
+
+  beforeEach(function () {
+    contract = mockMarketplace({
+      ...mockEvents(salesActivityEvents({ artist, buyer1, buyer2 }), DEPLOYMENT_HASH),
+      ...mockListings([marketItem(2, artist, 3), marketItem(3, artist, 4), marketItem(4, artist, 0.5)])
+    })
+  })
+
+  it("Read the sales, relistings and royalties from the events", async function () {
+    const activity = await loadSalesActivity(contract, 1)
+
+    expect(contract.queryFilter).toHaveBeenCalledWith("MarketItemBought", 1)
+    expect(activity.sales.map(sale => [sale.tokenId.toNumber(), sale.seller, sale.buyer, ethers.utils.formatEther(sale.price)])).toEqual([
+      [0, artist, buyer1, "1.0"],
+      [1, artist, buyer2, "2.0"],
+      [0, buyer1, buyer2, "1.5"],
+      // the seller of an auction is the one who created it
+      [1, buyer2, buyer1, "3.0"]
+    ])
+    expect(activity.sales[3].royalty).toEqual(ethToWei(3).div(40))
+    expect(activity.sales[0].timestamp).toEqual(1700000000 + 2 * 60)
+    expect(activity.relistings).toHaveLength(1)
+    expect(activity.royalties).toHaveLength(4)
+    expect(activity.listings).toHaveLength(3)
+    // the track minted after the deployment is not an original one
+    expect(activity.originals.map(tokenId => tokenId.toNumber())).toEqual([0, 1, 2, 3])
+  })
+
+  it("Read the listings a page at a time", async function () {
+    const listings = Array.from({ length: 2 * LISTINGS_PAGE_SIZE + 50 }, (_, i) => marketItem(i, artist, 1))
+    contract = mockMarketplace({ ...mockEvents([]), ...mockListings(listings) })
+
+    const activity = await loadSalesActivity(contract)
+
+    expect(activity.listings).toHaveLength(listings.length)
+    expect(contract.getListings.mock.calls).toEqual([
+      [0, LISTINGS_PAGE_SIZE], [LISTINGS_PAGE_SIZE, LISTINGS_PAGE_SIZE], [2 * LISTINGS_PAGE_SIZE, LISTINGS_PAGE_SIZE]
+    ])
+  })
+
+  it("Found no original tracks in a catalogue created empty", async function () {
+    contract.provider.getTransaction.mockResolvedValue({ to: contract.address })
+    const activity = await loadSalesActivity(contract)
+
+    expect(activity.originals).toEqual([])
+    expect(analyzeSales(activity).sellThroughRate).toBeNull()
+  })
+
+  it("Left the auctions ended without bids out of the sales", async function () {
+    contract = mockMarketplace({
+      ...mockEvents([{ event: "AuctionSettled", args: { tokenId: ethers.BigNumber.from(2), winner: ETH, amount: ethers.constants.Zero }, blockNumber: 9 }]),
+      ...mockListings([])
+    })
+    expect((await loadSalesActivity(contract)).sales).toEqual([])
+  })
+
+  it("Computed the figures of the catalogue", async function () {
+    const report = analyzeSales(await loadSalesActivity(contract))
+
+    expect(report.royalties[ETH]).toEqual(ethToWei(7.5).div(40))
+    expect(report.primarySales).toEqual(2)
+    expect(report.primaryVolume[ETH]).toEqual(ethToWei(3))
+    expect(report.secondarySales).toEqual(2)
+    expect(report.secondaryVolume[ETH]).toEqual(ethToWei(4.5))
+    expect(report.floorPrice[ETH]).toEqual(ethToWei(0.5))
+    expect(report.averagePrice[ETH]).toEqual(ethToWei(1.875))
+    expect(report.sales.map(sale => sale.primary)).toEqual([true, true, false, false])
+    expect(report.originals).toEqual(4)
+    expect(report.originalsSold).toEqual(2)
+    expect(report.sellThroughRate).toEqual(0.5)
+  })
+
+  it("Ranked the resellers by resales, then relistings", async function () {
+    const report = analyzeSales(await loadSalesActivity(contract))
+
+    expect(report.topResellers).toEqual([
+      { account: buyer1, sales: 1, relistings: 1, volume: { [ETH]: ethToWei(1.5) } },
+      { account: buyer2, sales: 1, relistings: 0, volume: { [ETH]: ethToWei(3) } }
+    ])
+  })
+
+  it("Kept the amounts of every currency apart", function () {
+    const sale = (tokenId, seller, price, paymentToken) => ({ tokenId: ethers.BigNumber.from(tokenId), seller, buyer: buyer2, price, paymentToken, royalty: ethers.constants.Zero })
+    const report = analyzeSales({
+      sales: [sale(0, artist, ethToWei(1), ETH), sale(1, artist, usdc(10), STABLECOIN_ADDRESS), sale(2, artist, usdc(20), STABLECOIN_ADDRESS)],
+      relistings: [],
+      listings: [marketItem(3, artist, 2), marketItem(4, artist, 5, STABLECOIN_ADDRESS), marketItem(5, buyer1, 4, STABLECOIN_ADDRESS)],
+      royalties: [{ tokenId: ethers.BigNumber.from(1), amount: usdc(0.25), paymentToken: STABLECOIN_ADDRESS }],
+      originals: []
+    })
+
+    expect(report.primaryVolume).toEqual({ [ETH]: ethToWei(1), [STABLECOIN_ADDRESS]: usdc(30) })
+    expect(report.averagePrice).toEqual({ [ETH]: ethToWei(1), [STABLECOIN_ADDRESS]: usdc(15) })
+    expect(report.floorPrice).toEqual({ [ETH]: ethToWei(2), [STABLECOIN_ADDRESS]: usdc(4) })
+    expect(report.royalties).toEqual({ [STABLECOIN_ADDRESS]: usdc(0.25) })
+    expect(reportCurrencies(report)).toEqual([ETH, STABLECOIN_ADDRESS])
+  })
+
+  it("Quoted the CSV values which need it", function () {
+    expect(toCsv([["Metric", "Value"], ["A \"quoted\" name", "1,5"], ["Empty", null]])).toEqual(
+      'Metric,Value\n"A ""quoted"" name","1,5"\nEmpty,\n'
+    )
+  })
+
+  it("Exported the figures as CSV", async function () {
+    const report = analyzeSales(await loadSalesActivity(contract))
+    const rows = summaryCsv(report, { [ETH]: ETHER, [STABLECOIN_ADDRESS]: USDC }).trim().split("\n")
+
+    expect(rows).toEqual([
+      "Metric,Currency,Value",
+      "Royalties earned,ETH,0.1875",
+      "Primary volume,ETH,3.0",
+      "Secondary volume,ETH,4.5",
+      "Floor price,ETH,0.5",
+      "Average price,ETH,1.875",
+      "Primary sales,,2",
+      "Secondary sales,,2",
+      "Original tracks,,4",
+      "Original tracks sold,,2",
+      "Sell-through rate,,0.5000"
+    ])
+  })
+
+  it("Exported the sales as CSV", async function () {
+    const report = analyzeSales(await loadSalesActivity(contract))
+    const rows = salesCsv(report, { [ETH]: ETHER }).trim().split("\n")
+
+    expect(rows).toHaveLength(5)
+    expect(rows[0]).toEqual("Date,Block,Transaction,Token,Type,Seller,Buyer,Price,Currency,Royalty")
+    expect(rows[3]).toEqual(`${new Date((1700000000 + 5 * 60) * 1000).toISOString()},5,0xtx5,0,secondary,${buyer1},${buyer2},1.5,ETH,0.0375`)
+  })
+
+});
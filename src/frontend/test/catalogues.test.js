@@ -0,0 +1,65 @@
+import { loadCatalogues, shortAddress } from '../components/catalogues'
+
+const artist1 = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8"
+const artist2 = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC"
+
+// an event the way ethers returns it from queryFilter
+const collectionEvent = (artist, collection, blockNumber, logIndex = 0) =>
+  ({ blockNumber, logIndex, args: { artist, collection } })
+
+describe("catalogues", function () {
+
+  let factory;
+
+  beforeEach(function () {
+    factory = {
+      filters: {
+        CollectionCreated: jest.fn(() => "CollectionCreated"),
+        CollectionRegistered: jest.fn(() => "CollectionRegistered")
+      },
+      queryFilter: jest.fn((filter) => Promise.resolve({
+        CollectionCreated: [collectionEvent(artist2, "0xC2", 7), collectionEvent(artist1, "0xC3", 9)],
+        CollectionRegistered: [collectionEvent(artist1, "0xC1", 3), collectionEvent(artist2, "0xC4", 9, 1)]
+      }[filter]))
+    }
+  })
+
+  it("Listed the created and registered catalogues in the order of their events", async function () {
+    const catalogues = await loadCatalogues(factory, 2)
+
+    expect(catalogues).toEqual([
+      { artist: artist1, address: "0xC1" },
+      { artist: artist2, address: "0xC2", blockNumber: 7 },
+      { artist: artist1, address: "0xC3", blockNumber: 9 },
+      { artist: artist2, address: "0xC4" }
+    ])
+  })
+
+  it("Listed a catalogue under the artist it was last synced to", async function () {
+    factory.filters.CollectionArtistUpdated = jest.fn(() => "CollectionArtistUpdated")
+    const queryFilter = factory.queryFilter
+    factory.queryFilter = jest.fn((filter) => filter === "CollectionArtistUpdated"
+      ? Promise.resolve([
+        { blockNumber: 12, logIndex: 0, args: { collection: "0xC1", previousArtist: artist2, newArtist: artist1 } },
+        { blockNumber: 10, logIndex: 0, args: { collection: "0xC1", previousArtist: artist1, newArtist: artist2 } }
+      ])
+      : queryFilter(filter))
+
+    const catalogues = await loadCatalogues(factory, 2)
+
+    expect(catalogues[0]).toEqual({ artist: artist1, address: "0xC1" })
+    expect(factory.queryFilter).toHaveBeenCalledWith("CollectionArtistUpdated", 2)
+  })
+
+  it("Queried the events from the block the factory was deployed in", async function () {
+    await loadCatalogues(factory, 2)
+
+    expect(factory.queryFilter).toHaveBeenCalledWith("CollectionCreated", 2)
+    expect(factory.queryFilter).toHaveBeenCalledWith("CollectionRegistered", 2)
+  })
+
+  it("Shortened an address", function () {
+    expect(shortAddress(artist1)).toEqual("0x7099...79C8")
+  })
+
+});
@@ -0,0 +1,152 @@
+// a stand-in for the ethers.Contract instance of MusicNFTMarketplace, used by the frontend tests.
+// jest.fn() mocks are created on every call, because react-scripts resets mock implementations before each test
+import { ethers } from "ethers"
+
+export const ethToWei = (num) => ethers.utils.parseEther(num.toString())
+
+export const BASE_URI = "https://ipfs.test/"
+
+// builds a MarketItem struct the way ethers decodes it from the contract, priced in ether unless a paymentToken is given
+// (the price is then in whole tokens of 6 decimals, like the mock stablecoin)
+export const marketItem = (tokenId, seller, price, paymentToken = ethers.constants.AddressZero) => ({
+  tokenId: ethers.BigNumber.from(tokenId),
+  seller,
+  price: paymentToken === ethers.constants.AddressZero ? ethToWei(price) : ethers.utils.parseUnits(price.toString(), 6),
+  paymentToken
+})
+
+export const STABLECOIN_ADDRESS = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512"
+
+// a stand-in for the ethers.Contract instance of an ERC-20 stablecoin with 6 decimals
+export function mockStablecoin(overrides = {}) {
+  return {
+    address: STABLECOIN_ADDRESS,
+    symbol: jest.fn().mockResolvedValue("USDC"),
+    decimals: jest.fn().mockResolvedValue(6),
+    allowance: jest.fn().mockResolvedValue(ethers.constants.Zero),
+    approve: jest.fn().mockResolvedValue(minedTx()),
+    ...overrides
+  }
+}
+
+// a transaction response whose receipt resolves immediately
+export const minedTx = () => ({ wait: jest.fn().mockResolvedValue({ status: 1 }) })
+
+export const MARKETPLACE_ADDRESS = "0x5FbDB2315678afecb367f032d93F642f64180aa3"
+
+export function mockMarketplace(overrides = {}) {
+  return {
+    address: MARKETPLACE_ADDRESS,
+    provider: { getNetwork: jest.fn().mockResolvedValue({ chainId: 31337 }) },
+    tokenURI: jest.fn((tokenId) => Promise.resolve(BASE_URI + tokenId.toString())),
+    baseURI: jest.fn().mockResolvedValue(BASE_URI),
+    listingCount: jest.fn().mockResolvedValue(ethers.constants.Zero),
+    getListings: jest.fn().mockResolvedValue([]),
+    getListingsBySeller: jest.fn().mockResolvedValue([]),
+    getMyTokens: jest.fn().mockResolvedValue([]),
+    balanceOf: jest.fn().mockResolvedValue(ethers.constants.Zero),
+    getTokensOf: jest.fn().mockResolvedValue([]),
+    sellerListingCount: jest.fn().mockResolvedValue(ethers.constants.Zero),
+    getSellerListings: jest.fn().mockResolvedValue([]),
+    buyTokenAtPrice: jest.fn().mockResolvedValue(minedTx()),
+    resellToken: jest.fn().mockResolvedValue(minedTx()),
+    pendingWithdrawal: jest.fn().mockResolvedValue(ethers.constants.Zero),
+    withdraw: jest.fn().mockResolvedValue(minedTx()),
+    getPaymentTokens: jest.fn().mockResolvedValue([]),
+    pendingTokenWithdrawal: jest.fn().mockResolvedValue(ethers.constants.Zero),
+    withdrawToken: jest.fn().mockResolvedValue(minedTx()),
+    cancelListing: jest.fn().mockResolvedValue(minedTx()),
+    updateListingPrice: jest.fn().mockResolvedValue(minedTx()),
+    nonces: jest.fn().mockResolvedValue(ethers.constants.Zero),
+    buyWithSignature: jest.fn().mockResolvedValue(minedTx()),
+    owner: jest.fn().mockResolvedValue("0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266"),
+    platformFee: jest.fn().mockResolvedValue(0),
+    treasury: jest.fn().mockResolvedValue("0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266"),
+    paused: jest.fn().mockResolvedValue(false),
+    setPlatformFee: jest.fn().mockResolvedValue(minedTx()),
+    setTreasury: jest.fn().mockResolvedValue(minedTx()),
+    pause: jest.fn().mockResolvedValue(minedTx()),
+    unpause: jest.fn().mockResolvedValue(minedTx()),
+    takedownToken: jest.fn().mockResolvedValue(minedTx()),
+    restoreToken: jest.fn().mockResolvedValue(minedTx()),
+    hasRole: jest.fn().mockResolvedValue(false),
+    getRoleMembers: jest.fn().mockResolvedValue([]),
+    grantRole: jest.fn().mockResolvedValue(minedTx()),
+    revokeRole: jest.fn().mockResolvedValue(minedTx()),
+    getBundles: jest.fn().mockResolvedValue([]),
+    marketItems: jest.fn((tokenId) => Promise.resolve(marketItem(tokenId, ethers.constants.AddressZero, 0))),
+    createBundle: jest.fn().mockResolvedValue(minedTx()),
+    cancelBundle: jest.fn().mockResolvedValue(minedTx()),
+    buyBundle: jest.fn().mockResolvedValue(minedTx()),
+    buyCart: jest.fn().mockResolvedValue(minedTx()),
+    ...overrides
+  }
+}
+
+// the listingCount and getListings of a marketplace listing items, paged the way the contract pages them
+export const mockListings = (items) => ({
+  listingCount: jest.fn().mockResolvedValue(ethers.BigNumber.from(items.length)),
+  getListings: jest.fn((offset, limit) => Promise.resolve(items.slice(offset, offset + limit)))
+})
+
+// builds a Bundle struct the way ethers decodes it from the contract, priced in ether
+export const bundle = (bundleId, seller, price, name, tokenIds) => ({
+  bundleId: ethers.BigNumber.from(bundleId),
+  seller,
+  price: ethToWei(price),
+  name,
+  tokenIds: tokenIds.map(tokenId => ethers.BigNumber.from(tokenId))
+})
+
+// serves the metadata json of every token from the mocked IPFS gateway, keyed by tokenId
+// (or by the full URL, for the tracks minted with their own metadata URI)
+export function mockMetadataFetch(metadata) {
+  global.fetch = jest.fn((url) => {
+    const tokenId = url.slice(BASE_URI.length, -".json".length)
+    return Promise.resolve({ json: () => Promise.resolve(metadata[url] || metadata[tokenId]) })
+  })
+}
+
+// an event the way ethers returns it from queryFilter, each in its own transaction unless one is given
+export const contractEvent = (event, args, blockNumber, transactionHash = `0xtx${blockNumber}`, logIndex = 0) =>
+  ({ event, args, blockNumber, transactionHash, logIndex })
+
+// the filters and queryFilter of a marketplace which emitted the events, and a provider knowing their transactions and blocks.
+// the transaction deploying the marketplace is the one with the hash deploymentHash
+export function mockEvents(events, deploymentHash) {
+  const names = [...new Set(events.map(e => e.event)), "MarketItemListed", "MarketItemBought", "MarketItemRelisted", "AuctionCreated", "AuctionSettled", "RoyaltyCredited"]
+  const filters = {}
+  names.forEach(name => { filters[name] = jest.fn(() => name) })
+  return {
+    filters,
+    queryFilter: jest.fn((filter) => Promise.resolve(events.filter(e => e.event === filter))),
+    provider: {
+      getNetwork: jest.fn().mockResolvedValue({ chainId: 31337 }),
+      getTransaction: jest.fn((hash) => Promise.resolve({ hash, to: hash === deploymentHash ? null : MARKETPLACE_ADDRESS })),
+      // a block a minute
+      getBlock: jest.fn((blockNumber) => Promise.resolve({ number: blockNumber, timestamp: 1700000000 + blockNumber * 60 }))
+    }
+  }
+}
+
+export const DEPLOYMENT_HASH = "0xdeployment"
+
+// the activity of a marketplace deployed with 4 tracks (a 2.5% royalty): 2 of them bought, one resold by its buyer
+// and the other sold at an auction by its buyer, and a 5th track minted later
+export function salesActivityEvents({ artist, buyer1, buyer2 }) {
+  const royalty = (tokenId, price, blockNumber) =>
+    contractEvent("RoyaltyCredited", { tokenId: ethers.BigNumber.from(tokenId), receiver: artist, amount: ethToWei(price).div(40), paymentToken: ethers.constants.AddressZero }, blockNumber, undefined, 1)
+  const bought = (tokenId, seller, buyer, price, blockNumber) =>
+    contractEvent("MarketItemBought", { tokenId: ethers.BigNumber.from(tokenId), seller, buyer, price: ethToWei(price), paymentToken: ethers.constants.AddressZero }, blockNumber, undefined, 2)
+  return [
+    ...[1, 2, 3, 4].map((price, tokenId) =>
+      contractEvent("MarketItemListed", { tokenId: ethers.BigNumber.from(tokenId), seller: artist, price: ethToWei(price) }, 1, DEPLOYMENT_HASH, tokenId)),
+    bought(0, artist, buyer1, 1, 2), royalty(0, 1, 2),
+    bought(1, artist, buyer2, 2, 3), royalty(1, 2, 3),
+    contractEvent("MarketItemRelisted", { tokenId: ethers.BigNumber.from(0), seller: buyer1, price: ethToWei(1.5), paymentToken: ethers.constants.AddressZero }, 4),
+    bought(0, buyer1, buyer2, 1.5, 5), royalty(0, 1.5, 5),
+    contractEvent("MarketItemListed", { tokenId: ethers.BigNumber.from(4), seller: artist, price: ethToWei(0.5) }, 6),
+    contractEvent("AuctionCreated", { tokenId: ethers.BigNumber.from(1), seller: buyer2, reservePrice: ethToWei(1), endTime: ethers.BigNumber.from(1700001000) }, 7),
+    contractEvent("AuctionSettled", { tokenId: ethers.BigNumber.from(1), winner: buyer1, amount: ethToWei(3) }, 8), royalty(1, 3, 8)
+  ]
+}
@@ -0,0 +1,119 @@
+import { ethers } from 'ethers'
+import { cacheKey, saveCached, loadCached, withCache, formatAge, staleMessage } from '../components/offlineCache'
+import { isMetadataRequest, isArtworkRequest, isAppNavigation } from '../components/cacheRoutes'
+import { MARKETPLACE_ADDRESS } from './mockContract'
+
+const MINUTE = 60 * 1000
+
+describe("Offline cache", function () {
+
+  const listings = { pages: 1, items: [{ itemId: ethers.BigNumber.from(3), price: ethers.utils.parseEther("1.5"), name: "Third Track" }] }
+
+  it("Keyed the data of a contract whatever the case of its address", function () {
+    expect(cacheKey(MARKETPLACE_ADDRESS, "listings", 0)).toEqual(cacheKey(MARKETPLACE_ADDRESS.toLowerCase(), "listings", 0))
+    expect(cacheKey(MARKETPLACE_ADDRESS, "listings", 0)).not.toEqual(cacheKey(MARKETPLACE_ADDRESS, "listings", 1))
+  })
+
+  it("Revived the BigNumbers of the data it saved", function () {
+    saveCached("listings", listings, { now: 1000 })
+    const cached = loadCached("listings")
+
+    expect(cached.savedAt).toEqual(1000)
+    expect(ethers.BigNumber.isBigNumber(cached.data.items[0].price)).toBe(true)
+    expect(cached.data.items[0].price.eq(listings.items[0].price)).toBe(true)
+    expect(cached.data.items[0].itemId.toNumber()).toEqual(3)
+    expect(cached.data.items[0].name).toEqual("Third Track")
+  })
+
+  it("Found nothing under an unknown or unreadable key", function () {
+    expect(loadCached("listings")).toBeNull()
+    window.localStorage.setItem("music-nft-cache:v1:listings", "{not json")
+    expect(loadCached("listings")).toBeNull()
+  })
+
+  it("Returned and saved the fresh data while online", async function () {
+    const result = await withCache("listings", () => Promise.resolve(listings))
+
+    expect(result).toEqual({ data: listings, stale: false })
+    expect(loadCached("listings").data.items[0].name).toEqual("Third Track")
+  })
+
+  it("Returned the saved data marked as stale when the load failed", async function () {
+    saveCached("listings", listings, { now: 1000 })
+
+    const result = await withCache("listings", () => Promise.reject(new Error("could not detect network")))
+
+    expect(result.stale).toBe(true)
+    expect(result.savedAt).toEqual(1000)
+    expect(result.data.items[0].name).toEqual("Third Track")
+  })
+
+  it("Threw the error of the load when nothing was saved", async function () {
+    let error
+    try {
+      await withCache("listings", () => Promise.reject(new Error("could not detect network")))
+    } catch (e) {
+      error = e
+    }
+    expect(error.message).toEqual("could not detect network")
+  })
+
+  it("Still returned the data when the storage is full", async function () {
+    const storage = {
+      setItem: jest.fn(() => { throw new Error("QuotaExceededError") }),
+      getItem: jest.fn(() => null)
+    }
+
+    const result = await withCache("listings", () => Promise.resolve(listings), { storage })
+
+    expect(result).toEqual({ data: listings, stale: false })
+    expect(storage.setItem).toHaveBeenCalled()
+  })
+
+  it("Told how long ago the data was saved", function () {
+    const now = Date.now()
+    expect(formatAge(now - 20 * 1000, now)).toEqual("just now")
+    expect(formatAge(now - MINUTE, now)).toEqual("1 minute ago")
+    expect(formatAge(now - 5 * MINUTE, now)).toEqual("5 minutes ago")
+    expect(formatAge(now - 3 * 60 * MINUTE, now)).toEqual("3 hours ago")
+    expect(formatAge(now - 2 * 24 * 60 * MINUTE, now)).toEqual("2 days ago")
+    expect(staleMessage("listings", now - 5 * MINUTE)).toMatch(/^The network can not be reached, these are the listings saved 5 minutes ago/)
+  })
+
+});
+
+describe("Service worker routes", function () {
+
+  const route = (url, request = {}) => {
+    const parsed = new URL(url, window.location.href)
+    return {
+      url: parsed,
+      sameOrigin: parsed.origin === window.location.origin,
+      request: { method: "GET", destination: "", mode: "cors", ...request }
+    }
+  }
+
+  it("Cached the metadata of the tracks", function () {
+    expect(isMetadataRequest(route("https://ipfs.test/catalogue/3.json"))).toBe(true)
+    expect(isMetadataRequest(route("https://ipfs.test/catalogue/3.json", { method: "POST" }))).toBe(false)
+    // the files of the app are precached
+    expect(isMetadataRequest(route("/manifest.json"))).toBe(false)
+    // the indexer and the media server are always asked
+    expect(isMetadataRequest(route("http://localhost:4000/collections/0x5fbdb/tokens/3/history"))).toBe(false)
+    expect(isMetadataRequest(route("http://localhost:4001/challenge?account=0x90F7"))).toBe(false)
+  })
+
+  it("Cached the artwork but not the audio", function () {
+    expect(isArtworkRequest(route("https://ipfs.test/art/3.png", { destination: "image", mode: "no-cors" }))).toBe(true)
+    expect(isArtworkRequest(route("http://localhost:4001/previews/0x5fbdb/3", { destination: "audio" }))).toBe(false)
+    expect(isArtworkRequest(route("http://localhost:4001/tracks/0x5fbdb/3?session=token", { destination: "audio" }))).toBe(false)
+  })
+
+  it("Answered the navigations of the app with index.html", function () {
+    expect(isAppNavigation(route("/my-tokens", { mode: "navigate" }))).toBe(true)
+    expect(isAppNavigation(route("/", { mode: "navigate" }))).toBe(true)
+    expect(isAppNavigation(route("/manifest.json", { mode: "navigate" }))).toBe(false)
+    expect(isAppNavigation(route("/my-tokens"))).toBe(false)
+  })
+
+});
@@ -7,7 +7,6 @@ const rootElement = document.getElementById("root");
 render( <App />, rootElement);
 
 
-// If you want your app to work offline and load faster, you can change
-// unregister() to register() below. Note this comes with some pitfalls.
-// Learn more about service workers: https://bit.ly/CRA-PWA
-serviceWorker.unregister();
+// the service worker (src/service-worker.js) caches the app, the metadata and the artwork so the marketplace opens offline.
+// it is only registered in production builds: a new version is used once every tab of the app has been closed
+serviceWorker.register();
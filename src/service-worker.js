@@ -0,0 +1,53 @@
+/* eslint-disable no-restricted-globals */
+
+// the service worker of the marketplace, built by react-scripts (workbox's InjectManifest) and registered in index.js.
+// it precaches the app, so it opens offline, and caches the metadata and the artwork of the tracks the pages loaded.
+// the listings and the collections come from the contract through the wallet, so the pages cache them themselves
+// (see frontend/components/offlineCache.js)
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate, CacheFirst } from 'workbox-strategies';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { isMetadataRequest, isArtworkRequest, isAppNavigation } from './frontend/components/cacheRoutes';
+
+clientsClaim();
+
+// the files of the build, listed by InjectManifest
+precacheAndRoute(self.__WB_MANIFEST);
+
+// every page of the app is index.html, the router shows the right one
+registerRoute(isAppNavigation, createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html'));
+
+// the metadata of a token can be updated (setTokenURI), so the cached one is shown while the new one is fetched
+registerRoute(
+  isMetadataRequest,
+  new StaleWhileRevalidate({
+    cacheName: 'track-metadata',
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [200] }),
+      new ExpirationPlugin({ maxEntries: 500 }),
+    ],
+  })
+);
+
+// the artwork is pinned, so it is fetched once. the images of other origins are opaque (status 0) to the worker
+registerRoute(
+  isArtworkRequest,
+  new CacheFirst({
+    cacheName: 'artwork',
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 200, maxAgeSeconds: 30 * 24 * 60 * 60, purgeOnQuotaError: true }),
+    ],
+  })
+);
+
+// lets the page activate a new version of the worker without waiting for every tab to close
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
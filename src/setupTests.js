@@ -0,0 +1,8 @@
+// jest-dom adds custom jest matchers for asserting on DOM nodes.
+// allows you to do things like:
+// expect(element).toHaveTextContent(/react/i)
+// learn more: https://github.com/testing-library/jest-dom
+import '@testing-library/jest-dom';
+
+// the pages cache what they load in localStorage (see offlineCache.js), which no test should find from another
+afterEach(() => window.localStorage.clear())
@@ -0,0 +1,26 @@
+// the challenge a listener signs to prove to the media server (src/backend/media) that it holds an account,
+// so the full tracks of the tokens it owns are streamed to it. it is shared by the frontend, the media server and the
+// hardhat tests, so it is written as CommonJS.
+
+// how long the preview of a track is, in seconds. the previews are public, the full tracks are only streamed to their owners
+const PREVIEW_SECONDS = 30;
+
+// the message signed with personal_sign (signer.signMessage). the nonce is issued by the media server and used once,
+// so a signature can not be replayed, and the expiry bounds how long the challenge can wait for its signature
+function challengeMessage({ account, chainId, nonce, expiresAt }) {
+  return [
+    "Sign in to play the full tracks you own on the Music NFT Marketplace.",
+    "This request will not trigger a transaction or cost any gas.",
+    "",
+    `Account: ${account}`,
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Expires: ${new Date(expiresAt * 1000).toISOString()}`
+  ].join("\n");
+}
+
+// the paths of the media server for the preview and the full track of a token of a marketplace
+const previewPath = (marketplace, tokenId) => `/previews/${marketplace}/${tokenId.toString()}`;
+const trackPath = (marketplace, tokenId) => `/tracks/${marketplace}/${tokenId.toString()}`;
+
+module.exports = { PREVIEW_SECONDS, challengeMessage, previewPath, trackPath };
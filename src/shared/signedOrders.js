@@ -0,0 +1,73 @@
+// builds and signs the EIP-712 typed data of the listings and offers executed by MusicNFTMarketplace
+// (buyWithSignature / acceptOffer). it is shared by the frontend and the hardhat tests, so it is written as CommonJS.
+
+const { ethers } = require("ethers");
+
+// the name and version the contract passes to EIP712(...)
+const DOMAIN_NAME = "MusicNFTMarketplace";
+const DOMAIN_VERSION = "1";
+
+const ORDER_FIELDS = [
+  { name: "tokenId", type: "uint256" },
+  { name: "price", type: "uint256" },
+  { name: "nonce", type: "uint256" },
+  { name: "expiry", type: "uint256" }
+];
+
+// a listing is signed by the seller of a token, an offer by a buyer. both have the same fields
+const LISTING_TYPES = { Listing: ORDER_FIELDS };
+const OFFER_TYPES = { Offer: ORDER_FIELDS };
+
+// the domain binds a signature to one marketplace contract on one chain
+async function getDomain(contract) {
+  const { chainId } = await contract.provider.getNetwork();
+  return {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId,
+    verifyingContract: contract.address
+  };
+}
+
+// fills in the signer's current nonce and converts every field to a decimal string, so the order can be shared as JSON
+async function buildOrder(contract, signer, { tokenId, price, expiry, nonce }) {
+  if (nonce === undefined) {
+    nonce = await contract.nonces(await signer.getAddress());
+  }
+  return {
+    tokenId: ethers.BigNumber.from(tokenId).toString(),
+    price: ethers.BigNumber.from(price).toString(),
+    nonce: ethers.BigNumber.from(nonce).toString(),
+    expiry: ethers.BigNumber.from(expiry).toString()
+  };
+}
+
+async function signOrder(types, contract, signer, fields) {
+  const order = await buildOrder(contract, signer, fields);
+  const signature = await signer._signTypedData(await getDomain(contract), types, order);
+  return { order, signature };
+}
+
+// signs a listing of tokenId for price (in wei), valid until expiry (a unix timestamp in seconds)
+function signListing(contract, signer, fields) {
+  return signOrder(LISTING_TYPES, contract, signer, fields);
+}
+
+// signs an offer to buy tokenId for price (in wei), valid until expiry (a unix timestamp in seconds)
+function signOffer(contract, signer, fields) {
+  return signOrder(OFFER_TYPES, contract, signer, fields);
+}
+
+// returns the address which signed a listing or an offer, without asking the contract
+async function recoverSigner(types, contract, { order, signature }) {
+  return ethers.utils.verifyTypedData(await getDomain(contract), types, order, signature);
+}
+
+module.exports = {
+  LISTING_TYPES,
+  OFFER_TYPES,
+  getDomain,
+  signListing,
+  signOffer,
+  recoverSigner
+};